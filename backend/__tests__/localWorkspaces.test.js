@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalWorkspaceManager } = require('../services/localWorkspaces');
+
+describe('LocalWorkspaceManager.unwrapSingleFolder', () => {
+  let dir;
+  const manager = new LocalWorkspaceManager({ workspacesDir: os.tmpdir() });
+
+  const write = (relativePath) => {
+    fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, relativePath), '');
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testgen-unwrap-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses the wrapper folder an archive adds as the root, and only that one', async () => {
+    write('proj/src/math.js');
+
+    await expect(manager.unwrapSingleFolder(dir)).resolves.toBe(path.join(dir, 'proj'));
+  });
+
+  it('keeps the extraction folder when the archive has several top-level entries', async () => {
+    write('src/math.js');
+    write('package.json');
+
+    await expect(manager.unwrapSingleFolder(dir)).resolves.toBe(dir);
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llmProviders = require('../services/llm');
+const ReplayProvider = require('../services/llm/replayProvider');
+const geminiService = require('../services/geminiService');
+
+// Prompts of the recorded answers in fixtures/llm
+const FENCED_PROMPT = 'Generate unit tests for src/math.js (fenced answer)';
+const INVALID_PROMPT = 'Generate unit tests for src/math.js (schema violation)';
+
+const files = [
+  {
+    path: 'src/math.js',
+    content:
+      'function add(a, b) {\n  return a + b;\n}\n\nfunction divide(a, b) {\n  if (b === 0) throw new Error("zero");\n  return a / b;\n}\n\nmodule.exports = { add, divide };\n',
+  },
+];
+const config = { types: ['unit'], provider: 'replay' };
+
+describe('ReplayProvider', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays the fixture recorded for a prompt', async () => {
+    const provider = new ReplayProvider({ mode: 'replay' });
+    const response = await provider.generate(FENCED_PROMPT);
+
+    expect(response).toContain('math_add_positive');
+  });
+
+  it('fails on a prompt without a fixture by default', async () => {
+    const provider = new ReplayProvider({ mode: 'replay' });
+
+    expect(provider.strict).toBe(true);
+    await expect(provider.generate('A prompt nobody recorded')).rejects.toThrow(
+      'No LLM fixture recorded for prompt hash'
+    );
+  });
+
+  it('serves _default.json on a miss only when strict mode is off', async () => {
+    const provider = new ReplayProvider({ mode: 'replay', strict: false });
+    const response = await provider.generate('A prompt nobody recorded');
+
+    expect(response).toContain('replay_unit_happy_path');
+  });
+
+  it('reads LLM_REPLAY_STRICT=false from the environment', () => {
+    const previous = process.env.LLM_REPLAY_STRICT;
+    process.env.LLM_REPLAY_STRICT = 'false';
+    try {
+      expect(new ReplayProvider({ mode: 'replay' }).strict).toBe(false);
+    } finally {
+      if (previous === undefined) delete process.env.LLM_REPLAY_STRICT;
+      else process.env.LLM_REPLAY_STRICT = previous;
+    }
+  });
+
+  it('records the upstream answer as a fixture keyed by prompt hash', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testgen-fixtures-'));
+    const upstream = { name: 'fake', modelName: 'fake-1', generate: jest.fn(async () => '{}') };
+    const provider = new ReplayProvider({ mode: 'record', fixturesDir });
+    provider.getRecordProvider = () => upstream;
+
+    try {
+      await provider.record('Record me', provider.hashPrompt('Record me'));
+      const replayed = await new ReplayProvider({ mode: 'replay', fixturesDir }).generate(
+        'Record me'
+      );
+
+      expect(replayed).toBe('{}');
+    } finally {
+      fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('llmProviders.isSelectableProvider', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('keeps replay and record away from requests in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.LLM_PROVIDER;
+
+    expect(llmProviders.isSelectableProvider('replay')).toBe(false);
+    expect(llmProviders.isSelectableProvider('record')).toBe(false);
+    expect(llmProviders.isSelectableProvider('openai')).toBe(true);
+  });
+
+  it('allows the replay provider the server set in LLM_PROVIDER', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.LLM_PROVIDER = 'replay';
+
+    expect(llmProviders.isSelectableProvider('replay')).toBe(true);
+    expect(llmProviders.isSelectableProvider('record')).toBe(false);
+  });
+
+  it('allows replay and record outside production', () => {
+    process.env.NODE_ENV = 'test';
+
+    expect(llmProviders.isSelectableProvider('record')).toBe(true);
+  });
+});
+
+describe('GeminiService.parseTestCasesResponse', () => {
+  const provider = new ReplayProvider({ mode: 'replay' });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('parses a JSON answer wrapped in a markdown code block', async () => {
+    const text = await provider.generate(FENCED_PROMPT);
+    const testCases = geminiService.parseTestCasesResponse(text, files, config);
+
+    expect(testCases.map((tc) => tc.id)).toEqual(['math_add_positive', 'math_divide_by_zero']);
+    expect(testCases[0]).toMatchObject({
+      title: 'adds two positive numbers',
+      type: 'unit',
+      priority: 'high',
+      file: 'src/math.js',
+      function: 'add',
+      generatedBy: 'replay-ai',
+    });
+    expect(testCases[1].code).toContain('divide(1, 0)');
+  });
+
+  it('keeps the valid test cases of an answer that fails the schema', async () => {
+    const text = await provider.generate(INVALID_PROMPT);
+    const testCases = geminiService.parseTestCasesResponse(text, files, config);
+
+    expect(testCases).toHaveLength(1);
+    expect(testCases[0]).toMatchObject({ id: 'math_add_positive', function: 'add' });
+  });
+
+  it('drops test cases for files that were not sent', async () => {
+    const text = await provider.generate(FENCED_PROMPT);
+    const escaping = text.replace(/"file": "src\/math\.js"/, '"file": "../secrets.js"');
+    const testCases = geminiService.parseTestCasesResponse(escaping, files, config);
+
+    expect(testCases.map((tc) => tc.id)).toEqual(['math_divide_by_zero']);
+  });
+
+  it('fills in the file and dependencies the default fixture leaves out', async () => {
+    const text = await new ReplayProvider({ mode: 'replay', strict: false }).generate(
+      'A prompt nobody recorded'
+    );
+    const testCases = geminiService.parseTestCasesResponse(text, files, config);
+
+    expect(testCases).toHaveLength(2);
+    testCases.forEach((tc) => {
+      expect(tc.file).toBe('src/math.js');
+      expect(tc.dependencies).toEqual(['jest']);
+    });
+  });
+
+  it('falls back to generated test cases when the answer has none', () => {
+    const testCases = geminiService.parseTestCasesResponse(
+      'Sorry, I cannot help with that.',
+      files,
+      config
+    );
+
+    expect(testCases.length).toBeGreaterThan(0);
+    testCases.forEach((tc) => expect(tc.tags).toContain('fallback'));
+    expect(testCases.map((tc) => tc.function)).toEqual(expect.arrayContaining(['add', 'divide']));
+  });
+});
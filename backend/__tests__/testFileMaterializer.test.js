@@ -0,0 +1,93 @@
+const TestFileMaterializer = require('../services/testFileMaterializer');
+
+const testCase = (id, file) => ({ id, title: id, file, code: `test('${id}', () => {});` });
+
+describe('TestFileMaterializer.planTestFiles', () => {
+  const materializer = new TestFileMaterializer();
+
+  it('gives every source with the same file name its own test file', () => {
+    const files = materializer.planTestFiles(
+      [
+        testCase('a', 'src/a/utils.js'),
+        testCase('b', 'src/b/utils.js'),
+        testCase('c', 'src/c/utils.js'),
+      ],
+      { existingPaths: ['src/a/utils.js', 'src/b/utils.js', 'src/c/utils.js'] }
+    );
+
+    expect(files.map((file) => [file.sourceFile, file.path])).toEqual([
+      ['src/a/utils.js', '__tests__/utils.test.js'],
+      ['src/b/utils.js', '__tests__/utils_generated.test.js'],
+      ['src/c/utils.js', '__tests__/utils_generated2.test.js'],
+    ]);
+  });
+
+  it('does not overwrite existing tests, generated ones included', () => {
+    const files = materializer.planTestFiles([testCase('a', 'src/utils.js')], {
+      existingPaths: [
+        'src/utils.js',
+        '__tests__/utils.test.js',
+        '__tests__/utils_generated.test.js',
+      ],
+    });
+
+    expect(files[0].path).toBe('__tests__/utils_generated2.test.js');
+  });
+
+  it('groups test cases without a file into one file', () => {
+    const files = materializer.planTestFiles([testCase('a'), testCase('b')]);
+
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ sourceFile: null, testCases: [{ id: 'a' }, { id: 'b' }] });
+  });
+
+  it.each(['../x.js', 'src/../../x.js', '/etc/passwd'])('rejects %s', (file) => {
+    expect(() =>
+      materializer.planTestFiles([testCase('a', file)], {
+        testStrategy: { testFilePattern: '{filename}.test.js', testDirectory: '.' },
+      })
+    ).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('rejects a file the repository does not have', () => {
+    expect(() =>
+      materializer.planTestFiles([testCase('a', 'src/other.js')], {
+        existingPaths: ['src/utils.js'],
+      })
+    ).toThrow('Test case a names unknown file src/other.js');
+  });
+});
+
+describe('TestFileMaterializer.materialize', () => {
+  const materializer = new TestFileMaterializer();
+  const existingPaths = ['src/math.js'];
+
+  it('imports the functions the tests call when the code has no import of the source', () => {
+    const [file] = materializer.materialize(
+      [
+        { ...testCase('adds', 'src/math.js'), function: 'add', code: 'expect(add(1, 2)).toBe(3);' },
+        { ...testCase('main', 'src/math.js'), function: 'main', code: 'expect(main()).toBe(0);' },
+      ],
+      { existingPaths }
+    );
+
+    expect(file.path).toBe('__tests__/math.test.js');
+    expect(file.content).toContain("const { add, main } = require('../src/math');");
+  });
+
+  it('keeps the import the test code already has', () => {
+    const [file] = materializer.materialize(
+      [
+        {
+          ...testCase('adds', 'src/math.js'),
+          function: 'add',
+          code: "import { add } from '../src/math';\n\nexpect(add(1, 2)).toBe(3);",
+        },
+      ],
+      { existingPaths }
+    );
+
+    expect(file.content.match(/'\.\.\/src\/math'/g)).toEqual(["'../src/math'"]);
+    expect(file.content).toContain("import { add } from '../src/math';");
+  });
+});
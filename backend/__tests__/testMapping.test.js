@@ -0,0 +1,52 @@
+const TestMappingService = require('../services/testMapping');
+
+describe('TestMappingService', () => {
+  const mapping = new TestMappingService();
+  const sources = ['src/math.js', 'lib/math.js', 'app/math.py'];
+  const tests = ['src/__tests__/math.test.js', 'tests/test_math.py'];
+
+  it('pairs same-named files in different directories only with tests in their language', () => {
+    expect(mapping.mapTestsToSources(sources, tests)).toEqual({
+      'src/math.js': ['src/__tests__/math.test.js'],
+      'lib/math.js': ['src/__tests__/math.test.js'],
+      'app/math.py': ['tests/test_math.py'],
+    });
+  });
+
+  it('counts a test only for the module it imports', () => {
+    const testFile = {
+      path: 'src/__tests__/math.test.js',
+      content:
+        "const { add } = require('../math');\n\ntest('adds', () => expect(add(1, 2)).toBe(3));\n",
+    };
+    const symbols = [{ name: 'add' }];
+
+    expect(mapping.analyzeSource({ path: 'src/math.js' }, symbols, [testFile]).tested).toBe(1);
+    expect(mapping.analyzeSource({ path: 'lib/math.js' }, symbols, [testFile])).toMatchObject({
+      tested: 0,
+      untested: 1,
+    });
+  });
+
+  it('does not count a Python test of a same-named module in another package', () => {
+    const testFile = {
+      path: 'tests/test_math.py',
+      content: 'from app.math import add\n\ndef test_add():\n    assert add(1, 2) == 3\n',
+    };
+    const symbols = [{ name: 'add' }];
+
+    expect(mapping.analyzeSource({ path: 'app/math.py' }, symbols, [testFile]).tested).toBe(1);
+    expect(mapping.analyzeSource({ path: 'lib/math.py' }, symbols, [testFile]).tested).toBe(0);
+  });
+
+  it('still finds names in a test that imports the source by an unresolvable path', () => {
+    const testFile = {
+      path: 'test/math.test.js',
+      content: "const { add } = require('calculator');\n\ntest('adds', () => add(1, 2));\n",
+    };
+
+    expect(
+      mapping.analyzeSource({ path: 'lib/math.js' }, [{ name: 'add' }], [testFile]).tested
+    ).toBe(1);
+  });
+});
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { COMMENT_MARKER } = require('../services/pullRequestReview');
+
+const SECRET = 'webhook-test-secret';
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, '..', 'fixtures', 'webhooks', 'pull_request.opened.json')
+);
+
+// The client the webhook posts comments with; methods are set per test
+const mockClient = {
+  tokenType: null,
+  getUser: jest.fn(),
+  listIssueComments: jest.fn(),
+  createIssueComment: jest.fn(),
+  updateIssueComment: jest.fn(),
+  createCheckRun: jest.fn(),
+};
+
+jest.mock('../services/github', () => jest.fn(() => mockClient));
+
+// Generation is stubbed; the job queue is real but keeps its files in a temporary folder
+jest.mock('../routes/testcases', () => {
+  const os = require('os');
+  const fsp = require('fs');
+  const tmp = require('path');
+  const JobQueue = jest.requireActual('../services/jobQueue');
+  return {
+    generateForDiff: jest.fn(),
+    jobQueue: new JobQueue({
+      jobsDir: fsp.mkdtempSync(tmp.join(os.tmpdir(), 'testgen-webhook-jobs-')),
+    }),
+  };
+});
+
+const { generateForDiff, jobQueue } = require('../routes/testcases');
+
+const diffResult = {
+  testCases: [{ id: 'tc-1', title: 'adds numbers', type: 'unit', code: 'expect(1).toBe(1);' }],
+  files: [
+    {
+      path: 'src/math.js',
+      additions: 3,
+      deletions: 1,
+      functions: [{ name: 'add' }],
+      changedLines: [2],
+      testCases: [{ id: 'tc-1', title: 'adds numbers', type: 'unit', code: 'expect(1).toBe(1);' }],
+    },
+  ],
+  skipped: [],
+};
+
+const sign = (body, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const buildApp = () => {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use('/api/webhooks', require('../routes/webhooks'));
+  return app;
+};
+
+const deliver = (app, { event = 'pull_request', body = FIXTURE, signature } = {}) =>
+  request(app)
+    .post('/api/webhooks/github')
+    .set('Content-Type', 'application/json')
+    .set('X-GitHub-Event', event)
+    .set('X-GitHub-Delivery', crypto.randomUUID())
+    .set('X-Hub-Signature-256', signature || sign(body))
+    .send(body.toString());
+
+const waitForJob = async (id) => {
+  for (let i = 0; i < 100; i++) {
+    const job = jobQueue.get(id);
+    if (jobQueue.isFinished(job)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+describe('POST /api/webhooks/github', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+    process.env.GITHUB_WEBHOOK_TOKEN = `ghp_${'a'.repeat(36)}`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    fs.rmSync(jobQueue.jobsDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.getUser.mockResolvedValue({ login: 'testgen-bot' });
+    mockClient.createIssueComment.mockResolvedValue({ id: 900, html_url: 'https://x/900' });
+    mockClient.updateIssueComment.mockResolvedValue({ id: 700, html_url: 'https://x/700' });
+    generateForDiff.mockResolvedValue(diffResult);
+  });
+
+  it('rejects a delivery with a bad signature', async () => {
+    const response = await deliver(app, { signature: sign(FIXTURE, 'wrong-secret') });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid webhook signature');
+    expect(generateForDiff).not.toHaveBeenCalled();
+  });
+
+  it('ignores events it does not handle', async () => {
+    const response = await deliver(app, { event: 'issues' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({
+      ignored: true,
+      reason: 'Event issues.opened is not handled',
+    });
+    expect(response.body.jobId).toBeUndefined();
+  });
+
+  it('ignores pull request actions that do not change the code', async () => {
+    const body = Buffer.from(JSON.stringify({ ...JSON.parse(FIXTURE), action: 'closed' }));
+    const response = await deliver(app, { body });
+
+    expect(response.status).toBe(202);
+    expect(response.body.ignored).toBe(true);
+  });
+
+  it('updates the comment it posted earlier', async () => {
+    mockClient.listIssueComments.mockResolvedValue([
+      { id: 500, body: 'Looks good', user: { login: 'octocat' } },
+      { id: 700, body: `${COMMENT_MARKER}\nold suggestions`, user: { login: 'testgen-bot' } },
+    ]);
+
+    const response = await deliver(app);
+    expect(response.status).toBe(202);
+    const job = await waitForJob(response.body.jobId);
+
+    expect(job.status).toBe('completed');
+    expect(generateForDiff).toHaveBeenCalledWith(
+      mockClient,
+      { owner: 'octo-org', repo: 'sample-app', pullNumber: 42 },
+      expect.anything()
+    );
+    expect(mockClient.updateIssueComment).toHaveBeenCalledWith(
+      'octo-org',
+      'sample-app',
+      700,
+      expect.stringContaining(COMMENT_MARKER)
+    );
+    expect(mockClient.createIssueComment).not.toHaveBeenCalled();
+    expect(job.result.comment).toEqual({ id: 700, url: 'https://x/700', updated: true });
+  });
+
+  it('creates a new comment when the marker is only in someone else’s comment', async () => {
+    mockClient.listIssueComments.mockResolvedValue([
+      { id: 600, body: `Quoting ${COMMENT_MARKER}`, user: { login: 'octocat' } },
+    ]);
+
+    const response = await deliver(app);
+    const job = await waitForJob(response.body.jobId);
+
+    expect(job.status).toBe('completed');
+    expect(mockClient.updateIssueComment).not.toHaveBeenCalled();
+    expect(mockClient.createIssueComment).toHaveBeenCalledWith(
+      'octo-org',
+      'sample-app',
+      42,
+      expect.stringContaining('src/math.js')
+    );
+    expect(job.result.comment).toEqual({ id: 900, url: 'https://x/900', updated: false });
+  });
+});
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// testgen - Generate tests for a working directory from a terminal or CI:
+//   testgen [directory] [--dry-run] [--framework jest] [--type unit] [--json]
+// Files are picked like the web app picks them from a repository, and test files are
+// named by the project's test strategy. The LLM provider comes from .env (LLM_PROVIDER).
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const geminiService = require('../services/geminiService');
+const llmProviders = require('../services/llm');
+const FileAnalysisService = require('../services/fileAnalysis');
+const LocalSourceService = require('../services/localSource');
+const TestFileMaterializer = require('../services/testFileMaterializer');
+
+const fsp = fs.promises;
+
+const USAGE = `Usage: testgen [directory] [options]
+
+Generate tests for the source files in a directory (the current one by default).
+
+Options:
+  --dry-run            Generate and list the test files without writing them
+  --framework <name>   Test framework (default: the project's, else the language default)
+  --type <type>        unit, integration, e2e, performance or security (default: unit)
+  --max-files <n>      Most source files to generate for (default: 10)
+  --provider <name>    LLM provider (default: LLM_PROVIDER)
+  --json               Print the result as JSON; progress goes to stderr
+  -h, --help           Show this help`;
+
+// Options that take a value, by flag
+const VALUE_OPTIONS = {
+  '--framework': 'framework',
+  '--type': 'testType',
+  '--max-files': 'maxFiles',
+  '--provider': 'provider',
+};
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// Flags accept "--type unit" and "--type=unit"; the one positional argument is the directory
+const parseArgs = (argv) => {
+  const args = { directory: '.', dryRun: false, json: false, testType: 'unit', maxFiles: 10 };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (flag === '-h' || flag === '--help') {
+      args.help = true;
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (flag === '--json') {
+      args.json = true;
+    } else if (VALUE_OPTIONS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value || value.startsWith('--')) {
+        throw usageError(`${flag} needs a value`);
+      }
+      args[VALUE_OPTIONS[flag]] = value;
+    } else if (flag.startsWith('-')) {
+      throw usageError(`Unknown option ${flag}`);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional.length > 1) {
+    throw usageError('Only one directory can be given');
+  }
+  if (positional.length === 1) args.directory = positional[0];
+
+  args.maxFiles = parseInt(args.maxFiles);
+  if (!(args.maxFiles > 0)) {
+    throw usageError('--max-files must be a positive number');
+  }
+  const configurationError = llmProviders.getConfigurationError();
+  if (configurationError) {
+    throw new Error(configurationError);
+  }
+  if (args.provider && !llmProviders.isKnownProvider(args.provider)) {
+    throw usageError(
+      `Unknown LLM provider: ${args.provider}. Available: ${llmProviders
+        .listProviders()
+        .map((provider) => provider.name)
+        .join(', ')}`
+    );
+  }
+  return args;
+};
+
+/**
+ * Select, read and generate for a directory, then plan one test file per source file
+ * @returns {Object} { directory, analysis, files: [{ path, sourceFile, tests, content }], metadata }
+ */
+async function generateForDirectory(args) {
+  const directory = path.resolve(args.directory);
+  const stats = await fsp.stat(directory).catch(() => null);
+  if (!stats?.isDirectory()) {
+    throw new Error(`${directory} is not a directory`);
+  }
+
+  const source = LocalSourceService.forDirectory(directory);
+  const { owner, repo } = source.repository;
+  const fileAnalysis = new FileAnalysisService();
+
+  console.log(`🔍 Scanning ${directory}`);
+  const tree = await source.getRepositoryTree(owner, repo, undefined, true);
+  const files = tree.tree
+    .filter((item) => item.type === 'blob')
+    .map((item) => ({
+      path: item.path,
+      name: item.path.split('/').pop(),
+      size: item.size,
+      sha: item.sha,
+    }));
+
+  const analysis = fileAnalysis.selectFilesForTestGeneration(files, args.maxFiles);
+  const selectedFiles = analysis.selectedFiles.slice(0, args.maxFiles);
+
+  const read = async (filePath) => {
+    try {
+      return (await source.getFileContent(owner, repo, filePath)).decodedContent;
+    } catch (error) {
+      console.error(`Error reading ${filePath}:`, error.message);
+      return null;
+    }
+  };
+
+  const fileContents = (
+    await Promise.all(
+      selectedFiles.map(async (file) => ({
+        path: file.path,
+        name: file.name,
+        content: await read(file.path),
+        type: file.type,
+        category: file.category,
+        priority: file.priority,
+        size: file.size,
+      }))
+    )
+  ).filter((file) => file.content !== null);
+
+  if (fileContents.length === 0) {
+    throw new Error('No suitable files found for test generation');
+  }
+
+  // Pair selected files with the tests the directory already has for them
+  const testPaths = [
+    ...new Set(fileContents.flatMap((file) => analysis.testMap?.[file.path] || [])),
+  ];
+  const existingTests = (
+    await Promise.all(
+      testPaths.map(async (testPath) => ({ path: testPath, content: await read(testPath) }))
+    )
+  ).filter((test) => test.content !== null);
+
+  const framework = args.framework || analysis.testStrategy.testFramework;
+  const { testCases } = await geminiService.generateTestSuite(fileContents, {
+    repository: { owner, repo: path.basename(directory) },
+    existingTests,
+    testType: args.testType,
+    framework,
+    projectStructure: analysis.projectStructure,
+    testStrategy: analysis.testStrategy,
+    repoPaths: files.map((file) => file.path),
+    provider: args.provider,
+  });
+
+  // Test files that already exist get a "generated" suffix instead of being overwritten
+  const testFiles = new TestFileMaterializer().materialize(testCases, {
+    testStrategy: analysis.testStrategy,
+    existingPaths: files.map((file) => file.path),
+  });
+
+  return {
+    directory,
+    analysis: {
+      totalFiles: files.length,
+      selectedFiles: analysis.selectedFiles.length,
+      analyzedFiles: fileContents.length,
+      projectStructure: analysis.projectStructure,
+      testStrategy: analysis.testStrategy,
+    },
+    files: testFiles.map((file) => ({
+      path: file.path,
+      sourceFile: file.sourceFile,
+      tests: file.testCases.length,
+      content: file.content,
+    })),
+    metadata: {
+      tests: testCases.length,
+      testType: args.testType,
+      framework,
+      provider: args.provider || llmProviders.getDefaultProviderName(),
+      generatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+// Never overwrite: a file created since the scan fails this one write
+async function writeTestFiles(directory, files) {
+  for (const file of files) {
+    const target = path.join(directory, file.path);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fsp.writeFile(target, file.content, { flag: 'wx' });
+      file.written = true;
+    } catch (error) {
+      file.written = false;
+      file.error = error.code === 'EEXIST' ? 'File already exists' : error.message;
+    }
+  }
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // stdout carries only the JSON result; the services' progress logs go to stderr
+  const print = console.log;
+  if (args.json) console.log = console.error;
+
+  const result = await generateForDirectory(args);
+  if (!args.dryRun) {
+    await writeTestFiles(result.directory, result.files);
+  }
+  const failed = result.files.filter((file) => file.written === false);
+
+  if (args.json) {
+    print(
+      JSON.stringify({ success: failed.length === 0, dryRun: args.dryRun, ...result }, null, 2)
+    );
+  } else {
+    print(
+      `\n🧪 ${result.metadata.tests} tests for ${result.analysis.analyzedFiles} files (${result.metadata.framework}, ${result.metadata.testType})`
+    );
+    result.files.forEach((file) => {
+      const source = file.sourceFile ? ` ← ${file.sourceFile}` : '';
+      if (args.dryRun) {
+        print(`  would write ${file.path} (${file.tests} tests)${source}`);
+      } else if (file.written) {
+        print(`  ✅ wrote ${file.path} (${file.tests} tests)${source}`);
+      } else {
+        print(`  ❌ ${file.path}: ${file.error}`);
+      }
+    });
+  }
+
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  if (error.usage) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error('❌ testgen failed:', error.message);
+  process.exitCode = 1;
+});
@@ -16,6 +16,7 @@ async function runCompleteDebugTest() {
       ? `SET (${process.env.GEMINI_API_KEY.substring(0, 10)}...)`
       : '❌ MISSING'
   );
+  console.log('LLM_PROVIDER:', process.env.LLM_PROVIDER || 'auto');
   console.log('GITHUB_CLIENT_ID:', process.env.GITHUB_CLIENT_ID ? 'SET' : '❌ MISSING');
   console.log('SESSION_SECRET:', process.env.SESSION_SECRET ? 'SET' : '❌ MISSING');
 
@@ -24,6 +25,7 @@ async function runCompleteDebugTest() {
   try {
     const geminiService = require('./services/geminiService');
     console.log('✅ Gemini service imported successfully');
+    console.log('🔌 Provider connection:', await geminiService.testConnection());
 
     // Test with simple file
     const testFiles = [
@@ -1,40 +1,109 @@
+const crypto = require('crypto');
 const express = require('express');
 const { Octokit } = require('@octokit/rest');
-const crypto = require('crypto');
-const GitHubService = require('../services/github');
+const { getDefaultApiUrl, getWebUrl } = require('../services/githubHosts');
+const {
+  createSourceClient,
+  getSourceProvider,
+  isSourceProvider,
+} = require('../services/sourceProviders');
+const { createSessionStore, SessionManager, OAuthStateManager } = require('../services/sessions');
+const localWorkspaces = require('../services/localWorkspaces');
 const router = express.Router();
 
-// Store GitHub clients and sessions in memory (in production, use Redis or proper session store)
-const githubClients = new Map();
-const activeSessions = new Map();
+// Sessions live in the store picked by SESSION_STORE (memory, file or redis); tokens are
+// encrypted at rest and GitHub clients are cached per process
+const sessions = new SessionManager({ store: createSessionStore() });
+const githubClients = sessions.clients;
+const SESSION_TIMEOUT = sessions.timeout;
+
+// OAuth states issued by /github/oauth-url, checked once on the way back
+const oauthStates = new OAuthStateManager({
+  store: createSessionStore(null, { namespace: 'oauth-state' }),
+});
+
+const isOAuthConfigured = () =>
+  !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+
+// Where the callback sends the browser back to
+const getFrontendUrl = (req) =>
+  (req?.get('origin') || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const oauthError = (message, details, statusCode = 400) =>
+  Object.assign(new Error(message), { details, statusCode });
+
+// OAuth apps are registered on the deployment's GitHub host
+const getOAuthWebUrl = () => getWebUrl(getDefaultApiUrl());
+
+// Ties an OAuth state to the browser that asked for it. Lax, so it comes back on GitHub's
+// redirect to the callback; only sent to the GitHub sign-in routes
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+const getOAuthCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure || process.env.NODE_ENV === 'production',
+  path: `${req.baseUrl}/github`,
+});
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
 
-// Session timeout (24 hours)
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000;
+/**
+ * Take back a state from the callback or a code exchange, only from the browser it was
+ * issued to; the cookie is cleared either way
+ * @returns {Promise<Object|null>} The state's record, or null
+ */
+const consumeOAuthState = async (req, res, state) => {
+  const bound = oauthStates.matchesCookie(readCookie(req, OAUTH_STATE_COOKIE), state);
+  res.clearCookie(OAUTH_STATE_COOKIE, getOAuthCookieOptions(req));
+  if (!bound) {
+    console.log('❌ OAuth state does not match the browser that started sign-in');
+    return null;
+  }
+  return oauthStates.consume(state);
+};
 
 // Middleware to validate session
-const validateSession = (req, res, next) => {
+const validateSession = async (req, res, next) => {
   const sessionId = req.headers.authorization?.replace('Bearer ', '');
 
   if (!sessionId) {
     return res.status(401).json({ error: 'No session token provided' });
   }
 
-  const session = activeSessions.get(sessionId);
-  if (!session) {
-    return res.status(401).json({ error: 'Invalid or expired session' });
-  }
+  try {
+    const { session, reason } = await sessions.load(sessionId);
+    if (!session) {
+      return res.status(401).json({ error: reason });
+    }
 
-  // Check if session has expired
-  if (Date.now() - session.createdAt > SESSION_TIMEOUT) {
-    activeSessions.delete(sessionId);
-    githubClients.delete(sessionId);
-    return res.status(401).json({ error: 'Session expired' });
-  }
+    try {
+      // Rebuilt from the stored token after a restart
+      sessions.getClient(sessionId, session);
+    } catch (error) {
+      // Token encrypted under a different key; the session cannot be used any more
+      console.error('❌ Failed to restore GitHub client for session:', error.message);
+      await sessions.destroy(sessionId);
+      return res.status(401).json({ error: 'Session expired' });
+    }
 
-  // Update last accessed time
-  session.lastAccessed = Date.now();
-  req.sessionId = sessionId;
-  req.githubToken = session.accessToken;
+    await sessions.touch(sessionId, session);
+    req.sessionId = sessionId;
+    req.session = session;
+    req.user = session.user;
+  } catch (error) {
+    console.error('❌ Session store error:', error);
+    return res.status(503).json({
+      error: 'Session store unavailable',
+      message: error.message,
+    });
+  }
 
   next();
 };
@@ -48,12 +117,12 @@ router.post('/github', async (req, res) => {
     console.log('🔄 GitHub authentication request received');
     console.log('Request body keys:', Object.keys(req.body));
 
-    const { code, state, token } = req.body;
+    const { code, state, token, baseUrl } = req.body;
 
     // Handle direct token authentication (most common case)
     if (token) {
       console.log('🔑 Using direct token authentication');
-      return await handleTokenAuth(req, res, token);
+      return await handleTokenAuth(req, res, token, { baseUrl });
     }
 
     // Handle OAuth flow
@@ -78,61 +147,141 @@ router.post('/github', async (req, res) => {
 });
 
 /**
- * Handle direct token authentication
+ * GitLab authentication endpoint (personal, project, group or OAuth tokens)
+ * Sessions it creates browse projects through the same /api/github routes
  */
-async function handleTokenAuth(req, res, accessToken) {
+router.post('/gitlab', async (req, res) => {
   try {
-    // Validate token format
-    if (!accessToken.startsWith('ghp_') && !accessToken.startsWith('github_pat_')) {
-      return res.status(400).json({
-        error: 'Invalid GitHub token format',
-        hint: 'Token should start with "ghp_" or "github_pat_"',
-      });
+    console.log('🔄 GitLab authentication request received');
+    const { token, baseUrl } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'GitLab token is required' });
     }
 
-    console.log('🔄 Creating GitHub service with token...');
+    return await handleTokenAuth(req, res, token, { provider: 'gitlab', baseUrl });
+  } catch (error) {
+    console.error('❌ GitLab authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication failed',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
 
-    // Test the token by creating GitHub service and fetching user info
-    const githubService = new GitHubService(accessToken);
+/**
+ * Start a session for uploaded archives and server directories, without a Git host.
+ * The token is a random secret only this server knows; workspaces are tied to it.
+ */
+router.post('/local', async (req, res) => {
+  if (!localWorkspaces.enabled) {
+    return res.status(403).json({
+      error: 'Local sources are disabled',
+      hint: 'Set LOCAL_SOURCES_ENABLED=true on the server',
+    });
+  }
 
-    console.log('🔄 Fetching user information from GitHub...');
-    const user = await githubService.getUser();
+  try {
+    const session = await startSession(crypto.randomBytes(32).toString('hex'), {
+      provider: 'local',
+    });
 
-    if (!user || !user.login) {
-      throw new Error('Invalid token: Unable to fetch user information');
-    }
+    res.json({
+      success: true,
+      sessionId: session.sessionId,
+      user: session.user,
+      expiresIn: SESSION_TIMEOUT,
+      expiresAt: sessions.getExpiresAt(session),
+    });
+  } catch (error) {
+    console.error('❌ Local session error:', error);
+    res.status(500).json({
+      error: 'Failed to start a local session',
+      message: error.message,
+    });
+  }
+});
 
-    console.log('✅ User information received:', user.login);
+/**
+ * Check a token against its provider and start a session for its user
+ * @param {Object} [options] - { provider } (GitHub by default), { apiUrl } of a self-hosted
+ *   instance; the provider's default host otherwise
+ */
+async function startSession(accessToken, options = {}) {
+  const provider = options.provider || 'github';
+  console.log(`🔄 Creating ${getSourceProvider(provider).label} service with token...`);
 
-    // Generate session ID
-    const sessionId = crypto.randomBytes(32).toString('hex');
+  // Test the token by creating the client and fetching user info
+  const githubService = createSourceClient(provider, accessToken, { baseUrl: options.apiUrl });
+  console.log(`🔄 Fetching user information from ${githubService.baseUrl || provider}...`);
+  const user = await githubService.getUser();
 
-    // Store session
-    const session = {
-      sessionId,
-      accessToken,
-      user: {
-        id: user.id,
-        login: user.login,
-        name: user.name || user.login,
-        email: user.email,
-        avatar_url: user.avatar_url,
-      },
-      createdAt: Date.now(),
-      lastAccessed: Date.now(),
-    };
-
-    activeSessions.set(sessionId, session);
-    githubClients.set(sessionId, githubService);
-
-    console.log('✅ Session created successfully for user:', user.login);
+  if (!user || !user.login) {
+    throw new Error('Invalid token: Unable to fetch user information');
+  }
+
+  console.log('✅ User information received:', user.login);
+
+  // Store session; the token is encrypted before it reaches the store
+  const session = await sessions.create(
+    accessToken,
+    {
+      id: user.id,
+      login: user.login,
+      name: user.name || user.login,
+      email: user.email,
+      avatar_url: user.avatar_url,
+      html_url:
+        user.html_url || (githubService.webUrl ? `${githubService.webUrl}/${user.login}` : null),
+      webUrl: githubService.webUrl,
+      provider,
+    },
+    githubService,
+    { provider, apiUrl: githubService.baseUrl }
+  );
+
+  console.log('✅ Session created successfully for user:', user.login);
+  return session;
+}
+
+/**
+ * Handle direct token authentication
+ * @param {Object} options - { oauth } skips the token format check, { provider } is 'github'
+ *   (default) or 'gitlab', { baseUrl } signs in against a self-hosted instance listed in
+ *   GITHUB_ALLOWED_HOSTS or GITLAB_ALLOWED_HOSTS
+ */
+async function handleTokenAuth(req, res, accessToken, options = {}) {
+  const providerName = options.provider || 'github';
+  const provider = getSourceProvider(providerName);
+
+  try {
+    // Tokens come from GitHub's own endpoint during OAuth and are not checked
+    if (!options.oauth && !provider.getTokenType(accessToken)) {
+      return res.status(400).json({
+        error: `Invalid ${provider.label} token format`,
+        hint: provider.tokenHint,
+      });
+    }
+
+    if (options.baseUrl && !provider.isAllowedApiUrl(options.baseUrl)) {
+      return res.status(400).json({
+        error: `${provider.label} host is not allowed`,
+        hint: `Ask the administrator to add it to ${provider.allowedHostsVariable}`,
+      });
+    }
+
+    const session = await startSession(accessToken.trim(), {
+      provider: providerName,
+      apiUrl: options.baseUrl,
+    });
 
     res.json({
       success: true,
-      sessionId,
+      sessionId: session.sessionId,
       user: session.user,
       expiresIn: SESSION_TIMEOUT,
-      expiresAt: session.createdAt + SESSION_TIMEOUT,
+      expiresAt: sessions.getExpiresAt(session),
     });
   } catch (error) {
     console.error('❌ Token authentication error:', error);
@@ -140,7 +289,7 @@ async function handleTokenAuth(req, res, accessToken) {
     // Provide more specific error messages
     if (error.status === 401) {
       return res.status(401).json({
-        error: 'Invalid GitHub token',
+        error: `Invalid ${provider.label} token`,
         message: 'The provided token is invalid or has expired',
         hint: 'Please generate a new token with the required permissions',
       });
@@ -159,13 +308,57 @@ async function handleTokenAuth(req, res, accessToken) {
 }
 
 /**
- * Handle OAuth code exchange
+ * Exchange an authorization code for an access token, proving possession of
+ * the PKCE verifier issued with the state
+ */
+async function exchangeOAuthCode(code, oauthState) {
+  const tokenResponse = await fetch(`${getOAuthWebUrl()}/login/oauth/access_token`, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'AI-Test-Case-Generator/1.0.0',
+    },
+    body: JSON.stringify({
+      client_id: process.env.GITHUB_CLIENT_ID,
+      client_secret: process.env.GITHUB_CLIENT_SECRET,
+      code,
+      redirect_uri: oauthState.redirectUri,
+      code_verifier: oauthState.codeVerifier,
+    }),
+  });
+
+  if (!tokenResponse.ok) {
+    throw new Error(`GitHub API responded with status: ${tokenResponse.status}`);
+  }
+
+  const tokenData = await tokenResponse.json();
+  console.log('GitHub token response received:', {
+    success: !!tokenData.access_token,
+    error: tokenData.error,
+  });
+
+  if (tokenData.error) {
+    console.log('❌ GitHub OAuth error:', tokenData.error_description);
+    throw oauthError('GitHub OAuth error', tokenData.error_description || tokenData.error);
+  }
+
+  if (!tokenData.access_token) {
+    console.log('❌ No access token received from GitHub');
+    throw oauthError('Failed to obtain access token', 'GitHub did not return an access token');
+  }
+
+  return tokenData.access_token;
+}
+
+/**
+ * Handle OAuth code exchange for clients that receive the callback themselves
  */
 async function handleOAuthFlow(req, res, code, state) {
   console.log('🔄 Starting OAuth code exchange...');
 
   // Check if GitHub OAuth is configured
-  if (!process.env.GITHUB_CLIENT_ID || !process.env.GITHUB_CLIENT_SECRET) {
+  if (!isOAuthConfigured()) {
     console.log('❌ GitHub OAuth not configured');
     return res.status(500).json({
       error: 'GitHub OAuth not configured on server',
@@ -173,53 +366,24 @@ async function handleOAuthFlow(req, res, code, state) {
     });
   }
 
-  try {
-    // Exchange code for access token
-    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'AI-Test-Case-Generator/1.0.0',
-      },
-      body: JSON.stringify({
-        client_id: process.env.GITHUB_CLIENT_ID,
-        client_secret: process.env.GITHUB_CLIENT_SECRET,
-        code: code,
-        state: state,
-      }),
-    });
-
-    if (!tokenResponse.ok) {
-      throw new Error(`GitHub API responded with status: ${tokenResponse.status}`);
-    }
-
-    const tokenData = await tokenResponse.json();
-    console.log('GitHub token response received:', {
-      success: !!tokenData.access_token,
-      error: tokenData.error,
+  // The state must be one this server issued to this browser and has not seen back yet
+  const oauthState = await consumeOAuthState(req, res, state);
+  if (!oauthState) {
+    console.log('❌ Invalid or expired OAuth state');
+    return res.status(400).json({
+      error: 'Invalid or expired OAuth state',
+      details: 'Start the GitHub sign-in again',
     });
+  }
 
-    if (tokenData.error) {
-      console.log('❌ GitHub OAuth error:', tokenData.error_description);
-      return res.status(400).json({
-        error: 'GitHub OAuth error',
-        details: tokenData.error_description || tokenData.error,
-      });
-    }
-
-    const accessToken = tokenData.access_token;
-    if (!accessToken) {
-      console.log('❌ No access token received from GitHub');
-      return res.status(400).json({
-        error: 'Failed to obtain access token',
-        details: 'GitHub did not return an access token',
-      });
-    }
-
+  try {
+    const accessToken = await exchangeOAuthCode(code, oauthState);
     console.log('✅ Access token obtained, proceeding with authentication...');
-    return await handleTokenAuth(req, res, accessToken);
+    return await handleTokenAuth(req, res, accessToken, { oauth: true });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('❌ OAuth flow error:', error);
     throw error;
   }
@@ -227,82 +391,169 @@ async function handleOAuthFlow(req, res, code, state) {
 
 // Get current user info
 router.get('/me', validateSession, (req, res) => {
-  const session = activeSessions.get(req.sessionId);
   res.json({
-    user: session.user,
+    user: req.session.user,
     sessionId: req.sessionId,
-    expiresAt: session.createdAt + SESSION_TIMEOUT,
+    expiresAt: sessions.getExpiresAt(req.session),
     authenticated: true,
   });
 });
 
 // Logout endpoint
-router.post('/logout', validateSession, (req, res) => {
-  const sessionId = req.sessionId;
-  activeSessions.delete(sessionId);
-  githubClients.delete(sessionId);
-  console.log('✅ User logged out successfully');
-  res.json({
-    success: true,
-    message: 'Logged out successfully',
-  });
+router.post('/logout', validateSession, async (req, res) => {
+  try {
+    await sessions.destroy(req.sessionId);
+    console.log('✅ User logged out successfully');
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message,
+    });
+  }
 });
 
 // Get OAuth URL for GitHub (for OAuth flow)
-router.get('/github/oauth-url', (req, res) => {
+router.get('/github/oauth-url', async (req, res) => {
   const clientId = process.env.GITHUB_CLIENT_ID;
   if (!clientId) {
     return res.status(500).json({ error: 'GitHub OAuth not configured' });
   }
 
-  const state = crypto.randomBytes(16).toString('hex');
-  const scope = 'repo user:email';
-  const redirectUri = process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/auth/callback';
+  try {
+    const scope = 'repo user:email';
+    const redirectUri =
+      process.env.GITHUB_CALLBACK_URL ||
+      `${req.protocol}://${req.get('host')}${req.baseUrl}/github/callback`;
+
+    // Stored server-side with the state; the callback only trusts what was issued here
+    const { state, codeChallenge, codeChallengeMethod, expiresAt } = await oauthStates.issue({
+      redirectUri,
+      returnTo: getFrontendUrl(req),
+    });
+    res.cookie(OAUTH_STATE_COOKIE, oauthStates.sign(state), {
+      ...getOAuthCookieOptions(req),
+      maxAge: oauthStates.ttl,
+    });
 
-  const oauthUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&scope=${scope}&state=${state}&redirect_uri=${encodeURIComponent(redirectUri)}`;
+    const params = new URLSearchParams({
+      client_id: clientId,
+      scope,
+      state,
+      redirect_uri: redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    });
+
+    res.json({
+      oauthUrl: `${getOAuthWebUrl()}/login/oauth/authorize?${params}`,
+      state,
+      clientId,
+      scope: scope.split(' '),
+      redirectUri,
+      expiresAt,
+    });
+  } catch (error) {
+    console.error('❌ Failed to create OAuth URL:', error);
+    res.status(500).json({
+      error: 'Failed to start GitHub sign-in',
+      message: error.message,
+    });
+  }
+});
+
+// GitHub redirects here after the authorize screen; finish the exchange and send the
+// browser back to the frontend with the session id (or an error) in the URL fragment
+router.get('/github/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  let oauthState = null;
+  try {
+    oauthState = await consumeOAuthState(req, res, state);
+  } catch (storeError) {
+    console.error('❌ OAuth state lookup failed:', storeError);
+  }
 
+  // Fragments stay out of server logs and Referer headers
+  const redirect = (params) =>
+    res.redirect(
+      `${oauthState?.returnTo || getFrontendUrl()}/auth/callback#${new URLSearchParams(params)}`
+    );
+
+  if (!oauthState) {
+    console.log('❌ Invalid or expired OAuth state on callback');
+    return redirect({
+      error:
+        'Sign-in link expired, was already used or was started in another browser. Please try again.',
+    });
+  }
+  if (error || !code) {
+    return redirect({ error: errorDescription || error || 'GitHub did not return a code' });
+  }
+
+  try {
+    const accessToken = await exchangeOAuthCode(code, oauthState);
+    const session = await startSession(accessToken);
+    redirect({ session: session.sessionId });
+  } catch (exchangeError) {
+    console.error('❌ OAuth callback error:', exchangeError);
+    redirect({ error: exchangeError.details || exchangeError.message });
+  }
+});
+
+// Hosts a provider's tokens may be used against; the first one is the default
+router.get('/:provider/hosts', (req, res) => {
+  if (!isSourceProvider(req.params.provider)) {
+    return res.status(404).json({ error: `Unknown provider ${req.params.provider}` });
+  }
+
+  const provider = getSourceProvider(req.params.provider);
   res.json({
-    oauthUrl,
-    state,
-    clientId,
-    scope: scope.split(' '),
-    redirectUri,
+    provider: req.params.provider.toLowerCase(),
+    label: provider.label,
+    hosts: provider
+      .getAllowedApiUrls()
+      .map((apiUrl) => ({ apiUrl, webUrl: provider.getWebUrl(apiUrl) })),
+    tokenTypes: provider.tokenTypes,
   });
 });
 
 // Session status check
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   const sessionId = req.headers.authorization?.replace('Bearer ', '');
 
-  if (!sessionId || !activeSessions.has(sessionId)) {
-    return res.json({
-      authenticated: false,
-      reason: 'No valid session found',
-    });
-  }
+  try {
+    const { session, reason } = await sessions.load(sessionId);
+
+    if (!session) {
+      return res.json({
+        authenticated: false,
+        reason: reason === 'Session expired' ? reason : 'No valid session found',
+      });
+    }
 
-  const session = activeSessions.get(sessionId);
-  const isExpired = Date.now() - session.createdAt > SESSION_TIMEOUT;
+    // Update last accessed time
+    await sessions.touch(sessionId, session);
 
-  if (isExpired) {
-    activeSessions.delete(sessionId);
-    githubClients.delete(sessionId);
-    return res.json({
+    res.json({
+      authenticated: true,
+      user: session.user,
+      sessionId,
+      expiresAt: sessions.getExpiresAt(session),
+      timeRemaining: sessions.getExpiresAt(session) - Date.now(),
+    });
+  } catch (error) {
+    console.error('❌ Session status error:', error);
+    res.status(503).json({
       authenticated: false,
-      reason: 'Session expired',
+      error: 'Session store unavailable',
+      message: error.message,
     });
   }
-
-  // Update last accessed time
-  session.lastAccessed = Date.now();
-
-  res.json({
-    authenticated: true,
-    user: session.user,
-    sessionId,
-    expiresAt: session.createdAt + SESSION_TIMEOUT,
-    timeRemaining: session.createdAt + SESSION_TIMEOUT - Date.now(),
-  });
 });
 
 // Test endpoint
@@ -311,58 +562,44 @@ router.get('/test', (req, res) => {
     message: 'Auth route is working',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    githubConfigured: !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    githubConfigured: isOAuthConfigured(),
     endpoints: {
       main: 'POST /api/auth/github',
       status: 'GET /api/auth/status',
       me: 'GET /api/auth/me',
       logout: 'POST /api/auth/logout',
       oauthUrl: 'GET /api/auth/github/oauth-url',
+      oauthCallback: 'GET /api/auth/github/callback',
+      gitlab: 'POST /api/auth/gitlab',
+      local: 'POST /api/auth/local',
+      hosts: 'GET /api/auth/:provider/hosts',
     },
   });
 });
 
 // Health check for active sessions
-router.get('/health', (req, res) => {
-  const now = Date.now();
-  const sessionCount = activeSessions.size;
-  const expiredSessions = Array.from(activeSessions.values()).filter(
-    (session) => now - session.createdAt > SESSION_TIMEOUT
-  ).length;
-
-  res.json({
-    status: 'healthy',
-    activeSessions: sessionCount,
-    expiredSessions,
-    timestamp: now,
-  });
-});
-
-// Clean up expired sessions (run every hour)
-const cleanupExpiredSessions = () => {
-  const now = Date.now();
-  let cleaned = 0;
-
-  for (const [sessionId, session] of activeSessions) {
-    if (now - session.createdAt > SESSION_TIMEOUT) {
-      activeSessions.delete(sessionId);
-      githubClients.delete(sessionId);
-      cleaned++;
-    }
-  }
-
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} expired sessions`);
+router.get('/health', async (req, res) => {
+  try {
+    const stats = await sessions.getStats();
+    res.json({
+      status: 'healthy',
+      ...stats,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    res.status(503).json({
+      status: 'unhealthy',
+      error: 'Session store unavailable',
+      message: error.message,
+      timestamp: Date.now(),
+    });
   }
-};
-
-// Run cleanup every hour
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+});
 
-// Run initial cleanup
-cleanupExpiredSessions();
+// Sweep expired sessions now and then every SESSION_SWEEP_MINUTES (default hourly)
+sessions.startSweeper((parseFloat(process.env.SESSION_SWEEP_MINUTES) || 60) * 60 * 1000);
 
 module.exports = router;
 module.exports.validateSession = validateSession;
 module.exports.githubClients = githubClients;
-module.exports.activeSessions = activeSessions;
+module.exports.sessions = sessions;
@@ -6,11 +6,12 @@ const router = express.Router();
 // Apply session validation to all routes
 router.use(validateSession);
 
-// Helper function to get GitHub client
+// Helper function to get the session's client: GitHubService, or GitLabService for GitLab
+// sessions, which answers the same calls with GitHub-shaped data
 const getGitHubClient = (sessionId) => {
   const client = githubClients.get(sessionId);
   if (!client) {
-    throw new Error('GitHub client not found for session');
+    throw new Error('Source client not found for session');
   }
   return client;
 };
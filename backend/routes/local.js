@@ -0,0 +1,131 @@
+const express = require('express');
+const { validateSession, githubClients } = require('./auth');
+const localWorkspaces = require('../services/localWorkspaces');
+const router = express.Router();
+
+// Upload and directory limits, so the frontend can explain them before a request fails
+router.get('/config', (req, res) => {
+  res.json(localWorkspaces.describe());
+});
+
+router.use((req, res, next) => {
+  if (!localWorkspaces.enabled) {
+    return res.status(403).json({
+      error: 'Local sources are disabled',
+      hint: 'Set LOCAL_SOURCES_ENABLED=true on the server',
+    });
+  }
+  next();
+});
+
+router.use(validateSession);
+
+// Workspaces belong to local sessions; GitHub and GitLab sessions browse their host
+router.use((req, res, next) => {
+  if (req.session.provider !== 'local') {
+    return res.status(403).json({ error: 'Workspaces need a local session' });
+  }
+  next();
+});
+
+// The session's LocalSourceService; workspaces are keyed by its owner hash
+const getLocalClient = (sessionId) => {
+  const client = githubClients.get(sessionId);
+  if (!client) {
+    throw new Error('Source client not found for session');
+  }
+  return client;
+};
+
+const sendError = (res, action, error) => {
+  console.error(`Error ${action}:`, error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message,
+  });
+};
+
+/**
+ * Upload a .zip, .tar.gz or .tgz archive as the raw request body; ?name= is the file name
+ */
+router.post(
+  '/workspaces/archive',
+  express.raw({ type: () => true, limit: localWorkspaces.maxUploadBytes }),
+  async (req, res) => {
+    try {
+      const fileName = req.query.name;
+      if (!fileName) {
+        return res.status(400).json({ error: 'Archive name is required (?name=project.zip)' });
+      }
+
+      const client = getLocalClient(req.sessionId);
+      const workspace = await localWorkspaces.createFromArchive(
+        client.ownerKey,
+        Buffer.isBuffer(req.body) ? req.body : null,
+        fileName
+      );
+      res.status(201).json({
+        success: true,
+        repository: client.toRepository(workspace),
+        files: workspace.files,
+      });
+    } catch (error) {
+      sendError(res, 'upload archive', error);
+    }
+  }
+);
+
+/**
+ * Register a server-side directory under one of LOCAL_SOURCE_ROOTS
+ */
+router.post('/workspaces/directory', async (req, res) => {
+  try {
+    const { path, name } = req.body;
+    if (!path) {
+      return res.status(400).json({ error: 'Directory path is required' });
+    }
+
+    const client = getLocalClient(req.sessionId);
+    const workspace = await localWorkspaces.createFromDirectory(client.ownerKey, path, name);
+    res.status(201).json({
+      success: true,
+      repository: client.toRepository(workspace),
+    });
+  } catch (error) {
+    sendError(res, 'add directory', error);
+  }
+});
+
+router.delete('/workspaces/:id', async (req, res) => {
+  try {
+    const removed = await localWorkspaces.remove(
+      getLocalClient(req.sessionId).ownerKey,
+      req.params.id
+    );
+    if (!removed) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, 'remove workspace', error);
+  }
+});
+
+// Remove expired workspaces now and then every hour
+if (localWorkspaces.enabled) {
+  const sweep = () =>
+    localWorkspaces
+      .sweep()
+      .then((removed) => {
+        if (removed > 0) console.log(`🧹 Removed ${removed} expired workspaces`);
+      })
+      .catch((error) => console.error('❌ Workspace sweep failed:', error.message));
+
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+}
+
+module.exports = router;
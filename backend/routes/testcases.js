@@ -1,15 +1,56 @@
 const express = require('express');
 const { validateSession, githubClients } = require('./auth');
 const geminiService = require('../services/geminiService'); // Fix: Properly import geminiService
+const llmProviders = require('../services/llm');
 const FileAnalysisService = require('../services/fileAnalysis');
+const CoverageReportParser = require('../services/coverageParser');
+const JobQueue = require('../services/jobQueue');
+const TestPullRequestService = require('../services/testPullRequest');
+const DiffAnalysisService = require('../services/diffAnalysis');
+const TestExecutionService = require('../services/testExecution');
+const TestRepairService = require('../services/testRepair');
+const MutationTestingService = require('../services/mutationTesting');
 const router = express.Router();
 
 // Initialize services
 const fileAnalysisService = new FileAnalysisService();
+const coverageParser = new CoverageReportParser();
+const jobQueue = new JobQueue();
+const testPullRequestService = new TestPullRequestService();
+const diffAnalysisService = new DiffAnalysisService();
+const testExecutionService = new TestExecutionService();
+const testRepairService = new TestRepairService(testExecutionService);
+const mutationTestingService = new MutationTestingService(testExecutionService);
 
 // Apply session validation to all routes
 router.use(validateSession);
 
+// Reject unknown per-request LLM providers, and ones only the server may set, before any
+// work is done
+router.use((req, res, next) => {
+  const provider = req.body?.provider || req.query?.provider;
+  if (!provider) return next();
+
+  const available = () =>
+    llmProviders
+      .listProviders()
+      .filter((p) => p.selectable)
+      .map((p) => p.name);
+  if (!llmProviders.isKnownProvider(provider)) {
+    return res.status(400).json({
+      error: `Unknown LLM provider: ${provider}`,
+      available: available(),
+    });
+  }
+  if (!llmProviders.isSelectableProvider(provider)) {
+    return res.status(400).json({
+      error: `LLM provider ${provider} can only be set by the server (LLM_PROVIDER)`,
+      available: available(),
+    });
+  }
+  next();
+});
+
 // Helper function to get GitHub client
 const getGitHubClient = (sessionId) => {
   const client = githubClients.get(sessionId);
@@ -19,43 +60,480 @@ const getGitHubClient = (sessionId) => {
   return client;
 };
 
-// Generate test cases for specific files
-router.post('/generate', async (req, res) => {
-  try {
-    const { repository, files, testType = 'unit', framework, options = {} } = req.body;
+// Cap on existing test files fetched per request to pair with selected sources
+const MAX_EXISTING_TESTS = 20;
 
-    if (!repository || !files || files.length === 0) {
-      return res.status(400).json({
-        error: 'Repository and files are required',
-      });
+// Fetch the repository's tests mapped to the selected source files; failures are skipped
+const fetchExistingTests = async (githubService, owner, repo, testMap, files) => {
+  const testPaths = [...new Set(files.flatMap((file) => testMap[file.path] || []))].slice(
+    0,
+    MAX_EXISTING_TESTS
+  );
+
+  const tests = await Promise.all(
+    testPaths.map(async (testPath) => {
+      try {
+        const content = await githubService.getFileContent(owner, repo, testPath);
+        return { path: testPath, content: content.decodedContent };
+      } catch (error) {
+        console.error(`Error fetching existing test ${testPath}:`, error.message);
+        return null;
+      }
+    })
+  );
+  return tests.filter(Boolean);
+};
+
+// Parsed coverage sent back by clients is only used when it has the parser's shape
+const getClientCoverage = (coverage) =>
+  coverage && Array.isArray(coverage.files) && coverage.totals ? coverage : null;
+
+// Parse the first committed coverage report found in a repository tree; null when none parses
+const loadRepositoryCoverage = async (githubService, owner, repo, repoPaths) => {
+  for (const reportPath of coverageParser.findReportPaths(repoPaths)) {
+    try {
+      const content = await githubService.getFileContent(owner, repo, reportPath);
+      const report = coverageParser.parse(content.decodedContent, { fileName: reportPath });
+      console.log(`📈 Using coverage report ${reportPath} (${report.format})`);
+      return { ...coverageParser.resolvePaths(report, repoPaths), reportPath };
+    } catch (error) {
+      console.error(`Error reading coverage report ${reportPath}:`, error.message);
     }
+  }
+  return null;
+};
 
-    // Validate files array
-    if (!Array.isArray(files) || files.some((file) => !file.path || !file.content)) {
-      return res.status(400).json({
-        error: 'Files must be an array with path and content for each file',
+// Validation errors raised inside shared generation helpers map to 400 responses
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Check a /generate body; returns an error message, or null when the request is usable.
+// Jobs may omit content: it is fetched from GitHub when the job runs.
+const validateFilesRequest = ({ repository, files }, { allowMissingContent = false } = {}) => {
+  if (!repository || !files || files.length === 0) {
+    return 'Repository and files are required';
+  }
+  if (
+    !Array.isArray(files) ||
+    files.some((file) => !file.path || (!file.content && !allowMissingContent))
+  ) {
+    return 'Files must be an array with path and content for each file';
+  }
+  return null;
+};
+
+// "owner/repo", { owner, repo } or { full_name } as sent by different clients; GitLab
+// owners can be nested groups ("group/subgroup/repo"), so the repo is the last segment
+const getRepositoryCoordinates = (repository) => {
+  if (typeof repository === 'string') {
+    const separator = repository.lastIndexOf('/');
+    return { owner: repository.slice(0, separator), repo: repository.slice(separator + 1) };
+  }
+  if (repository?.full_name) return getRepositoryCoordinates(repository.full_name);
+  return { owner: repository?.owner, repo: repository?.repo || repository?.name };
+};
+
+// Fill in file content the client did not send, reporting each fetched file
+const fetchMissingContent = async (githubService, repository, files, report) => {
+  const missing = files.filter((file) => !file.content);
+  if (missing.length === 0) return files;
+  if (!githubService) {
+    throw badRequest('Files must be an array with path and content for each file');
+  }
+
+  let filesFetched = 0;
+  report({ phase: 'fetching', filesTotal: missing.length, filesFetched });
+
+  return Promise.all(
+    files.map(async (file) => {
+      if (file.content) return file;
+
+      const { owner, repo } = file.owner
+        ? { owner: file.owner, repo: file.repo }
+        : getRepositoryCoordinates(repository);
+      const content = await githubService.getFileContent(owner, repo, file.path);
+      filesFetched++;
+      report({
+        phase: 'fetching',
+        message: `Fetched ${filesFetched} of ${missing.length} files`,
+        filesTotal: missing.length,
+        filesFetched,
       });
-    }
+      return { ...file, content: content.decodedContent, size: content.size };
+    })
+  );
+};
+
+// Generate for files the client selected; content is fetched when a job omitted it
+const generateForFiles = async (params, { signal, progress, githubService } = {}) => {
+  const {
+    repository,
+    files,
+    existingTests = [],
+    coverage,
+    testType = 'unit',
+    framework,
+    provider,
+    options = {},
+  } = params;
+
+  const filesWithContent = await fetchMissingContent(
+    githubService,
+    repository,
+    files,
+    progress || (() => {})
+  );
 
-    // Generate test cases using Gemini
-    const testCases = await geminiService.generateTestCases(files, {
+  const { testCases, contextCoverage, existingCoverage } = await geminiService.generateTestSuite(
+    filesWithContent,
+    {
       repository,
+      existingTests: Array.isArray(existingTests) ? existingTests : [],
+      coverage: getClientCoverage(coverage),
       testType,
       framework,
+      provider,
       options,
+      signal,
+      onProgress: progress,
+    }
+  );
+
+  return {
+    success: true,
+    repository,
+    testCases,
+    metadata: {
+      filesAnalyzed: files.length,
+      testType,
+      framework,
+      provider: provider || llmProviders.getDefaultProviderName(),
+      contextCoverage,
+      existingCoverage,
+      generatedAt: new Date().toISOString(),
+    },
+  };
+};
+
+// Fetch, select and generate for a whole repository; shared by the route and queued jobs
+const generateForRepository = async (githubService, params, { signal, progress } = {}) => {
+  const {
+    owner,
+    repo,
+    branch = 'main',
+    maxFiles = 10,
+    coverage: uploadedCoverage,
+    testType = 'unit',
+    framework,
+    provider,
+    options = {},
+  } = params;
+  const report = progress || (() => {});
+
+  // Get repository tree
+  report({ phase: 'analyzing', message: 'Reading repository tree' });
+  const tree = await githubService.getRepositoryTree(owner, repo, branch, true);
+
+  const files = tree.tree
+    .filter((item) => item.type === 'blob')
+    .map((item) => ({
+      path: item.path,
+      name: item.path.split('/').pop(),
+      size: item.size,
+      sha: item.sha,
+    }));
+
+  // Uploaded coverage wins; otherwise look for a report committed to the repository
+  const coverage =
+    getClientCoverage(uploadedCoverage) ||
+    (await loadRepositoryCoverage(
+      githubService,
+      owner,
+      repo,
+      files.map((file) => file.path)
+    ));
+
+  // Select best files for test generation, least covered first when coverage is known
+  const analysisResult = fileAnalysisService.selectFilesForTestGeneration(
+    files,
+    maxFiles,
+    coverage
+  );
+
+  // Get content for selected files
+  const selectedFiles = analysisResult.selectedFiles.slice(0, maxFiles);
+  let filesFetched = 0;
+  const reportFetched = () =>
+    report({
+      phase: 'fetching',
+      message: `Fetched ${filesFetched} of ${selectedFiles.length} files`,
+      filesTotal: selectedFiles.length,
+      filesFetched,
     });
+  reportFetched();
 
-    res.json({
-      success: true,
-      repository,
-      testCases,
-      metadata: {
-        filesAnalyzed: files.length,
-        testType,
-        framework,
-        generatedAt: new Date().toISOString(),
-      },
+  const fileContents = await Promise.all(
+    selectedFiles.map(async (file) => {
+      try {
+        const content = await githubService.getFileContent(owner, repo, file.path);
+        return {
+          path: file.path,
+          name: file.name,
+          content: content.decodedContent,
+          type: file.type,
+          category: file.category,
+          priority: file.priority,
+          size: content.size,
+        };
+      } catch (error) {
+        console.error(`Error fetching content for ${file.path}:`, error);
+        return null;
+      } finally {
+        filesFetched++;
+        reportFetched();
+      }
+    })
+  );
+
+  // Filter out failed requests and large files
+  const validFileContents = fileContents.filter(Boolean).filter((file) => file.size < 100000); // Skip files larger than 100KB
+
+  if (validFileContents.length === 0) {
+    throw badRequest('No suitable files found for test generation');
+  }
+
+  // Pair selected files with the tests the repository already has for them
+  const existingTests = await fetchExistingTests(
+    githubService,
+    owner,
+    repo,
+    analysisResult.testMap || {},
+    validFileContents
+  );
+
+  // Generate test cases
+  const { testCases, contextCoverage, existingCoverage } = await geminiService.generateTestSuite(
+    validFileContents,
+    {
+      repository: { owner, repo, branch },
+      existingTests,
+      coverage,
+      testType,
+      framework: framework || analysisResult.testStrategy.testFramework,
+      projectStructure: analysisResult.projectStructure,
+      testStrategy: analysisResult.testStrategy,
+      repoPaths: files.map((file) => file.path),
+      provider,
+      options,
+      signal,
+      onProgress: report,
+    }
+  );
+
+  return {
+    success: true,
+    repository: { owner, repo, branch },
+    analysis: {
+      totalFiles: files.length,
+      selectedFiles: analysisResult.selectedFiles.length,
+      analyzedFiles: validFileContents.length,
+      projectStructure: analysisResult.projectStructure,
+      testStrategy: analysisResult.testStrategy,
+      coverage: coverage ? { ...coverage.totals, reportPath: coverage.reportPath || null } : null,
+    },
+    testCases,
+    metadata: {
+      testType,
+      framework: framework || analysisResult.testStrategy.testFramework,
+      provider: provider || llmProviders.getDefaultProviderName(),
+      contextCoverage,
+      existingCoverage,
+      generatedAt: new Date().toISOString(),
+    },
+  };
+};
+
+// Check a /generate/diff body: a pull request number or both ends of a compare
+const validateDiffRequest = ({ owner, repo, pullNumber, base, head }) => {
+  if (!owner || !repo) {
+    return 'Repository owner and name are required';
+  }
+  if (pullNumber !== undefined && pullNumber !== null && pullNumber !== '') {
+    return /^[1-9]\d*$/.test(String(pullNumber))
+      ? null
+      : 'Pull request number must be a positive integer';
+  }
+  if (!base || !head) {
+    return 'A pull request number or both base and head refs are required';
+  }
+  return null;
+};
+
+// Why a changed file gets no tests, or null when it should
+const getDiffSkipReason = (file) => {
+  if (file.status === 'removed') return 'File was removed';
+  if (!file.patch) return 'No text diff (binary or too large)';
+
+  const analysis = fileAnalysisService.analyzeFile({ path: file.filename });
+  if (!analysis.shouldAnalyze || analysis.category !== 'source') {
+    return analysis.category ? `Not a source file (${analysis.category})` : analysis.reason;
+  }
+  return null;
+};
+
+// Generate for what a pull request or a base...head compare changed, grouped per changed file.
+// Only the changed functions and a few lines around them reach the model.
+const generateForDiff = async (githubService, params, { signal, progress } = {}) => {
+  const { owner, repo, base, head, testType = 'unit', framework, provider, options = {} } = params;
+  const pullNumber = params.pullNumber ? parseInt(params.pullNumber) : null;
+  const report = progress || (() => {});
+
+  report({
+    phase: 'analyzing',
+    message: pullNumber ? `Reading pull request #${pullNumber}` : `Comparing ${base}...${head}`,
+  });
+  const { source, files: changedFiles } = await diffAnalysisService.loadChanges(
+    githubService,
+    owner,
+    repo,
+    { pullNumber, base, head }
+  );
+
+  const skipped = [];
+  const candidates = changedFiles.filter((file) => {
+    const reason = getDiffSkipReason(file);
+    if (reason) skipped.push({ path: file.filename, status: file.status, reason });
+    return !reason;
+  });
+
+  if (candidates.length === 0) {
+    throw badRequest('No changed source files to generate tests for');
+  }
+
+  // Changed files are read at the head commit, where the diff's line numbers apply
+  let filesFetched = 0;
+  const reportFetched = () =>
+    report({
+      phase: 'fetching',
+      message: `Fetched ${filesFetched} of ${candidates.length} changed files`,
+      filesTotal: candidates.length,
+      filesFetched,
     });
+  reportFetched();
+
+  const fileContents = await Promise.all(
+    candidates.map(async (file) => {
+      try {
+        const content = await githubService.getFileContent(owner, repo, file.filename, source.ref);
+        return {
+          ...file,
+          path: file.filename,
+          content: content.decodedContent,
+          size: content.size,
+        };
+      } catch (error) {
+        console.error(`Error fetching content for ${file.filename}:`, error.message);
+        skipped.push({ path: file.filename, status: file.status, reason: error.message });
+        return null;
+      } finally {
+        filesFetched++;
+        reportFetched();
+      }
+    })
+  );
+
+  const changes = fileContents
+    .filter(Boolean)
+    .filter((file) => {
+      if (file.size < 100000) return true;
+      skipped.push({
+        path: file.path,
+        status: file.status,
+        reason: `File is larger than 100KB (${Math.round(file.size / 1024)}KB)`,
+      });
+      return false;
+    })
+    .map((file) => ({
+      file,
+      change: diffAnalysisService.analyzeFile(
+        file,
+        geminiService.extractFunctionsFromCode(
+          file.content,
+          geminiService.detectLanguage(file.path)
+        )
+      ),
+    }))
+    .filter(({ change }) => change.ranges.length > 0);
+
+  if (changes.length === 0) {
+    throw badRequest('No changed source files to generate tests for');
+  }
+  console.log(
+    `🔁 Generating for ${changes.length} changed file(s) in ${owner}/${repo} (${source.title})`
+  );
+
+  const { testCases, contextCoverage } = await geminiService.generateTestSuite(
+    changes.map(({ file, change }) => ({
+      path: file.path,
+      name: file.path.split('/').pop(),
+      content: file.content,
+      size: file.size,
+      ranges: change.ranges,
+      changedLines: change.changedLines,
+    })),
+    {
+      repository: { owner, repo, branch: source.head },
+      testType,
+      framework,
+      provider,
+      options,
+      signal,
+      onProgress: report,
+    }
+  );
+
+  return {
+    success: true,
+    repository: { owner, repo, branch: source.head },
+    diff: source,
+    files: changes.map(({ change }) => ({
+      ...change,
+      testCases: testCases.filter((testCase) => testCase.file === change.path),
+    })),
+    skipped,
+    testCases,
+    metadata: {
+      changedFiles: changedFiles.length,
+      filesAnalyzed: changes.length,
+      testType,
+      framework,
+      provider: provider || llmProviders.getDefaultProviderName(),
+      contextCoverage,
+      generatedAt: new Date().toISOString(),
+    },
+  };
+};
+
+// Queued generation: the GitHub client is captured at submit time, not persisted
+jobQueue.registerHandler('files', (params, context) => generateForFiles(params, context));
+jobQueue.registerHandler('repository', (params, context) =>
+  generateForRepository(context.githubService, params, context)
+);
+jobQueue.registerHandler('diff', (params, context) =>
+  generateForDiff(context.githubService, params, context)
+);
+
+// Generate test cases for specific files
+router.post('/generate', async (req, res) => {
+  try {
+    const validationError = validateFilesRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+      });
+    }
+
+    // Generate test cases using the selected LLM provider
+    res.json(await generateForFiles(req.body));
   } catch (error) {
     console.error('Error generating test cases:', error);
     res.status(500).json({
@@ -68,15 +546,7 @@ router.post('/generate', async (req, res) => {
 // Generate test cases for entire repository
 router.post('/generate/repository', async (req, res) => {
   try {
-    const {
-      owner,
-      repo,
-      branch = 'main',
-      maxFiles = 10,
-      testType = 'unit',
-      framework,
-      options = {},
-    } = req.body;
+    const { owner, repo } = req.body;
 
     if (!owner || !repo) {
       return res.status(400).json({
@@ -85,92 +555,194 @@ router.post('/generate/repository', async (req, res) => {
     }
 
     const githubService = getGitHubClient(req.sessionId);
+    res.json(await generateForRepository(githubService, req.body));
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error generating repository test cases:', error);
+    res.status(500).json({
+      error: 'Failed to generate repository test cases',
+      message: error.message,
+    });
+  }
+});
 
-    // Get repository tree
-    const tree = await githubService.getRepositoryTree(owner, repo, branch, true);
-
-    const files = tree.tree
-      .filter((item) => item.type === 'blob')
-      .map((item) => ({
-        path: item.path,
-        name: item.path.split('/').pop(),
-        size: item.size,
-        sha: item.sha,
-      }));
-
-    // Select best files for test generation
-    const analysisResult = fileAnalysisService.selectFilesForTestGeneration(files, maxFiles);
-
-    // Get content for selected files
-    const fileContents = await Promise.all(
-      analysisResult.selectedFiles.slice(0, maxFiles).map(async (file) => {
-        try {
-          const content = await githubService.getFileContent(owner, repo, file.path);
-          return {
-            path: file.path,
-            name: file.name,
-            content: content.decodedContent,
-            type: file.type,
-            category: file.category,
-            priority: file.priority,
-            size: content.size,
-          };
-        } catch (error) {
-          console.error(`Error fetching content for ${file.path}:`, error);
-          return null;
-        }
-      })
-    );
+// Generate test cases for the changes in a pull request or a base...head compare
+router.post('/generate/diff', async (req, res) => {
+  try {
+    const validationError = validateDiffRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const githubService = getGitHubClient(req.sessionId);
+    res.json(await generateForDiff(githubService, req.body));
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error generating diff test cases:', error);
+    res.status(500).json({
+      error: 'Failed to generate diff test cases',
+      message: error.message,
+    });
+  }
+});
 
-    // Filter out failed requests and large files
-    const validFileContents = fileContents.filter(Boolean).filter((file) => file.size < 100000); // Skip files larger than 100KB
+// Jobs belong to the account, so they are still found after a refresh or a new session.
+// Logins repeat across GitHub, GitHub Enterprise hosts and GitLab, so the key is the
+// account's numeric id on its host; local sessions have an id of their own.
+const getJobOwner = (req) =>
+  req.user?.id !== undefined && req.user?.id !== null
+    ? `${req.session.provider}:${req.session.apiUrl || ''}:${req.user.id}`
+    : req.sessionId;
 
-    if (validFileContents.length === 0) {
+const findOwnedJob = (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.owner !== getJobOwner(req)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+};
+
+// Answer a submitted job with its id and where to follow it
+const sendJobAccepted = (res, job) => {
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    job: jobQueue.toPublic(job),
+    links: {
+      self: `/api/testcases/jobs/${job.id}`,
+      events: `/api/testcases/jobs/${job.id}/events`,
+      cancel: `/api/testcases/jobs/${job.id}/cancel`,
+    },
+  });
+};
+
+// Submit repository-wide, file or diff generation as a background job
+router.post('/jobs', async (req, res) => {
+  try {
+    const { type = 'repository', ...params } = req.body;
+    const context = {};
+
+    if (type === 'repository') {
+      if (!params.owner || !params.repo) {
+        return res.status(400).json({
+          error: 'Repository owner and name are required',
+        });
+      }
+      context.githubService = getGitHubClient(req.sessionId);
+    } else if (type === 'files') {
+      const validationError = validateFilesRequest(params, { allowMissingContent: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (params.files.some((file) => !file.content)) {
+        context.githubService = getGitHubClient(req.sessionId);
+      }
+    } else if (type === 'diff') {
+      const validationError = validateDiffRequest(params);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      context.githubService = getGitHubClient(req.sessionId);
+    } else {
       return res.status(400).json({
-        error: 'No suitable files found for test generation',
+        error: `Unknown job type: ${type}`,
+        available: ['repository', 'files', 'diff'],
       });
     }
 
-    // Generate test cases
-    const testCases = await geminiService.generateTestCases(validFileContents, {
-      repository: { owner, repo, branch },
-      testType,
-      framework: framework || analysisResult.testStrategy.testFramework,
-      projectStructure: analysisResult.projectStructure,
-      testStrategy: analysisResult.testStrategy,
-      options,
-    });
-
-    res.json({
-      success: true,
-      repository: { owner, repo, branch },
-      analysis: {
-        totalFiles: files.length,
-        selectedFiles: analysisResult.selectedFiles.length,
-        analyzedFiles: validFileContents.length,
-        projectStructure: analysisResult.projectStructure,
-        testStrategy: analysisResult.testStrategy,
-      },
-      testCases,
-      metadata: {
-        testType,
-        framework: framework || analysisResult.testStrategy.testFramework,
-        generatedAt: new Date().toISOString(),
-      },
-    });
+    sendJobAccepted(res, jobQueue.submit(type, params, { owner: getJobOwner(req) }, context));
   } catch (error) {
-    console.error('Error generating repository test cases:', error);
+    console.error('Error submitting generation job:', error);
     res.status(500).json({
-      error: 'Failed to generate repository test cases',
+      error: 'Failed to submit generation job',
       message: error.message,
     });
   }
 });
 
+// List the current user's jobs, newest first
+router.get('/jobs', (req, res) => {
+  const jobs = jobQueue.list(getJobOwner(req)).map((job) => jobQueue.toPublic(job));
+  res.json({ success: true, jobs });
+});
+
+// Job status, with the generated test cases once it has completed
+router.get('/jobs/:id', (req, res) => {
+  const job = findOwnedJob(req, res);
+  if (!job) return;
+
+  res.json({ success: true, job: jobQueue.toPublic(job, true) });
+});
+
+// Stream job progress as Server-Sent Events until the job finishes or the client leaves
+router.get('/jobs/:id/events', (req, res) => {
+  const job = findOwnedJob(req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', close);
+
+  send('status', jobQueue.toPublic(job));
+  if (jobQueue.isFinished(job)) {
+    send('done', jobQueue.toPublic(job));
+    return close();
+  }
+
+  unsubscribe = jobQueue.subscribe(job.id, ({ type, job: update }) => {
+    send(type, update);
+    if (jobQueue.isFinished(update)) {
+      send('done', update);
+      close();
+    }
+  });
+});
+
+// Cancel a queued or running job; finished jobs are returned unchanged
+router.post('/jobs/:id/cancel', (req, res) => {
+  const job = findOwnedJob(req, res);
+  if (!job) return;
+
+  jobQueue.cancel(job.id);
+  res.json({ success: true, job: jobQueue.toPublic(job) });
+});
+
 // Generate test cases for specific file
 router.post('/generate/file', async (req, res) => {
   try {
-    const { owner, repo, path, testType = 'unit', framework, options = {} } = req.body;
+    const {
+      owner,
+      repo,
+      path,
+      coverage,
+      testType = 'unit',
+      framework,
+      provider,
+      options = {},
+    } = req.body;
 
     if (!owner || !repo || !path) {
       return res.status(400).json({
@@ -207,7 +779,7 @@ router.post('/generate/file', async (req, res) => {
     };
 
     // Generate test cases
-    const testCases = await geminiService.generateTestCases([file], {
+    const { testCases, contextCoverage } = await geminiService.generateTestSuite([file], {
       repository: {
         owner,
         repo,
@@ -215,8 +787,10 @@ router.post('/generate/file', async (req, res) => {
         language: repoData.language,
         languages,
       },
+      coverage: getClientCoverage(coverage),
       testType,
       framework,
+      provider,
       options,
     });
 
@@ -234,6 +808,8 @@ router.post('/generate/file', async (req, res) => {
       metadata: {
         testType,
         framework,
+        provider: provider || llmProviders.getDefaultProviderName(),
+        contextCoverage,
         generatedAt: new Date().toISOString(),
       },
     });
@@ -246,10 +822,74 @@ router.post('/generate/file', async (req, res) => {
   }
 });
 
+// Parse an uploaded coverage report, or find one committed to the repository
+router.post('/coverage', async (req, res) => {
+  try {
+    const { content, fileName, format, owner, repo, branch = 'main' } = req.body;
+
+    if (!content && (!owner || !repo)) {
+      return res.status(400).json({
+        error: 'Coverage report content or repository owner and name are required',
+      });
+    }
+
+    let repoPaths = [];
+    let githubService = null;
+    if (owner && repo) {
+      githubService = getGitHubClient(req.sessionId);
+      const tree = await githubService.getRepositoryTree(owner, repo, branch, true);
+      repoPaths = tree.tree.filter((item) => item.type === 'blob').map((item) => item.path);
+    }
+
+    let coverage;
+    if (content) {
+      try {
+        coverage = coverageParser.resolvePaths(
+          coverageParser.parse(content, { format, fileName }),
+          repoPaths
+        );
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid coverage report',
+          message: error.message,
+        });
+      }
+    } else {
+      coverage = await loadRepositoryCoverage(githubService, owner, repo, repoPaths);
+      if (!coverage) {
+        return res.status(404).json({
+          error: 'No coverage report found in repository',
+          searched: 'lcov.info, Cobertura/JaCoCo XML or coverage.py JSON',
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      source: content ? 'upload' : 'repository',
+      coverage,
+      metadata: {
+        format: coverage.format,
+        filesReported: coverage.files.length,
+        filesMatched: repoPaths.length
+          ? coverage.files.filter((file) => repoPaths.includes(file.path)).length
+          : null,
+        parsedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error ingesting coverage report:', error);
+    res.status(500).json({
+      error: 'Failed to ingest coverage report',
+      message: error.message,
+    });
+  }
+});
+
 // Get test generation suggestions
 router.post('/suggestions', async (req, res) => {
   try {
-    const { files, projectStructure } = req.body;
+    const { files, projectStructure, provider } = req.body;
 
     if (!files || !Array.isArray(files)) {
       return res.status(400).json({
@@ -269,6 +909,7 @@ router.post('/suggestions', async (req, res) => {
       testStrategy,
       existingTests: analysis.testFiles,
       sourceFiles: analysis.sourceFiles,
+      provider,
     });
 
     res.json({
@@ -298,6 +939,330 @@ router.post('/suggestions', async (req, res) => {
   }
 });
 
+// Summarize generated test cases
+router.post('/summary', async (req, res) => {
+  try {
+    const { testCases, repository, files = [], coverage, provider } = req.body;
+
+    if (!testCases || !Array.isArray(testCases)) {
+      return res.status(400).json({
+        error: 'Test cases array is required',
+      });
+    }
+
+    if (!Array.isArray(files)) {
+      return res.status(400).json({
+        error: 'Files must be an array',
+      });
+    }
+
+    const summary = await geminiService.generateTestCaseSummary(testCases, {
+      repository,
+      files,
+      coverage: getClientCoverage(coverage),
+      provider,
+    });
+
+    res.json({
+      success: true,
+      repository,
+      ...summary,
+      metadata: {
+        testCasesAnalyzed: testCases.length,
+        filesAnalyzed: files.length,
+        generatedBy: summary.generatedBy,
+        generatedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error generating test case summary:', error);
+    res.status(500).json({
+      error: 'Failed to generate test case summary',
+      message: error.message,
+    });
+  }
+});
+
+// Commit accepted test cases to a new branch in one commit and open a pull request
+router.post('/pull-request', async (req, res) => {
+  try {
+    const { owner, repo, testCases, testStrategy, base, branch, title } = req.body;
+
+    if (!owner || !repo) {
+      return res.status(400).json({
+        error: 'Repository owner and name are required',
+      });
+    }
+
+    if (!Array.isArray(testCases) || testCases.length === 0) {
+      return res.status(400).json({
+        error: 'At least one test case is required',
+      });
+    }
+
+    const accepted = testCases.filter((testCase) => testCase.code && testCase.code.trim());
+    if (accepted.length === 0) {
+      return res.status(400).json({
+        error: 'Test cases must include code',
+      });
+    }
+
+    const githubService = getGitHubClient(req.sessionId);
+    const result = await testPullRequestService.openPullRequest(githubService, {
+      owner,
+      repo,
+      testCases: accepted,
+      testStrategy,
+      base,
+      branch,
+      title,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      skipped: testCases.length - accepted.length,
+    });
+  } catch (error) {
+    console.error('Error opening test pull request:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to open pull request',
+      message: error.message,
+    });
+  }
+});
+
+// Whether generated tests can be run here, with which runners and limits
+router.get('/execution', (req, res) => {
+  res.json({ success: true, ...testExecutionService.describe(getExecutionAccount(req)) });
+});
+
+// The session's account as TEST_EXECUTION_ADMINS names it
+const getExecutionAccount = (req) => ({
+  provider: req.session?.provider,
+  apiUrl: req.session?.apiUrl,
+  login: req.user?.login,
+});
+
+// Check that the account may run tests and the request names a repository and test cases.
+// Returns false after answering a bad request
+const checkSandboxRequest = (req, res) => {
+  const { owner, repo, testCases } = req.body;
+
+  const unavailable = testExecutionService.getUnavailableError(getExecutionAccount(req));
+  if (unavailable) {
+    res.status(unavailable.statusCode).json({
+      error: unavailable.message,
+      hint: unavailable.hint,
+    });
+    return false;
+  }
+
+  if (!owner || !repo) {
+    res.status(400).json({
+      error: 'Repository owner and name are required',
+    });
+    return false;
+  }
+
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    res.status(400).json({
+      error: 'At least one test case is required',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Read the sources a sandbox run needs: the selected files and the tested ones, plus
+// whatever they import relatively
+const loadSandboxSources = async (githubService, { owner, repo, ref, files = [], testCases }) => {
+  const tree = await githubService.getRepositoryTree(owner, repo, ref || undefined, true);
+  const repoPaths = tree.tree.filter((item) => item.type === 'blob').map((item) => item.path);
+
+  const entryPaths = [
+    ...new Set([
+      ...files.map((file) => (typeof file === 'string' ? file : file.path)),
+      ...testCases.map((testCase) => testCase.file),
+    ]),
+  ].filter(Boolean);
+  const sources = await testExecutionService.collectSources(
+    entryPaths,
+    async (filePath) =>
+      (await githubService.getFileContent(owner, repo, filePath, ref)).decodedContent,
+    repoPaths
+  );
+
+  return { sources, repoPaths };
+};
+
+// Repair loop behind the 'repair' job
+const repairTests = async (githubService, params, { signal, progress } = {}) => {
+  const { testCases, testStrategy, framework, provider, maxRounds } = params;
+  progress?.({ phase: 'loading', message: 'Reading the repository sources' });
+  const loaded = await loadSandboxSources(githubService, params);
+
+  const result = await testRepairService.repair({
+    ...loaded,
+    testCases,
+    testStrategy,
+    framework,
+    provider,
+    maxRounds,
+    signal,
+    progress,
+  });
+  console.log(
+    `✅ Repair finished: ${result.summary.passed} passing, ${result.summary.needsReview} need review after ${result.rounds.length} round(s)`
+  );
+
+  return {
+    success: true,
+    ...result,
+    sources: loaded.sources.map((source) => source.path),
+  };
+};
+
+// Mutation run behind the 'mutation' job
+const runMutationTests = async (githubService, params, { signal, progress } = {}) => {
+  const { testCases, testStrategy, framework, maxMutants } = params;
+  progress?.({ phase: 'loading', message: 'Reading the repository sources' });
+  const loaded = await loadSandboxSources(githubService, params);
+
+  const result = await mutationTestingService.run({
+    ...loaded,
+    testCases,
+    testStrategy,
+    framework,
+    maxMutants,
+    signal,
+    progress,
+  });
+  console.log(
+    `✅ Mutation testing finished: ${result.summary.killed + result.summary.timeout} of ${result.summary.total} mutants detected, ${result.summary.survived} survived`
+  );
+
+  return {
+    success: true,
+    ...result,
+    sources: loaded.sources.map((source) => source.path),
+  };
+};
+
+// Repair and mutation runs take many sandbox runs, so they are queued like generation
+jobQueue.registerHandler('repair', (params, context) =>
+  repairTests(context.githubService, params, context)
+);
+jobQueue.registerHandler('mutation', (params, context) =>
+  runMutationTests(context.githubService, params, context)
+);
+
+// Run generated JavaScript tests against the repository's source in a sandbox
+router.post('/execute', async (req, res) => {
+  try {
+    const { testCases, testStrategy, framework } = req.body;
+    if (!checkSandboxRequest(req, res)) return;
+
+    const loaded = await loadSandboxSources(getGitHubClient(req.sessionId), req.body);
+    console.log(
+      `🧪 Running ${testCases.length} tests against ${loaded.sources.length} source files`
+    );
+    const result = await testExecutionService.execute({
+      ...loaded,
+      testCases,
+      testStrategy,
+      framework,
+    });
+    console.log(
+      `✅ Test run finished: ${result.summary.passed} passed, ${result.summary.failed} failed, ${result.summary.error} errors`
+    );
+
+    res.json({
+      success: true,
+      ...result,
+      sources: loaded.sources.map((source) => source.path),
+    });
+  } catch (error) {
+    console.error('Error running generated tests:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to run tests',
+      message: error.message,
+    });
+  }
+});
+
+// Run the tests, send failing ones back to the model with their output for up to maxRounds
+// rounds, and return them all; tests still failing are marked for human review.
+// Queued as a 'repair' job: answers 202 with the job id to follow or cancel
+router.post('/repair', (req, res) => {
+  try {
+    if (!checkSandboxRequest(req, res)) return;
+
+    const { owner, repo, ref, files, testCases, testStrategy, framework, provider, maxRounds } =
+      req.body;
+    const job = jobQueue.submit(
+      'repair',
+      { owner, repo, ref, files, testCases, testStrategy, framework, provider, maxRounds },
+      { owner: getJobOwner(req) },
+      { githubService: getGitHubClient(req.sessionId) }
+    );
+    sendJobAccepted(res, job);
+  } catch (error) {
+    console.error('Error submitting test repair:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to repair tests',
+      message: error.message,
+    });
+  }
+});
+
+// Score the tests by mutating the JavaScript they cover and re-running them against each
+// mutant; surviving mutants come back as hints for further tests.
+// Queued as a 'mutation' job: answers 202 with the job id to follow or cancel
+router.post('/mutation', (req, res) => {
+  try {
+    if (!checkSandboxRequest(req, res)) return;
+
+    const { owner, repo, ref, files, testCases, testStrategy, framework, maxMutants } = req.body;
+    const job = jobQueue.submit(
+      'mutation',
+      { owner, repo, ref, files, testCases, testStrategy, framework, maxMutants },
+      { owner: getJobOwner(req) },
+      { githubService: getGitHubClient(req.sessionId) }
+    );
+    sendJobAccepted(res, job);
+  } catch (error) {
+    console.error('Error submitting mutation testing:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to run mutation tests',
+      message: error.message,
+    });
+  }
+});
+
+// List LLM providers and which one is used by default
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = llmProviders.listProviders();
+    const connection =
+      req.query.check === 'true' ? await geminiService.testConnection(req.query.provider) : null;
+
+    res.json({
+      success: true,
+      defaultProvider: llmProviders.getDefaultProviderName(),
+      providers,
+      ...(connection && { connection }),
+    });
+  } catch (error) {
+    console.error('Error listing LLM providers:', error);
+    res.status(500).json({
+      error: 'Failed to list LLM providers',
+      message: error.message,
+    });
+  }
+});
+
 // Get test frameworks and configurations
 router.get('/frameworks', (req, res) => {
   const frameworks = {
@@ -386,3 +1351,5 @@ router.get('/types', (req, res) => {
 });
 
 module.exports = router;
+module.exports.generateForDiff = generateForDiff;
+module.exports.jobQueue = jobQueue;
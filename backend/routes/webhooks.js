@@ -0,0 +1,142 @@
+const express = require('express');
+const crypto = require('crypto');
+const GitHubService = require('../services/github');
+const PullRequestReviewService = require('../services/pullRequestReview');
+const { JobCancelledError } = require('../services/jobQueue');
+const { generateForDiff, jobQueue } = require('./testcases');
+const router = express.Router();
+
+const pullRequestReview = new PullRequestReviewService();
+
+// Pull request actions that change what there is to test
+const HANDLED_ACTIONS = ['opened', 'reopened', 'synchronize', 'ready_for_review'];
+
+// Webhook jobs are not tied to a signed-in user
+const WEBHOOK_JOB_OWNER = 'github-webhook';
+
+// Latest review job per pull request, so a new push supersedes one still running
+const reviewJobs = new Map();
+
+let webhookClient = null;
+
+// Comments are posted with GITHUB_WEBHOOK_TOKEN (a bot PAT or an installation token)
+const getWebhookClient = () => {
+  if (!webhookClient) {
+    webhookClient = new GitHubService(process.env.GITHUB_WEBHOOK_TOKEN);
+  }
+  return webhookClient;
+};
+
+// Compare X-Hub-Signature-256 with the HMAC of the raw body in constant time
+const verifySignature = (secret, rawBody, signature) => {
+  if (!rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Generate for the pull request's changes, then post or update the suggestions comment
+jobQueue.registerHandler('pull-request-review', async (params, context) => {
+  const { owner, repo, pullNumber, headSha } = params;
+  const githubService = context.githubService || getWebhookClient();
+
+  let result = null;
+  let reason = null;
+  try {
+    result = await generateForDiff(githubService, { owner, repo, pullNumber }, context);
+  } catch (error) {
+    // "Nothing to generate for" still updates an earlier comment; real failures fail the job
+    if (error.statusCode !== 400) throw error;
+    reason = error.message;
+  }
+
+  if (context.signal?.aborted) throw new JobCancelledError();
+
+  const published = await pullRequestReview.publish(
+    githubService,
+    { owner, repo, number: pullNumber, headSha },
+    result,
+    { reason, checkRun: process.env.GITHUB_WEBHOOK_CHECK_RUNS === 'true' }
+  );
+
+  return {
+    ...published,
+    pullRequest: { owner, repo, number: pullNumber, headSha },
+    testCases: result ? result.testCases.length : 0,
+    reason,
+  };
+});
+
+// Receive GitHub webhooks (content type application/json); pull requests get suggested tests
+router.post('/github', (req, res) => {
+  try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret || !process.env.GITHUB_WEBHOOK_TOKEN) {
+      return res.status(503).json({
+        error: 'GitHub webhooks are not configured',
+        message: 'Set GITHUB_WEBHOOK_SECRET and GITHUB_WEBHOOK_TOKEN',
+      });
+    }
+
+    const delivery = req.get('X-GitHub-Delivery') || 'unknown';
+    if (!verifySignature(secret, req.rawBody, req.get('X-Hub-Signature-256'))) {
+      console.warn(`🚫 Rejected webhook delivery ${delivery}: invalid signature`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = req.get('X-GitHub-Event');
+    const { action, pull_request: pullRequest, repository } = req.body;
+
+    if (event === 'ping') {
+      return res.json({ success: true, message: 'pong' });
+    }
+
+    if (event !== 'pull_request' || !HANDLED_ACTIONS.includes(action)) {
+      return res.status(202).json({
+        success: true,
+        ignored: true,
+        reason: `Event ${event}${action ? `.${action}` : ''} is not handled`,
+      });
+    }
+
+    if (pullRequest.draft) {
+      return res.status(202).json({ success: true, ignored: true, reason: 'Draft pull request' });
+    }
+
+    const owner = repository.owner.login;
+    const repo = repository.name;
+    const key = `${owner}/${repo}#${pullRequest.number}`;
+
+    const previousId = reviewJobs.get(key);
+    const previous = previousId && jobQueue.get(previousId);
+    if (previous && !jobQueue.isFinished(previous)) {
+      console.log(`🔁 Superseding suggested tests job ${previous.id} for ${key}`);
+      jobQueue.cancel(previous.id);
+    }
+
+    const job = jobQueue.submit(
+      'pull-request-review',
+      { owner, repo, pullNumber: pullRequest.number, headSha: pullRequest.head.sha },
+      { owner: WEBHOOK_JOB_OWNER },
+      { githubService: getWebhookClient() }
+    );
+    reviewJobs.set(key, job.id);
+    console.log(`🪝 Webhook ${delivery}: ${event}.${action} on ${key}, job ${job.id}`);
+
+    // GitHub gives up on deliveries after 10 seconds; generation continues in the job
+    res.status(202).json({ success: true, jobId: job.id });
+  } catch (error) {
+    console.error('Error handling webhook:', error);
+    res.status(500).json({
+      error: 'Failed to handle webhook',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// send-webhook.js - Replay a webhook payload fixture against a running backend:
+//   node send-webhook.js [fixture] [event]
+// Signs the payload with GITHUB_WEBHOOK_SECRET, like GitHub does.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+async function sendWebhook() {
+  const fixture =
+    process.argv[2] || path.join(__dirname, 'fixtures', 'webhooks', 'pull_request.opened.json');
+  const event = process.argv[3] || 'pull_request';
+  const url =
+    process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/webhooks/github`;
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ GITHUB_WEBHOOK_SECRET is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const body = fs.readFileSync(fixture);
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  console.log(`🪝 Sending ${event} from ${fixture} to ${url}`);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': signature,
+    },
+    body,
+  });
+
+  console.log(`📤 ${response.status}`, await response.text());
+}
+
+sendWebhook().catch((error) => {
+  console.error('❌ Failed to send webhook:', error.message);
+  process.exitCode = 1;
+});
@@ -9,6 +9,9 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const githubRoutes = require('./routes/github');
 const testcaseRoutes = require('./routes/testcases');
+const webhookRoutes = require('./routes/webhooks');
+const localRoutes = require('./routes/local');
+const llmProviders = require('./services/llm');
 
 const app = express();
 
@@ -146,12 +149,18 @@ const aiLimiter = rateLimit({
 });
 
 app.use('/api/testcases/generate', aiLimiter);
+app.post('/api/testcases/jobs', aiLimiter);
+app.post('/api/testcases/execute', aiLimiter);
+app.post('/api/testcases/repair', aiLimiter);
+app.post('/api/testcases/mutation', aiLimiter);
 
 // -------------------- Body Parsing --------------------
 app.use(
   express.json({
     limit: '10mb',
     verify: (req, res, buf) => {
+      // Webhook signatures are computed over the exact bytes GitHub sent
+      req.rawBody = buf;
       try {
         JSON.parse(buf);
       } catch (e) {
@@ -218,6 +227,8 @@ app.get('/api', (req, res) => {
         status: 'GET /api/auth/status',
         me: 'GET /api/auth/me',
         logout: 'POST /api/auth/logout',
+        oauthUrl: 'GET /api/auth/github/oauth-url',
+        oauthCallback: 'GET /api/auth/github/callback',
         test: 'GET /api/auth/test',
       },
       github: {
@@ -230,10 +241,27 @@ app.get('/api', (req, res) => {
         generate: 'POST /api/testcases/generate',
         generateRepo: 'POST /api/testcases/generate/repository',
         generateFile: 'POST /api/testcases/generate/file',
+        generateDiff: 'POST /api/testcases/generate/diff',
         suggestions: 'POST /api/testcases/suggestions',
+        summary: 'POST /api/testcases/summary',
+        execution: 'GET /api/testcases/execution',
+        execute: 'POST /api/testcases/execute',
+        repair: 'POST /api/testcases/repair',
+        mutation: 'POST /api/testcases/mutation',
+        providers: 'GET /api/testcases/providers',
         frameworks: 'GET /api/testcases/frameworks',
         types: 'GET /api/testcases/types',
       },
+      webhooks: {
+        github: 'POST /api/webhooks/github',
+      },
+      local: {
+        config: 'GET /api/local/config',
+        session: 'POST /api/auth/local',
+        uploadArchive: 'POST /api/local/workspaces/archive?name=:file',
+        addDirectory: 'POST /api/local/workspaces/directory',
+        remove: 'DELETE /api/local/workspaces/:id',
+      },
     },
     corsOrigins: allowedOrigins,
     documentation: 'https://github.com/yourusername/ai-test-case-generator#api-documentation',
@@ -249,6 +277,8 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/github', githubRoutes);
 app.use('/api/testcases', testcaseRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/local', localRoutes);
 
 // -------------------- 404 Handler --------------------
 app.use('*', (req, res) => {
@@ -363,6 +393,13 @@ const gracefulShutdown = (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// -------------------- LLM Configuration --------------------
+// Fail before listening rather than on every generation request
+const llmConfigurationError = llmProviders.getConfigurationError();
+if (llmConfigurationError) {
+  throw new Error(`Invalid LLM configuration: ${llmConfigurationError}`);
+}
+
 // ✅ CRITICAL FIX: Listen on 0.0.0.0 and use dynamic PORT
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('🚀 ================================');
@@ -389,7 +426,10 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(
     `   - GitHub OAuth: ${!!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET)}`
   );
-  console.log(`   - Gemini API: ${!!process.env.GEMINI_API_KEY}`);
+  console.log(
+    `   - LLM Provider: ${llmProviders.getDefaultProviderName() || 'none (template fallback)'}`
+  );
+  console.log(`   - Session Store: ${authRoutes.sessions.store.describe().name}`);
 
   // ✅ Log successful port binding (critical for Render)
   console.log(`✅ Server successfully bound to port ${PORT} on all interfaces (0.0.0.0)`);
@@ -0,0 +1,287 @@
+const path = require('path');
+
+// Report locations checked when a repository is scanned for committed coverage
+const KNOWN_REPORT_PATHS = [
+  'coverage/lcov.info',
+  'lcov.info',
+  'coverage/cobertura-coverage.xml',
+  'cobertura.xml',
+  'coverage.xml',
+  'target/site/jacoco/jacoco.xml',
+  'build/reports/jacoco/test/jacocoTestReport.xml',
+  'jacoco.xml',
+  'coverage.json',
+  'coverage/coverage.json',
+];
+
+class CoverageReportParser {
+  /**
+   * Parse an lcov, Cobertura, JaCoCo or coverage.py JSON report into per-file line/branch data.
+   * @param {string} content - Raw report text
+   * @param {Object} options - { format, fileName } where format overrides detection
+   * @returns {Object} { format, files: [{ path, lines, branches, uncoveredLines, partialBranches }], totals }
+   */
+  parse(content, options = {}) {
+    const format = options.format || this.detectFormat(content, options.fileName);
+    const parsers = {
+      lcov: () => this.parseLcov(content),
+      cobertura: () => this.parseCobertura(content),
+      jacoco: () => this.parseJacoco(content),
+      coveragepy: () => this.parseCoveragePy(content),
+    };
+
+    if (!parsers[format]) {
+      throw new Error(
+        `Unsupported coverage report format${format ? `: ${format}` : ''}. Expected lcov, Cobertura, JaCoCo or coverage.py JSON`
+      );
+    }
+
+    const files = parsers[format]().map((file) => this.summarizeFile(file));
+    return { format, files, totals: this.getTotals(files) };
+  }
+
+  detectFormat(content = '', fileName = '') {
+    const head = content.slice(0, 2000);
+    if (/^(TN|SF):/m.test(head)) return 'lcov';
+    if (head.trimStart().startsWith('{')) return 'coveragepy';
+    if (/<report[\s>]/.test(head) || /jacoco/i.test(head)) return 'jacoco';
+    if (/<coverage[\s>]/.test(head)) return 'cobertura';
+    if (/\.info$/.test(fileName)) return 'lcov';
+    return null;
+  }
+
+  // SF:<path> ... DA:<line>,<hits> ... BRDA:<line>,<block>,<branch>,<taken> ... end_of_record
+  parseLcov(content) {
+    const files = [];
+    let current = null;
+
+    content.split('\n').forEach((raw) => {
+      const line = raw.trim();
+      const separator = line.indexOf(':');
+      const key = separator === -1 ? line : line.slice(0, separator);
+      const value = line.slice(separator + 1);
+
+      if (key === 'SF') {
+        current = this.createFile(value);
+      } else if (key === 'end_of_record' && current) {
+        files.push(current);
+        current = null;
+      } else if (current && key === 'DA') {
+        const [lineNumber, hits] = value.split(',');
+        current.lineHits[lineNumber] = (current.lineHits[lineNumber] || 0) + Number(hits);
+      } else if (current && key === 'BRDA') {
+        const [lineNumber, , , taken] = value.split(',');
+        this.addBranches(current, lineNumber, 1, taken !== '-' && Number(taken) > 0 ? 1 : 0);
+      }
+    });
+
+    if (current) files.push(current);
+    return files;
+  }
+
+  // <class filename="..."><lines><line number="1" hits="0" branch="true" condition-coverage="50% (1/2)"/>
+  parseCobertura(content) {
+    const byPath = new Map();
+    const sources = [...content.matchAll(/<source>([^<]*)<\/source>/g)].map((m) => m[1].trim());
+
+    this.matchElements(content, 'class').forEach(({ attributes, body }) => {
+      if (!attributes.filename) return;
+      const filePath = this.resolveSourcePath(attributes.filename, sources);
+      const file = byPath.get(filePath) || this.createFile(filePath);
+      byPath.set(filePath, file);
+
+      this.matchElements(body, 'line').forEach(({ attributes: line }) => {
+        file.lineHits[line.number] = Math.max(file.lineHits[line.number] || 0, Number(line.hits));
+        const condition = (line['condition-coverage'] || '').match(/\((\d+)\/(\d+)\)/);
+        // Lines repeat under <methods>; record each line's branches once
+        if (line.branch === 'true' && condition && !file.branchHits[line.number]) {
+          this.addBranches(file, line.number, Number(condition[2]), Number(condition[1]));
+        }
+      });
+    });
+
+    return [...byPath.values()];
+  }
+
+  // <package name="com/acme"><sourcefile name="Foo.java"><line nr="3" mi="0" ci="2" mb="1" cb="1"/>
+  parseJacoco(content) {
+    const files = [];
+
+    this.matchElements(content, 'package').forEach(({ attributes: pkg, body }) => {
+      this.matchElements(body, 'sourcefile').forEach(({ attributes: source, body: lines }) => {
+        const file = this.createFile(pkg.name ? `${pkg.name}/${source.name}` : source.name);
+
+        this.matchElements(lines, 'line').forEach(({ attributes: line }) => {
+          file.lineHits[line.nr] = Number(line.ci) > 0 ? Number(line.ci) : 0;
+          const branches = Number(line.mb || 0) + Number(line.cb || 0);
+          if (branches > 0) this.addBranches(file, line.nr, branches, Number(line.cb || 0));
+        });
+
+        files.push(file);
+      });
+    });
+
+    return files;
+  }
+
+  // `coverage json` output: { files: { path: { executed_lines, missing_lines, missing_branches } } }
+  parseCoveragePy(content) {
+    let report;
+    try {
+      report = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid coverage.py JSON: ${error.message}`);
+    }
+    if (!report || typeof report.files !== 'object') {
+      throw new Error('Invalid coverage.py JSON: missing "files" object');
+    }
+
+    return Object.entries(report.files).map(([filePath, data]) => {
+      const file = this.createFile(filePath);
+      (data.executed_lines || []).forEach((line) => (file.lineHits[line] = 1));
+      (data.missing_lines || []).forEach((line) => (file.lineHits[line] = 0));
+
+      // Branch arcs are [from, to]; count them per source line
+      (data.executed_branches || []).forEach(([from]) => this.addBranches(file, from, 1, 1));
+      (data.missing_branches || []).forEach(([from]) => this.addBranches(file, from, 1, 0));
+      return file;
+    });
+  }
+
+  createFile(filePath) {
+    return { path: filePath.trim().replace(/\\/g, '/'), lineHits: {}, branchHits: {} };
+  }
+
+  addBranches(file, lineNumber, total, covered) {
+    const entry = file.branchHits[lineNumber] || { total: 0, covered: 0 };
+    entry.total += total;
+    entry.covered += covered;
+    file.branchHits[lineNumber] = entry;
+  }
+
+  // Reduce raw hit maps to counts plus the line numbers a prompt can point at
+  summarizeFile(file) {
+    const lineNumbers = Object.keys(file.lineHits)
+      .map(Number)
+      .sort((a, b) => a - b);
+    const uncoveredLines = lineNumbers.filter((line) => file.lineHits[line] === 0);
+    const branchEntries = Object.entries(file.branchHits).map(([line, entry]) => ({
+      line: Number(line),
+      ...entry,
+    }));
+    const branches = branchEntries.reduce(
+      (sum, entry) => ({ total: sum.total + entry.total, covered: sum.covered + entry.covered }),
+      { total: 0, covered: 0 }
+    );
+
+    return {
+      path: file.path,
+      lines: this.withPercent({
+        total: lineNumbers.length,
+        covered: lineNumbers.length - uncoveredLines.length,
+      }),
+      branches: this.withPercent(branches),
+      uncoveredLines,
+      partialBranches: branchEntries
+        .filter((entry) => entry.covered < entry.total)
+        .sort((a, b) => a.line - b.line),
+    };
+  }
+
+  getTotals(files) {
+    const sum = (key) =>
+      files.reduce(
+        (total, file) => ({
+          total: total.total + file[key].total,
+          covered: total.covered + file[key].covered,
+        }),
+        { total: 0, covered: 0 }
+      );
+    return {
+      files: files.length,
+      lines: this.withPercent(sum('lines')),
+      branches: this.withPercent(sum('branches')),
+    };
+  }
+
+  withPercent({ total, covered }) {
+    return {
+      total,
+      covered,
+      percent: total > 0 ? Math.round((covered / total) * 1000) / 10 : null,
+    };
+  }
+
+  /**
+   * Rewrite report paths (absolute, package-relative or source-root-relative) to repository
+   * paths by longest suffix match. Files that match nothing keep their original path.
+   */
+  resolvePaths(report, repoPaths = []) {
+    if (repoPaths.length === 0) return report;
+
+    const files = report.files.map((file) => {
+      const match = this.findRepoPath(file.path, repoPaths);
+      return match ? { ...file, path: match } : file;
+    });
+    return { ...report, files };
+  }
+
+  findRepoPath(reportPath, repoPaths) {
+    const parts = reportPath.replace(/^\.?\//, '').split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const suffix = parts.slice(i).join('/');
+      const matches = repoPaths.filter((p) => p === suffix || p.endsWith(`/${suffix}`));
+      // Ambiguous bare file names (index.js, __init__.py) are not guessed
+      if (matches.length === 1) return matches[0];
+      if (matches.length > 1 && i === 0) return matches.sort((a, b) => a.length - b.length)[0];
+      if (matches.length > 1) return null;
+    }
+    return null;
+  }
+
+  resolveSourcePath(fileName, sources) {
+    if (path.isAbsolute(fileName) || sources.length !== 1) return fileName;
+    return sources[0] === '.' || !sources[0] ? fileName : `${sources[0]}/${fileName}`;
+  }
+
+  // Committed reports found in a repository tree, most specific locations first
+  findReportPaths(repoPaths) {
+    const known = KNOWN_REPORT_PATHS.filter((reportPath) => repoPaths.includes(reportPath));
+    const nested = repoPaths.filter(
+      (p) =>
+        !known.includes(p) &&
+        /(^|\/)(lcov\.info|cobertura(-coverage)?\.xml|jacoco(TestReport)?\.xml)$/.test(p)
+    );
+    return [...known, ...nested];
+  }
+
+  getFileCoverage(report, filePath) {
+    return report?.files?.find((file) => file.path === filePath) || null;
+  }
+
+  // [3, 4, 5, 9] -> "3-5, 9"
+  toRanges(lines) {
+    const ranges = [];
+    lines.forEach((line) => {
+      const last = ranges[ranges.length - 1];
+      if (last && line === last[1] + 1) last[1] = line;
+      else ranges.push([line, line]);
+    });
+    return ranges
+      .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+      .join(', ');
+  }
+
+  // Minimal XML scan: [{ attributes, body }] for every <tag ...> or <tag .../> element
+  matchElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    return [...xml.matchAll(pattern)].map((match) => ({
+      attributes: Object.fromEntries(
+        [...match[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)].map((attr) => [attr[1], attr[2]])
+      ),
+      body: match[3] || '',
+    }));
+  }
+}
+
+module.exports = CoverageReportParser;
@@ -0,0 +1,195 @@
+const TestMappingService = require('./testMapping');
+
+// Statuses GitHub reports for files that still exist after the change
+const LIVE_STATUSES = ['added', 'modified', 'renamed', 'changed', 'copied'];
+
+class DiffAnalysisService {
+  constructor(options = {}) {
+    // Unchanged lines kept around each changed function or hunk
+    this.contextLines = options.contextLines ?? (parseInt(process.env.DIFF_CONTEXT_LINES) || 5);
+    this.testMapping = new TestMappingService();
+  }
+
+  /**
+   * Changed files of a pull request or a "base...head" compare
+   * @param {GitHubService} githubService
+   * @param {Object} target - { pullNumber } or { base, head }
+   * @returns {Object} { source: { type, number, title, url, base, head, ref }, files } where
+   *   `ref` is the commit to read changed files at and `files` are GitHub's file entries
+   */
+  async loadChanges(githubService, owner, repo, { pullNumber, base, head }) {
+    if (pullNumber) {
+      const [pullRequest, files] = await Promise.all([
+        githubService.getPullRequest(owner, repo, pullNumber),
+        githubService.getPullRequestFiles(owner, repo, pullNumber),
+      ]);
+
+      return {
+        source: {
+          type: 'pull',
+          number: pullRequest.number,
+          title: pullRequest.title,
+          url: pullRequest.html_url,
+          base: pullRequest.base.ref,
+          head: pullRequest.head.ref,
+          ref: pullRequest.head.sha,
+        },
+        files,
+      };
+    }
+
+    const comparison = await githubService.compareCommits(owner, repo, base, head);
+
+    return {
+      source: {
+        type: 'compare',
+        title: `${base}...${head}`,
+        url: comparison.html_url,
+        base,
+        head,
+        // Not the last listed commit: GitHub lists at most 250 of them
+        ref: head,
+      },
+      files: comparison.files || [],
+    };
+  }
+
+  // Removed files have nothing left to test; binary and oversized diffs come without a patch
+  isTestable(file) {
+    return LIVE_STATUSES.includes(file.status) && Boolean(file.patch);
+  }
+
+  /**
+   * Parse the unified diff GitHub returns per file (hunks only, no file headers)
+   * @returns {Object} { hunks, changedLines } with line numbers in the new version of the file;
+   *   a deletion counts as a change to the line that now sits where it was
+   */
+  parsePatch(patch) {
+    const hunks = [];
+    const changed = new Set();
+    let hunk = null;
+    let newLine = 0;
+
+    (patch || '').split('\n').forEach((line) => {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+      if (header) {
+        hunk = {
+          oldStart: parseInt(header[1]),
+          oldLines: header[2] === undefined ? 1 : parseInt(header[2]),
+          newStart: parseInt(header[3]),
+          newLines: header[4] === undefined ? 1 : parseInt(header[4]),
+          context: header[5].trim(),
+        };
+        hunks.push(hunk);
+        newLine = hunk.newStart;
+        return;
+      }
+      if (!hunk || line.startsWith('\\')) return;
+
+      if (line.startsWith('+')) {
+        changed.add(newLine);
+        newLine++;
+      } else if (line.startsWith('-')) {
+        changed.add(Math.max(newLine, 1));
+      } else {
+        newLine++;
+      }
+    });
+
+    return { hunks, changedLines: [...changed].sort((a, b) => a - b) };
+  }
+
+  /**
+   * Functions touched by the changed lines. Each line goes to the innermost function that
+   * contains it, so a one-line change in a method selects the method, not its whole class.
+   * @param {Array} symbols - Parsed functions with startLine/endLine
+   * @returns {Array} The touched symbols, each with the `changedLines` inside it
+   */
+  findChangedSymbols(symbols, changedLines) {
+    const ranged = symbols.filter((symbol) => symbol.startLine && symbol.endLine);
+    const touched = new Map();
+
+    changedLines.forEach((line) => {
+      const innermost = ranged
+        .filter((symbol) => line >= symbol.startLine && line <= symbol.endLine)
+        .sort((a, b) => a.endLine - a.startLine - (b.endLine - b.startLine))[0];
+      if (!innermost) return;
+
+      if (!touched.has(innermost)) touched.set(innermost, []);
+      touched.get(innermost).push(line);
+    });
+
+    return [...touched.entries()]
+      .map(([symbol, lines]) => ({ ...symbol, changedLines: lines }))
+      .sort((a, b) => a.startLine - b.startLine);
+  }
+
+  /**
+   * Line ranges worth sending: every changed function plus `contextLines` around it, and a
+   * window around changed lines outside any function. Overlapping ranges are merged.
+   */
+  buildRanges(changedLines, changedSymbols, totalLines) {
+    const context = this.contextLines;
+    const clamp = (line) => Math.min(Math.max(line, 1), totalLines);
+
+    const ranges = [
+      ...changedSymbols.map((symbol) => [symbol.startLine - context, symbol.endLine + context]),
+      ...changedLines
+        .filter(
+          (line) =>
+            !changedSymbols.some((symbol) => line >= symbol.startLine && line <= symbol.endLine)
+        )
+        .map((line) => [line - context, line + context]),
+    ]
+      .map(([start, end]) => [clamp(start), clamp(end)])
+      .sort((a, b) => a[0] - b[0]);
+
+    return ranges.reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last.endLine + 1) {
+        last.endLine = Math.max(last.endLine, end);
+      } else {
+        merged.push({ startLine: start, endLine: end });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * What changed in one file and which parts of it to generate tests for
+   * @param {Object} file - { path, content, patch, status, additions, deletions }
+   * @param {Array} symbols - Functions parsed from the new content
+   * @returns {Object} { path, status, additions, deletions, hunks, changedLines, functions, ranges }
+   */
+  analyzeFile(file, symbols = []) {
+    const totalLines = (file.content || '').split('\n').length;
+    const { hunks, changedLines } = this.parsePatch(file.patch);
+    const inFile = changedLines.filter((line) => line <= totalLines);
+    const changedSymbols = this.findChangedSymbols(symbols, inFile);
+    const functions = changedSymbols.map((symbol) => ({
+      name: this.testMapping.getSymbolKey(symbol),
+      startLine: symbol.startLine,
+      endLine: symbol.endLine,
+      changedLines: symbol.changedLines,
+    }));
+
+    return {
+      path: file.path,
+      status: file.status,
+      additions: file.additions || 0,
+      deletions: file.deletions || 0,
+      hunks: hunks.length,
+      changedLines: inFile,
+      functions,
+      // Named so each prompt chunk says which changed functions it holds
+      ranges: this.buildRanges(inFile, changedSymbols, totalLines).map((range) => ({
+        ...range,
+        symbols: functions
+          .filter((func) => func.startLine >= range.startLine && func.endLine <= range.endLine)
+          .map((func) => func.name),
+      })),
+    };
+  }
+}
+
+module.exports = DiffAnalysisService;
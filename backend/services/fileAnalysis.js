@@ -1,7 +1,12 @@
 const path = require('path');
+const TestMappingService = require('./testMapping');
+const CoverageReportParser = require('./coverageParser');
 
 class FileAnalysisService {
   constructor() {
+    this.testMapping = new TestMappingService();
+    this.coverageParser = new CoverageReportParser();
+
     // Supported file extensions and their analysis priority
     this.supportedExtensions = {
       // High priority - main code files
@@ -110,6 +115,7 @@ class FileAnalysisService {
       languages: new Set(),
       hasTests: false,
       testFiles: [],
+      testMap: {},
       configFiles: [],
       sourceFiles: [],
       documentationFiles: [],
@@ -168,6 +174,13 @@ class FileAnalysisService {
     // Detect project type and framework
     analysis.projectStructure = this.detectProjectStructure(files);
 
+    // Link each source file to the tests that cover it
+    analysis.testMap = this.testMapping.mapTestsToSources(
+      analysis.sourceFiles.map((file) => file.path),
+      analysis.testFiles.map((file) => file.path),
+      this.getTestGenerationStrategy(analysis.projectStructure)
+    );
+
     // Sort recommended files by priority
     analysis.recommendedFilesForAnalysis.sort((a, b) => a.priority - b.priority);
 
@@ -204,6 +217,19 @@ class FileAnalysisService {
 
     // Check supported extensions
     const fileConfig = this.supportedExtensions[extension];
+
+    // test_foo.py, FooTest.java, __tests__/foo.js: source extensions, but test files
+    if (fileConfig?.category === 'source' && this.testMapping.isTestPath(filePath || fileName)) {
+      return {
+        shouldAnalyze: true,
+        type: fileConfig.type,
+        category: 'test',
+        priority: 2,
+        importance: 'high',
+        reason: 'Supported test file',
+      };
+    }
+
     if (fileConfig) {
       return {
         shouldAnalyze: true,
@@ -418,16 +444,46 @@ class FileAnalysisService {
   }
 
   // Filter files for test generation
-  selectFilesForTestGeneration(files, maxFiles = 10) {
+  // Within a priority level, files with the most uncovered lines come first; fully covered last
+  rankByCoverage(files, coverage) {
+    if (!coverage?.files?.length) return files;
+
+    // Files missing from the report were never loaded by the test run
+    const uncovered = (file) => (file.coverage ? file.coverage.uncoveredLines : Number.MAX_VALUE);
+    const fullyCovered = (file) => (file.coverage?.lines.percent === 100 ? 1 : 0);
+
+    return files
+      .map((file) => {
+        const fileCoverage = this.coverageParser.getFileCoverage(coverage, file.path);
+        if (!fileCoverage) return file;
+        return {
+          ...file,
+          coverage: {
+            lines: fileCoverage.lines,
+            branches: fileCoverage.branches,
+            uncoveredLines: fileCoverage.uncoveredLines.length,
+          },
+        };
+      })
+      .sort(
+        (a, b) =>
+          a.priority - b.priority ||
+          fullyCovered(a) - fullyCovered(b) ||
+          uncovered(b) - uncovered(a)
+      );
+  }
+
+  selectFilesForTestGeneration(files, maxFiles = 10, coverage = null) {
     const analysis = this.analyzeRepositoryStructure(files);
 
     // Prioritize source files, then important config files
-    let selectedFiles = analysis.recommendedFilesForAnalysis
-      .filter(
+    let selectedFiles = this.rankByCoverage(
+      analysis.recommendedFilesForAnalysis.filter(
         (file) =>
           file.category === 'source' || (file.category === 'config' && file.importance === 'high')
-      )
-      .slice(0, maxFiles);
+      ),
+      coverage
+    ).slice(0, maxFiles);
 
     // If we don't have enough files, add some test files for reference
     if (selectedFiles.length < maxFiles && analysis.testFiles.length > 0) {
@@ -438,8 +494,10 @@ class FileAnalysisService {
     return {
       selectedFiles,
       totalAnalyzed: selectedFiles.length,
+      coverage: coverage ? coverage.totals : null,
       projectStructure: analysis.projectStructure,
       testStrategy: this.getTestGenerationStrategy(analysis.projectStructure),
+      testMap: analysis.testMap,
     };
   }
 }
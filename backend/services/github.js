@@ -1,15 +1,25 @@
 const { Octokit } = require('@octokit/rest');
+const { getDefaultApiUrl, getTokenType, getWebUrl, normalizeApiUrl } = require('./githubHosts');
 
 class GitHubService {
-  constructor(accessToken) {
+  /**
+   * @param {string} accessToken
+   * @param {Object} options - { baseUrl } API URL of a GitHub Enterprise Server; defaults to
+   *   GITHUB_API_URL or api.github.com
+   */
+  constructor(accessToken, options = {}) {
     if (!accessToken) {
       throw new Error('GitHub access token is required');
     }
 
+    this.baseUrl = options.baseUrl ? normalizeApiUrl(options.baseUrl) : getDefaultApiUrl();
+    this.webUrl = getWebUrl(this.baseUrl);
+    this.tokenType = getTokenType(accessToken)?.type || null;
+
     this.octokit = new Octokit({
       auth: accessToken,
       userAgent: 'AI-Test-Case-Generator/1.0.0',
-      baseUrl: 'https://api.github.com',
+      baseUrl: this.baseUrl,
       request: {
         timeout: 30000, // 30 seconds timeout
       },
@@ -20,6 +30,11 @@ class GitHubService {
 
   // Get user information with enhanced error handling
   async getUser() {
+    // Installation tokens act as the app, not a user; /user answers 403 for them
+    if (this.tokenType === 'installation') {
+      return this.getInstallationAccount();
+    }
+
     try {
       const { data } = await this.octokit.rest.users.getAuthenticated();
 
@@ -38,8 +53,46 @@ class GitHubService {
     }
   }
 
+  // The account an installation token was issued for, shaped like a user profile
+  async getInstallationAccount() {
+    const [repository] = await this.getInstallationRepositories({ per_page: 1 });
+    if (!repository) {
+      throw new Error('The installation token has no repository access');
+    }
+
+    const { owner } = repository;
+    return {
+      id: owner.id,
+      login: owner.login,
+      name: `${owner.login} (GitHub App installation)`,
+      email: null,
+      avatar_url: owner.avatar_url,
+    };
+  }
+
+  // Repositories an installation token was granted
+  async getInstallationRepositories(options = {}) {
+    try {
+      const { per_page = 50, page = 1 } = options;
+      const { data } = await this.octokit.rest.apps.listReposAccessibleToInstallation({
+        per_page: Math.min(per_page, 100),
+        page,
+      });
+      return data.repositories;
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error('Invalid or expired GitHub token');
+      }
+      throw new Error(`Failed to get installation repositories: ${error.message}`);
+    }
+  }
+
   // FIXED: Get user repositories with improved error handling and fallback
   async getRepositories(options = {}) {
+    if (this.tokenType === 'installation') {
+      return this.getInstallationRepositories(options);
+    }
+
     try {
       const {
         sort = 'updated',
@@ -175,13 +228,14 @@ class GitHubService {
     }
   }
 
-  // Get file content with size validation
-  async getFileContent(owner, repo, path) {
+  // Get file content with size validation; `ref` reads it at a branch, tag or commit
+  async getFileContent(owner, repo, path, ref) {
     try {
       const { data } = await this.octokit.rest.repos.getContent({
         owner,
         repo,
         path,
+        ref,
       });
 
       if (data.type !== 'file') {
@@ -354,6 +408,57 @@ class GitHubService {
     }
   }
 
+  // Get a single pull request with its base and head refs
+  async getPullRequest(owner, repo, pullNumber) {
+    try {
+      const { data } = await this.octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: pullNumber,
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Pull request #${pullNumber} not found in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get pull request: ${error.message}`);
+    }
+  }
+
+  // Files changed by a pull request, each with its unified diff `patch` (all pages)
+  async getPullRequestFiles(owner, repo, pullNumber) {
+    try {
+      return await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
+        owner,
+        repo,
+        pull_number: pullNumber,
+        per_page: 100,
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Pull request #${pullNumber} not found in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get pull request files: ${error.message}`);
+    }
+  }
+
+  // Compare two refs ("base...head"); the result lists changed files with their patches
+  async compareCommits(owner, repo, base, head) {
+    try {
+      const { data } = await this.octokit.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${base}...${head}`,
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Cannot compare ${base}...${head} in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to compare commits: ${error.message}`);
+    }
+  }
+
   // Get issues
   async getIssues(owner, repo, state = 'open') {
     try {
@@ -447,6 +552,73 @@ class GitHubService {
     }
   }
 
+  // Commit SHA a branch currently points at
+  async getBranchHead(owner, repo, branch) {
+    try {
+      const { data } = await this.octokit.rest.git.getRef({
+        owner,
+        repo,
+        ref: `heads/${branch}`,
+      });
+      return data.object.sha;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Branch ${branch} not found in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get branch ${branch}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write several files in a single commit on a new branch (Git Data API: tree, commit, ref)
+   * @param {Object} options - { baseSha, branch, message, files: [{ path, content }] }
+   * @returns {Object} { commit, branch }
+   */
+  async createCommitWithFiles(owner, repo, { baseSha, branch, message, files }) {
+    try {
+      const { data: baseCommit } = await this.octokit.rest.git.getCommit({
+        owner,
+        repo,
+        commit_sha: baseSha,
+      });
+
+      // Inline content lets GitHub create the blobs as part of the tree
+      const { data: tree } = await this.octokit.rest.git.createTree({
+        owner,
+        repo,
+        base_tree: baseCommit.tree.sha,
+        tree: files.map((file) => ({
+          path: file.path,
+          mode: '100644',
+          type: 'blob',
+          content: file.content,
+        })),
+      });
+
+      const { data: commit } = await this.octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: tree.sha,
+        parents: [baseSha],
+      });
+
+      await this.octokit.rest.git.createRef({
+        owner,
+        repo,
+        ref: `refs/heads/${branch}`,
+        sha: commit.sha,
+      });
+
+      return { commit, branch };
+    } catch (error) {
+      if (error.status === 422 && /reference already exists/i.test(error.message)) {
+        throw new Error(`Branch ${branch} already exists`);
+      }
+      throw new Error(`Failed to commit files: ${error.message}`);
+    }
+  }
+
   // Create a pull request
   async createPullRequest(owner, repo, title, head, base, body = '') {
     try {
@@ -467,6 +639,81 @@ class GitHubService {
     }
   }
 
+  // Conversation comments on an issue or pull request (all pages)
+  async listIssueComments(owner, repo, issueNumber) {
+    try {
+      return await this.octokit.paginate(this.octokit.rest.issues.listComments, {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        per_page: 100,
+      });
+    } catch (error) {
+      throw new Error(`Failed to list comments: ${error.message}`);
+    }
+  }
+
+  // Comment on an issue or pull request conversation
+  async createIssueComment(owner, repo, issueNumber, body) {
+    try {
+      const { data } = await this.octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body,
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 403) {
+        throw new Error(`Access denied commenting on ${owner}/${repo}#${issueNumber}`);
+      }
+      throw new Error(`Failed to create comment: ${error.message}`);
+    }
+  }
+
+  async updateIssueComment(owner, repo, commentId, body) {
+    try {
+      const { data } = await this.octokit.rest.issues.updateComment({
+        owner,
+        repo,
+        comment_id: commentId,
+        body,
+      });
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to update comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a completed check run on a commit. Only GitHub App tokens may create check runs.
+   * @param {Object} options - { name, headSha, conclusion, title, summary, text, detailsUrl }
+   */
+  async createCheckRun(owner, repo, options) {
+    try {
+      const { data } = await this.octokit.rest.checks.create({
+        owner,
+        repo,
+        name: options.name,
+        head_sha: options.headSha,
+        status: 'completed',
+        conclusion: options.conclusion || 'neutral',
+        details_url: options.detailsUrl,
+        output: {
+          title: options.title,
+          summary: options.summary,
+          text: options.text,
+        },
+      });
+      return data;
+    } catch (error) {
+      if (error.status === 403) {
+        throw new Error('Check runs require a GitHub App installation token');
+      }
+      throw new Error(`Failed to create check run: ${error.message}`);
+    }
+  }
+
   // Rate limit checking
   async getRateLimit() {
     try {
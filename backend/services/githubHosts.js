@@ -0,0 +1,111 @@
+// GitHub.com and GitHub Enterprise Server hosts, and the token formats they issue
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Prefixes GitHub puts on its tokens; refresh tokens (ghr_) cannot call the API
+const TOKEN_TYPES = [
+  { prefix: 'ghp_', type: 'personal', label: 'Personal access token (classic)' },
+  { prefix: 'github_pat_', type: 'fine-grained', label: 'Fine-grained personal access token' },
+  { prefix: 'gho_', type: 'oauth', label: 'OAuth app token' },
+  { prefix: 'ghu_', type: 'app-user', label: 'GitHub App user token' },
+  { prefix: 'ghs_', type: 'installation', label: 'GitHub App installation token' },
+];
+
+// Tokens issued before the prefixed format, still handed out by older Enterprise servers
+const LEGACY_TOKEN = /^[0-9a-f]{40}$/i;
+
+/**
+ * Detect what kind of token this is from its format
+ * @returns {Object|null} { type, label }, or null when GitHub would not issue it
+ */
+const getTokenType = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const trimmed = token.trim();
+  const known = TOKEN_TYPES.find(({ prefix }) => trimmed.startsWith(prefix));
+  if (known) return { type: known.type, label: known.label };
+  if (LEGACY_TOKEN.test(trimmed)) return { type: 'legacy', label: 'Legacy access token' };
+  return null;
+};
+
+/**
+ * API base URL for a GitHub host. Accepts the web URL or the API URL:
+ * github.com maps to api.github.com, an Enterprise host to https://host/api/v3
+ * @throws {Error} when the URL cannot be parsed or is not http(s)
+ */
+const normalizeApiUrl = (input) => {
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch (error) {
+    throw new Error(`Invalid GitHub URL: ${input}`);
+  }
+
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new Error(`GitHub URL must use http or https: ${input}`);
+  }
+
+  const host = url.host.toLowerCase();
+  if (host === 'github.com' || host === 'www.github.com' || host === 'api.github.com') {
+    return DEFAULT_API_URL;
+  }
+
+  const pathname = url.pathname.replace(/\/+$/, '');
+  return `${url.protocol}//${host}${pathname || '/api/v3'}`;
+};
+
+// Where the API's repositories, settings and sign-in pages are served from
+const getWebUrl = (apiUrl) => {
+  const normalized = normalizeApiUrl(apiUrl);
+  if (normalized === DEFAULT_API_URL) return 'https://github.com';
+  return new URL(normalized).origin;
+};
+
+// Deployment default: GITHUB_API_URL, or github.com
+const getDefaultApiUrl = () => normalizeApiUrl(process.env.GITHUB_API_URL || DEFAULT_API_URL);
+
+// Entries of GITHUB_ALLOWED_HOSTS already reported as unusable
+const reportedHosts = new Set();
+
+// The default host plus any listed in GITHUB_ALLOWED_HOSTS (comma separated)
+const getAllowedApiUrls = () => {
+  const listed = (process.env.GITHUB_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim())
+    .filter(Boolean);
+
+  const urls = new Set([getDefaultApiUrl()]);
+  listed.forEach((host) => {
+    try {
+      urls.add(normalizeApiUrl(host));
+    } catch (error) {
+      if (reportedHosts.has(host)) return;
+      reportedHosts.add(host);
+      console.warn(`⚠️ Ignoring GITHUB_ALLOWED_HOSTS entry "${host}": ${error.message}`);
+    }
+  });
+  return [...urls];
+};
+
+/**
+ * Whether sign-in may send a token to this host; only configured hosts are
+ * accepted so the server cannot be pointed at arbitrary URLs
+ */
+const isAllowedApiUrl = (apiUrl) => {
+  try {
+    return getAllowedApiUrls().includes(normalizeApiUrl(apiUrl));
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_API_URL,
+  TOKEN_TYPES,
+  getTokenType,
+  normalizeApiUrl,
+  getWebUrl,
+  getDefaultApiUrl,
+  getAllowedApiUrls,
+  isAllowedApiUrl,
+};
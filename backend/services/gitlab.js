@@ -0,0 +1,582 @@
+// GitLab counterpart of GitHubService: same method names, results shaped like GitHub's
+// (projects as repositories, merge requests as pull requests) so routes work with either
+
+const DEFAULT_API_URL = 'https://gitlab.com/api/v4';
+
+// GitLab pages list endpoints; follow them up to this many items
+const MAX_PAGINATED_ITEMS = 5000;
+
+// glpat- personal, project and group tokens, OAuth tokens and the 20-character pre-15.0 tokens
+const TOKEN_FORMATS = [
+  { pattern: /^glpat-[\w-]{20,}$/, type: 'personal', label: 'Personal, project or group token' },
+  { pattern: /^[0-9a-f]{64}$/i, type: 'oauth', label: 'OAuth application token' },
+  { pattern: /^[\w-]{20}$/, type: 'legacy', label: 'Legacy personal access token' },
+];
+
+const getTokenType = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const trimmed = token.trim();
+  const known = TOKEN_FORMATS.find(({ pattern }) => pattern.test(trimmed));
+  return known ? { type: known.type, label: known.label } : null;
+};
+
+/**
+ * API base URL for a GitLab host; accepts the web URL (https://host) or the API URL
+ * @throws {Error} when the URL cannot be parsed or is not http(s)
+ */
+const normalizeApiUrl = (input) => {
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch (error) {
+    throw new Error(`Invalid GitLab URL: ${input}`);
+  }
+
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new Error(`GitLab URL must use http or https: ${input}`);
+  }
+
+  const pathname = url.pathname.replace(/\/+$/, '');
+  return `${url.protocol}//${url.host.toLowerCase()}${pathname || '/api/v4'}`;
+};
+
+const getWebUrl = (apiUrl) => normalizeApiUrl(apiUrl).replace(/\/api\/v4$/, '');
+
+// Deployment default: GITLAB_API_URL, or gitlab.com
+const getDefaultApiUrl = () => normalizeApiUrl(process.env.GITLAB_API_URL || DEFAULT_API_URL);
+
+// The default host plus self-managed instances listed in GITLAB_ALLOWED_HOSTS (comma separated)
+const getAllowedApiUrls = () => {
+  const urls = new Set([getDefaultApiUrl()]);
+  (process.env.GITLAB_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim())
+    .filter(Boolean)
+    .forEach((host) => {
+      try {
+        urls.add(normalizeApiUrl(host));
+      } catch (error) {
+        // Unusable entries are skipped; sign-in against them is refused
+      }
+    });
+  return [...urls];
+};
+
+const isAllowedApiUrl = (apiUrl) => {
+  try {
+    return getAllowedApiUrls().includes(normalizeApiUrl(apiUrl));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Lines added and removed in a unified diff, for the additions/deletions GitHub reports
+const countDiffLines = (diff = '') => {
+  const lines = diff.split('\n');
+  return {
+    additions: lines.filter((line) => line.startsWith('+') && !line.startsWith('+++')).length,
+    deletions: lines.filter((line) => line.startsWith('-') && !line.startsWith('---')).length,
+  };
+};
+
+class GitLabService {
+  /**
+   * @param {string} accessToken
+   * @param {Object} options - { baseUrl } API URL of a self-managed instance; defaults to
+   *   GITLAB_API_URL or gitlab.com
+   */
+  constructor(accessToken, options = {}) {
+    if (!accessToken) {
+      throw new Error('GitLab access token is required');
+    }
+
+    this.provider = 'gitlab';
+    this.baseUrl = options.baseUrl ? normalizeApiUrl(options.baseUrl) : getDefaultApiUrl();
+    this.webUrl = getWebUrl(this.baseUrl);
+    this.tokenType = getTokenType(accessToken)?.type || null;
+    this.accessToken = accessToken;
+    this.timeout = 30000; // 30 seconds timeout
+    this.defaultBranches = new Map();
+  }
+
+  /**
+   * Call the GitLab REST API
+   * @returns {Object} { data, headers }
+   * @throws {Error} with the response `status`, like Octokit's errors
+   */
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        Accept: 'application/json',
+        'User-Agent': 'AI-Test-Case-Generator/1.0.0',
+        ...(body && { 'Content-Type': 'application/json' }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (parseError) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const detail = data?.message || data?.error || response.statusText;
+      throw Object.assign(new Error(typeof detail === 'string' ? detail : JSON.stringify(detail)), {
+        status: response.status,
+      });
+    }
+
+    return { data, headers: response.headers };
+  }
+
+  // Every page of a list endpoint, following X-Next-Page
+  async paginate(path, query = {}) {
+    const items = [];
+    let page = 1;
+
+    while (page && items.length < MAX_PAGINATED_ITEMS) {
+      const { data, headers } = await this.request('GET', path, {
+        query: { per_page: 100, ...query, page },
+      });
+      items.push(...data);
+      page = parseInt(headers.get('x-next-page')) || null;
+    }
+
+    return items;
+  }
+
+  // Projects are addressed by their URL-encoded path; nested groups live in `owner`
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  // A project in the shape GitHub returns repositories in
+  normalizeProject(project) {
+    return {
+      id: project.id,
+      name: project.path,
+      full_name: project.path_with_namespace,
+      description: project.description,
+      private: project.visibility !== 'public',
+      visibility: project.visibility,
+      html_url: project.web_url,
+      default_branch: project.default_branch,
+      language: null,
+      topics: project.topics || project.tag_list || [],
+      stargazers_count: project.star_count || 0,
+      forks_count: project.forks_count || 0,
+      open_issues_count: project.open_issues_count || 0,
+      created_at: project.created_at,
+      updated_at: project.last_activity_at,
+      pushed_at: project.last_activity_at,
+      owner: {
+        login: project.namespace?.full_path,
+        avatar_url: project.namespace?.avatar_url || project.avatar_url,
+        type: project.namespace?.kind === 'group' ? 'Organization' : 'User',
+      },
+      provider: 'gitlab',
+    };
+  }
+
+  // A merge request in the shape GitHub returns pull requests in
+  normalizeMergeRequest(mergeRequest) {
+    return {
+      id: mergeRequest.id,
+      number: mergeRequest.iid,
+      title: mergeRequest.title,
+      body: mergeRequest.description,
+      state: mergeRequest.state,
+      draft: mergeRequest.draft || mergeRequest.work_in_progress || false,
+      html_url: mergeRequest.web_url,
+      head: { ref: mergeRequest.source_branch, sha: mergeRequest.sha },
+      base: { ref: mergeRequest.target_branch, sha: mergeRequest.diff_refs?.base_sha },
+      user: { login: mergeRequest.author?.username },
+    };
+  }
+
+  // A diff entry in the shape GitHub returns changed files in
+  normalizeDiff(diff) {
+    let status = 'modified';
+    if (diff.new_file) status = 'added';
+    else if (diff.deleted_file) status = 'removed';
+    else if (diff.renamed_file) status = 'renamed';
+
+    return {
+      filename: diff.new_path,
+      previous_filename: diff.renamed_file ? diff.old_path : undefined,
+      status,
+      ...countDiffLines(diff.diff),
+      patch: diff.diff || undefined,
+    };
+  }
+
+  async getUser() {
+    try {
+      const { data } = await this.request('GET', '/user');
+
+      if (!data || !data.username) {
+        throw new Error('Invalid user data received from GitLab');
+      }
+
+      return {
+        id: data.id,
+        login: data.username,
+        name: data.name,
+        email: data.email || data.public_email || null,
+        avatar_url: data.avatar_url,
+        html_url: data.web_url,
+      };
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error('Invalid or expired GitLab token');
+      } else if (error.status === 403) {
+        throw new Error('GitLab token does not have required permissions');
+      }
+      throw new Error(`Failed to get user information: ${error.message}`);
+    }
+  }
+
+  // Projects the user is a member of, most recently active first
+  async getRepositories(options = {}) {
+    try {
+      const { per_page = 50, page = 1 } = options;
+      const { data } = await this.request('GET', '/projects', {
+        query: {
+          membership: true,
+          archived: false,
+          order_by: 'last_activity_at',
+          sort: 'desc',
+          per_page: Math.min(per_page, 100),
+          page,
+        },
+      });
+
+      console.log(`✅ Successfully fetched ${data.length} GitLab projects`);
+      return data.map((project) => this.normalizeProject(project));
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error('Authentication failed - please check your GitLab token');
+      }
+      throw new Error(`Failed to get repositories: ${error.message}`);
+    }
+  }
+
+  async getRepository(owner, repo) {
+    try {
+      const { data } = await this.request('GET', this.projectPath(owner, repo));
+      const languages = await this.getRepositoryLanguages(owner, repo).catch(() => ({}));
+
+      this.defaultBranches.set(`${owner}/${repo}`, data.default_branch);
+      return {
+        ...this.normalizeProject(data),
+        language: Object.keys(languages)[0] || null,
+        languages,
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Repository ${owner}/${repo} not found or not accessible`);
+      } else if (error.status === 403) {
+        throw new Error(`Access denied to repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get repository: ${error.message}`);
+    }
+  }
+
+  // Percentages per language (GitHub reports bytes; callers only compare them)
+  async getRepositoryLanguages(owner, repo) {
+    try {
+      const { data } = await this.request('GET', `${this.projectPath(owner, repo)}/languages`);
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to get repository languages: ${error.message}`);
+    }
+  }
+
+  async searchRepositories(query, options = {}) {
+    try {
+      const { per_page = 30, page = 1 } = options;
+      const { data, headers } = await this.request('GET', '/projects', {
+        query: { search: query, membership: true, per_page: Math.min(per_page, 100), page },
+      });
+
+      return {
+        total_count: parseInt(headers.get('x-total')) || data.length,
+        items: data.map((project) => this.normalizeProject(project)),
+      };
+    } catch (error) {
+      throw new Error(`Failed to search repositories: ${error.message}`);
+    }
+  }
+
+  // Branch GitLab reads files from when no ref is given
+  async getDefaultBranch(owner, repo) {
+    const key = `${owner}/${repo}`;
+    if (!this.defaultBranches.has(key)) {
+      const { data } = await this.request('GET', this.projectPath(owner, repo));
+      this.defaultBranches.set(key, data.default_branch);
+    }
+    return this.defaultBranches.get(key);
+  }
+
+  // Tree in GitHub's shape; GitLab does not report blob sizes here
+  async getRepositoryTree(owner, repo, treeSha = 'HEAD', recursive = false) {
+    try {
+      const items = await this.paginate(`${this.projectPath(owner, repo)}/repository/tree`, {
+        ref: treeSha === 'HEAD' ? undefined : treeSha,
+        recursive,
+      });
+
+      // Skip common directories that don't need testing
+      const skipDirs = ['node_modules', '.git', 'dist', 'build', '__pycache__'];
+      const tree = items
+        .filter((item) => {
+          const parts = item.path.split('/');
+          const dirs = item.type === 'tree' ? parts : parts.slice(0, -1);
+          return !dirs.some((dir) => skipDirs.includes(dir));
+        })
+        .map((item) => ({ path: item.path, mode: item.mode, type: item.type, sha: item.id }));
+
+      return { sha: treeSha, tree, truncated: items.length >= MAX_PAGINATED_ITEMS };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Repository tree not found for ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get repository tree: ${error.message}`);
+    }
+  }
+
+  // File content in GitHub's shape, with decodedContent; `ref` defaults to the default branch
+  async getFileContent(owner, repo, path, ref) {
+    try {
+      const branch = ref || (await this.getDefaultBranch(owner, repo));
+      const { data } = await this.request(
+        'GET',
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}`,
+        { query: { ref: branch } }
+      );
+
+      if (data.size > 1000000) {
+        throw new Error('File too large (>1MB)');
+      }
+
+      return {
+        type: 'file',
+        name: data.file_name,
+        path: data.file_path,
+        sha: data.blob_id,
+        size: data.size,
+        encoding: data.encoding,
+        content: data.content,
+        html_url: `${this.webUrl}/${owner}/${repo}/-/blob/${branch}/${path}`,
+        decodedContent: Buffer.from(data.content, data.encoding || 'base64').toString('utf-8'),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`File ${path} not found in repository ${owner}/${repo}`);
+      } else if (error.status === 403) {
+        throw new Error(`Access denied to file ${path} in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get file content: ${error.message}`);
+    }
+  }
+
+  async getBranches(owner, repo) {
+    try {
+      const branches = await this.paginate(`${this.projectPath(owner, repo)}/repository/branches`);
+      return branches.map((branch) => ({
+        name: branch.name,
+        commit: { sha: branch.commit?.id },
+        protected: branch.protected,
+        default: branch.default,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get branches: ${error.message}`);
+    }
+  }
+
+  async getBranchHead(owner, repo, branch) {
+    try {
+      const { data } = await this.request(
+        'GET',
+        `${this.projectPath(owner, repo)}/repository/branches/${encodeURIComponent(branch)}`
+      );
+      return data.commit.id;
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Branch ${branch} not found in repository ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get branch ${branch}: ${error.message}`);
+    }
+  }
+
+  async createBranch(owner, repo, branchName, fromBranch = 'main') {
+    try {
+      const { data } = await this.request(
+        'POST',
+        `${this.projectPath(owner, repo)}/repository/branches`,
+        { query: { branch: branchName, ref: fromBranch } }
+      );
+      return { ref: `refs/heads/${data.name}`, object: { sha: data.commit.id } };
+    } catch (error) {
+      if (error.status === 400 && /already exists/i.test(error.message)) {
+        throw new Error(`Branch ${branchName} already exists`);
+      }
+      throw new Error(`Failed to create branch: ${error.message}`);
+    }
+  }
+
+  async createFile(owner, repo, path, content, message, branch = 'main') {
+    try {
+      const { data } = await this.request(
+        'POST',
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}`,
+        { body: { branch, content, commit_message: message } }
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 400 && /already exists/i.test(error.message)) {
+        throw new Error(`File ${path} already exists`);
+      }
+      throw new Error(`Failed to create file: ${error.message}`);
+    }
+  }
+
+  // GitLab checks `last_commit_id` where GitHub checks the blob SHA; `sha` is passed through
+  async updateFile(owner, repo, path, content, message, sha, branch = 'main') {
+    try {
+      const { data } = await this.request(
+        'PUT',
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}`,
+        { body: { branch, content, commit_message: message, last_commit_id: sha } }
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 400 && /has been modified/i.test(error.message)) {
+        throw new Error(`Conflict updating file ${path}. File may have been modified.`);
+      }
+      throw new Error(`Failed to update file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write several files in a single commit on a new branch (Commits API with actions)
+   * @param {Object} options - { baseSha, branch, message, files: [{ path, content }] }
+   * @returns {Object} { commit, branch }
+   */
+  async createCommitWithFiles(owner, repo, { baseSha, branch, message, files }) {
+    try {
+      // Actions must say whether each file is new
+      const { tree } = await this.getRepositoryTree(owner, repo, baseSha, true);
+      const existing = new Set(tree.map((item) => item.path));
+
+      const { data } = await this.request(
+        'POST',
+        `${this.projectPath(owner, repo)}/repository/commits`,
+        {
+          body: {
+            branch,
+            start_sha: baseSha,
+            commit_message: message,
+            actions: files.map((file) => ({
+              action: existing.has(file.path) ? 'update' : 'create',
+              file_path: file.path,
+              content: file.content,
+            })),
+          },
+        }
+      );
+
+      return { commit: { sha: data.id, html_url: data.web_url, message: data.message }, branch };
+    } catch (error) {
+      if (error.status === 400 && /already exists/i.test(error.message)) {
+        throw new Error(`Branch ${branch} already exists`);
+      }
+      throw new Error(`Failed to commit files: ${error.message}`);
+    }
+  }
+
+  // Open a merge request; returned in the shape of a GitHub pull request
+  async createPullRequest(owner, repo, title, head, base, body = '') {
+    try {
+      const { data } = await this.request(
+        'POST',
+        `${this.projectPath(owner, repo)}/merge_requests`,
+        { body: { title, source_branch: head, target_branch: base, description: body } }
+      );
+      return this.normalizeMergeRequest(data);
+    } catch (error) {
+      if (error.status === 409) {
+        throw new Error('Invalid merge request parameters or merge request already exists');
+      }
+      throw new Error(`Failed to create merge request: ${error.message}`);
+    }
+  }
+
+  async getPullRequest(owner, repo, pullNumber) {
+    try {
+      const { data } = await this.request(
+        'GET',
+        `${this.projectPath(owner, repo)}/merge_requests/${pullNumber}`
+      );
+      return this.normalizeMergeRequest(data);
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Merge request !${pullNumber} not found in ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to get merge request: ${error.message}`);
+    }
+  }
+
+  async getPullRequestFiles(owner, repo, pullNumber) {
+    try {
+      const diffs = await this.paginate(
+        `${this.projectPath(owner, repo)}/merge_requests/${pullNumber}/diffs`
+      );
+      return diffs.map((diff) => this.normalizeDiff(diff));
+    } catch (error) {
+      throw new Error(`Failed to get merge request files: ${error.message}`);
+    }
+  }
+
+  async compareCommits(owner, repo, base, head) {
+    try {
+      const { data } = await this.request(
+        'GET',
+        `${this.projectPath(owner, repo)}/repository/compare`,
+        { query: { from: base, to: head, straight: false } }
+      );
+
+      return {
+        html_url: data.web_url || `${this.webUrl}/${owner}/${repo}/-/compare/${base}...${head}`,
+        commits: (data.commits || []).map((commit) => ({ sha: commit.id })),
+        files: (data.diffs || []).map((diff) => this.normalizeDiff(diff)),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Could not compare ${base}...${head} in ${owner}/${repo}`);
+      }
+      throw new Error(`Failed to compare commits: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GitLabService;
+module.exports.getTokenType = getTokenType;
+module.exports.normalizeApiUrl = normalizeApiUrl;
+module.exports.getWebUrl = getWebUrl;
+module.exports.getDefaultApiUrl = getDefaultApiUrl;
+module.exports.getAllowedApiUrls = getAllowedApiUrls;
+module.exports.isAllowedApiUrl = isAllowedApiUrl;
+module.exports.TOKEN_FORMATS = TOKEN_FORMATS;
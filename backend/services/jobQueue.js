@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * In-process job queue for long-running generation.
+ *
+ * Jobs are persisted as JSON files so status and results survive a browser refresh
+ * (and a server restart, where unfinished jobs are marked failed). Listeners receive
+ * `progress` and `status` events per job id for streaming to clients.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobsDir =
+      options.jobsDir || process.env.JOBS_DIR || path.join(__dirname, '..', 'data', 'jobs');
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.ttl = (options.ttlHours || parseFloat(process.env.JOB_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.controllers = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    // Every SSE connection subscribes to one job; don't warn for busy servers
+    this.setMaxListeners(0);
+    this.restore();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job. The handler registered for `type` is called with
+   * (params, { signal, progress, job }) and resolves to the job result.
+   * @param {string} type - Registered handler name
+   * @param {Object} params - Serializable input, stored with the job
+   * @param {Object} options - { owner } used to scope listing and access
+   * @param {Object} context - Non-persisted values passed to the handler (clients, callbacks)
+   */
+  submit(type, params = {}, options = {}, context = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    this.sweep();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      type,
+      owner: options.owner || null,
+      status: 'queued',
+      params,
+      progress: { phase: 'queued', message: 'Waiting for a worker' },
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    this.pending.push({ id: job.id, context });
+    console.log(`📋 Queued ${type} job ${job.id}`);
+
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  get(id) {
+    if (this.jobs.has(id)) return this.jobs.get(id);
+
+    const job = this.load(id);
+    if (job) this.jobs.set(id, job);
+    return job;
+  }
+
+  // Most recent first; finished jobs on disk are included so a refresh can find them
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter((job) => !owner || job.owner === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job;
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter((entry) => entry.id !== id);
+      this.finish(job, 'cancelled', { error: 'Cancelled before it started' });
+    } else {
+      // The handler sees the aborted signal and stops at its next checkpoint
+      this.controllers.get(id)?.abort();
+      this.update(job, { progress: { ...job.progress, message: 'Cancelling...' } });
+    }
+    return job;
+  }
+
+  // Listen to one job's events; returns the unsubscribe function
+  subscribe(id, listener) {
+    const eventName = `job:${id}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  async drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { id, context } = this.pending.shift();
+      const job = this.get(id);
+      if (!job || job.status !== 'queued') continue;
+
+      this.running++;
+      this.run(job, context).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job, context) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.update(job, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      progress: { phase: 'starting', message: 'Job started' },
+    });
+
+    const progress = (update) => {
+      if (controller.signal.aborted) return;
+      this.update(job, { progress: { ...job.progress, ...update } }, 'progress');
+    };
+
+    try {
+      const result = await this.handlers.get(job.type)(job.params, {
+        signal: controller.signal,
+        progress,
+        job,
+        ...context,
+      });
+
+      if (controller.signal.aborted) throw new JobCancelledError();
+      this.finish(job, 'completed', { result });
+    } catch (error) {
+      if (controller.signal.aborted || error instanceof JobCancelledError) {
+        this.finish(job, 'cancelled', { error: 'Cancelled by user' });
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.controllers.delete(job.id);
+    }
+  }
+
+  finish(job, status, fields) {
+    const icon = status === 'completed' ? '✅' : status === 'cancelled' ? '🛑' : '❌';
+    console.log(`${icon} Job ${job.id} ${status}`);
+    this.update(job, {
+      ...fields,
+      status,
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, phase: status },
+    });
+  }
+
+  update(job, fields, eventType = 'status') {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.persist(job);
+    this.emit(`job:${job.id}`, { type: eventType, job: this.toPublic(job) });
+  }
+
+  // Job as returned to clients: inputs stay server-side, the result only when asked for
+  toPublic(job, includeResult = false) {
+    const publicJob = { ...job, hasResult: !!job.result };
+    delete publicJob.params;
+    if (!includeResult) delete publicJob.result;
+    return publicJob;
+  }
+
+  getJobPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+
+  persist(job) {
+    try {
+      fs.mkdirSync(this.jobsDir, { recursive: true });
+      // Write then rename so a crash never leaves a half-written job file
+      const filePath = this.getJobPath(job.id);
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(job));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.error(`⚠️ Failed to persist job ${job.id}:`, error.message);
+    }
+  }
+
+  load(id) {
+    if (!/^[a-f0-9]+$/.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.getJobPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Reload persisted jobs; work that was in flight when the process stopped cannot resume
+  restore() {
+    if (!fs.existsSync(this.jobsDir)) return;
+
+    fs.readdirSync(this.jobsDir)
+      .filter((file) => file.endsWith('.json'))
+      .forEach((file) => {
+        const job = this.load(path.basename(file, '.json'));
+        if (!job) return;
+
+        this.jobs.set(job.id, job);
+        if (!this.isFinished(job)) {
+          this.finish(job, 'failed', { error: 'Interrupted by a server restart' });
+        }
+      });
+
+    this.sweep();
+  }
+
+  // Drop finished jobs older than the TTL from memory and disk
+  sweep() {
+    const cutoff = Date.now() - this.ttl;
+    this.jobs.forEach((job, id) => {
+      if (this.isFinished(job) && new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        fs.rm(this.getJobPath(id), { force: true }, () => {});
+      }
+    });
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JobCancelledError = JobCancelledError;
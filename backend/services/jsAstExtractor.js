@@ -0,0 +1,352 @@
+const { parse } = require('@babel/parser');
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+class JavaScriptAstExtractor {
+  constructor() {
+    this.baseOptions = {
+      sourceType: 'unambiguous',
+      allowImportExportEverywhere: true,
+      allowReturnOutsideFunction: true,
+      errorRecovery: true,
+    };
+  }
+
+  // Parse source, trying plugin sets that cover .js/.jsx/.ts/.tsx without knowing the extension
+  parse(content, typescript) {
+    const pluginSets = typescript
+      ? [
+          ['typescript', 'decorators-legacy'],
+          ['typescript', 'jsx', 'decorators-legacy'],
+        ]
+      : [
+          ['jsx', 'decorators-legacy'],
+          ['flow', 'jsx', 'decorators-legacy'],
+        ];
+
+    let lastError = null;
+    for (const plugins of pluginSets) {
+      try {
+        return parse(content, { ...this.baseOptions, plugins });
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // Functions, classes and methods declared at module level, in source order
+  extract(content, options = {}) {
+    const language = options.typescript ? 'typescript' : 'javascript';
+    const ast = this.parse(content, options.typescript);
+    const functions = [];
+    const exportsByName = new Map();
+    let moduleSystem = null;
+
+    const add = (node, name, extra = {}) => {
+      functions.push(this.describeFunction(node, name, content, language, extra));
+    };
+
+    const addClass = (node, name, commentNode) => {
+      const constructor = node.body.body.find((member) => member.kind === 'constructor');
+      functions.push({
+        ...this.describeFunction(constructor || node, name, content, language, {
+          commentNode,
+        }),
+        kind: 'class',
+        async: false,
+        generator: false,
+        startLine: node.loc.start.line,
+        endLine: node.loc.end.line,
+      });
+
+      node.body.body.forEach((member) => {
+        if (member.type === 'ClassMethod' && member.kind !== 'constructor' && !member.abstract) {
+          add(member, this.getKeyName(member.key), {
+            className: name,
+            kind: member.kind === 'method' ? 'method' : member.kind,
+          });
+        } else if (
+          member.type === 'ClassProperty' &&
+          member.value &&
+          FUNCTION_TYPES.includes(member.value.type)
+        ) {
+          add(member.value, this.getKeyName(member.key), {
+            className: name,
+            kind: 'method',
+            isStatic: member.static,
+            commentNode: member,
+          });
+        }
+      });
+    };
+
+    const visitDeclaration = (node, commentNode) => {
+      if (!node) return [];
+
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        add(node, node.id.name, { commentNode });
+        return [node.id.name];
+      }
+      if (node.type === 'ClassDeclaration' && node.id) {
+        addClass(node, node.id.name, commentNode);
+        return [node.id.name];
+      }
+      if (node.type === 'VariableDeclaration') {
+        return node.declarations
+          .filter((d) => d.id.type === 'Identifier' && d.init)
+          .map((d) => {
+            if (FUNCTION_TYPES.includes(d.init.type)) {
+              add(d.init, d.id.name, {
+                commentNode,
+                kind: d.init.type === 'ArrowFunctionExpression' ? 'arrow' : 'function',
+              });
+            } else if (d.init.type === 'ClassExpression') {
+              addClass(d.init, d.id.name, commentNode);
+            }
+            return d.id.name;
+          });
+      }
+      return [];
+    };
+
+    const markExport = (name, exportType, system) => {
+      if (!exportsByName.has(name) || exportType === 'default') {
+        exportsByName.set(name, exportType);
+      }
+      moduleSystem = moduleSystem || system;
+    };
+
+    ast.program.body.forEach((statement) => {
+      switch (statement.type) {
+        case 'ExportNamedDeclaration':
+          visitDeclaration(statement.declaration, statement).forEach((name) =>
+            markExport(name, 'named', 'esm')
+          );
+          (statement.specifiers || []).forEach((specifier) => {
+            if (!statement.source && specifier.local) {
+              const exported = this.getKeyName(specifier.exported);
+              markExport(specifier.local.name, exported === 'default' ? 'default' : 'named', 'esm');
+            }
+          });
+          break;
+
+        case 'ExportDefaultDeclaration': {
+          const declaration = statement.declaration;
+          if (declaration.type === 'Identifier') {
+            markExport(declaration.name, 'default', 'esm');
+          } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type)) {
+            const name = declaration.id?.name || 'default';
+            if (declaration.type === 'ClassDeclaration') {
+              addClass(declaration, name, statement);
+            } else {
+              add(declaration, name, { commentNode: statement });
+            }
+            markExport(name, 'default', 'esm');
+          } else if (FUNCTION_TYPES.includes(declaration.type)) {
+            add(declaration, 'default', { commentNode: statement });
+            markExport('default', 'default', 'esm');
+          }
+          break;
+        }
+
+        case 'ExpressionStatement':
+          this.visitCommonJsExport(statement, {
+            add: (node, name) => {
+              if (node.type === 'ClassExpression') {
+                addClass(node, name, statement);
+              } else {
+                add(node, name, {
+                  commentNode: statement,
+                  kind: node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function',
+                });
+              }
+            },
+            markExport: (name, exportType) => markExport(name, exportType, 'commonjs'),
+          });
+          break;
+
+        default:
+          visitDeclaration(statement, statement);
+      }
+    });
+
+    return functions.map((func) => {
+      let exportType = exportsByName.get(func.className || func.name) || null;
+      if (func.kind === 'class' && exportType === 'instance') {
+        // Only the singleton is reachable, not the class itself
+        exportType = null;
+      }
+      return {
+        ...func,
+        isExported: !!exportType,
+        exportType,
+        moduleSystem: exportType ? moduleSystem : null,
+      };
+    });
+  }
+
+  // module.exports = ..., module.exports.x = ..., exports.x = ...
+  visitCommonJsExport(statement, { add, markExport }) {
+    const expression = statement.expression;
+    if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') {
+      return;
+    }
+
+    const target = this.getMemberPath(expression.left);
+    const value = expression.right;
+
+    if (target === 'module.exports') {
+      if (value.type === 'Identifier') {
+        markExport(value.name, 'default');
+      } else if (value.type === 'ObjectExpression') {
+        value.properties.forEach((property) => {
+          if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+            markExport(property.value.name, 'named');
+          } else if (
+            property.type === 'ObjectMethod' ||
+            (property.type === 'ObjectProperty' && FUNCTION_TYPES.includes(property.value.type))
+          ) {
+            const name = this.getKeyName(property.key);
+            add(property.type === 'ObjectMethod' ? property : property.value, name);
+            markExport(name, 'named');
+          }
+        });
+      } else if (value.type === 'NewExpression' && value.callee.type === 'Identifier') {
+        // Singleton: tests call methods on the exported instance
+        markExport(value.callee.name, 'instance');
+      } else if ([...FUNCTION_TYPES, 'ClassExpression'].includes(value.type)) {
+        const name = value.id?.name || 'default';
+        add(value, name);
+        markExport(name, 'default');
+      }
+      return;
+    }
+
+    const match = target && target.match(/^(?:module\.)?exports\.([\w$]+)$/);
+    if (match) {
+      if (value.type === 'Identifier') {
+        markExport(value.name, 'named');
+      } else if ([...FUNCTION_TYPES, 'ClassExpression'].includes(value.type)) {
+        add(value, match[1]);
+        markExport(match[1], 'named');
+      }
+    }
+  }
+
+  describeFunction(node, name, content, language, extra = {}) {
+    const { commentNode, ...rest } = extra;
+    return {
+      name,
+      kind: 'function',
+      className: null,
+      async: !!node.async,
+      generator: !!node.generator,
+      isStatic: !!node.static,
+      params: (node.params || []).map((param) => this.describeParam(param, content)),
+      returnType: node.returnType ? this.getTypeText(node.returnType, content) : null,
+      jsdoc: this.getJsDoc(commentNode || node),
+      startLine: node.loc.start.line,
+      endLine: node.loc.end.line,
+      language,
+      ...rest,
+    };
+  }
+
+  describeParam(param, content) {
+    // TypeScript constructor shorthand: constructor(private readonly repo: Repo)
+    if (param.type === 'TSParameterProperty') {
+      return this.describeParam(param.parameter, content);
+    }
+    if (param.type === 'AssignmentPattern') {
+      return {
+        ...this.describeParam(param.left, content),
+        default: content.slice(param.right.start, param.right.end),
+        optional: true,
+      };
+    }
+    if (param.type === 'RestElement') {
+      const described = this.describeParam(param.argument, content);
+      return {
+        ...described,
+        type: param.typeAnnotation
+          ? this.getTypeText(param.typeAnnotation, content)
+          : described.type,
+        rest: true,
+      };
+    }
+
+    return {
+      name:
+        param.type === 'Identifier'
+          ? param.name
+          : content.slice(param.start, param.typeAnnotation?.start ?? param.end).trim(),
+      type: param.typeAnnotation ? this.getTypeText(param.typeAnnotation, content) : null,
+      default: null,
+      optional: !!param.optional,
+      rest: false,
+    };
+  }
+
+  getTypeText(annotation, content) {
+    const node = annotation.typeAnnotation || annotation;
+    return content.slice(node.start, node.end);
+  }
+
+  // Text of the closest /** ... */ block above a node
+  getJsDoc(node) {
+    const comment = (node.leadingComments || [])
+      .filter((c) => c.type === 'CommentBlock' && c.value.startsWith('*'))
+      .pop();
+    if (!comment) return null;
+
+    return comment.value
+      .split('\n')
+      .map((line) => line.replace(/^\s*\*+\s?/, '').trimEnd())
+      .join('\n')
+      .trim();
+  }
+
+  getKeyName(key) {
+    if (!key) return 'anonymous';
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    return 'computed';
+  }
+
+  getMemberPath(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const object = this.getMemberPath(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+  }
+
+  // "async UserService.login(email: string, retries = 3)"
+  formatSignature(func) {
+    const params = func.params
+      .map(
+        (p) =>
+          `${p.rest ? '...' : ''}${p.name}${p.type ? `: ${p.type}` : ''}${
+            p.default !== null ? ` = ${p.default}` : ''
+          }`
+      )
+      .join(', ');
+    const owner = func.className && func.kind !== 'class' ? `${func.className}.` : '';
+    const prefix = [
+      func.isStatic && 'static',
+      func.async && 'async',
+      func.kind === 'class' && 'class',
+    ]
+      .filter(Boolean)
+      .join(' ');
+
+    return `${prefix ? `${prefix} ` : ''}${owner}${func.name}(${params})${
+      func.returnType ? `: ${func.returnType}` : ''
+    }`;
+  }
+}
+
+module.exports = JavaScriptAstExtractor;
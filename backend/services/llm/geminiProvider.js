@@ -0,0 +1,96 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini adapter
+ */
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.modelName = options.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    this.generationConfig = {
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 8192,
+      ...options.generationConfig,
+    };
+    this.model = null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Lazily build the Gemini model so the server can boot without a key
+   */
+  getModel() {
+    if (!this.isConfigured()) {
+      throw new Error('GEMINI_API_KEY is required for the gemini provider');
+    }
+
+    if (!this.model) {
+      const genAI = new GoogleGenerativeAI(this.apiKey);
+      this.model = genAI.getGenerativeModel({
+        model: this.modelName,
+        generationConfig: this.generationConfig,
+        safetySettings: [
+          {
+            category: 'HARM_CATEGORY_HARASSMENT',
+            threshold: 'BLOCK_MEDIUM_AND_ABOVE',
+          },
+          {
+            category: 'HARM_CATEGORY_HATE_SPEECH',
+            threshold: 'BLOCK_MEDIUM_AND_ABOVE',
+          },
+          {
+            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+            threshold: 'BLOCK_MEDIUM_AND_ABOVE',
+          },
+          {
+            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+            threshold: 'BLOCK_MEDIUM_AND_ABOVE',
+          },
+        ],
+      });
+    }
+
+    return this.model;
+  }
+
+  /**
+   * Send a prompt and return the raw text answer
+   * @param {string} prompt
+   * @returns {Promise<string>}
+   */
+  async generate(prompt) {
+    const result = await this.getModel().generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  getErrorSuggestion(error) {
+    if (error.message.includes('not found') || error.message.includes('404')) {
+      return 'Model not found. Set GEMINI_MODEL to gemini-1.5-flash or gemini-1.5-pro';
+    }
+    if (error.message.includes('API key')) {
+      return 'Check your GEMINI_API_KEY environment variable';
+    }
+    if (error.message.includes('quota') || error.message.includes('limit')) {
+      return 'API quota exceeded. Check your billing or try again later';
+    }
+    return null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.modelName,
+      configured: this.isConfigured(),
+      remote: true,
+    };
+  }
+}
+
+module.exports = GeminiProvider;
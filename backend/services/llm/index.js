@@ -0,0 +1,159 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+const ReplayProvider = require('./replayProvider');
+
+/**
+ * Registry of LLM providers.
+ *
+ * Every provider exposes the same surface:
+ *   - name                      provider id used in LLM_PROVIDER and per-request `provider`
+ *   - isConfigured()            whether the environment has what the provider needs
+ *   - generate(prompt)          resolves to the raw text answer
+ *   - getErrorSuggestion(err)   human hint for a failed call, or null
+ *   - describe()                safe-to-expose metadata (no secrets)
+ */
+const providerFactories = {
+  gemini: (options) => new GeminiProvider(options),
+  openai: (options) => new OpenAIProvider(options),
+  local: (options) => new LocalProvider(options),
+  replay: (options) => new ReplayProvider(options),
+};
+
+// Aliases so configuration can name the server type directly
+const aliases = {
+  google: 'gemini',
+  ollama: 'local',
+  llamacpp: 'local',
+  'openai-compatible': 'openai',
+  mock: 'replay',
+  record: 'replay',
+};
+
+// Options implied by an alias (local server flavor, replay mode)
+const aliasOptions = {
+  ollama: { flavor: 'ollama' },
+  llamacpp: { flavor: 'llamacpp' },
+  record: { mode: 'record' },
+};
+
+// Replay serves recorded answers and record writes prompts, repository source included, to
+// the fixtures folder. In production only LLM_PROVIDER may pick them, never a request
+const SERVER_ONLY_PROVIDERS = ['replay'];
+
+const instances = new Map();
+
+const normalizeName = (name) => String(name).toLowerCase();
+
+const resolveName = (name) => {
+  const normalized = normalizeName(name);
+  return aliases[normalized] || normalized;
+};
+
+/**
+ * Register an additional provider factory
+ * @param {string} name
+ * @param {Function} factory - (options) => provider
+ */
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  instances.delete(normalizeName(name));
+};
+
+/**
+ * Whether a provider name (or alias) is registered
+ * @param {string} name
+ */
+const isKnownProvider = (name) => !!providerFactories[resolveName(name)];
+
+/**
+ * Get a (cached) provider instance by name
+ * @param {string} name
+ * @returns {Object} provider
+ */
+const getProvider = (name) => {
+  const key = normalizeName(name);
+  const factory = providerFactories[resolveName(key)];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`
+    );
+  }
+
+  if (!instances.has(key)) {
+    instances.set(key, factory(aliasOptions[key] || {}));
+  }
+
+  return instances.get(key);
+};
+
+/**
+ * Name of the provider used when a request does not pick one.
+ * LLM_PROVIDER wins; otherwise the first configured provider in priority order.
+ * @returns {string|null}
+ */
+const getDefaultProviderName = () => {
+  if (process.env.LLM_PROVIDER) {
+    return normalizeName(process.env.LLM_PROVIDER);
+  }
+
+  const configured = ['gemini', 'openai', 'local'].find((name) => getProvider(name).isConfigured());
+  return configured || null;
+};
+
+/**
+ * Whether a request may pick this provider (or alias) itself
+ * @param {string} name
+ */
+const isSelectableProvider = (name) =>
+  !SERVER_ONLY_PROVIDERS.includes(resolveName(name)) ||
+  process.env.NODE_ENV !== 'production' ||
+  normalizeName(name) === getDefaultProviderName();
+
+/**
+ * Resolve the provider for a request, falling back to the default
+ * @param {string} [requested]
+ * @returns {Object|null} provider, or null when nothing is configured
+ */
+const selectProvider = (requested) => {
+  const name = requested || getDefaultProviderName();
+  return name ? getProvider(name) : null;
+};
+
+/**
+ * What is wrong with the provider configuration, or null: LLM_PROVIDER must name a
+ * registered provider or alias. Checked at startup so a typo does not surface per request
+ * @returns {string|null}
+ */
+const getConfigurationError = () => {
+  const name = process.env.LLM_PROVIDER;
+  if (!name || isKnownProvider(name)) return null;
+  return `LLM_PROVIDER names an unknown provider "${name}". Available: ${[
+    ...Object.keys(providerFactories),
+    ...Object.keys(aliases),
+  ].join(', ')}`;
+};
+
+/**
+ * Describe every registered provider for status endpoints
+ */
+const listProviders = () => {
+  const defaultName = getDefaultProviderName();
+  return Object.keys(providerFactories).map((name) => ({
+    ...getProvider(name === resolveName(defaultName || '') ? defaultName : name).describe(),
+    default: !!defaultName && name === resolveName(defaultName),
+    selectable: isSelectableProvider(name),
+  }));
+};
+
+module.exports = {
+  registerProvider,
+  isKnownProvider,
+  isSelectableProvider,
+  getProvider,
+  getDefaultProviderName,
+  selectProvider,
+  getConfigurationError,
+  listProviders,
+};
@@ -0,0 +1,105 @@
+/**
+ * Adapter for self-hosted models: an Ollama server or a llama.cpp server.
+ * Code never leaves the machine or network running the model.
+ */
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.flavor = (options.flavor || process.env.LOCAL_LLM_FLAVOR || 'ollama').toLowerCase();
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.LOCAL_LLM_URL ||
+      (this.flavor === 'llamacpp' ? 'http://localhost:8080' : 'http://localhost:11434')
+    ).replace(/\/+$/, '');
+    this.modelName = options.model || process.env.LOCAL_LLM_MODEL || 'llama3';
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 8192;
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT) || 300000;
+  }
+
+  isConfigured() {
+    // Local servers need no credentials; only opt in when explicitly pointed at one
+    const selected = (process.env.LLM_PROVIDER || '').toLowerCase();
+    return !!process.env.LOCAL_LLM_URL || ['local', 'ollama', 'llamacpp'].includes(selected);
+  }
+
+  /**
+   * Send a prompt and return the raw text answer
+   * @param {string} prompt
+   * @returns {Promise<string>}
+   */
+  async generate(prompt) {
+    const request =
+      this.flavor === 'llamacpp'
+        ? {
+            url: `${this.baseUrl}/completion`,
+            body: {
+              prompt,
+              temperature: this.temperature,
+              n_predict: this.maxTokens,
+            },
+            extract: (data) => data.content,
+          }
+        : {
+            url: `${this.baseUrl}/api/generate`,
+            body: {
+              model: this.modelName,
+              prompt,
+              stream: false,
+              options: {
+                temperature: this.temperature,
+                num_predict: this.maxTokens,
+              },
+            },
+            extract: (data) => data.response,
+          };
+
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request.body),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(
+        `Local model server responded with status: ${response.status} ${body.substring(0, 200)}`
+      );
+    }
+
+    const text = request.extract(await response.json());
+    if (typeof text !== 'string') {
+      throw new Error('Local model server returned no completion text');
+    }
+    return text;
+  }
+
+  getErrorSuggestion(error) {
+    if (error.message.includes('fetch failed') || error.message.includes('ECONNREFUSED')) {
+      return `No ${this.flavor} server reachable at ${this.baseUrl}. Start it or set LOCAL_LLM_URL`;
+    }
+    if (error.message.includes('404')) {
+      return this.flavor === 'ollama'
+        ? `Model ${this.modelName} not found. Run "ollama pull ${this.modelName}" or set LOCAL_LLM_MODEL`
+        : 'Endpoint not found. Check LOCAL_LLM_FLAVOR matches the server type';
+    }
+    if (error.name === 'TimeoutError') {
+      return 'Local model timed out. Raise LLM_TIMEOUT or use a smaller model';
+    }
+    return null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      flavor: this.flavor,
+      model: this.modelName,
+      baseUrl: this.baseUrl,
+      configured: this.isConfigured(),
+      remote: false,
+    };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,97 @@
+/**
+ * Adapter for any server speaking the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, llama.cpp in OpenAI mode, ...)
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.OPENAI_BASE_URL ||
+      'https://api.openai.com/v1'
+    ).replace(/\/+$/, '');
+    this.modelName = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 8192;
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT) || 120000;
+  }
+
+  isConfigured() {
+    // Self-hosted OpenAI-compatible servers usually run without a key
+    return !!this.apiKey || !!process.env.OPENAI_BASE_URL;
+  }
+
+  /**
+   * Send a prompt and return the raw text answer
+   * @param {string} prompt
+   * @returns {Promise<string>}
+   */
+  async generate(prompt) {
+    if (!this.isConfigured()) {
+      throw new Error('OPENAI_API_KEY or OPENAI_BASE_URL is required for the openai provider');
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AI-Test-Case-Generator/1.0.0',
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.modelName,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+      }),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(
+        `OpenAI-compatible API responded with status: ${response.status} ${body.substring(0, 200)}`
+      );
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('OpenAI-compatible API returned no message content');
+    }
+    return text;
+  }
+
+  getErrorSuggestion(error) {
+    if (error.message.includes('401')) {
+      return 'Check your OPENAI_API_KEY environment variable';
+    }
+    if (error.message.includes('404')) {
+      return `Model or endpoint not found. Check OPENAI_MODEL (${this.modelName}) and OPENAI_BASE_URL`;
+    }
+    if (error.message.includes('429')) {
+      return 'Rate limit or quota exceeded. Try again later';
+    }
+    if (error.message.includes('fetch failed') || error.name === 'TimeoutError') {
+      return `Could not reach ${this.baseUrl}. Check OPENAI_BASE_URL and network access`;
+    }
+    return null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.modelName,
+      baseUrl: this.baseUrl,
+      configured: this.isConfigured(),
+      remote: true,
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
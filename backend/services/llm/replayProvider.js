@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+// Served on a hash miss only with LLM_REPLAY_STRICT=false, so new prompts can be tried offline
+const DEFAULT_FIXTURE = '_default.json';
+
+/**
+ * Offline provider that serves canned responses from fixture files keyed by prompt hash.
+ *
+ * Modes (LLM_REPLAY_MODE):
+ *   - replay  answer from <LLM_FIXTURES_DIR>/<sha256(prompt)>.json, never touches the network
+ *   - record  forward to LLM_RECORD_PROVIDER and save every answer as a fixture
+ *
+ * Replay is strict: a prompt without its own fixture fails instead of getting a canned answer.
+ */
+class ReplayProvider {
+  constructor(options = {}) {
+    this.name = 'replay';
+    this.mode = (options.mode || process.env.LLM_REPLAY_MODE || 'replay').toLowerCase();
+    this.fixturesDir = path.resolve(
+      options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+    );
+    this.recordProviderName = options.recordProvider || process.env.LLM_RECORD_PROVIDER || null;
+    this.strict = options.strict ?? process.env.LLM_REPLAY_STRICT !== 'false';
+  }
+
+  isConfigured() {
+    if (this.mode === 'record') {
+      return !!this.getRecordProvider();
+    }
+    return fs.existsSync(this.fixturesDir);
+  }
+
+  /**
+   * Stable fixture key for a prompt
+   * @param {string} prompt
+   * @returns {string} sha256 hex digest
+   */
+  hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(String(prompt)).digest('hex');
+  }
+
+  getFixturePath(hash) {
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+
+  /**
+   * Provider that record mode forwards to; never the replay provider itself
+   */
+  getRecordProvider() {
+    // Required lazily: the registry requires this module
+    const registry = require('./index');
+    const candidates = this.recordProviderName
+      ? [this.recordProviderName]
+      : ['gemini', 'openai', 'local'];
+
+    const name = candidates.find(
+      (candidate) =>
+        registry.isKnownProvider(candidate) &&
+        registry.getProvider(candidate).name !== this.name &&
+        (this.recordProviderName || registry.getProvider(candidate).isConfigured())
+    );
+    return name ? registry.getProvider(name) : null;
+  }
+
+  /**
+   * Send a prompt and return the raw text answer
+   * @param {string} prompt
+   * @returns {Promise<string>}
+   */
+  async generate(prompt) {
+    const hash = this.hashPrompt(prompt);
+
+    if (this.mode === 'record') {
+      return this.record(prompt, hash);
+    }
+
+    const fixture = this.readFixture(this.getFixturePath(hash));
+    if (fixture) {
+      console.log(`📼 Replaying LLM fixture ${hash.substring(0, 12)}`);
+      return fixture.response;
+    }
+
+    if (!this.strict) {
+      const fallback = this.readFixture(path.join(this.fixturesDir, DEFAULT_FIXTURE));
+      if (fallback) {
+        console.log(`📼 No fixture for ${hash.substring(0, 12)}, replaying ${DEFAULT_FIXTURE}`);
+        return fallback.response;
+      }
+    }
+
+    throw new Error(`No LLM fixture recorded for prompt hash ${hash}`);
+  }
+
+  async record(prompt, hash) {
+    const upstream = this.getRecordProvider();
+    if (!upstream) {
+      throw new Error('Record mode needs a configured upstream provider (LLM_RECORD_PROVIDER)');
+    }
+
+    const response = await upstream.generate(prompt);
+    const fixture = {
+      hash,
+      provider: upstream.name,
+      model: upstream.modelName || null,
+      recordedAt: new Date().toISOString(),
+      prompt,
+      response,
+    };
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(this.getFixturePath(hash), JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`⏺️ Recorded LLM fixture ${hash.substring(0, 12)} from ${upstream.name}`);
+
+    return response;
+  }
+
+  readFixture(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (typeof fixture.response !== 'string') {
+      throw new Error(`LLM fixture ${path.basename(filePath)} has no string "response"`);
+    }
+    return fixture;
+  }
+
+  getErrorSuggestion(error) {
+    if (error.message.includes('No LLM fixture')) {
+      return `Record it with LLM_REPLAY_MODE=record, or set LLM_REPLAY_STRICT=false to serve ${DEFAULT_FIXTURE}`;
+    }
+    if (error.message.includes('upstream provider')) {
+      return 'Set LLM_RECORD_PROVIDER to gemini, openai or local and configure that provider';
+    }
+    if (error instanceof SyntaxError) {
+      return 'A fixture file is not valid JSON. Re-record it or fix it by hand';
+    }
+    const upstream = this.mode === 'record' ? this.getRecordProvider() : null;
+    return upstream ? upstream.getErrorSuggestion(error) : null;
+  }
+
+  describe() {
+    const upstream = this.mode === 'record' ? this.getRecordProvider() : null;
+    return {
+      name: this.name,
+      mode: this.mode,
+      model: upstream ? `record via ${upstream.name}` : 'fixtures',
+      fixturesDir: this.fixturesDir,
+      configured: this.isConfigured(),
+      remote: !!upstream && upstream.describe().remote,
+    };
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FileAnalysisService = require('./fileAnalysis');
+const defaultWorkspaces = require('./localWorkspaces');
+
+const fsp = fs.promises;
+
+// Workspaces appear as repositories of this owner: local/<workspace id>
+const LOCAL_OWNER = 'local';
+
+// Workspaces have no history; every read is of the files as they are
+const LOCAL_REF = 'local';
+
+// Stop walking very large directories here and report the tree as truncated
+const MAX_TREE_ENTRIES = 20000;
+
+// Skip common directories that don't need testing (same as the GitHub tree)
+const SKIP_DIRS = ['node_modules', '.git', 'dist', 'build', '__pycache__'];
+
+// Git's blob id, so file SHAs look like the ones GitHub returns
+const blobSha = (content) =>
+  crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+
+/**
+ * Source client for uploaded archives and allow-listed server directories, answering
+ * the read calls of GitHubService with the same shapes so analysis and generation run
+ * unchanged. Workspaces cannot be written to: there are no branches or pull requests.
+ */
+class LocalSourceService {
+  /**
+   * @param {string} accessToken - Local session secret; only its hash is stored with workspaces
+   * @param {Object} options - { workspaces } manager, the shared one by default
+   */
+  constructor(accessToken, options = {}) {
+    if (!accessToken) {
+      throw new Error('Local session token is required');
+    }
+
+    this.provider = 'local';
+    this.baseUrl = null;
+    this.webUrl = null;
+    this.workspaces = options.workspaces || defaultWorkspaces;
+    this.ownerKey = this.workspaces.getOwnerKey(accessToken);
+    this.fileAnalysis = new FileAnalysisService();
+  }
+
+  /**
+   * Client over one directory, outside any session or workspace store; for command-line
+   * use, where the directory is given by whoever runs the command
+   * @param {string} directory
+   * @returns {LocalSourceService} the client; its `repository` is the { owner, repo } to pass
+   */
+  static forDirectory(directory) {
+    const root = path.resolve(directory);
+    const name = path.basename(root) || 'workspace';
+    const workspace = {
+      id: defaultWorkspaces.createId(name),
+      name,
+      kind: 'directory',
+      source: root,
+      root,
+      createdAt: new Date().toISOString(),
+    };
+
+    const client = new LocalSourceService(root, {
+      workspaces: {
+        getOwnerKey: () => 'directory',
+        get: async (ownerKey, id) => (id === workspace.id ? workspace : null),
+        resolvePath: (target, relativePath) => defaultWorkspaces.resolvePath(target, relativePath),
+      },
+    });
+    client.repository = { owner: LOCAL_OWNER, repo: workspace.id };
+    return client;
+  }
+
+  async getUser() {
+    return {
+      id: `local-${this.ownerKey.slice(0, 12)}`,
+      login: LOCAL_OWNER,
+      name: 'Local workspace',
+      email: null,
+      avatar_url: null,
+      html_url: null,
+    };
+  }
+
+  async getWorkspace(owner, repo) {
+    const workspace = owner === LOCAL_OWNER ? await this.workspaces.get(this.ownerKey, repo) : null;
+    if (!workspace) {
+      throw Object.assign(new Error(`Repository ${owner}/${repo} not found or not accessible`), {
+        status: 404,
+      });
+    }
+    return workspace;
+  }
+
+  // A workspace in the shape GitHub returns repositories in
+  toRepository(workspace) {
+    return {
+      id: workspace.id,
+      name: workspace.name,
+      full_name: `${LOCAL_OWNER}/${workspace.id}`,
+      description:
+        workspace.kind === 'archive'
+          ? `Uploaded archive ${workspace.source}`
+          : `Local directory ${workspace.source}`,
+      private: true,
+      html_url: null,
+      default_branch: LOCAL_REF,
+      language: null,
+      stargazers_count: 0,
+      forks_count: 0,
+      created_at: workspace.createdAt,
+      updated_at: workspace.createdAt,
+      owner: { login: LOCAL_OWNER, type: 'User' },
+      provider: 'local',
+      workspace: { kind: workspace.kind, source: workspace.source },
+    };
+  }
+
+  async getRepositories() {
+    const workspaces = await this.workspaces.list(this.ownerKey);
+    return workspaces.map((workspace) => this.toRepository(workspace));
+  }
+
+  async getRepository(owner, repo) {
+    const workspace = await this.getWorkspace(owner, repo);
+    const languages = await this.getRepositoryLanguages(owner, repo);
+    return {
+      ...this.toRepository(workspace),
+      language: Object.keys(languages)[0] || null,
+      languages,
+    };
+  }
+
+  // Bytes per language by file extension, largest first like GitHub's
+  async getRepositoryLanguages(owner, repo) {
+    const { tree } = await this.getRepositoryTree(owner, repo, LOCAL_REF, true);
+
+    const totals = {};
+    tree
+      .filter((item) => item.type === 'blob')
+      .forEach((item) => {
+        const info = this.fileAnalysis.supportedExtensions[path.extname(item.path).toLowerCase()];
+        if (info?.category !== 'source') return;
+        totals[info.type] = (totals[info.type] || 0) + item.size;
+      });
+
+    return Object.fromEntries(Object.entries(totals).sort((a, b) => b[1] - a[1]));
+  }
+
+  async searchRepositories(query) {
+    const repositories = await this.getRepositories();
+    const items = repositories.filter((repository) =>
+      repository.name.toLowerCase().includes(String(query).toLowerCase())
+    );
+    return { total_count: items.length, items };
+  }
+
+  // Walk the workspace into GitHub's tree shape; links are not followed
+  async getRepositoryTree(owner, repo, treeSha = LOCAL_REF, recursive = false) {
+    const workspace = await this.getWorkspace(owner, repo);
+    const tree = [];
+    let truncated = false;
+
+    const walk = async (relativeDir) => {
+      const entries = await fsp.readdir(path.join(workspace.root, relativeDir), {
+        withFileTypes: true,
+      });
+
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (tree.length >= MAX_TREE_ENTRIES) {
+          truncated = true;
+          return;
+        }
+
+        const itemPath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (SKIP_DIRS.includes(entry.name)) continue;
+          tree.push({ path: itemPath, mode: '040000', type: 'tree', sha: blobSha(itemPath) });
+          if (recursive) await walk(itemPath);
+        } else if (entry.isFile()) {
+          const stats = await fsp.stat(path.join(workspace.root, itemPath));
+          // Skip files larger than 100KB for analysis
+          if (stats.size > 100000) continue;
+          tree.push({
+            path: itemPath,
+            mode: '100644',
+            type: 'blob',
+            sha: blobSha(`${itemPath}:${stats.size}:${stats.mtimeMs}`),
+            size: stats.size,
+          });
+        }
+      }
+    };
+
+    try {
+      await walk('');
+    } catch (error) {
+      throw new Error(`Failed to get repository tree: ${error.message}`);
+    }
+
+    return { sha: treeSha, tree, truncated };
+  }
+
+  // File content in GitHub's shape, with decodedContent; `ref` is ignored
+  async getFileContent(owner, repo, filePath) {
+    const workspace = await this.getWorkspace(owner, repo);
+
+    let absolutePath;
+    try {
+      absolutePath = await this.workspaces.resolvePath(workspace, filePath);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`File ${filePath} not found in repository ${owner}/${repo}`);
+    }
+
+    const stats = await fsp.stat(absolutePath);
+    if (!stats.isFile()) {
+      throw new Error('Path is not a file');
+    }
+    if (stats.size > 1000000) {
+      throw new Error('File too large (>1MB)');
+    }
+
+    const content = await fsp.readFile(absolutePath);
+    return {
+      type: 'file',
+      name: path.basename(filePath),
+      path: filePath,
+      sha: blobSha(content),
+      size: stats.size,
+      encoding: 'base64',
+      content: content.toString('base64'),
+      html_url: null,
+      decodedContent: content.toString('utf-8'),
+    };
+  }
+
+  async getBranches() {
+    return [{ name: LOCAL_REF, commit: { sha: LOCAL_REF }, protected: false }];
+  }
+
+  async getBranchHead() {
+    return LOCAL_REF;
+  }
+
+  // Writes and history need a Git host; generated tests are downloaded instead
+  unsupported(action) {
+    throw Object.assign(
+      new Error(
+        `Local workspaces cannot ${action}: they have no Git host. Download the tests instead.`
+      ),
+      { statusCode: 400 }
+    );
+  }
+
+  async createBranch() {
+    this.unsupported('create branches');
+  }
+
+  async createFile() {
+    this.unsupported('write files');
+  }
+
+  async updateFile() {
+    this.unsupported('write files');
+  }
+
+  async createCommitWithFiles() {
+    this.unsupported('commit files');
+  }
+
+  async createPullRequest() {
+    this.unsupported('open pull requests');
+  }
+
+  async getPullRequest() {
+    this.unsupported('read pull requests');
+  }
+
+  async getPullRequestFiles() {
+    this.unsupported('read pull requests');
+  }
+
+  async compareCommits() {
+    this.unsupported('compare commits');
+  }
+}
+
+module.exports = LocalSourceService;
+module.exports.LOCAL_OWNER = LOCAL_OWNER;
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const yauzl = require('yauzl');
+
+const fsp = fs.promises;
+
+const ARCHIVE_FORMATS = ['.zip', '.tar.gz', '.tgz'];
+
+// Zip entries carry the Unix mode in the high 16 bits of their external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const localError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const parseRoots = (value) =>
+  (value || '')
+    .split(',')
+    .map((root) => root.trim())
+    .filter(Boolean)
+    .map((root) => path.resolve(root));
+
+const isInside = (parent, child) => {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+const openZip = (buffer) =>
+  new Promise((resolve, reject) =>
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipFile) =>
+      error ? reject(localError(`Invalid zip archive: ${error.message}`)) : resolve(zipFile)
+    )
+  );
+
+/**
+ * Workspaces for code that is not on a Git host: extracted .zip/.tar.gz uploads and
+ * server-side directories under LOCAL_SOURCE_ROOTS.
+ *
+ * Each workspace is a folder in WORKSPACES_DIR holding workspace.json (and, for
+ * uploads, the extracted files). Workspaces belong to the local session that created
+ * them, identified by a hash of its token, and are removed after LOCAL_WORKSPACE_TTL_HOURS.
+ */
+class LocalWorkspaceManager {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LOCAL_SOURCES_ENABLED === 'true';
+    this.workspacesDir =
+      options.workspacesDir ||
+      process.env.WORKSPACES_DIR ||
+      path.join(__dirname, '..', 'data', 'workspaces');
+    this.roots = options.roots || parseRoots(process.env.LOCAL_SOURCE_ROOTS);
+    this.maxUploadBytes =
+      (options.maxUploadMb || parseFloat(process.env.LOCAL_UPLOAD_MAX_MB) || 50) * 1024 * 1024;
+    this.maxExtractedBytes =
+      (options.maxExtractedMb || parseFloat(process.env.LOCAL_EXTRACT_MAX_MB) || 250) * 1024 * 1024;
+    this.maxEntries = options.maxEntries || 20000;
+    this.ttl =
+      (options.ttlHours || parseFloat(process.env.LOCAL_WORKSPACE_TTL_HOURS) || 24) *
+      60 *
+      60 *
+      1000;
+  }
+
+  // Workspaces are scoped to the session token without storing it
+  getOwnerKey(accessToken) {
+    return crypto.createHash('sha256').update(accessToken).digest('hex');
+  }
+
+  getArchiveFormat(fileName = '') {
+    const lower = fileName.toLowerCase();
+    return ARCHIVE_FORMATS.find((format) => lower.endsWith(format)) || null;
+  }
+
+  // Served without a session: whether directories are allowed, never where
+  describe() {
+    return {
+      enabled: this.enabled,
+      archiveFormats: ARCHIVE_FORMATS,
+      maxUploadBytes: this.maxUploadBytes,
+      directories: this.roots.length > 0,
+    };
+  }
+
+  // Readable, URL-safe id from the workspace name
+  createId(name) {
+    const slug =
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'workspace';
+    return `${slug}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  getWorkspaceDir(id) {
+    return path.join(this.workspacesDir, id);
+  }
+
+  async save(workspace) {
+    const file = path.join(this.getWorkspaceDir(workspace.id), 'workspace.json');
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(`${file}.tmp`, JSON.stringify(workspace, null, 2));
+    await fsp.rename(`${file}.tmp`, file);
+    return workspace;
+  }
+
+  /**
+   * Extract an uploaded archive into a new workspace
+   * @param {string} ownerKey - From getOwnerKey
+   * @param {Buffer} buffer - The .zip, .tar.gz or .tgz file
+   * @param {string} fileName - Original name, which decides the format
+   * @returns {Object} workspace
+   */
+  async createFromArchive(ownerKey, buffer, fileName) {
+    const format = this.getArchiveFormat(fileName);
+    if (!format) {
+      throw localError(`Unsupported archive. Upload one of: ${ARCHIVE_FORMATS.join(', ')}`);
+    }
+    if (!buffer || buffer.length === 0) {
+      throw localError('The uploaded archive is empty');
+    }
+    if (buffer.length > this.maxUploadBytes) {
+      throw localError(`Archive exceeds ${Math.round(this.maxUploadBytes / 1024 / 1024)} MB`, 413);
+    }
+
+    const name = path.basename(fileName).slice(0, -format.length) || 'archive';
+    const id = this.createId(name);
+    const filesDir = path.join(this.getWorkspaceDir(id), 'files');
+    await fsp.mkdir(filesDir, { recursive: true });
+
+    try {
+      const stats =
+        format === '.zip'
+          ? await this.extractZip(buffer, filesDir)
+          : await this.extractTarball(buffer, filesDir);
+
+      const workspace = await this.save({
+        id,
+        name,
+        kind: 'archive',
+        source: path.basename(fileName),
+        root: await this.unwrapSingleFolder(filesDir),
+        owner: ownerKey,
+        files: stats.files,
+        bytes: stats.bytes,
+        createdAt: new Date().toISOString(),
+      });
+      console.log(`📦 Extracted ${fileName} into workspace ${id} (${stats.files} files)`);
+      return workspace;
+    } catch (error) {
+      await fsp.rm(this.getWorkspaceDir(id), { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // Refuse archives that would extract past the limits before writing anything
+  checkLimits(stats) {
+    if (stats.files === 0) {
+      throw localError('Archive holds no regular files to analyze');
+    }
+    if (stats.files > this.maxEntries) {
+      throw localError(`Archive has more than ${this.maxEntries} files`, 413);
+    }
+    if (stats.bytes > this.maxExtractedBytes) {
+      throw localError(
+        `Archive expands to more than ${Math.round(this.maxExtractedBytes / 1024 / 1024)} MB`,
+        413
+      );
+    }
+  }
+
+  // Regular files and folders only; links could point outside the workspace
+  async extractTarball(buffer, targetDir) {
+    const stats = { files: 0, bytes: 0 };
+    const isSafe = (entryPath, entry) =>
+      ['File', 'OldFile', 'Directory'].includes(entry.type) &&
+      !path.isAbsolute(entryPath) &&
+      !entryPath.split(/[\\/]/).includes('..');
+
+    try {
+      await pipeline(
+        Readable.from([buffer]),
+        tar.t({
+          filter: isSafe,
+          onentry: (entry) => {
+            if (entry.type === 'Directory') return;
+            stats.files++;
+            stats.bytes += entry.size;
+          },
+        })
+      );
+      this.checkLimits(stats);
+
+      await pipeline(Readable.from([buffer]), tar.x({ cwd: targetDir, filter: isSafe }));
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw localError(`Invalid tar.gz archive: ${error.message}`);
+    }
+    return stats;
+  }
+
+  async extractZip(buffer, targetDir) {
+    const readEntries = async (onEntry) => {
+      const zipFile = await openZip(buffer);
+      await new Promise((resolve, reject) => {
+        zipFile.on('entry', (entry) => {
+          Promise.resolve(onEntry(zipFile, entry))
+            .then(() => zipFile.readEntry())
+            .catch((error) => {
+              zipFile.close();
+              reject(error);
+            });
+        });
+        zipFile.on('end', resolve);
+        zipFile.on('error', (error) => reject(localError(`Invalid zip archive: ${error.message}`)));
+        zipFile.readEntry();
+      });
+    };
+
+    // yauzl already rejects absolute and ../ entry names
+    const isFile = (entry) =>
+      !entry.fileName.endsWith('/') && ((entry.externalFileAttributes >>> 16) & S_IFMT) !== S_IFLNK;
+
+    const stats = { files: 0, bytes: 0 };
+    await readEntries((zipFile, entry) => {
+      if (!isFile(entry)) return;
+      stats.files++;
+      stats.bytes += entry.uncompressedSize;
+    });
+    this.checkLimits(stats);
+
+    await readEntries(async (zipFile, entry) => {
+      if (!isFile(entry)) return;
+
+      const target = path.join(targetDir, entry.fileName);
+      if (!isInside(targetDir, target)) return;
+
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      const stream = await new Promise((resolve, reject) =>
+        zipFile.openReadStream(entry, (error, readStream) =>
+          error ? reject(error) : resolve(readStream)
+        )
+      );
+      await pipeline(stream, fs.createWriteStream(target));
+    });
+
+    return stats;
+  }
+
+  // Archives of a project usually hold one top-level folder (repo-main/); use it as the root.
+  // Only that one level: folders inside it (src/) are part of the project's paths
+  async unwrapSingleFolder(dir) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    if (entries.length === 1 && entries[0].isDirectory()) {
+      return path.join(dir, entries[0].name);
+    }
+    return dir;
+  }
+
+  /**
+   * Register a server-side directory; it must sit under one of LOCAL_SOURCE_ROOTS
+   * @returns {Object} workspace
+   */
+  async createFromDirectory(ownerKey, directory, name) {
+    if (this.roots.length === 0) {
+      throw localError('Local directories are disabled. Set LOCAL_SOURCE_ROOTS to allow them', 403);
+    }
+    if (typeof directory !== 'string' || !path.isAbsolute(directory)) {
+      throw localError('Directory must be an absolute path');
+    }
+
+    let realPath;
+    try {
+      // Resolve links first so a link inside an allowed root cannot lead outside it
+      realPath = await fsp.realpath(directory);
+    } catch (error) {
+      throw localError(`Directory ${directory} does not exist`, 404);
+    }
+
+    const roots = await Promise.all(this.roots.map((root) => fsp.realpath(root).catch(() => root)));
+    if (!roots.some((root) => isInside(root, realPath))) {
+      throw localError(`Directory ${directory} is not under an allowed root`, 403);
+    }
+    if (!(await fsp.stat(realPath)).isDirectory()) {
+      throw localError(`${directory} is not a directory`);
+    }
+
+    const workspaceName = name || path.basename(realPath);
+    const workspace = await this.save({
+      id: this.createId(workspaceName),
+      name: workspaceName,
+      kind: 'directory',
+      source: realPath,
+      root: realPath,
+      owner: ownerKey,
+      createdAt: new Date().toISOString(),
+    });
+    console.log(`📁 Registered ${realPath} as workspace ${workspace.id}`);
+    return workspace;
+  }
+
+  async readAll() {
+    let ids = [];
+    try {
+      ids = await fsp.readdir(this.workspacesDir);
+    } catch (error) {
+      return [];
+    }
+
+    const workspaces = await Promise.all(
+      ids.map((id) =>
+        fsp
+          .readFile(path.join(this.getWorkspaceDir(id), 'workspace.json'), 'utf8')
+          .then(JSON.parse)
+          .catch(() => null)
+      )
+    );
+    return workspaces.filter(Boolean);
+  }
+
+  async list(ownerKey) {
+    const workspaces = await this.readAll();
+    return workspaces
+      .filter((workspace) => workspace.owner === ownerKey)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // A workspace of this owner, or null
+  async get(ownerKey, id) {
+    if (!/^[a-z0-9-]+$/.test(id || '')) return null;
+
+    try {
+      const workspace = JSON.parse(
+        await fsp.readFile(path.join(this.getWorkspaceDir(id), 'workspace.json'), 'utf8')
+      );
+      return workspace.owner === ownerKey ? workspace : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Removes extracted uploads; registered directories are left alone
+  async remove(ownerKey, id) {
+    const workspace = await this.get(ownerKey, id);
+    if (!workspace) return false;
+
+    await fsp.rm(this.getWorkspaceDir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Absolute path of a file inside a workspace
+   * @throws {Error} when the path leaves the workspace root, also through links
+   */
+  async resolvePath(workspace, relativePath = '') {
+    const target = path.resolve(workspace.root, relativePath);
+    if (!isInside(workspace.root, target)) {
+      throw localError(`Path ${relativePath} is outside the workspace`);
+    }
+
+    const realPath = await fsp.realpath(target);
+    const realRoot = await fsp.realpath(workspace.root);
+    if (!isInside(realRoot, realPath)) {
+      throw localError(`Path ${relativePath} is outside the workspace`);
+    }
+    return realPath;
+  }
+
+  // Drop workspaces older than the TTL
+  async sweep() {
+    const cutoff = Date.now() - this.ttl;
+    const expired = (await this.readAll()).filter(
+      (workspace) => new Date(workspace.createdAt).getTime() < cutoff
+    );
+
+    await Promise.all(
+      expired.map((workspace) =>
+        fsp.rm(this.getWorkspaceDir(workspace.id), { recursive: true, force: true })
+      )
+    );
+    return expired.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new LocalWorkspaceManager();
+module.exports.LocalWorkspaceManager = LocalWorkspaceManager;
+module.exports.ARCHIVE_FORMATS = ARCHIVE_FORMATS;
@@ -0,0 +1,412 @@
+const path = require('path');
+const JavaScriptAstExtractor = require('./jsAstExtractor');
+const SyntaxValidator = require('./syntaxValidator');
+
+// Sources that can be mutated; the sandbox runs the same extensions
+const MUTABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+
+// Operator swaps per mutator
+const BINARY_SWAPS = {
+  arithmetic: { '+': '-', '-': '+', '*': '/', '/': '*', '%': '*' },
+  equality: {
+    '===': '!==',
+    '!==': '===',
+    '==': '!=',
+    '!=': '==',
+    '<': '>=',
+    '>=': '<',
+    '>': '<=',
+    '<=': '>',
+  },
+};
+const LOGICAL_SWAPS = { '&&': '||', '||': '&&', '??': '&&' };
+
+// AST keys that never hold code to mutate
+const SKIPPED_KEYS = new Set([
+  'loc',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'typeAnnotation',
+  'returnType',
+  'typeParameters',
+]);
+
+// Mutant runs time out after this many times the unmutated run, and never sooner than this
+const TIMEOUT_FACTOR = 3;
+const MIN_TIMEOUT_MS = 10000;
+
+const MAX_SNIPPET_CHARS = 80;
+
+const snippet = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_SNIPPET_CHARS ? `${flat.slice(0, MAX_SNIPPET_CHARS - 3)}...` : flat;
+};
+
+// Share of detected mutants in percent, or null when no mutant was covered by a test
+const score = (detected, survived) =>
+  detected + survived > 0 ? Math.round((detected / (detected + survived)) * 100) : null;
+
+/**
+ * Mutation testing for generated JavaScript tests.
+ *
+ * Each tested source file gets small faults — flipped arithmetic, comparison and logical
+ * operators, conditions forced to true or false, dropped negations and changed constants —
+ * and the tests for that file run against every mutant in the sandbox. A mutant is killed
+ * when one of them fails, and survives when they all still pass; survivors are behaviour no
+ * test pins down and are returned as hints for further tests.
+ *
+ * Only tests that pass against the unmutated source take part. Mutants are capped at
+ * `maxMutants` per request (MUTATION_MAX_MUTANTS, default 40), shared between the files.
+ */
+class MutationTestingService {
+  constructor(testExecution, options = {}) {
+    this.testExecution = testExecution;
+    this.maxMutants = options.maxMutants || parseInt(process.env.MUTATION_MAX_MUTANTS) || 40;
+    this.jsAstExtractor = new JavaScriptAstExtractor();
+    this.syntaxValidator = new SyntaxValidator();
+  }
+
+  /**
+   * @param {Object} options - { sources, testCases, testStrategy, framework, repoPaths,
+   *   maxMutants, signal, progress }; `progress` receives the mutants tested so far, and
+   *   aborting `signal` stops the current run and skips the remaining mutants
+   * @returns {Promise<Object>} { score, summary, files, tests, survivors, baseline }.
+   *   Mutants are killed, timeout (counted as killed), survived or no-coverage; scores are
+   *   detected / (detected + survived) in percent, null when nothing was covered
+   */
+  async run(options) {
+    const { sources, testStrategy, framework, repoPaths } = options;
+    const maxMutants = Math.min(parseInt(options.maxMutants) || this.maxMutants, this.maxMutants);
+    const { signal } = options;
+    const progress = options.progress || (() => {});
+    const execute = (testCases, extra = {}) => {
+      if (signal?.aborted) throw new Error('Mutation testing was cancelled');
+      return this.testExecution.execute({
+        sources,
+        testCases,
+        testStrategy,
+        framework,
+        repoPaths,
+        signal,
+        ...extra,
+      });
+    };
+
+    progress({ phase: 'baseline', message: 'Running the tests against the unmutated source' });
+    const baseline = await execute(options.testCases);
+    const passing = new Set(
+      baseline.results.filter((result) => result.status === 'passed').map((r) => r.testCaseId)
+    );
+    const longestRun = Math.max(0, ...baseline.runs.map((run) => run.durationMs));
+    const timeoutMs = Math.max(MIN_TIMEOUT_MS, longestRun * TIMEOUT_FACTOR);
+
+    const testedFiles = [...new Set(options.testCases.map((testCase) => testCase.file))]
+      .filter((file) => file && MUTABLE_EXTENSIONS.includes(path.extname(file)))
+      .map((file) => sources.find((source) => source.path === file))
+      .filter(Boolean);
+
+    const files = [];
+    const mutants = [];
+    const tests = new Map();
+
+    for (const [index, source] of testedFiles.entries()) {
+      // An even share of what is left, so the total stays within maxMutants and a file
+      // with fewer sites leaves its unused share to the files after it
+      const share = Math.ceil((maxMutants - mutants.length) / (testedFiles.length - index));
+      const covering = options.testCases.filter(
+        (testCase) => testCase.file === source.path && passing.has(testCase.id)
+      );
+      covering.forEach((testCase) =>
+        tests.set(testCase.id, {
+          testCaseId: testCase.id,
+          file: source.path,
+          mutants: 0,
+          killed: 0,
+        })
+      );
+
+      const sites = this.findMutations(source.content, source.path);
+      const selected = this.sample(sites, share);
+      console.log(
+        `🧬 ${source.path}: ${selected.length} of ${sites.length} mutants against ${covering.length} passing test(s)`
+      );
+
+      // The mutated file is only needed for its run
+      for (const { content, ...mutant } of selected) {
+        progress({
+          phase: 'mutating',
+          message: `Testing mutant ${mutants.length + 1} in ${source.path}`,
+          mutantsTested: mutants.length,
+          filesTotal: testedFiles.length,
+          filesTested: index,
+        });
+        mutants.push(mutant);
+        mutant.killedBy = [];
+        if (covering.length === 0) {
+          mutant.status = 'no-coverage';
+          continue;
+        }
+
+        const mutatedSources = sources.map((candidate) =>
+          candidate === source ? { ...candidate, content } : candidate
+        );
+        const result = await execute(covering, { sources: mutatedSources, timeoutMs });
+
+        mutant.killedBy = result.results
+          .filter((r) => r.status === 'failed' || r.status === 'error')
+          .map((r) => r.testCaseId);
+        if (result.runs.some((run) => run.timedOut)) mutant.status = 'timeout';
+        else mutant.status = mutant.killedBy.length > 0 ? 'killed' : 'survived';
+
+        covering.forEach((testCase) => {
+          const stats = tests.get(testCase.id);
+          stats.mutants++;
+          if (mutant.killedBy.includes(testCase.id)) stats.killed++;
+        });
+      }
+
+      files.push({
+        path: source.path,
+        sitesFound: sites.length,
+        ...this.summarize(mutants.filter((mutant) => mutant.file === source.path)),
+      });
+    }
+
+    const summary = this.summarize(mutants);
+    return {
+      score: summary.score,
+      summary,
+      files,
+      tests: [...tests.values()].map((stats) => ({
+        ...stats,
+        score: stats.mutants > 0 ? Math.round((stats.killed / stats.mutants) * 100) : null,
+      })),
+      survivors: mutants
+        .filter((mutant) => mutant.status === 'survived')
+        .map((mutant) => ({
+          ...mutant,
+          hint: `No test fails when ${mutant.description}${mutant.function ? ` in ${mutant.function}()` : ''} at line ${mutant.line}; add a test whose outcome depends on it`,
+        })),
+      baseline: { summary: baseline.summary, passing: passing.size },
+    };
+  }
+
+  summarize(mutants) {
+    const count = (status) => mutants.filter((mutant) => mutant.status === status).length;
+    const summary = {
+      total: mutants.length,
+      killed: count('killed'),
+      timeout: count('timeout'),
+      survived: count('survived'),
+      noCoverage: count('no-coverage'),
+    };
+    return { ...summary, score: score(summary.killed + summary.timeout, summary.survived) };
+  }
+
+  // Evenly spaced picks so a capped file still has mutants from top to bottom
+  sample(sites, limit) {
+    if (sites.length <= limit) return sites;
+    const step = sites.length / limit;
+    return Array.from({ length: limit }, (_, index) => sites[Math.floor(index * step)]);
+  }
+
+  /**
+   * Every mutant of a source file that still parses
+   * @returns {Array} [{ id, file, mutator, line, column, function, original, mutated,
+   *   description, content }] in source order
+   */
+  findMutations(content, file) {
+    let ast;
+    try {
+      ast = this.jsAstExtractor.parse(content, false);
+    } catch (error) {
+      return [];
+    }
+    if (ast.errors?.length) return [];
+
+    const mutations = [];
+    const add = (node, functionName, mutator, start, end, replacement, description) => {
+      const mutatedNode =
+        content.slice(node.start, start) + replacement + content.slice(end, node.end);
+      const { line, column } = this.syntaxValidator.locate(content, start);
+      mutations.push({
+        mutator,
+        line,
+        column,
+        function: functionName,
+        original: snippet(content.slice(node.start, node.end)),
+        mutated: snippet(mutatedNode),
+        description,
+        content: content.slice(0, start) + replacement + content.slice(end),
+      });
+    };
+
+    const visit = (node, parent, functionName) => {
+      if (!node || typeof node.type !== 'string') return;
+      // Nothing in module specifiers or type-only code is worth mutating
+      if (/^(Import|Export(All|Named)?)Declaration$/.test(node.type) && node.source) return;
+      if (node.type.startsWith('TS') || node.type.startsWith('Flow')) return;
+      if (this.isRequireCall(node)) return;
+
+      const name = this.getFunctionName(node, parent) || functionName;
+      this.mutateNode(node, parent, content, (...args) => add(node, name, ...args));
+
+      Object.keys(node)
+        .filter((key) => !SKIPPED_KEYS.has(key))
+        .forEach((key) => {
+          const value = node[key];
+          if (Array.isArray(value)) value.forEach((child) => visit(child, node, name));
+          else if (value && typeof value === 'object') visit(value, node, name);
+        });
+    };
+    visit(ast.program, null, null);
+
+    return mutations
+      .filter((mutation) => !this.syntaxValidator.checkJavaScript(mutation.content, false))
+      .sort((a, b) => a.line - b.line || a.column - b.column)
+      .map((mutation, index) => ({
+        id: `${file}#${index + 1}`,
+        file,
+        ...mutation,
+      }));
+  }
+
+  // add(mutator, start, end, replacement, description) for each way to mutate the node
+  mutateNode(node, parent, content, add) {
+    switch (node.type) {
+      case 'BinaryExpression':
+      case 'LogicalExpression': {
+        const mutator =
+          node.type === 'LogicalExpression'
+            ? 'logical'
+            : Object.keys(BINARY_SWAPS).find((key) => BINARY_SWAPS[key][node.operator]);
+        const swap =
+          node.type === 'LogicalExpression'
+            ? LOGICAL_SWAPS[node.operator]
+            : BINARY_SWAPS[mutator]?.[node.operator];
+        if (!swap) return;
+
+        // The operator sits between the operands, possibly with parentheses and whitespace
+        const gap = content.slice(node.left.end, node.right.start);
+        const offset = gap.indexOf(node.operator);
+        if (offset === -1) return;
+        const start = node.left.end + offset;
+        add(
+          mutator,
+          start,
+          start + node.operator.length,
+          swap,
+          `"${node.operator}" is changed to "${swap}"`
+        );
+        return;
+      }
+
+      case 'IfStatement':
+      case 'ConditionalExpression': {
+        const test = content.slice(node.test.start, node.test.end);
+        if (node.test.type === 'BooleanLiteral') return;
+        ['true', 'false'].forEach((value) =>
+          add(
+            'conditional',
+            node.test.start,
+            node.test.end,
+            value,
+            `the condition "${snippet(test)}" is always ${value}`
+          )
+        );
+        return;
+      }
+
+      case 'UnaryExpression':
+        if (node.operator === '!') {
+          add(
+            'negation',
+            node.start,
+            node.argument.start,
+            '',
+            `the "!" in "${snippet(content.slice(node.start, node.end))}" is removed`
+          );
+        }
+        return;
+
+      case 'BooleanLiteral':
+        add(
+          'constant',
+          node.start,
+          node.end,
+          String(!node.value),
+          `${node.value} is changed to ${!node.value}`
+        );
+        return;
+
+      case 'NumericLiteral': {
+        const changed = String(node.value + 1);
+        add(
+          'constant',
+          node.start,
+          node.end,
+          changed,
+          `${content.slice(node.start, node.end)} is changed to ${changed}`
+        );
+        return;
+      }
+
+      case 'StringLiteral':
+        // Keys, labels and other strings that only name things are left alone
+        if (!node.value || this.isNameString(node, parent)) return;
+        add(
+          'constant',
+          node.start,
+          node.end,
+          '""',
+          `the string "${snippet(node.value)}" is emptied`
+        );
+        return;
+    }
+  }
+
+  isRequireCall(node) {
+    return (
+      node.type === 'CallExpression' &&
+      (node.callee.type === 'Import' || node.callee.name === 'require')
+    );
+  }
+
+  isNameString(node, parent) {
+    if (!parent) return false;
+    return (
+      ((parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') &&
+        parent.key === node) ||
+      ((parent.type === 'ObjectMethod' || parent.type === 'ClassMethod') && parent.key === node) ||
+      (parent.type === 'MemberExpression' && parent.property === node) ||
+      // "use strict"-style statements and typeof checks
+      parent.type === 'ExpressionStatement' ||
+      (parent.type === 'BinaryExpression' &&
+        [parent.left, parent.right].some(
+          (side) => side.type === 'UnaryExpression' && side.operator === 'typeof'
+        ))
+    );
+  }
+
+  // Name of the function a node declares, for hints; null for anything else
+  getFunctionName(node, parent) {
+    const isFunction = /Function|Method/.test(node.type) && node.body;
+    if (!isFunction) return null;
+    if (node.id?.name) return node.id.name;
+    if (node.key) return this.jsAstExtractor.getKeyName(node.key);
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      return parent.id.name;
+    }
+    if (parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') {
+      return this.jsAstExtractor.getKeyName(parent.key);
+    }
+    if (parent?.type === 'AssignmentExpression') {
+      return this.jsAstExtractor.getMemberPath(parent.left);
+    }
+    return null;
+  }
+}
+
+module.exports = MutationTestingService;
@@ -0,0 +1,398 @@
+// Rough but stable estimate; every supported model averages 3.5-4.5 characters per code token
+const CHARS_PER_TOKEN = 4;
+
+class PromptContextBuilder {
+  constructor(options = {}) {
+    // Code tokens sent per prompt; the instructions around them are not counted
+    this.tokenBudget = options.tokenBudget || parseInt(process.env.LLM_CONTEXT_TOKENS) || 6000;
+    // Upper bound on model calls for one generation request
+    this.maxBatches = options.maxBatches || parseInt(process.env.LLM_MAX_CHUNKS) || 12;
+
+    // Lines that open a function, method or class, per language family
+    this.declarationPatterns = {
+      javascript: [
+        /^\s*(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([\w$]+)/,
+        /^\s*(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([\w$]+)/,
+        /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function|\(|[\w$]+\s*=>)/,
+        /^\s*(?:module\.)?exports\.([\w$]+)\s*=/,
+        /^\s*[\w$]+\.prototype\.([\w$]+)\s*=/,
+        /^\s*(?:(?:public|private|protected|static|async|get|set|readonly)\s+)*(?!(?:if|for|while|switch|catch|function|return)\b)([\w$]+)\s*(?:<[^>]*>)?\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/,
+      ],
+      python: [/^\s*(?:async\s+)?def\s+(\w+)/, /^\s*class\s+(\w+)/],
+      go: [/^func\s+(?:\([^)]*\)\s*)?(\w+)/, /^type\s+(\w+)\s+(?:struct|interface)/],
+      rust: [
+        /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+(\w+)/,
+        /^\s*(?:pub\s+)?(?:struct|enum|trait|impl)\s+(?:<[^>]*>\s*)?(\w+)/,
+      ],
+      ruby: [/^\s*def\s+(?:self\.)?(\w+[?!]?)/, /^\s*(?:class|module)\s+(\w+)/],
+      php: [
+        /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+(\w+)/,
+        /^\s*(?:abstract\s+|final\s+)?class\s+(\w+)/,
+      ],
+      // Java, C#, C, C++, Swift, Kotlin
+      generic: [
+        /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|open)\s+)*(?:class|interface|struct|enum|record)\s+(\w+)/,
+        /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|async|synchronized|open)\s+)*(?:func|fun)\s+(\w+)/,
+        /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|async|synchronized)\s+)+[\w<>[\],.?\s]+?\s+(\w+)\s*\([^;]*$/,
+        /^[\w<>*&:\s]+?\s\**(\w+)\s*\([^;]*\)\s*(?:const\s*)?\{?\s*$/,
+      ],
+    };
+
+    // Control-flow keywords that the looser patterns above would mistake for names
+    this.keywords = new Set([
+      'if',
+      'for',
+      'while',
+      'switch',
+      'catch',
+      'return',
+      'else',
+      'do',
+      'new',
+      'sizeof',
+    ]);
+
+    // Top-of-file lines worth repeating with every chunk of the same file
+    this.contextLinePattern =
+      /^\s*(?:import\s|from\s+\S+\s+import|package\s|using\s|#include|require\(|use\s|(?:const|let|var)\s+[\w${},\s]+=\s*require\()/;
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  // Split files into chunks and pack them into prompt-sized batches
+  planFiles(files, options = {}) {
+    const tokenBudget = options.tokenBudget || this.tokenBudget;
+    const maxBatches = options.maxBatches || this.maxBatches;
+    const chunks = files.flatMap((file) => this.splitFile(file, tokenBudget));
+
+    const batches = [];
+    let current = null;
+    chunks.forEach((chunk) => {
+      if (!current || current.tokens + chunk.tokens > tokenBudget) {
+        current = { index: batches.length, chunks: [], tokens: 0 };
+        batches.push(current);
+      }
+      current.chunks.push(chunk);
+      current.tokens += chunk.tokens;
+    });
+
+    const scheduled = batches.slice(0, maxBatches);
+    return {
+      tokenBudget,
+      batches: scheduled,
+      chunks,
+      skipped: batches.slice(maxBatches).flatMap((batch) => batch.chunks),
+    };
+  }
+
+  // Cut one file into chunks along function/class boundaries
+  splitFile(file, tokenBudget = this.tokenBudget) {
+    const content = file.content || '';
+    const lines = content.split('\n');
+    const language = file.language || 'javascript';
+
+    if (file.ranges?.length > 0) {
+      return this.splitRanges(file, lines, language, tokenBudget);
+    }
+
+    if (this.estimateTokens(content) <= tokenBudget) {
+      return [
+        this.createChunk(file, lines, {
+          startLine: 1,
+          endLine: lines.length,
+          symbols: [],
+          index: 0,
+          total: 1,
+          header: '',
+        }),
+      ];
+    }
+
+    const header = this.getContextHeader(lines, Math.floor(tokenBudget / 10));
+    const pieceBudget = tokenBudget - this.estimateTokens(header);
+    const pieces = this.splitRange(lines, 0, lines.length, language, pieceBudget);
+
+    // Pack neighbouring pieces so each chunk uses as much of the budget as possible
+    const groups = [];
+    pieces.forEach((piece) => {
+      const last = groups[groups.length - 1];
+      if (last && last.tokens + piece.tokens <= pieceBudget) {
+        last.end = piece.end;
+        last.tokens += piece.tokens;
+        last.symbols.push(...piece.symbols);
+      } else {
+        groups.push({ ...piece, symbols: [...piece.symbols] });
+      }
+    });
+
+    return groups.map((group, index) =>
+      this.createChunk(file, lines, {
+        startLine: group.start + 1,
+        endLine: group.end,
+        symbols: [...new Set(group.symbols)],
+        index,
+        total: groups.length,
+        header: index === 0 ? '' : header,
+      })
+    );
+  }
+
+  // Only the given line ranges of a file (e.g. what a diff changed), one chunk per range
+  splitRanges(file, lines, language, tokenBudget = this.tokenBudget) {
+    const header = this.getContextHeader(lines, Math.floor(tokenBudget / 10));
+    const pieceBudget = tokenBudget - this.estimateTokens(header);
+
+    const pieces = file.ranges.flatMap(({ startLine, endLine, symbols = [] }) => {
+      const tokens = this.estimateTokens(lines.slice(startLine - 1, endLine).join('\n'));
+      if (tokens <= pieceBudget) {
+        return [{ start: startLine - 1, end: endLine, tokens, symbols }];
+      }
+      return this.splitRange(lines, startLine - 1, endLine, language, pieceBudget);
+    });
+
+    return pieces.map((piece, index) =>
+      this.createChunk(file, lines, {
+        startLine: piece.start + 1,
+        endLine: piece.end,
+        symbols: [...new Set(piece.symbols)],
+        index,
+        total: pieces.length,
+        header: piece.start === 0 ? '' : header,
+      })
+    );
+  }
+
+  createChunk(file, lines, { startLine, endLine, symbols, index, total, header }) {
+    const code = lines.slice(startLine - 1, endLine).join('\n');
+    const content = header ? `${header}\n// ...\n${code}` : code;
+    return {
+      id: `${file.path}#${startLine}-${endLine}`,
+      file: file.path,
+      name: file.name,
+      totalLines: lines.length,
+      startLine,
+      endLine,
+      symbols,
+      index,
+      total,
+      // Whether the model sees less than the whole file
+      partial: total > 1 || startLine > 1 || endLine < lines.length,
+      content,
+      tokens: this.estimateTokens(content),
+    };
+  }
+
+  // Split lines [start, end) at the outermost declarations, recursing into oversized ones
+  splitRange(lines, start, end, language, budget) {
+    const declarations = [];
+    for (let i = start; i < end; i++) {
+      const name = this.getDeclarationName(lines[i], language);
+      if (name) {
+        declarations.push({ line: i, name, indent: this.getIndent(lines[i]) });
+      }
+    }
+
+    const outerIndent = Math.min(...declarations.map((d) => d.indent));
+    const boundaries = declarations
+      .filter((d) => d.indent === outerIndent)
+      .map((d) => ({
+        ...d,
+        line: this.includeLeadingComments(lines, d.line, start),
+        declLine: d.line,
+      }))
+      .filter((d, i) => d.line > start || i === 0);
+
+    if (boundaries.length === 0 || (boundaries.length === 1 && boundaries[0].line === start)) {
+      // A single declaration spanning the whole range: look one level deeper
+      const nested = boundaries.length === 1 && end - boundaries[0].declLine > 1;
+      if (nested && declarations.some((d) => d.indent > outerIndent)) {
+        const bodyStart = boundaries[0].declLine + 1;
+        const inner = this.splitRange(lines, bodyStart, end, language, budget);
+        inner[0] = {
+          ...inner[0],
+          start,
+          tokens: inner[0].tokens + this.estimateTokens(lines.slice(start, bodyStart).join('\n')),
+          symbols: [boundaries[0].name, ...inner[0].symbols],
+        };
+        return inner;
+      }
+      return this.splitByLines(
+        lines,
+        start,
+        end,
+        budget,
+        boundaries.map((d) => d.name)
+      );
+    }
+
+    const pieces = [];
+    const starts = boundaries.map((d) => d.line);
+    if (starts[0] > start) {
+      starts.unshift(start);
+      boundaries.unshift(null);
+    }
+
+    starts.forEach((pieceStart, i) => {
+      const pieceEnd = i + 1 < starts.length ? starts[i + 1] : end;
+      const text = lines.slice(pieceStart, pieceEnd).join('\n');
+      const tokens = this.estimateTokens(text);
+      const symbols = boundaries[i] ? [boundaries[i].name] : [];
+
+      if (tokens <= budget) {
+        pieces.push({ start: pieceStart, end: pieceEnd, tokens, symbols });
+      } else if (pieceEnd - pieceStart > 1 && boundaries[i]) {
+        pieces.push(...this.splitRange(lines, pieceStart, pieceEnd, language, budget));
+      } else {
+        pieces.push(...this.splitByLines(lines, pieceStart, pieceEnd, budget, symbols));
+      }
+    });
+
+    return pieces;
+  }
+
+  // Last resort for code without usable boundaries: cut on line breaks
+  splitByLines(lines, start, end, budget, symbols = []) {
+    const pieces = [];
+    let current = null;
+
+    for (let i = start; i < end; i++) {
+      // Keep at least one line per piece; an enormous single line is sent truncated
+      const line = lines[i].substring(0, budget * CHARS_PER_TOKEN);
+      const tokens = this.estimateTokens(line) + 1;
+      if (!current || current.tokens + tokens > budget) {
+        current = { start: i, end: i + 1, tokens: 0, symbols: pieces.length === 0 ? symbols : [] };
+        pieces.push(current);
+      }
+      current.end = i + 1;
+      current.tokens += tokens;
+    }
+
+    return pieces;
+  }
+
+  getDeclarationName(line, language) {
+    if (!line || !line.trim()) return null;
+
+    const family = ['javascript', 'typescript'].includes(language)
+      ? 'javascript'
+      : this.declarationPatterns[language]
+        ? language
+        : 'generic';
+
+    for (const pattern of this.declarationPatterns[family]) {
+      const match = line.match(pattern);
+      if (match && !this.keywords.has(match[1])) return match[1];
+    }
+    return null;
+  }
+
+  getIndent(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+  }
+
+  // Keep decorators and doc comments attached to the declaration below them
+  includeLeadingComments(lines, line, floor) {
+    let first = line;
+    while (first - 1 >= floor && /^\s*(?:@|\/\/|\/\*|\*|#(?!include)|""")/.test(lines[first - 1])) {
+      first--;
+    }
+    return first;
+  }
+
+  // Imports/requires from the top of the file, trimmed to a token budget
+  getContextHeader(lines, budget) {
+    const header = [];
+    let tokens = 0;
+
+    for (const line of lines.slice(0, 200)) {
+      if (!this.contextLinePattern.test(line)) continue;
+      tokens += this.estimateTokens(line) + 1;
+      if (tokens > budget) break;
+      header.push(line);
+    }
+
+    return header.join('\n');
+  }
+
+  // Chunks in the shape buildTestGenerationPrompt expects
+  toPromptFiles(batch) {
+    return batch.chunks.map((chunk) => ({
+      path: chunk.file,
+      name: chunk.name,
+      content: chunk.content,
+      chunk: {
+        index: chunk.index,
+        total: chunk.total,
+        partial: chunk.partial,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        totalLines: chunk.totalLines,
+        symbols: chunk.symbols,
+      },
+    }));
+  }
+
+  // Merge per-chunk results into one suite per file, in the order files were given
+  mergeByFile(testCases, files) {
+    const order = new Map(files.map((file, index) => [file.path, index]));
+    const seenTitles = new Map();
+    const seenIds = new Set();
+
+    return testCases
+      .map((tc, index) => ({ tc, index }))
+      .sort((a, b) => {
+        const fileA = order.has(a.tc.file) ? order.get(a.tc.file) : files.length;
+        const fileB = order.has(b.tc.file) ? order.get(b.tc.file) : files.length;
+        return fileA - fileB || a.index - b.index;
+      })
+      .map(({ tc }) => tc)
+      .filter((tc) => {
+        const titles = seenTitles.get(tc.file) || new Set();
+        seenTitles.set(tc.file, titles);
+
+        const key = `${tc.function || ''}::${(tc.title || '').toLowerCase().trim()}`;
+        if (titles.has(key)) return false;
+        titles.add(key);
+        return true;
+      })
+      .map((tc) => {
+        // Chunks answered independently can reuse ids like "test_1"
+        let id = tc.id;
+        for (let n = 2; seenIds.has(id); n++) {
+          id = `${tc.id}_${n}`;
+        }
+        seenIds.add(id);
+        return id === tc.id ? tc : { ...tc, id };
+      });
+  }
+
+  // Which line ranges of each file reached the model, fell back to templates or were skipped
+  describeCoverage(files, plan, statusByChunk) {
+    return files.map((file) => {
+      const chunks = plan.chunks.filter((chunk) => chunk.file === file.path);
+      const totalLines = chunks[0]?.totalLines || (file.content || '').split('\n').length;
+      const ranges = chunks.map((chunk) => ({
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        symbols: chunk.symbols,
+        status: statusByChunk.get(chunk.id) || 'skipped',
+      }));
+      const coveredLines = ranges
+        .filter((range) => range.status === 'generated')
+        .reduce((sum, range) => sum + range.endLine - range.startLine + 1, 0);
+
+      return {
+        file: file.path,
+        totalLines,
+        chunks: chunks.length,
+        ranges,
+        coveredLines,
+        coveragePercent: totalLines ? Math.round((coveredLines / totalLines) * 100) : 0,
+      };
+    });
+  }
+}
+
+module.exports = PromptContextBuilder;
@@ -0,0 +1,223 @@
+const path = require('path');
+
+// Hidden marker identifying our comment, so later pushes edit it instead of adding another
+const COMMENT_MARKER = '<!-- testgen:suggested-tests -->';
+
+// GitHub rejects comment bodies over 65536 characters; leave room for the footer
+const MAX_COMMENT_LENGTH = 60000;
+
+const CHECK_RUN_NAME = 'Suggested tests';
+
+class PullRequestReviewService {
+  /**
+   * Post the suggested tests for a pull request, editing our earlier comment when there is one
+   * @param {GitHubService} githubService
+   * @param {Object} pullRequest - { owner, repo, number, headSha }
+   * @param {Object} result - Diff generation result, or null when nothing could be generated
+   * @param {Object} options - { reason } why nothing was generated, { checkRun } to also
+   *   report a check run on the head commit
+   * @returns {Object} { comment, checkRun } where either is null when not posted
+   */
+  async publish(githubService, pullRequest, result, options = {}) {
+    const { owner, repo, number, headSha } = pullRequest;
+
+    const [comments, identity] = await Promise.all([
+      githubService.listIssueComments(owner, repo, number),
+      this.getIdentity(githubService),
+    ]);
+    const existing = comments.find((comment) => this.isOwnComment(comment, identity));
+    const body = result
+      ? this.buildComment(result, headSha)
+      : this.buildEmptyComment(options.reason, headSha);
+
+    let comment = null;
+    if (existing) {
+      comment = await githubService.updateIssueComment(owner, repo, existing.id, body);
+      console.log(`💬 Updated suggested tests comment on ${owner}/${repo}#${number}`);
+    } else if (result) {
+      comment = await githubService.createIssueComment(owner, repo, number, body);
+      console.log(`💬 Commented suggested tests on ${owner}/${repo}#${number}`);
+    }
+
+    let checkRun = null;
+    if (options.checkRun && headSha) {
+      try {
+        checkRun = await githubService.createCheckRun(owner, repo, {
+          name: CHECK_RUN_NAME,
+          headSha,
+          detailsUrl: comment?.html_url,
+          ...this.buildCheckRunOutput(result, options.reason),
+        });
+      } catch (error) {
+        // The comment already carries the suggestions; a missing check run is not fatal
+        console.error('❌ Failed to create check run:', error.message);
+      }
+    }
+
+    return {
+      comment: comment ? { id: comment.id, url: comment.html_url, updated: !!existing } : null,
+      checkRun: checkRun ? { id: checkRun.id, url: checkRun.html_url } : null,
+    };
+  }
+
+  /**
+   * Who our comments are posted as. A token acts as its user; an installation token posts
+   * as the app's bot, named by GITHUB_WEBHOOK_APP_SLUG since the token cannot look its app up
+   * @returns {Promise<Object>} { login } of the author, { appSlug } for a named app
+   */
+  async getIdentity(githubService) {
+    if (githubService.tokenType === 'installation') {
+      const appSlug = process.env.GITHUB_WEBHOOK_APP_SLUG;
+      return appSlug ? { login: `${appSlug}[bot]`, appSlug } : { login: null, appSlug: null };
+    }
+    const user = await githubService.getUser();
+    return { login: user.login, appSlug: null };
+  }
+
+  // Our marker in a comment we posted; anyone can paste the marker into a comment of theirs
+  isOwnComment(comment, identity) {
+    if (!(comment.body || '').includes(COMMENT_MARKER)) return false;
+
+    const app = comment.performed_via_github_app;
+    if (identity.appSlug) {
+      return app?.slug === identity.appSlug || comment.user?.login === identity.login;
+    }
+    if (identity.login) {
+      return comment.user?.login === identity.login;
+    }
+    // An app we cannot name: at least a bot posting through an app, never a person
+    return !!app && comment.user?.type === 'Bot';
+  }
+
+  // Overview line, then every changed file with its tests folded under their titles
+  buildComment(result, headSha) {
+    const tests = result.testCases.length;
+    const header = [
+      COMMENT_MARKER,
+      '## 🧪 Suggested tests',
+      '',
+      `${tests} test${tests === 1 ? '' : 's'} suggested for ${result.files.length} changed file${
+        result.files.length === 1 ? '' : 's'
+      }${headSha ? ` at ${headSha.slice(0, 7)}` : ''}. Only the changed functions were sent to the generator; review before adding them.`,
+      '',
+    ].join('\n');
+    const footer = [
+      this.describeSkipped(result.skipped),
+      '<sub>Generated by AI Test Case Generator. This comment is updated on every push.</sub>',
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+
+    let budget = MAX_COMMENT_LENGTH - header.length - footer.length;
+    let omitted = 0;
+    const sections = result.files.map((file) => {
+      const lines = [
+        `### \`${file.path}\` (+${file.additions} −${file.deletions})`,
+        file.functions.length > 0
+          ? `Changed: ${file.functions.map((func) => `\`${func.name}\``).join(', ')}`
+          : `Changed lines outside functions: ${file.changedLines.length}`,
+        '',
+      ];
+      if (file.testCases.length === 0) {
+        lines.push('_No tests suggested for this file._', '');
+      }
+      budget -= lines.join('\n').length;
+
+      file.testCases.forEach((testCase) => {
+        const block = this.formatTestCase(testCase, file.path);
+        if (block.length > budget) {
+          omitted++;
+          return;
+        }
+        budget -= block.length;
+        lines.push(block, '');
+      });
+
+      return lines.join('\n');
+    });
+
+    if (omitted > 0) {
+      sections.push(
+        `_${omitted} more test${omitted === 1 ? '' : 's'} not shown (comment size limit)._\n`
+      );
+    }
+
+    return [header, ...sections, footer].join('\n');
+  }
+
+  // Shown in place of suggestions once a later push leaves nothing to generate for
+  buildEmptyComment(reason, headSha) {
+    return [
+      COMMENT_MARKER,
+      '## 🧪 Suggested tests',
+      '',
+      `No tests suggested${headSha ? ` at ${headSha.slice(0, 7)}` : ''}. ${
+        reason || 'Nothing to generate for'
+      }.`,
+      '',
+      '<sub>Generated by AI Test Case Generator. This comment is updated on every push.</sub>',
+    ].join('\n');
+  }
+
+  formatTestCase(testCase, filePath) {
+    const meta = [testCase.type, testCase.priority].filter(Boolean).join(', ');
+    const code = (testCase.code || '').trim();
+    // A longer fence keeps code that itself contains ``` from closing the block
+    const fence = code.includes('```') ? '````' : '```';
+    const description = (testCase.description || '').replace(/\s+/g, ' ').trim();
+
+    return [
+      '<details>',
+      `<summary><b>${this.escapeHtml(testCase.title || testCase.id)}</b>${
+        meta ? ` (${meta})` : ''
+      }</summary>`,
+      '',
+      ...(description ? [description, ''] : []),
+      ...(code ? [`${fence}${path.extname(filePath).slice(1)}`, code, fence, ''] : []),
+      '</details>',
+    ].join('\n');
+  }
+
+  describeSkipped(skipped = []) {
+    if (skipped.length === 0) return '';
+
+    const items = skipped.map((file) => `- \`${file.path}\`: ${file.reason}`);
+    return [
+      `<details><summary>${skipped.length} changed file${
+        skipped.length === 1 ? '' : 's'
+      } skipped</summary>`,
+      '',
+      ...items,
+      '</details>',
+    ].join('\n');
+  }
+
+  // Check run title and summary: totals and a per-file table; the comment has the code
+  buildCheckRunOutput(result, reason) {
+    if (!result) {
+      return { title: 'No tests suggested', summary: reason || 'Nothing to generate for' };
+    }
+
+    const tests = result.testCases.length;
+    return {
+      title: `${tests} suggested test${tests === 1 ? '' : 's'}`,
+      summary: [
+        '| Changed file | Changed functions | Suggested tests |',
+        '| --- | --- | --- |',
+        ...result.files.map(
+          (file) =>
+            `| \`${file.path}\` | ${
+              file.functions.map((func) => `\`${func.name}\``).join(', ') || '—'
+            } | ${file.testCases.length} |`
+        ),
+      ].join('\n'),
+    };
+  }
+
+  escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = PullRequestReviewService;
+module.exports.COMMENT_MARKER = COMMENT_MARKER;
@@ -0,0 +1,356 @@
+// Decorators that change how a method is called
+const METHOD_DECORATORS = {
+  staticmethod: 'staticmethod',
+  classmethod: 'classmethod',
+  property: 'property',
+  'functools.cached_property': 'property',
+  cached_property: 'property',
+};
+
+class PythonAnalyzer {
+  // Module-level functions, classes and their methods, in source order
+  extract(content) {
+    const lines = this.toLogicalLines(content);
+    const symbols = [];
+    const scopes = [];
+    const exported = this.getDunderAll(lines);
+    let decorators = [];
+    let awaitingDocstring = null;
+    let lastCodeLine = 0;
+
+    const closeScopes = (indent) => {
+      while (scopes.length && scopes[scopes.length - 1].indent >= indent) {
+        const scope = scopes.pop();
+        if (scope.symbol) scope.symbol.endLine = lastCodeLine;
+      }
+    };
+
+    lines.forEach((line) => {
+      if (awaitingDocstring) {
+        const docstring =
+          line.indent > awaitingDocstring.indent ? this.getDocstring(line.text) : null;
+        if (docstring !== null) awaitingDocstring.symbol.docstring = docstring;
+        awaitingDocstring = null;
+      }
+
+      closeScopes(line.indent);
+      lastCodeLine = line.endLine;
+
+      const parent = scopes[scopes.length - 1];
+      // Functions nested in functions are implementation details, not test targets
+      const insideFunction = scopes.some((scope) => scope.kind === 'def');
+
+      if (line.text.startsWith('@')) {
+        decorators.push({ text: line.text.slice(1).trim(), line: line.startLine });
+        return;
+      }
+
+      const def = line.text.match(/^(async\s+)?def\s+(\w+)\s*\(/);
+      const cls = line.text.match(/^class\s+(\w+)\s*(?:\(([\s\S]*?)\))?\s*:/);
+
+      if (def) {
+        const symbol = insideFunction
+          ? null
+          : this.describeFunction(line, def, decorators, parent?.kind === 'class' ? parent : null);
+        if (symbol) symbols.push(symbol);
+        scopes.push({ kind: 'def', indent: line.indent, symbol });
+        if (symbol) awaitingDocstring = { symbol, indent: line.indent };
+      } else if (cls) {
+        const className = parent?.kind === 'class' ? `${parent.name}.${cls[1]}` : cls[1];
+        const symbol = insideFunction
+          ? null
+          : {
+              name: className,
+              kind: 'class',
+              className: null,
+              async: false,
+              isStatic: false,
+              decorators: decorators.map((d) => d.text),
+              bases: cls[2] ? this.splitTopLevel(cls[2]).filter(Boolean) : [],
+              params: [],
+              returnType: null,
+              docstring: null,
+              startLine: decorators[0]?.line || line.startLine,
+              endLine: line.endLine,
+              language: 'python',
+            };
+        if (symbol) symbols.push(symbol);
+        scopes.push({ kind: 'class', name: className, indent: line.indent, symbol });
+        if (symbol) awaitingDocstring = { symbol, indent: line.indent };
+      }
+
+      decorators = [];
+    });
+    closeScopes(-1);
+
+    // Constructor signatures belong to the class; methods carry them for instance fixtures
+    const initByClass = new Map(
+      symbols
+        .filter((s) => s.kind === 'method' && s.name === '__init__')
+        .map((s) => [s.className, s.params])
+    );
+
+    return symbols
+      .filter((s) => !(s.className && /^__\w+__$/.test(s.name)))
+      .map((s) => {
+        const owner = s.kind === 'class' ? s.name : s.className;
+        const topLevel = (owner || s.name).split('.')[0];
+        const isExported = exported ? exported.includes(topLevel) : !topLevel.startsWith('_');
+        const classParams = owner ? initByClass.get(owner) || [] : undefined;
+
+        return {
+          ...s,
+          params: s.kind === 'class' ? classParams : s.params,
+          classParams: s.kind === 'class' ? undefined : classParams,
+          jsdoc: s.docstring,
+          isExported,
+          exportType: isExported ? 'named' : null,
+          moduleSystem: isExported ? 'python' : null,
+        };
+      });
+  }
+
+  describeFunction(line, match, decorators, parentClass) {
+    const open = match[0].length - 1;
+    const close = this.findClosingParen(line.text, open);
+    const paramsText = line.text.slice(open + 1, close);
+    const returnMatch = line.text.slice(close + 1).match(/^\s*->\s*([\s\S]+?)\s*:/);
+
+    const decoratorNames = decorators.map((d) => d.text.replace(/\(.*$/s, '').trim());
+    const methodKind = decoratorNames.map((name) => METHOD_DECORATORS[name]).find(Boolean);
+    const isSetter = decoratorNames.some((name) => /\.(setter|deleter)$/.test(name));
+
+    let params = this.splitTopLevel(paramsText)
+      .map((param) => this.describeParam(param))
+      .filter(Boolean);
+    // Bound methods receive self/cls implicitly
+    if (parentClass && methodKind !== 'staticmethod' && params.length) {
+      params = params.slice(1);
+    }
+
+    let kind = 'function';
+    if (parentClass) {
+      kind = isSetter ? 'setter' : methodKind || 'method';
+    }
+
+    return {
+      name: match[2],
+      kind,
+      className: parentClass ? parentClass.name : null,
+      async: !!match[1],
+      isStatic: kind === 'staticmethod' || kind === 'classmethod',
+      decorators: decorators.map((d) => d.text),
+      params,
+      returnType: returnMatch ? returnMatch[1].trim() : null,
+      docstring: null,
+      startLine: decorators[0]?.line || line.startLine,
+      endLine: line.endLine,
+      language: 'python',
+    };
+  }
+
+  // "x: int = 1", "*args", "**kwargs: Any"; bare "*" and "/" markers are dropped
+  describeParam(text) {
+    const param = text.trim();
+    if (!param || param === '*' || param === '/') return null;
+
+    const equals = this.findTopLevel(param, '=');
+    const left = equals === -1 ? param : param.slice(0, equals);
+    const defaultValue = equals === -1 ? null : param.slice(equals + 1).trim();
+    const colon = this.findTopLevel(left, ':');
+    const rawName = (colon === -1 ? left : left.slice(0, colon)).trim();
+
+    return {
+      name: rawName.replace(/^\*{1,2}/, ''),
+      type: colon === -1 ? null : left.slice(colon + 1).trim(),
+      default: defaultValue,
+      optional: defaultValue !== null,
+      rest: rawName.startsWith('*'),
+      keywordRest: rawName.startsWith('**'),
+    };
+  }
+
+  // "def f(a: int = 1) -> str"
+  formatSignature(func) {
+    const params = func.params
+      .map((p) => {
+        const stars = p.keywordRest ? '**' : p.rest ? '*' : '';
+        return `${stars}${p.name}${p.type ? `: ${p.type}` : ''}${
+          p.default !== null ? ` = ${p.default}` : ''
+        }`;
+      })
+      .join(', ');
+    const owner = func.className ? `${func.className}.` : '';
+    const keyword = func.kind === 'class' ? 'class' : `${func.async ? 'async ' : ''}def`;
+    const decorator = ['staticmethod', 'classmethod', 'property'].includes(func.kind)
+      ? `@${func.kind} `
+      : '';
+
+    return `${decorator}${keyword} ${owner}${func.name}(${params})${
+      func.returnType ? ` -> ${func.returnType}` : ''
+    }`;
+  }
+
+  /**
+   * Join physical lines into logical statements: open brackets, backslashes and
+   * triple-quoted strings continue a statement. Comments and blank lines are dropped.
+   */
+  toLogicalLines(content) {
+    const physical = (content || '').split('\n');
+    const logical = [];
+    let current = null;
+    let depth = 0;
+    let quote = null;
+
+    physical.forEach((raw, index) => {
+      const insideString = !!quote;
+      let text = '';
+      let continued = false;
+
+      for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+
+        if (quote) {
+          text += ch;
+          if (ch === '\\') {
+            text += raw[i + 1] || '';
+            i++;
+          } else if (raw.startsWith(quote, i)) {
+            text += quote.slice(1);
+            i += quote.length - 1;
+            quote = null;
+          }
+          continue;
+        }
+
+        if (ch === '#') break;
+        if (ch === '"' || ch === "'") {
+          quote = raw.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+          text += quote;
+          i += quote.length - 1;
+          continue;
+        }
+        if ('([{'.includes(ch)) depth++;
+        if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+        if (ch === '\\' && i === raw.length - 1) {
+          continued = true;
+          break;
+        }
+        text += ch;
+      }
+
+      // Single-quoted strings cannot span lines; recover from unterminated ones
+      if (quote && quote.length === 1) quote = null;
+
+      if (current) {
+        current.text += insideString ? `\n${text}` : ` ${text.trim()}`;
+        current.endLine = index + 1;
+      } else if (text.trim()) {
+        current = {
+          text: text.trim(),
+          indent: raw.match(/^\s*/)[0].replace(/\t/g, '        ').length,
+          startLine: index + 1,
+          endLine: index + 1,
+        };
+      }
+
+      if (current && !quote && depth === 0 && !continued) {
+        logical.push(current);
+        current = null;
+      }
+    });
+
+    if (current) logical.push(current);
+    return logical;
+  }
+
+  // A statement that is only a string literal, unquoted
+  getDocstring(text) {
+    const match = text.match(/^[rRuU]?("""|'''|"|')([\s\S]*)\1$/);
+    if (!match) return null;
+
+    const lines = match[2].split('\n');
+    const indent = Math.min(
+      ...lines
+        .slice(1)
+        .filter((l) => l.trim())
+        .map((l) => l.match(/^\s*/)[0].length)
+    );
+    return lines
+      .map((l, i) => (i === 0 || !Number.isFinite(indent) ? l.trim() : l.slice(indent).trimEnd()))
+      .join('\n')
+      .trim();
+  }
+
+  // Names listed in __all__, or null when the module does not declare it
+  getDunderAll(lines) {
+    const line = lines.find((l) => l.indent === 0 && /^__all__\s*(?::[^=]+)?=/.test(l.text));
+    if (!line) return null;
+    return [...line.text.matchAll(/['"](\w+)['"]/g)].map((m) => m[1]);
+  }
+
+  findClosingParen(text, open) {
+    let depth = 0;
+    let quote = null;
+    for (let i = open; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") quote = ch;
+      else if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch) && --depth === 0) return i;
+    }
+    return text.length;
+  }
+
+  // Index of `char` outside brackets and strings, ignoring ==, <=, >=, != for "="
+  findTopLevel(text, char) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") quote = ch;
+      else if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth--;
+      else if (ch === char && depth === 0) {
+        if (char === '=' && ('=<>!'.includes(text[i - 1]) || text[i + 1] === '=')) continue;
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") quote = ch;
+      else if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth--;
+      else if (ch === ',' && depth === 0) {
+        parts.push(text.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(text.slice(start).trim());
+    return parts.filter(Boolean);
+  }
+}
+
+module.exports = PythonAnalyzer;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSIONS_DIR = path.join(__dirname, '..', '..', 'data', 'sessions');
+
+/**
+ * One JSON file per session under SESSIONS_DIR. Suits single-instance deployments
+ * with a persistent disk; files are written owner-only since they hold (encrypted) tokens.
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    // A namespace keeps other short-lived records (OAuth states) out of the session listing
+    this.dir = path.join(
+      path.resolve(options.dir || process.env.SESSIONS_DIR || DEFAULT_SESSIONS_DIR),
+      options.namespace || ''
+    );
+  }
+
+  getSessionPath(sessionId) {
+    // Session ids are hex; anything else must not reach the filesystem
+    if (!/^[a-f0-9]+$/.test(sessionId)) return null;
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    const filePath = this.getSessionPath(sessionId);
+    if (!filePath) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(sessionId, record) {
+    const filePath = this.getSessionPath(sessionId);
+    if (!filePath) throw new Error('Invalid session id');
+
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    // Write then rename so a crash never leaves a half-written session file
+    await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(record), { mode: 0o600 });
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+  }
+
+  async delete(sessionId) {
+    const filePath = this.getSessionPath(sessionId);
+    if (filePath) await fs.promises.rm(filePath, { force: true });
+  }
+
+  async entries() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const sessionIds = files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => path.basename(file, '.json'));
+    const records = await Promise.all(sessionIds.map((sessionId) => this.get(sessionId)));
+
+    return sessionIds.map((sessionId, i) => [sessionId, records[i]]).filter(([, record]) => record);
+  }
+
+  describe() {
+    return { name: this.name, persistent: true, dir: this.dir };
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,72 @@
+const MemorySessionStore = require('./memoryStore');
+const FileSessionStore = require('./fileStore');
+const RedisSessionStore = require('./redisStore');
+const SessionManager = require('./sessionManager');
+const OAuthStateManager = require('./oauthStates');
+const TokenCipher = require('./tokenCipher');
+
+/**
+ * Registry of session stores, selected with SESSION_STORE.
+ *
+ * Every store exposes the same async surface:
+ *   - get(sessionId)               stored record, or null
+ *   - set(sessionId, record, ttl)  create or replace; ttl in ms is a hint for expiring stores
+ *   - delete(sessionId)
+ *   - entries()                    [[sessionId, record]] for sweeping and health checks
+ *   - describe()                   safe-to-expose metadata (no secrets)
+ */
+const storeFactories = {
+  memory: (options) => new MemorySessionStore(options),
+  file: (options) => new FileSessionStore(options),
+  redis: (options) => new RedisSessionStore(options),
+};
+
+// Aliases so configuration can name the backing server directly
+const aliases = {
+  fs: 'file',
+  disk: 'file',
+  valkey: 'redis',
+  keydb: 'redis',
+};
+
+const resolveName = (name) => {
+  const normalized = String(name).toLowerCase();
+  return aliases[normalized] || normalized;
+};
+
+/**
+ * Register an additional store factory (e.g. a database-backed one)
+ * @param {string} name
+ * @param {Function} factory - (options) => store
+ */
+const registerSessionStore = (name, factory) => {
+  storeFactories[name] = factory;
+};
+
+/**
+ * Create the store named by `name`, SESSION_STORE, or the in-memory default
+ * @param {string} [name]
+ * @param {Object} [options] - passed to the store constructor
+ */
+const createSessionStore = (name, options = {}) => {
+  const resolved = resolveName(name || process.env.SESSION_STORE || 'memory');
+  const factory = storeFactories[resolved];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown session store "${name || process.env.SESSION_STORE}". Available: ${Object.keys(
+        storeFactories
+      ).join(', ')}`
+    );
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  registerSessionStore,
+  createSessionStore,
+  SessionManager,
+  OAuthStateManager,
+  TokenCipher,
+};
@@ -0,0 +1,33 @@
+/**
+ * Process-local session store. Sessions are lost on restart; use the file or
+ * redis store when they need to survive one.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    const record = this.sessions.get(sessionId);
+    return record ? { ...record } : null;
+  }
+
+  async set(sessionId, record) {
+    this.sessions.set(sessionId, { ...record });
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async entries() {
+    return [...this.sessions.entries()].map(([sessionId, record]) => [sessionId, { ...record }]);
+  }
+
+  describe() {
+    return { name: this.name, persistent: false };
+  }
+}
+
+module.exports = MemorySessionStore;
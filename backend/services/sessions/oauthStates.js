@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// How long a user has to finish the GitHub authorize screen
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+
+const base64Url = (buffer) =>
+  buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Single-use OAuth `state` values with expiry, plus the PKCE verifier that goes with each.
+ *
+ * States are kept in a session store (namespaced away from sessions) so the instance that
+ * handles the callback does not have to be the one that issued the authorize URL.
+ * Each state is also handed to the browser that asked for it as a signed cookie value, and
+ * the callback only accepts a state that arrives with its cookie, so a callback URL carrying
+ * someone else's state cannot sign a different browser in. The signing key comes from
+ * SESSION_ENCRYPTION_KEY; without it a random one is used and only this process can check it.
+ */
+class OAuthStateManager {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.ttl =
+      options.ttl || parseFloat(process.env.OAUTH_STATE_TTL_MINUTES) * 60 * 1000 || OAUTH_STATE_TTL;
+    this.signingKey = crypto
+      .createHash('sha256')
+      .update('oauth-state:')
+      .update(options.secret || process.env.SESSION_ENCRYPTION_KEY || crypto.randomBytes(32))
+      .digest();
+  }
+
+  /**
+   * Issue a state for one authorize redirect
+   * @param {Object} data - Kept server-side until the callback (e.g. redirectUri, returnTo)
+   * @returns {Object} { state, codeChallenge, codeChallengeMethod, expiresAt }
+   */
+  async issue(data = {}) {
+    this.sweep().catch((error) => console.error('❌ OAuth state sweep failed:', error.message));
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const createdAt = Date.now();
+
+    await this.store.set(state, { ...data, codeVerifier, createdAt }, this.ttl);
+
+    return {
+      state,
+      codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      codeChallengeMethod: 'S256',
+      expiresAt: createdAt + this.ttl,
+    };
+  }
+
+  /**
+   * Take a state back from the callback. Each state is accepted once; unknown,
+   * reused and expired values resolve to null.
+   */
+  async consume(state) {
+    if (typeof state !== 'string' || !/^[a-f0-9]{32}$/.test(state)) return null;
+
+    const record = await this.store.get(state);
+    if (!record) return null;
+
+    await this.store.delete(state);
+    return Date.now() - record.createdAt > this.ttl ? null : record;
+  }
+
+  // Cookie value for the browser a state was issued to: "<state>.<signature>"
+  sign(state) {
+    return `${state}.${this.signature(state)}`;
+  }
+
+  // Whether a cookie value was signed here for this state
+  matchesCookie(cookieValue, state) {
+    if (typeof cookieValue !== 'string' || typeof state !== 'string') return false;
+
+    const [cookieState, signature = ''] = cookieValue.split('.');
+    const expected = Buffer.from(this.signature(state));
+    const received = Buffer.from(signature);
+    return (
+      cookieState === state &&
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  signature(state) {
+    return base64Url(crypto.createHmac('sha256', this.signingKey).update(state).digest());
+  }
+
+  // Stores without native expiry keep abandoned states until swept
+  async sweep() {
+    const now = Date.now();
+    const expired = (await this.store.entries()).filter(
+      ([, record]) => now - record.createdAt > this.ttl
+    );
+    await Promise.all(expired.map(([state]) => this.store.delete(state)));
+    return expired.length;
+  }
+}
+
+module.exports = OAuthStateManager;
+module.exports.OAUTH_STATE_TTL = OAUTH_STATE_TTL;
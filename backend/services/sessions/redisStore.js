@@ -0,0 +1,77 @@
+const Redis = require('ioredis');
+
+/**
+ * Sessions as JSON strings in Redis (or any server speaking its protocol: Valkey,
+ * KeyDB, Dragonfly). Keys carry a TTL so the server expires them on its own;
+ * the sweeper only catches records written without one.
+ */
+class RedisSessionStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix =
+      options.prefix ||
+      `${process.env.SESSION_REDIS_PREFIX || 'testgen:session:'}${
+        options.namespace ? `${options.namespace}:` : ''
+      }`;
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    // Any ioredis-compatible client can be passed in (cluster, sentinel, mocks)
+    this.client = options.client || new Redis(this.url, { maxRetriesPerRequest: 2 });
+
+    this.client.on?.('error', (error) => {
+      console.error('❌ Redis session store error:', error.message);
+    });
+  }
+
+  getKey(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  async get(sessionId) {
+    const value = await this.client.get(this.getKey(sessionId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(sessionId, record, ttl) {
+    const value = JSON.stringify(record);
+    if (ttl > 0) {
+      await this.client.set(this.getKey(sessionId), value, 'PX', Math.ceil(ttl));
+    } else {
+      await this.client.set(this.getKey(sessionId), value);
+    }
+  }
+
+  async delete(sessionId) {
+    await this.client.del(this.getKey(sessionId));
+  }
+
+  async entries() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(
+        cursor,
+        'MATCH',
+        `${this.prefix}*`,
+        'COUNT',
+        100
+      );
+      // Namespaced records share the prefix; only direct children belong to this store
+      keys.push(...batch.filter((key) => !key.slice(this.prefix.length).includes(':')));
+      cursor = next;
+    } while (cursor !== '0');
+
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(...keys);
+    return keys
+      .map((key, i) => [key.slice(this.prefix.length), values[i] ? JSON.parse(values[i]) : null])
+      .filter(([, record]) => record);
+  }
+
+  describe() {
+    // Credentials in the URL stay server-side
+    return { name: this.name, persistent: true, url: this.url.replace(/\/\/[^@/]*@/, '//***@') };
+  }
+}
+
+module.exports = RedisSessionStore;
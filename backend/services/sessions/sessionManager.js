@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { createSourceClient } = require('../sourceProviders');
+const MemorySessionStore = require('./memoryStore');
+const TokenCipher = require('./tokenCipher');
+
+// Session timeout (24 hours)
+const SESSION_TIMEOUT = 24 * 60 * 60 * 1000;
+
+// Persist lastAccessed at most this often, so every request is not a store write
+const TOUCH_INTERVAL = 60 * 1000;
+
+/**
+ * Sessions on top of a pluggable store.
+ *
+ * Records hold the user, timestamps and the access token encrypted with TokenCipher;
+ * the plaintext token only lives in the GitHub/GitLab clients cached in this process, which
+ * are rebuilt from the stored token the first time a session is used after a restart.
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.store = options.store || new MemorySessionStore();
+    this.cipher = options.cipher || new TokenCipher();
+    this.timeout = options.timeout || SESSION_TIMEOUT;
+    // Clients talk to the provider and host the session signed in against
+    this.createClient =
+      options.createClient ||
+      ((accessToken, session) =>
+        createSourceClient(session?.provider, accessToken, { baseUrl: session?.apiUrl }));
+    this.clients = new Map();
+    this.sweeper = null;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - session.createdAt > this.timeout;
+  }
+
+  getExpiresAt(session) {
+    return session.createdAt + this.timeout;
+  }
+
+  /**
+   * Start a session for an authenticated user
+   * @param {string} accessToken - GitHub or GitLab token, stored encrypted
+   * @param {Object} user - Public profile fields returned to the client
+   * @param {Object} [githubService] - Already-built client to cache for this session
+   * @param {Object} [options] - { provider, apiUrl } the token belongs to (GitHub by default)
+   * @returns {Object} session record without the token
+   */
+  async create(accessToken, user, githubService, options = {}) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      sessionId,
+      user,
+      provider: options.provider || 'github',
+      apiUrl: options.apiUrl || null,
+      createdAt: now,
+      lastAccessed: now,
+    };
+
+    await this.store.set(
+      sessionId,
+      { ...session, encryptedToken: this.cipher.encrypt(accessToken) },
+      this.timeout
+    );
+    if (githubService) this.clients.set(sessionId, githubService);
+
+    return session;
+  }
+
+  /**
+   * Look a session up, dropping it when expired or unreadable
+   * @returns {Object} { session, reason } where session is null when it cannot be used
+   */
+  async load(sessionId) {
+    const record = sessionId ? await this.store.get(sessionId) : null;
+    if (!record) {
+      return { session: null, reason: 'Invalid or expired session' };
+    }
+
+    if (this.isExpired(record)) {
+      await this.destroy(sessionId);
+      return { session: null, reason: 'Session expired' };
+    }
+
+    return { session: record, reason: null };
+  }
+
+  // Record activity; written through only every TOUCH_INTERVAL
+  async touch(sessionId, session) {
+    const now = Date.now();
+    if (now - (session.lastAccessed || 0) < TOUCH_INTERVAL) return;
+
+    session.lastAccessed = now;
+    await this.store.set(sessionId, session, this.getExpiresAt(session) - now);
+  }
+
+  /**
+   * GitHub client for a session, rebuilt from the stored token when this
+   * process has not seen the session yet
+   */
+  getClient(sessionId, session) {
+    if (!this.clients.has(sessionId)) {
+      const accessToken = this.cipher.decrypt(session.encryptedToken);
+      this.clients.set(sessionId, this.createClient(accessToken, session));
+    }
+    return this.clients.get(sessionId);
+  }
+
+  async destroy(sessionId) {
+    this.clients.delete(sessionId);
+    await this.store.delete(sessionId);
+  }
+
+  // Remove expired sessions from the store and the client cache
+  async sweep() {
+    const now = Date.now();
+    const expired = (await this.store.entries()).filter(([, session]) =>
+      this.isExpired(session, now)
+    );
+
+    await Promise.all(expired.map(([sessionId]) => this.destroy(sessionId)));
+    return expired.length;
+  }
+
+  startSweeper(interval = 60 * 60 * 1000) {
+    this.stopSweeper();
+
+    const run = () =>
+      this.sweep()
+        .then((cleaned) => {
+          if (cleaned > 0) {
+            console.log(`🧹 Cleaned up ${cleaned} expired sessions`);
+          }
+        })
+        .catch((error) => console.error('❌ Session sweep failed:', error.message));
+
+    run();
+    this.sweeper = setInterval(run, interval);
+    // The sweeper alone should not keep the process alive
+    this.sweeper.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  async getStats() {
+    const now = Date.now();
+    const sessions = await this.store.entries();
+    return {
+      activeSessions: sessions.length,
+      expiredSessions: sessions.filter(([, session]) => this.isExpired(session, now)).length,
+      store: this.store.describe(),
+    };
+  }
+}
+
+module.exports = SessionManager;
+module.exports.SESSION_TIMEOUT = SESSION_TIMEOUT;
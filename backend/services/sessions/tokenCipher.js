@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Encrypts access tokens before they reach a session store (AES-256-GCM, key derived
+ * from SESSION_ENCRYPTION_KEY). Without a configured key a random one is used, so
+ * tokens stored by a previous process can no longer be read and those sessions end.
+ */
+class TokenCipher {
+  constructor(secret = process.env.SESSION_ENCRYPTION_KEY) {
+    this.ephemeral = !secret;
+    if (this.ephemeral) {
+      console.warn(
+        '⚠️ SESSION_ENCRYPTION_KEY is not set; stored sessions will not survive a restart'
+      );
+    }
+    this.key = crypto
+      .createHash('sha256')
+      .update(secret || crypto.randomBytes(32))
+      .digest();
+  }
+
+  // "v1:<iv>:<auth tag>:<ciphertext>", base64 parts
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), encrypted]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  // Throws when the payload was tampered with or encrypted under another key
+  decrypt(payload) {
+    const [version, iv, tag, encrypted] = String(payload).split(':');
+    if (version !== VERSION || !iv || !tag || encrypted === undefined) {
+      throw new Error('Unsupported encrypted token format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+}
+
+module.exports = TokenCipher;
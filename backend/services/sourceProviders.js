@@ -0,0 +1,92 @@
+const GitHubService = require('./github');
+const GitLabService = require('./gitlab');
+const LocalSourceService = require('./localSource');
+const githubHosts = require('./githubHosts');
+
+/**
+ * Registry of source providers a session can sign in to.
+ *
+ * Clients share GitHubService's surface (getRepositories, getRepositoryTree,
+ * getFileContent, getBranches, createCommitWithFiles, createPullRequest, ...) and
+ * return GitHub-shaped data, so routes do not care which provider a session uses.
+ * Each provider also describes its hosts and token formats for sign-in.
+ */
+const providers = {
+  github: {
+    label: 'GitHub',
+    createClient: (accessToken, options) => new GitHubService(accessToken, options),
+    getTokenType: githubHosts.getTokenType,
+    tokenTypes: githubHosts.TOKEN_TYPES.map(({ prefix, label }) => ({ prefix, label })),
+    tokenHint: `Token should start with ${githubHosts.TOKEN_TYPES.map(
+      ({ prefix }) => `"${prefix}"`
+    ).join(', ')} or be a 40-character legacy token`,
+    getAllowedApiUrls: githubHosts.getAllowedApiUrls,
+    isAllowedApiUrl: githubHosts.isAllowedApiUrl,
+    getWebUrl: githubHosts.getWebUrl,
+    allowedHostsVariable: 'GITHUB_ALLOWED_HOSTS',
+  },
+  gitlab: {
+    label: 'GitLab',
+    createClient: (accessToken, options) => new GitLabService(accessToken, options),
+    getTokenType: GitLabService.getTokenType,
+    tokenTypes: [
+      { prefix: 'glpat-', label: 'Personal, project or group access token' },
+      { prefix: null, label: 'OAuth application token' },
+    ],
+    tokenHint: 'Token should start with "glpat-" or be a GitLab OAuth token',
+    getAllowedApiUrls: GitLabService.getAllowedApiUrls,
+    isAllowedApiUrl: GitLabService.isAllowedApiUrl,
+    getWebUrl: GitLabService.getWebUrl,
+    allowedHostsVariable: 'GITLAB_ALLOWED_HOSTS',
+  },
+  // Uploaded archives and allow-listed directories; the token is a server-issued secret
+  local: {
+    label: 'Local',
+    createClient: (accessToken) => new LocalSourceService(accessToken),
+    getTokenType: () => ({ type: 'local', label: 'Local session' }),
+    tokenTypes: [],
+    tokenHint: 'Local sessions are started with POST /api/auth/local',
+    getAllowedApiUrls: () => [],
+    isAllowedApiUrl: () => false,
+    getWebUrl: () => null,
+    allowedHostsVariable: null,
+  },
+};
+
+/**
+ * Register an additional provider (e.g. Bitbucket) with the same shape as the built-ins
+ * @param {string} name
+ * @param {Object} provider
+ */
+const registerSourceProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getSourceProvider = (name = 'github') => {
+  const provider = providers[String(name).toLowerCase()];
+  if (!provider) {
+    throw new Error(
+      `Unknown source provider "${name}". Available: ${Object.keys(providers).join(', ')}`
+    );
+  }
+  return provider;
+};
+
+const isSourceProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(providers, String(name).toLowerCase());
+
+/**
+ * Client for a provider
+ * @param {string} name - Provider name; sessions created before providers existed are GitHub
+ * @param {string} accessToken
+ * @param {Object} [options] - { baseUrl } of a self-hosted instance
+ */
+const createSourceClient = (name, accessToken, options = {}) =>
+  getSourceProvider(name || 'github').createClient(accessToken, options);
+
+module.exports = {
+  registerSourceProvider,
+  getSourceProvider,
+  isSourceProvider,
+  createSourceClient,
+};
@@ -0,0 +1,527 @@
+const path = require('path');
+const TestMappingService = require('./testMapping');
+
+class SummaryAnalysisService {
+  constructor() {
+    this.testMapping = new TestMappingService();
+
+    // Path keywords that usually mark code where a missing test hurts the most
+    this.riskKeywords = {
+      high: ['auth', 'login', 'password', 'token', 'session', 'security', 'crypto', 'payment', 'billing'],
+      medium: ['api', 'route', 'controller', 'handler', 'db', 'database', 'model', 'migration', 'service'],
+    };
+
+    // Markers left behind by template code that never exercises real behaviour
+    this.placeholderPatterns = [
+      /TODO/,
+      /expect\(true\)\.toBe\(true\)/,
+      /assert True\b/,
+      /assertTrue\(true\)/,
+      /^\s*pass\s*$/m,
+    ];
+
+    // Words in titles/tags that show a test covers failure paths
+    this.negativeTestPattern = /(edge|error|invalid|throw|fail|null|undefined|empty|boundary|negative|reject)/i;
+  }
+
+  // Build a deterministic summary for a set of generated test cases
+  buildSummary(testCases, context = {}) {
+    const { repository, files = [], functionsByFile = {}, coverage } = context;
+    const metrics = this.computeMetrics(testCases, files, functionsByFile);
+    const measuredCoverage = this.getMeasuredCoverage(coverage, files);
+    const coverageGaps = this.findCoverageGaps(testCases, files, functionsByFile);
+    const riskAreas = this.findRiskAreas(testCases, files);
+
+    return {
+      insights: this.buildInsights(metrics, repository),
+      recommendations: this.buildRecommendations(metrics, coverageGaps, riskAreas),
+      coverage: this.describeCoverage(metrics, measuredCoverage),
+      qualityAssessment: this.assessQuality(metrics),
+      coverageGaps,
+      riskAreas,
+      metrics,
+      measuredCoverage,
+    };
+  }
+
+  // Line/branch numbers from an ingested coverage report, overall and for the selected files
+  getMeasuredCoverage(report, files) {
+    if (!report?.files?.length) return null;
+
+    const selected = new Set(files.map((file) => file.path));
+    const selectedFiles = report.files
+      .filter((file) => selected.has(file.path))
+      .map((file) => ({
+        path: file.path,
+        lines: file.lines,
+        branches: file.branches,
+        uncoveredLines: file.uncoveredLines.length,
+      }));
+    const sum = (key) => {
+      const total = selectedFiles.reduce((count, file) => count + file[key].total, 0);
+      const covered = selectedFiles.reduce((count, file) => count + file[key].covered, 0);
+      const percent = total > 0 ? Math.round((covered / total) * 1000) / 10 : null;
+      return { total, covered, percent };
+    };
+
+    return {
+      format: report.format,
+      overall: report.totals,
+      selected: { files: selectedFiles.length, lines: sum('lines'), branches: sum('branches') },
+      files: selectedFiles,
+    };
+  }
+
+  // Count tests per file, type and origin
+  computeMetrics(testCases, files, functionsByFile) {
+    const metrics = {
+      totalTests: testCases.length,
+      byType: {},
+      byPriority: {},
+      byFile: {},
+      aiGenerated: 0,
+      fallbackGenerated: 0,
+      placeholderTests: 0,
+      negativeTests: 0,
+      filesSelected: files.length,
+      filesWithTests: 0,
+      functionsDetected: 0,
+      functionsTargeted: 0,
+    };
+
+    testCases.forEach((tc) => {
+      const type = tc.type || 'unit';
+      const priority = tc.priority || 'medium';
+      metrics.byType[type] = (metrics.byType[type] || 0) + 1;
+      metrics.byPriority[priority] = (metrics.byPriority[priority] || 0) + 1;
+
+      if (tc.file) {
+        metrics.byFile[tc.file] = (metrics.byFile[tc.file] || 0) + 1;
+      }
+
+      if (this.isFallback(tc)) {
+        metrics.fallbackGenerated++;
+      } else {
+        metrics.aiGenerated++;
+      }
+
+      if (this.isPlaceholder(tc)) {
+        metrics.placeholderTests++;
+      }
+
+      const labels = [tc.title, tc.description, ...(tc.tags || [])].filter(Boolean).join(' ');
+      if (this.negativeTestPattern.test(labels)) {
+        metrics.negativeTests++;
+      }
+    });
+
+    metrics.filesWithTests = files.filter((file) => metrics.byFile[file.path] > 0).length;
+
+    Object.entries(functionsByFile).forEach(([filePath, functions]) => {
+      const targeted = this.getTargetedFunctions(testCases, filePath);
+      metrics.functionsDetected += functions.length;
+      metrics.functionsTargeted += functions.filter((fn) => targeted.has(fn.name)).length;
+    });
+
+    return metrics;
+  }
+
+  // Files and functions that no generated test touches
+  findCoverageGaps(testCases, files, functionsByFile) {
+    const gaps = [];
+
+    files.forEach((file) => {
+      const fileTests = testCases.filter((tc) => tc.file === file.path);
+
+      if (fileTests.length === 0) {
+        gaps.push({
+          file: file.path,
+          functions: (functionsByFile[file.path] || []).map((fn) => fn.name),
+          reason: 'No generated tests target this file',
+        });
+        return;
+      }
+
+      const targeted = this.getTargetedFunctions(testCases, file.path);
+      const untested = (functionsByFile[file.path] || [])
+        .filter((fn) => !targeted.has(fn.name))
+        .map((fn) => fn.name);
+
+      if (untested.length > 0) {
+        gaps.push({
+          file: file.path,
+          functions: untested,
+          reason: `${untested.length} detected function(s) have no dedicated test`,
+        });
+      } else if (fileTests.every((tc) => this.isFallback(tc) || this.isPlaceholder(tc))) {
+        gaps.push({
+          file: file.path,
+          functions: [],
+          reason: 'Only template tests exist for this file; assertions need to be filled in',
+        });
+      }
+    });
+
+    return gaps;
+  }
+
+  // Files whose path suggests sensitive logic, ranked by how thinly they are tested
+  findRiskAreas(testCases, files) {
+    const paths = new Set([
+      ...files.map((file) => file.path),
+      ...testCases.map((tc) => tc.file).filter(Boolean),
+    ]);
+
+    const areas = [];
+
+    paths.forEach((filePath) => {
+      const level = this.getRiskLevel(filePath);
+      if (!level) return;
+
+      const fileTests = testCases.filter((tc) => tc.file === filePath);
+      const hasNegativeTests = fileTests.some((tc) =>
+        this.negativeTestPattern.test([tc.title, tc.description, ...(tc.tags || [])].join(' '))
+      );
+      const hasSecurityTests = fileTests.some((tc) => tc.type === 'security');
+
+      const reasons = [];
+      if (fileTests.length === 0) {
+        reasons.push('no tests generated');
+      } else if (!hasNegativeTests) {
+        reasons.push('no failure-path or edge-case tests');
+      }
+      if (level === 'high' && !hasSecurityTests) {
+        reasons.push('no security tests');
+      }
+
+      if (reasons.length > 0) {
+        areas.push({
+          file: filePath,
+          level,
+          testCount: fileTests.length,
+          reason: `${this.describeArea(filePath)}: ${reasons.join(', ')}`,
+        });
+      }
+    });
+
+    const order = { high: 0, medium: 1 };
+    return areas.sort((a, b) => order[a.level] - order[b.level] || a.testCount - b.testCount);
+  }
+
+  buildInsights(metrics, repository) {
+    const insights = [];
+    const repoName = this.getRepositoryName(repository);
+
+    insights.push(
+      `${metrics.totalTests} test cases generated${repoName ? ` for ${repoName}` : ''} across ${
+        Object.keys(metrics.byFile).length
+      } file(s)`
+    );
+
+    const types = Object.entries(metrics.byType)
+      .sort(([, a], [, b]) => b - a)
+      .map(([type, count]) => `${count} ${type}`);
+    if (types.length > 0) {
+      insights.push(`Test type mix: ${types.join(', ')}`);
+    }
+
+    if (metrics.fallbackGenerated > 0) {
+      insights.push(
+        `${metrics.fallbackGenerated} of ${metrics.totalTests} tests come from fallback templates rather than AI analysis`
+      );
+    }
+
+    if (metrics.placeholderTests > 0) {
+      insights.push(`${metrics.placeholderTests} tests still contain placeholder assertions or TODOs`);
+    }
+
+    if (metrics.negativeTests > 0) {
+      insights.push(`${metrics.negativeTests} tests exercise edge cases or error handling`);
+    }
+
+    const critical = (metrics.byPriority.critical || 0) + (metrics.byPriority.high || 0);
+    if (critical > 0) {
+      insights.push(`${critical} tests are marked high or critical priority`);
+    }
+
+    return insights;
+  }
+
+  buildRecommendations(metrics, coverageGaps, riskAreas) {
+    const recommendations = [];
+
+    riskAreas
+      .filter((area) => area.level === 'high')
+      .slice(0, 3)
+      .forEach((area) => {
+        recommendations.push(`Add targeted tests for ${area.file} (${area.reason})`);
+      });
+
+    const untestedFiles = coverageGaps.filter((gap) => gap.reason.startsWith('No generated'));
+    if (untestedFiles.length > 0) {
+      recommendations.push(
+        `Generate tests for ${untestedFiles.length} selected file(s) that have none: ${untestedFiles
+          .slice(0, 3)
+          .map((gap) => gap.file)
+          .join(', ')}`
+      );
+    }
+
+    const untestedFunctions = coverageGaps.reduce((sum, gap) => sum + gap.functions.length, 0);
+    if (untestedFunctions > 0 && untestedFiles.length < coverageGaps.length) {
+      recommendations.push(`Cover ${untestedFunctions} detected function(s) without a dedicated test`);
+    }
+
+    if (metrics.placeholderTests > 0) {
+      recommendations.push('Replace placeholder assertions with checks on real return values');
+    }
+
+    if (metrics.totalTests > 0 && metrics.negativeTests / metrics.totalTests < 0.25) {
+      recommendations.push('Add negative tests for invalid input, thrown errors and boundary values');
+    }
+
+    if (!metrics.byType.integration && metrics.totalTests >= 5) {
+      recommendations.push('Add integration tests for interactions between the selected modules');
+    }
+
+    if (metrics.fallbackGenerated > metrics.totalTests * 0.3) {
+      recommendations.push('Re-run generation with an AI provider configured to replace template tests');
+    }
+
+    if (recommendations.length === 0) {
+      recommendations.push('Review generated tests for accuracy before committing them');
+    }
+
+    return recommendations;
+  }
+
+  describeCoverage(metrics, measuredCoverage = null) {
+    const { lines, branches } = measuredCoverage?.overall || {};
+    const measured =
+      lines?.percent !== null && lines?.percent !== undefined
+        ? `Measured line coverage ${lines.percent}% (${lines.covered}/${lines.total} lines${
+            branches.percent !== null ? `, ${branches.percent}% of branches` : ''
+          }) from the ${measuredCoverage.format} report; `
+        : '';
+    const fileCoverage =
+      metrics.filesSelected > 0
+        ? `${metrics.filesWithTests} of ${metrics.filesSelected} selected files have generated tests`
+        : `${Object.keys(metrics.byFile).length} files have generated tests`;
+
+    if (metrics.functionsDetected === 0) {
+      return `${measured}${fileCoverage}`;
+    }
+
+    const percent = Math.round((metrics.functionsTargeted / metrics.functionsDetected) * 100);
+    return `${measured}${fileCoverage}; ${metrics.functionsTargeted} of ${metrics.functionsDetected} detected functions (${percent}%) are targeted by at least one test`;
+  }
+
+  assessQuality(metrics) {
+    if (metrics.totalTests === 0) {
+      return 'Poor - No test cases to assess';
+    }
+
+    const concreteRatio = 1 - metrics.placeholderTests / metrics.totalTests;
+    const aiRatio = metrics.aiGenerated / metrics.totalTests;
+    const negativeRatio = Math.min(1, metrics.negativeTests / metrics.totalTests / 0.3);
+    const fileRatio = metrics.filesSelected > 0 ? metrics.filesWithTests / metrics.filesSelected : 1;
+
+    const score = Math.round(
+      concreteRatio * 40 + aiRatio * 20 + negativeRatio * 20 + fileRatio * 20
+    );
+
+    if (score >= 85) return `Excellent (${score}/100) - Concrete assertions with good failure-path coverage`;
+    if (score >= 70) return `Good (${score}/100) - Solid tests with a few gaps to close`;
+    if (score >= 55) return `Fair (${score}/100) - Usable starting point, several tests need real assertions`;
+    if (score >= 40) return `Needs Improvement (${score}/100) - Mostly templates or missing failure paths`;
+    return `Poor (${score}/100) - Tests are largely placeholders and need manual work`;
+  }
+
+  // Rank where tests are missing, which frameworks to adopt and which files carry the most risk
+  buildTestSuggestions(context = {}) {
+    const {
+      projectStructure = {},
+      testStrategy = {},
+      existingTests = [],
+      sourceFiles = [],
+      testCases = [],
+    } = context;
+
+    const testPaths = [
+      ...existingTests.map((file) => file.path),
+      ...sourceFiles.map((file) => file.path).filter((filePath) => this.isTestPath(filePath)),
+    ].filter(Boolean);
+    const generatedFor = new Set(testCases.map((tc) => tc.file).filter(Boolean));
+
+    const candidates = sourceFiles
+      .filter((file) => file.path && !this.isTestPath(file.path))
+      .map((file) => {
+        const matchingTests = this.findTestsForSource(file.path, testPaths, testStrategy);
+        const riskLevel = this.getRiskLevel(file.path);
+        const hasGeneratedTests = generatedFor.has(file.path);
+
+        let score = riskLevel === 'high' ? 6 : riskLevel === 'medium' ? 3 : 1;
+        if (matchingTests.length === 0) score += 4;
+        if (hasGeneratedTests) score -= 2;
+        if (file.size) score += Math.min(3, Math.floor(file.size / 10000));
+
+        return {
+          file: file.path,
+          score,
+          riskLevel: riskLevel || 'low',
+          existingTests: matchingTests,
+          hasGeneratedTests,
+          suggestedTestFile: this.getSuggestedTestPath(file.path, testStrategy),
+        };
+      });
+
+    const missingTests = candidates
+      .filter((candidate) => candidate.existingTests.length === 0)
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+      .map((candidate, index) => ({
+        rank: index + 1,
+        file: candidate.file,
+        riskLevel: candidate.riskLevel,
+        suggestedTestFile: candidate.suggestedTestFile,
+        reason:
+          candidate.riskLevel === 'low'
+            ? 'No matching test file found'
+            : `No matching test file found for ${this.describeArea(candidate.file)}`,
+      }));
+
+    const riskyFiles = candidates
+      .filter((candidate) => candidate.riskLevel !== 'low')
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file))
+      .slice(0, 10)
+      .map((candidate, index) => ({
+        rank: index + 1,
+        file: candidate.file,
+        riskLevel: candidate.riskLevel,
+        existingTests: candidate.existingTests,
+        reason:
+          candidate.existingTests.length > 0
+            ? `${this.describeArea(candidate.file)} has ${candidate.existingTests.length} test file(s); verify failure paths are covered`
+            : `${this.describeArea(candidate.file)} has no tests`,
+      }));
+
+    return {
+      missingTests,
+      frameworks: this.suggestFrameworks(projectStructure, testStrategy, testPaths.length > 0),
+      riskyFiles,
+      stats: {
+        sourceFiles: candidates.length,
+        testFiles: testPaths.length,
+        untestedFiles: missingTests.length,
+      },
+    };
+  }
+
+  // Frameworks and tooling worth adopting for the detected stack
+  suggestFrameworks(projectStructure, testStrategy, hasTests) {
+    const type = projectStructure.type || 'javascript';
+    const suggestions = [];
+
+    if (testStrategy.testFramework) {
+      suggestions.push({
+        name: testStrategy.testFramework,
+        purpose: 'test runner',
+        priority: hasTests && projectStructure.testFramework ? 'low' : 'high',
+        reason: projectStructure.testFramework
+          ? `Already in use; keep new tests on ${projectStructure.testFramework}`
+          : hasTests
+            ? 'Test files exist but no runner configuration was detected'
+            : 'No tests detected; start with the standard runner for this stack',
+      });
+    }
+
+    if (testStrategy.mockingLibrary && testStrategy.mockingLibrary !== testStrategy.testFramework) {
+      suggestions.push({
+        name: testStrategy.mockingLibrary,
+        purpose: projectStructure.framework === 'react' ? 'component testing' : 'mocking',
+        priority: 'medium',
+        reason: 'Isolate units from I/O and external services',
+      });
+    }
+
+    const coverageTools = {
+      javascript: { name: 'jest --coverage', reason: 'Built-in istanbul coverage for Jest' },
+      typescript: { name: 'jest --coverage', reason: 'Built-in istanbul coverage for Jest' },
+      python: { name: 'pytest-cov', reason: 'Coverage reports for pytest runs' },
+      java: { name: 'jacoco', reason: 'Line and branch coverage for JUnit' },
+      go: { name: 'go test -cover', reason: 'Built-in coverage for Go tests' },
+      rust: { name: 'cargo-tarpaulin', reason: 'Coverage for cargo test' },
+    };
+    if (coverageTools[type]) {
+      suggestions.push({ ...coverageTools[type], purpose: 'coverage', priority: 'medium' });
+    }
+
+    if (['javascript', 'typescript'].includes(type) && projectStructure.framework) {
+      suggestions.push({
+        name: 'playwright',
+        purpose: 'end-to-end testing',
+        priority: 'low',
+        reason: `Browser-level checks for the ${projectStructure.framework} app`,
+      });
+    }
+
+    return suggestions;
+  }
+
+  // Test files whose name or location points at the given source file
+  findTestsForSource(sourcePath, testPaths, testStrategy) {
+    return this.testMapping.findTestsForSource(sourcePath, testPaths, testStrategy);
+  }
+
+  isTestPath(filePath) {
+    return this.testMapping.isTestPath(filePath);
+  }
+
+  getSuggestedTestPath(sourcePath, testStrategy) {
+    return this.testMapping.getTestFilePath(sourcePath, testStrategy);
+  }
+
+  isFallback(testCase) {
+    return (
+      !!testCase.fallback ||
+      (testCase.generatedBy || '').startsWith('fallback') ||
+      (testCase.tags || []).includes('fallback')
+    );
+  }
+
+  isPlaceholder(testCase) {
+    const code = testCase.code || '';
+    if (!code.trim()) return true;
+    return this.placeholderPatterns.some((pattern) => pattern.test(code));
+  }
+
+  getTargetedFunctions(testCases, filePath) {
+    return new Set(
+      testCases.filter((tc) => tc.file === filePath && tc.function).map((tc) => tc.function)
+    );
+  }
+
+  getRiskLevel(filePath) {
+    const lowerPath = filePath.toLowerCase();
+    if (this.riskKeywords.high.some((keyword) => lowerPath.includes(keyword))) return 'high';
+    if (this.riskKeywords.medium.some((keyword) => lowerPath.includes(keyword))) return 'medium';
+    return null;
+  }
+
+  describeArea(filePath) {
+    const lowerPath = filePath.toLowerCase();
+    const keyword = [...this.riskKeywords.high, ...this.riskKeywords.medium].find((k) =>
+      lowerPath.includes(k)
+    );
+    return `${path.basename(filePath)} (${keyword} logic)`;
+  }
+
+  getRepositoryName(repository) {
+    if (!repository) return null;
+    if (typeof repository === 'string') return repository;
+    if (repository.full_name) return repository.full_name;
+    if (repository.owner && repository.repo) return `${repository.owner}/${repository.repo}`;
+    return null;
+  }
+}
+
+module.exports = SummaryAnalysisService;
@@ -0,0 +1,263 @@
+const { spawn } = require('child_process');
+const { parse } = require('@babel/parser');
+
+// Test case fields that hold code, in the order errors are reported
+const CODE_FIELDS = ['code', 'setup', 'teardown'];
+
+// Parser per language; other languages are reported as "unchecked"
+const PARSERS = {
+  javascript: 'babel',
+  typescript: 'babel',
+  python: 'python-ast',
+  java: 'delimiters',
+};
+
+// Generated tests are snippets: top-level await/return and imports anywhere are fine
+const BABEL_OPTIONS = {
+  sourceType: 'unambiguous',
+  allowImportExportEverywhere: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+};
+
+const PYTHON_TIMEOUT_MS = 10000;
+
+// Reads a JSON array of sources on stdin and prints null or the SyntaxError for each
+const PYTHON_CHECK_SCRIPT = `
+import ast, json, sys
+results = []
+for source in json.load(sys.stdin):
+    try:
+        ast.parse(source)
+        results.append(None)
+    except SyntaxError as error:
+        results.append({'message': error.msg, 'line': error.lineno, 'column': error.offset})
+print(json.dumps(results))
+`;
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+const OPENING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Checks that generated test code parses before it is returned.
+ * JavaScript and TypeScript go through Babel, Python through the interpreter's own `ast`
+ * module (PYTHON_BIN, default python3) and Java through a scan of brackets, strings and
+ * comments, which catches truncated or unbalanced code but not every grammar error.
+ */
+class SyntaxValidator {
+  constructor(options = {}) {
+    this.pythonBin = options.pythonBin || process.env.PYTHON_BIN || 'python3';
+    this.pythonAvailable = true;
+  }
+
+  /**
+   * Attach a `validation` result to every test case
+   * @param {Array} testCases
+   * @param {Function} getLanguage - Language of a test case, e.g. from its source file
+   * @returns {Promise<Array>} Copies with validation: { status, language, parser, error }.
+   *   status is "valid", "invalid" or "unchecked"; error is { field, message, line, column }
+   *   for the first field that does not parse, with 1-based line and column
+   */
+  async validateTestCases(testCases, getLanguage) {
+    const checks = testCases.map((testCase) => {
+      const language = getLanguage(testCase);
+      return {
+        language,
+        parser: PARSERS[language] || null,
+        sources: CODE_FIELDS.filter(
+          (field) => typeof testCase[field] === 'string' && testCase[field].trim()
+        ).map((field) => ({ field, code: testCase[field] })),
+      };
+    });
+
+    // All Python sources share one interpreter run
+    const pythonChecks = checks.filter((check) => check.parser === 'python-ast');
+    const pythonSources = pythonChecks.flatMap((check) => check.sources);
+    if (pythonSources.length > 0) {
+      const errors = await this.checkPython(pythonSources.map((source) => source.code));
+      if (errors) {
+        pythonSources.forEach((source, index) => (source.error = errors[index]));
+      } else {
+        pythonChecks.forEach((check) => {
+          check.parser = null;
+          check.reason = `${this.pythonBin} could not check the code`;
+        });
+      }
+    }
+
+    return testCases.map((testCase, index) => ({
+      ...testCase,
+      validation: this.describe(checks[index]),
+    }));
+  }
+
+  describe({ language, parser, sources, reason }) {
+    if (!parser) {
+      return {
+        status: 'unchecked',
+        language,
+        parser: null,
+        error: null,
+        reason: reason || `No syntax check for ${language}`,
+      };
+    }
+
+    for (const source of sources) {
+      const error =
+        parser === 'python-ast' ? source.error : this.checkSource(source.code, language);
+      if (error) {
+        return { status: 'invalid', language, parser, error: { field: source.field, ...error } };
+      }
+    }
+    return { status: 'valid', language, parser, error: null };
+  }
+
+  /**
+   * Check one snippet synchronously; Python needs validateTestCases
+   * @returns {Object|null} { message, line, column } or null when it parses
+   */
+  checkSource(code, language) {
+    switch (PARSERS[language]) {
+      case 'babel':
+        return this.checkJavaScript(code, language === 'typescript');
+      case 'delimiters':
+        return this.checkDelimiters(code);
+      default:
+        return null;
+    }
+  }
+
+  // Plugin sets as in JavaScriptAstExtractor; the error reported is the first set's
+  checkJavaScript(code, typescript) {
+    const pluginSets = typescript
+      ? [
+          ['typescript', 'decorators-legacy'],
+          ['typescript', 'jsx', 'decorators-legacy'],
+        ]
+      : [
+          ['jsx', 'decorators-legacy'],
+          ['flow', 'jsx', 'decorators-legacy'],
+        ];
+
+    let firstError = null;
+    for (const plugins of pluginSets) {
+      try {
+        parse(code, { ...BABEL_OPTIONS, plugins });
+        return null;
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+
+    return {
+      // Babel appends "(line:column)" to its messages
+      message: firstError.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: firstError.loc?.line ?? null,
+      column: firstError.loc ? firstError.loc.column + 1 : null,
+    };
+  }
+
+  // Balanced (), [] and {} outside strings, character literals, text blocks and comments
+  checkDelimiters(code) {
+    const stack = [];
+    let i = 0;
+
+    while (i < code.length) {
+      const char = code[i];
+
+      if (code.startsWith('//', i)) {
+        const end = code.indexOf('\n', i);
+        i = end === -1 ? code.length : end;
+      } else if (code.startsWith('/*', i)) {
+        const end = code.indexOf('*/', i + 2);
+        if (end === -1) return this.locate(code, i, 'Unterminated comment');
+        i = end + 2;
+      } else if (code.startsWith('"""', i)) {
+        const end = code.indexOf('"""', i + 3);
+        if (end === -1) return this.locate(code, i, 'Unterminated text block');
+        i = end + 3;
+      } else if (char === '"' || char === "'") {
+        let end = i + 1;
+        while (end < code.length && code[end] !== char && code[end] !== '\n') {
+          end += code[end] === '\\' ? 2 : 1;
+        }
+        if (code[end] !== char) {
+          return this.locate(
+            code,
+            i,
+            `Unterminated ${char === '"' ? 'string' : 'character'} literal`
+          );
+        }
+        i = end + 1;
+      } else {
+        if (CLOSING[char]) {
+          stack.push(i);
+        } else if (OPENING[char]) {
+          const open = stack.pop();
+          if (open === undefined) {
+            return this.locate(code, i, `Unexpected '${char}'`);
+          }
+          if (CLOSING[code[open]] !== char) {
+            const { line, column } = this.locate(code, open);
+            return this.locate(
+              code,
+              i,
+              `Expected '${CLOSING[code[open]]}' to close '${code[open]}' from ${line}:${column}`
+            );
+          }
+        }
+        i++;
+      }
+    }
+
+    if (stack.length > 0) {
+      const open = stack.pop();
+      return this.locate(code, open, `'${code[open]}' is never closed`);
+    }
+    return null;
+  }
+
+  locate(code, index, message) {
+    const lines = code.slice(0, index).split('\n');
+    return { message, line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+
+  /**
+   * Parse Python sources with `ast` in one child process (parsing never runs the code)
+   * @returns {Promise<Array|null>} null or { message, line, column } per source; null
+   *   overall when the interpreter is missing or fails
+   */
+  checkPython(sources) {
+    if (!this.pythonAvailable) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      const child = spawn(this.pythonBin, ['-c', PYTHON_CHECK_SCRIPT], {
+        timeout: PYTHON_TIMEOUT_MS,
+      });
+      let stdout = '';
+
+      child.stdout.on('data', (chunk) => (stdout += chunk));
+      child.stdin.on('error', () => {}); // The process may be gone before stdin is written
+      child.on('error', (error) => {
+        if (error.code === 'ENOENT') {
+          this.pythonAvailable = false;
+          console.warn(`⚠️ ${this.pythonBin} not found; Python tests are not syntax-checked`);
+        }
+        resolve(null);
+      });
+      child.on('close', (code) => {
+        try {
+          resolve(code === 0 ? JSON.parse(stdout) : null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+
+      child.stdin.end(JSON.stringify(sources));
+    });
+  }
+}
+
+module.exports = SyntaxValidator;
@@ -0,0 +1,61 @@
+const Ajv = require('ajv');
+const testCasesSchema = require('../schemas/testCases.schema.json');
+
+// Cap on errors reported per response so repair prompts stay small
+const MAX_REPORTED_ERRORS = 20;
+
+class TestCaseValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.schema = testCasesSchema;
+    this.validateResponse = this.ajv.compile(testCasesSchema);
+    this.validateTestCase = this.ajv.getSchema(`${testCasesSchema.$id}#/definitions/testCase`);
+  }
+
+  // Validate a parsed model answer; individually valid test cases are kept even if others fail
+  validate(parsed) {
+    if (!parsed || typeof parsed !== 'object') {
+      return {
+        valid: false,
+        testCases: [],
+        errors: [{ path: '(root)', message: 'response is not a JSON object' }],
+      };
+    }
+
+    if (this.validateResponse(parsed)) {
+      return { valid: true, testCases: parsed.testCases, errors: [] };
+    }
+
+    const errors = this.formatErrors(this.validateResponse.errors);
+    const testCases = Array.isArray(parsed.testCases)
+      ? parsed.testCases.filter((tc) => this.validateTestCase(tc))
+      : [];
+
+    return { valid: false, testCases, errors };
+  }
+
+  // Turn Ajv errors into "<json pointer>: <message>" pairs a model can act on
+  formatErrors(ajvErrors = []) {
+    return ajvErrors.slice(0, MAX_REPORTED_ERRORS).map((error) => {
+      const path =
+        error.keyword === 'required'
+          ? `${error.instancePath}/${error.params.missingProperty}`
+          : error.instancePath;
+
+      let message = error.message;
+      if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      } else if (error.keyword === 'required') {
+        message = 'is required';
+      }
+
+      return { path: path || '(root)', message };
+    });
+  }
+
+  describeErrors(errors) {
+    return errors.map((error) => `- ${error.path}: ${error.message}`).join('\n');
+  }
+}
+
+module.exports = TestCaseValidator;
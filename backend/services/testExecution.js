@@ -0,0 +1,809 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestFileMaterializer = require('./testFileMaterializer');
+const JavaScriptAstExtractor = require('./jsAstExtractor');
+const { getSourceProvider, isSourceProvider } = require('./sourceProviders');
+
+const fsp = fs.promises;
+
+// Runner for each framework; Vitest is used when the server has it installed
+const RUNNERS = ['jest', 'vitest'];
+
+// Source files Jest transforms; TypeScript needs a preset the server does not ship
+const RUNNABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+
+// AST keys that never hold import expressions
+const SKIPPED_KEYS = new Set([
+  'loc',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+]);
+
+// Last part of the combined runner output kept for the response
+const MAX_OUTPUT_CHARS = 64 * 1024;
+
+// Preloaded into the runner: every outgoing connection and DNS lookup fails
+const NETWORK_GUARD = `
+const dns = require('dns');
+const net = require('net');
+const message = 'Network access is disabled in the test sandbox';
+net.Socket.prototype.connect = function () {
+  throw new Error(message);
+};
+dns.lookup = (hostname, options, callback) =>
+  process.nextTick(typeof options === 'function' ? options : callback, new Error(message));
+dns.promises.lookup = () => Promise.reject(new Error(message));
+`;
+
+// System binaries and shared libraries the sandbox sees read-only, besides node and the runners
+const SYSTEM_PATHS = [
+  '/bin',
+  '/sbin',
+  '/lib',
+  '/lib32',
+  '/lib64',
+  '/usr/bin',
+  '/usr/sbin',
+  '/usr/lib',
+  '/usr/lib32',
+  '/usr/lib64',
+  '/usr/libexec',
+  '/etc/ld.so.cache',
+];
+
+// Packages the runners load; their node_modules folders are mounted read-only
+const RUNTIME_PACKAGES = [
+  'jest',
+  'vitest',
+  'babel-jest',
+  '@babel/plugin-transform-modules-commonjs',
+];
+
+// Uid runs drop to when the server runs as root
+const DEFAULT_SANDBOX_UID = 65534;
+
+/*
+ * Runs inside fresh mount, PID, network, IPC and UTS namespaces (plus a user namespace when
+ * the server is not root). Builds a root on a tmpfs holding only SYSTEM_PATHS, node and the
+ * runners read-only and the workspace read-write, pivots into it, detaches the old root,
+ * applies the CPU and memory limits, then drops every capability (and, as root, the uid).
+ * Arguments: root workspace read-only-paths cpu-seconds data-kb uid command...
+ */
+const SANDBOX_SCRIPT = `set -eu
+root=$1 workspace=$2 readonly_paths=$3 cpu=$4 data=$5 uid=$6
+shift 6
+if [ -n "$uid" ]; then chown -R "$uid:$uid" "$workspace"; fi
+mount -t tmpfs -o mode=755,size=16m testgen-sandbox "$root"
+bind() {
+  if [ -e "$root$1" ] || [ -L "$root$1" ]; then
+    return 0
+  elif [ -L "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    ln -s "$(readlink "$1")" "$root$1"
+    return 0
+  elif [ -d "$1" ]; then
+    mkdir -p "$root$1"
+  elif [ -e "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    : > "$root$1"
+  else
+    return 0
+  fi
+  mount --bind "$1" "$root$1"
+  if [ "$2" = ro ]; then mount -o remount,bind,ro "$root$1"; fi
+}
+IFS=:
+for path in $readonly_paths; do bind "$path" ro; done
+unset IFS
+for device in null zero random urandom; do bind "/dev/$device" rw; done
+bind "$workspace" rw
+mkdir -p "$root/proc" "$root/tmp"
+chmod 1777 "$root/tmp"
+mount -t proc proc "$root/proc"
+cd "$root"
+mkdir .old
+pivot_root . .old
+umount -l /.old
+rmdir /.old
+cd "$workspace"
+ulimit -t "$cpu"
+ulimit -d "$data"
+if [ -n "$uid" ]; then
+  exec setpriv --reuid="$uid" --regid="$uid" --clear-groups --no-new-privs --bounding-set=-all --inh-caps=-all -- "$@"
+fi
+exec setpriv --no-new-privs --bounding-set=-all --inh-caps=-all -- "$@"
+`;
+
+const executionError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const isInside = (parent, child) => {
+  const relative = path.relative(parent, child);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Runs generated JavaScript tests against the real source in a throwaway workspace.
+ *
+ * The selected sources and the relative modules they import are written to a temporary
+ * folder, each test case becomes its own test file (so results map back to it), and Jest
+ * or Vitest runs them in one child process inside a sandbox (SANDBOX_SCRIPT) with:
+ *   - a filesystem of its own: the workspace, plus node, the runners and system libraries
+ *     read-only; nothing else of the server's filesystem is visible
+ *   - no network (an empty network namespace; the preloaded guard only reports it clearly)
+ *   - no capabilities, and as an unprivileged uid (TEST_EXECUTION_UID) when the server is root
+ *   - CPU seconds (ulimit -t), writable memory (ulimit -d) and V8 heap limits
+ *   - a wall-clock timeout that kills the whole process group
+ *   - an environment without the server's secrets
+ * Runs are refused where the sandbox cannot be built (it needs Linux namespaces and
+ * util-linux). It is off unless TEST_EXECUTION_ENABLED=true, and only the accounts listed
+ * in TEST_EXECUTION_ADMINS may run tests, since the repository's own code runs too.
+ * Runs are queued one at a time.
+ */
+class TestExecutionService {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.TEST_EXECUTION_ENABLED === 'true';
+    this.timeoutMs =
+      (options.timeoutSeconds || parseFloat(process.env.TEST_EXECUTION_TIMEOUT_SECONDS) || 60) *
+      1000;
+    this.cpuSeconds = options.cpuSeconds || parseInt(process.env.TEST_EXECUTION_CPU_SECONDS) || 30;
+    this.memoryMb = options.memoryMb || parseInt(process.env.TEST_EXECUTION_MEMORY_MB) || 512;
+    this.testTimeoutMs = options.testTimeoutMs || 5000;
+    this.maxTestCases = options.maxTestCases || 50;
+    this.maxSourceFiles = options.maxSourceFiles || 50;
+    this.materializer = new TestFileMaterializer();
+    this.jsAstExtractor = new JavaScriptAstExtractor();
+    this.sandboxUid =
+      options.sandboxUid ?? (parseInt(process.env.TEST_EXECUTION_UID) || DEFAULT_SANDBOX_UID);
+    // "<provider>:<login>" of accounts on the provider's default host, e.g. "github:octocat"
+    this.admins = new Set(
+      (options.admins || (process.env.TEST_EXECUTION_ADMINS || '').split(','))
+        .map((admin) => admin.trim().toLowerCase())
+        .filter(Boolean)
+    );
+    this.queue = Promise.resolve();
+    this.isolated = null;
+  }
+
+  /**
+   * Whether an account may run tests: listed in TEST_EXECUTION_ADMINS and signed in to the
+   * provider's default host (logins on other hosts are not the same people). Local sessions
+   * are anonymous and all share one login, so they never are
+   * @param {Object} account - { provider, apiUrl, login } of the session
+   */
+  isAdmin({ provider = 'github', apiUrl, login } = {}) {
+    if (!login || !isSourceProvider(provider) || provider === 'local') return false;
+
+    const defaultApiUrl = getSourceProvider(provider).getAllowedApiUrls()[0];
+    if (apiUrl && apiUrl !== defaultApiUrl) return false;
+    return this.admins.has(`${provider}:${login}`.toLowerCase());
+  }
+
+  /**
+   * Why an account cannot run tests here, or null when it can
+   * @returns {Error|null} with statusCode and a hint for the response
+   */
+  getUnavailableError(account) {
+    if (!this.enabled) {
+      return Object.assign(executionError('Test execution is disabled', 403), {
+        hint: 'Set TEST_EXECUTION_ENABLED=true on the server',
+      });
+    }
+    if (!this.isAdmin(account)) {
+      return Object.assign(executionError('Test execution is limited to administrators', 403), {
+        hint:
+          account?.provider === 'local'
+            ? 'Local sessions cannot run tests; sign in with an account in TEST_EXECUTION_ADMINS'
+            : 'Add "<provider>:<login>" to TEST_EXECUTION_ADMINS on the server',
+      });
+    }
+    if (!this.canIsolate()) {
+      return Object.assign(executionError('The server cannot isolate test runs', 503), {
+        hint: 'Runs need Linux with user (or root), mount, PID and network namespaces and util-linux',
+      });
+    }
+    if (!RUNNERS.some((runner) => this.isRunnerInstalled(runner))) {
+      return Object.assign(executionError('No test runner is installed on the server', 503), {
+        hint: 'Install the backend dependencies, which include jest and babel-jest',
+      });
+    }
+    return null;
+  }
+
+  describe(account) {
+    const error = this.getUnavailableError(account);
+    return {
+      enabled: !error,
+      reason: error?.message || null,
+      runners: RUNNERS.filter((runner) => this.isRunnerInstalled(runner)),
+      extensions: RUNNABLE_EXTENSIONS,
+      limits: {
+        timeoutSeconds: this.timeoutMs / 1000,
+        cpuSeconds: this.cpuSeconds,
+        memoryMb: this.memoryMb,
+        maxTestCases: this.maxTestCases,
+      },
+    };
+  }
+
+  // Folder of a package in the server's node_modules, or null when it is not installed
+  getPackageDir(name) {
+    try {
+      return path.dirname(require.resolve(`${name}/package.json`));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Path to a runner's CLI script, or null
+  resolveRunner(name) {
+    const packageDir = this.getPackageDir(name);
+    if (!packageDir) return null;
+
+    const { bin } = require(path.join(packageDir, 'package.json'));
+    return path.join(packageDir, typeof bin === 'string' ? bin : bin[name]);
+  }
+
+  // Jest also needs babel-jest, which compiles ES modules in the tests and sources
+  isRunnerInstalled(runner) {
+    return (
+      !!this.resolveRunner(runner) && (runner !== 'jest' || !!this.getPackageDir('babel-jest'))
+    );
+  }
+
+  // Paths the sandbox mounts read-only: system libraries, node and the runners' node_modules
+  getReadOnlyPaths() {
+    const moduleDirs = RUNTIME_PACKAGES.map((name) => this.getPackageDir(name))
+      .filter(Boolean)
+      .map((packageDir) => {
+        const marker = `${path.sep}node_modules${path.sep}`;
+        return packageDir.slice(0, packageDir.lastIndexOf(marker) + marker.length - 1);
+      });
+    return [...new Set([...SYSTEM_PATHS, process.execPath, ...moduleDirs])];
+  }
+
+  /**
+   * Command running node with nodeArgs in the sandbox around a workspace
+   * @returns {{ command: string, args: Array<string> }}
+   */
+  getSandboxCommand(workspace, nodeArgs) {
+    const asRoot = process.getuid() === 0;
+    // Writable memory: the heap plus room for code, stacks and buffers. The data limit
+    // is used rather than address space, which WebAssembly reserves in gigabytes
+    const dataKb = (this.memoryMb + 1024) * 1024;
+
+    return {
+      command: 'unshare',
+      args: [
+        ...(asRoot ? [] : ['--user', '--map-root-user']),
+        '--mount',
+        '--net',
+        '--pid',
+        '--ipc',
+        '--uts',
+        '--fork',
+        '--kill-child',
+        '/bin/sh',
+        '-c',
+        SANDBOX_SCRIPT,
+        'testgen-sandbox',
+        path.join(workspace, '.sandbox', 'root'),
+        workspace,
+        this.getReadOnlyPaths().join(':'),
+        String(this.cpuSeconds),
+        String(dataKb),
+        asRoot ? String(this.sandboxUid) : '',
+        process.execPath,
+        ...nodeArgs,
+      ],
+    };
+  }
+
+  /**
+   * Whether the sandbox can be built here: a probe run must be able to write its workspace
+   * and must not see this file. Checked once
+   */
+  canIsolate() {
+    if (this.isolated !== null) return this.isolated;
+    if (process.platform !== 'linux') {
+      this.isolated = false;
+      return false;
+    }
+
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'testgen-probe-'));
+    try {
+      const probePath = path.join(workspace, 'probe');
+      fs.mkdirSync(path.join(workspace, '.sandbox', 'root'), { recursive: true });
+      const { command, args } = this.getSandboxCommand(workspace, [
+        '-e',
+        `const fs = require('fs');
+if (fs.existsSync(${JSON.stringify(__filename)})) process.exit(3);
+fs.writeFileSync(${JSON.stringify(probePath)}, 'ok');`,
+      ]);
+      const probe = spawnSync(command, args, {
+        cwd: workspace,
+        env: { PATH: process.env.PATH },
+        encoding: 'utf8',
+        timeout: 10000,
+      });
+
+      this.isolated = probe.status === 0 && fs.existsSync(probePath);
+      if (!this.isolated) {
+        console.warn(
+          `⚠️ Test sandbox unavailable (exit ${probe.status}): ${(probe.stderr || probe.error?.message || '').trim()}`
+        );
+      }
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+    return this.isolated;
+  }
+
+  isRunnable(testCase) {
+    return (
+      !!testCase.file &&
+      RUNNABLE_EXTENSIONS.includes(path.extname(testCase.file)) &&
+      !!testCase.code?.trim()
+    );
+  }
+
+  getRunner(testCase, framework) {
+    const usesVitest =
+      (testCase.framework || framework) === 'vitest' ||
+      /from\s+['"]vitest['"]|require\(\s*['"]vitest['"]\s*\)/.test(testCase.code || '');
+    return usesVitest ? 'vitest' : 'jest';
+  }
+
+  /**
+   * Relative modules a JavaScript file imports or requires
+   * @returns {Array<string>} Specifiers as written, e.g. "./utils"
+   */
+  getRelativeImports(code) {
+    let ast;
+    try {
+      ast = this.jsAstExtractor.parse(code, false);
+    } catch (error) {
+      return [];
+    }
+
+    const specifiers = [];
+    const visit = (node) => {
+      if (!node || typeof node.type !== 'string') return;
+
+      if (node.source && /^(Import|ExportAll|ExportNamed)Declaration$/.test(node.type)) {
+        specifiers.push(node.source.value);
+      } else if (
+        node.type === 'CallExpression' &&
+        node.arguments[0]?.type === 'StringLiteral' &&
+        (node.callee.type === 'Import' || node.callee.name === 'require')
+      ) {
+        specifiers.push(node.arguments[0].value);
+      }
+
+      Object.keys(node)
+        .filter((key) => !SKIPPED_KEYS.has(key))
+        .forEach((key) => {
+          const value = node[key];
+          if (Array.isArray(value)) value.forEach(visit);
+          else if (value && typeof value === 'object') visit(value);
+        });
+    };
+    visit(ast.program);
+
+    return specifiers.filter((specifier) => specifier.startsWith('.'));
+  }
+
+  /**
+   * Read the entry files and, breadth first, the relative modules they import
+   * @param {Array<string>} entryPaths
+   * @param {Function} readFile - async (path) => content
+   * @param {Array<string>} repoPaths - Every file in the repository, to resolve imports
+   * @returns {Promise<Array>} [{ path, content }]; files that fail to read are left out
+   */
+  async collectSources(entryPaths, readFile, repoPaths) {
+    const known = new Set(repoPaths);
+    const queued = new Set(entryPaths.filter((entryPath) => known.has(entryPath)));
+    const pending = [...queued];
+    const sources = [];
+
+    while (pending.length > 0 && sources.length < this.maxSourceFiles) {
+      const sourcePath = pending.shift();
+      let content;
+      try {
+        content = await readFile(sourcePath);
+      } catch (error) {
+        console.error(`Error reading ${sourcePath} for the sandbox:`, error.message);
+        continue;
+      }
+      sources.push({ path: sourcePath, content });
+
+      if (!RUNNABLE_EXTENSIONS.includes(path.extname(sourcePath))) continue;
+      this.getRelativeImports(content).forEach((specifier) => {
+        const target = this.materializer.findJavaScriptModule(
+          path.posix.join(path.posix.dirname(sourcePath), specifier),
+          known
+        );
+        if (target && !queued.has(target)) {
+          queued.add(target);
+          pending.push(target);
+        }
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Write sources and tests to a workspace and run them
+   * @param {Object} options - { sources: [{ path, content }], testCases, testStrategy,
+   *   framework, repoPaths, timeoutMs, signal }; timeoutMs can only shorten the configured
+   *   timeout, and aborting `signal` kills the run
+   * @returns {Promise<Object>} { runs, results: [{ testCaseId, status, testPath, durationMs,
+   *   assertions, output }], summary } where status is passed, failed, error or skipped
+   */
+  async execute(options) {
+    if (!this.enabled) {
+      throw executionError('Test execution is disabled', 403);
+    }
+    if (!this.canIsolate()) {
+      throw executionError('The server cannot isolate test runs', 503);
+    }
+    if (options.testCases.length > this.maxTestCases) {
+      throw executionError(`At most ${this.maxTestCases} test cases can run at once`);
+    }
+
+    const run = this.queue.then(() => {
+      if (options.signal?.aborted) throw new Error('Test run was cancelled');
+      return this.runInWorkspace(options);
+    });
+    // Later runs wait for this one whether it succeeds or not
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runInWorkspace({
+    sources,
+    testCases,
+    testStrategy,
+    framework,
+    repoPaths = [],
+    timeoutMs,
+    signal,
+  }) {
+    const workspace = await fsp.mkdtemp(path.join(os.tmpdir(), 'testgen-run-'));
+
+    try {
+      await Promise.all(sources.map((source) => this.writeFile(workspace, source)));
+
+      const known = new Set([...repoPaths, ...sources.map((source) => source.path)]);
+      const taken = new Set(known);
+      const results = [];
+      const byRunner = new Map();
+
+      for (const [index, testCase] of testCases.entries()) {
+        if (!this.isRunnable(testCase)) {
+          results.push(
+            this.buildResult(testCase, 'skipped', {
+              output: `Only ${RUNNABLE_EXTENSIONS.join(', ')} sources with test code run in the sandbox`,
+            })
+          );
+          continue;
+        }
+
+        const runner = this.getRunner(testCase, framework);
+        if (!this.resolveRunner(runner)) {
+          results.push(
+            this.buildResult(testCase, 'skipped', {
+              output: `${runner} is not installed on the server`,
+            })
+          );
+          continue;
+        }
+
+        // One test file per test case; the suffix keeps several for one source apart
+        const strategy = this.materializer.getTestStrategy(testCase.file, testStrategy);
+        let testPath;
+        for (let n = index + 1; !testPath || taken.has(testPath); n++) {
+          testPath = this.materializer.testMapping.getTestFilePath(
+            testCase.file,
+            strategy,
+            `case${n}`
+          );
+        }
+        taken.add(testPath);
+
+        const content = this.materializer.buildFileContent(
+          { path: testPath, sourceFile: testCase.file, testCases: [testCase] },
+          { repoPaths, known }
+        );
+        await this.writeFile(workspace, { path: testPath, content });
+
+        if (!byRunner.has(runner)) byRunner.set(runner, []);
+        byRunner.get(runner).push({ testCase, testPath });
+      }
+
+      const runs = [];
+      for (const [runner, tests] of byRunner.entries()) {
+        const run = await this.runTests(
+          workspace,
+          runner,
+          tests,
+          Math.min(timeoutMs || this.timeoutMs, this.timeoutMs),
+          signal
+        );
+        if (signal?.aborted) throw new Error('Test run was cancelled');
+        runs.push(run.summary);
+        results.push(...run.results);
+      }
+
+      // Results in the order the test cases came in
+      const order = new Map(testCases.map((testCase, index) => [testCase.id, index]));
+      results.sort((a, b) => order.get(a.testCaseId) - order.get(b.testCaseId));
+
+      return {
+        runs,
+        results,
+        summary: ['passed', 'failed', 'error', 'skipped'].reduce(
+          (summary, status) => ({
+            ...summary,
+            [status]: results.filter((result) => result.status === status).length,
+          }),
+          { total: results.length }
+        ),
+      };
+    } finally {
+      await fsp.rm(workspace, { recursive: true, force: true }).catch((error) => {
+        console.error(`Error removing sandbox ${workspace}:`, error.message);
+      });
+    }
+  }
+
+  async writeFile(workspace, file) {
+    const target = path.resolve(workspace, file.path);
+    if (!isInside(workspace, target)) {
+      throw executionError(`Path ${file.path} is outside the workspace`);
+    }
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.writeFile(target, file.content ?? '');
+  }
+
+  buildResult(testCase, status, details = {}) {
+    return {
+      testCaseId: testCase.id,
+      status,
+      testPath: details.testPath || null,
+      durationMs: details.durationMs ?? null,
+      assertions: details.assertions || [],
+      output: details.output || '',
+    };
+  }
+
+  // Arguments for a runner; both write a Jest-style JSON report to reportPath
+  getRunnerArgs(runner, workspace, testPaths, reportPath) {
+    if (runner === 'vitest') {
+      return [
+        'run',
+        '--root',
+        workspace,
+        // The shared describe block around each file is not imported from "vitest"
+        '--globals',
+        '--reporter=json',
+        `--outputFile=${reportPath}`,
+        '--pool=forks',
+        '--no-file-parallelism',
+        `--testTimeout=${this.testTimeoutMs}`,
+        ...testPaths,
+      ];
+    }
+
+    const config = {
+      rootDir: workspace,
+      testEnvironment: 'node',
+      testMatch: ['**/*'],
+      testPathIgnorePatterns: ['/node_modules/'],
+      cacheDirectory: path.join(workspace, '.jest-cache'),
+      // ES modules in the sources and tests are compiled to CommonJS
+      transform: {
+        '\\.[cm]?jsx?$': [
+          require.resolve('babel-jest'),
+          {
+            babelrc: false,
+            configFile: false,
+            plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+          },
+        ],
+      },
+    };
+
+    return [
+      '--config',
+      JSON.stringify(config),
+      '--runTestsByPath',
+      ...testPaths,
+      '--json',
+      `--outputFile=${reportPath}`,
+      '--runInBand',
+      '--ci',
+      '--no-watchman',
+      '--forceExit',
+      `--testTimeout=${this.testTimeoutMs}`,
+    ];
+  }
+
+  /**
+   * Run one runner over its tests and map the JSON report back to test cases
+   * @param {Array} tests - [{ testCase, testPath }]
+   */
+  async runTests(workspace, runner, tests, timeoutMs = this.timeoutMs, signal = null) {
+    const sandboxDir = path.join(workspace, '.sandbox');
+    await fsp.mkdir(path.join(sandboxDir, 'tmp'), { recursive: true });
+    await fsp.mkdir(path.join(sandboxDir, 'root'), { recursive: true });
+    const guardPath = path.join(sandboxDir, 'network-guard.js');
+    const reportPath = path.join(sandboxDir, 'report.json');
+    await fsp.writeFile(guardPath, NETWORK_GUARD);
+
+    if (runner === 'vitest') {
+      // Tests import "vitest"; the workspace has no node_modules of its own
+      await fsp.mkdir(path.join(workspace, 'node_modules'), { recursive: true });
+      await fsp.symlink(
+        this.getPackageDir('vitest'),
+        path.join(workspace, 'node_modules', 'vitest'),
+        'dir'
+      );
+    }
+
+    const testPaths = tests.map((test) => path.join(workspace, test.testPath));
+    const nodeArgs = [
+      `--max-old-space-size=${this.memoryMb}`,
+      '--require',
+      guardPath,
+      this.resolveRunner(runner),
+      ...this.getRunnerArgs(runner, workspace, testPaths, reportPath),
+    ];
+
+    const started = Date.now();
+    const processResult = await this.spawnLimited(nodeArgs, {
+      workspace,
+      env: {
+        PATH: process.env.PATH,
+        HOME: sandboxDir,
+        TMPDIR: path.join(sandboxDir, 'tmp'),
+        NODE_ENV: 'test',
+        CI: 'true',
+        FORCE_COLOR: '0',
+        NO_COLOR: '1',
+      },
+      timeoutMs,
+      signal,
+    });
+    const durationMs = Date.now() - started;
+
+    let report = null;
+    try {
+      report = JSON.parse(await fsp.readFile(reportPath, 'utf8'));
+    } catch (error) {
+      // No report: the runner crashed, was killed or never started
+    }
+
+    const output = processResult.output;
+    const failure = processResult.timedOut
+      ? `Timed out after ${timeoutMs / 1000}s`
+      : processResult.signal
+        ? `Runner was killed (${processResult.signal}); it may have exceeded the CPU or memory limit`
+        : `Runner exited with code ${processResult.exitCode} without a report`;
+
+    const reports = new Map(
+      (report?.testResults || []).map((fileResult) => [
+        path.relative(workspace, fileResult.name).split(path.sep).join('/'),
+        fileResult,
+      ])
+    );
+
+    return {
+      summary: {
+        runner,
+        tests: tests.length,
+        exitCode: processResult.exitCode,
+        timedOut: processResult.timedOut,
+        durationMs,
+        isolation: { filesystem: 'namespace', network: 'namespace' },
+        output,
+      },
+      results: tests.map(({ testCase, testPath }) => {
+        const fileResult = reports.get(testPath);
+        if (!fileResult) {
+          return this.buildResult(testCase, 'error', { testPath, output: failure });
+        }
+        return this.describeFileResult(testCase, testPath, fileResult);
+      }),
+    };
+  }
+
+  // One test case's file in a Jest-style report
+  describeFileResult(testCase, testPath, fileResult) {
+    const assertions = (fileResult.assertionResults || []).map((assertion) => ({
+      title: assertion.fullName || assertion.title,
+      status: assertion.status,
+      durationMs: assertion.duration ?? null,
+      failureMessages: assertion.failureMessages || [],
+    }));
+    const durationMs =
+      fileResult.endTime && fileResult.startTime ? fileResult.endTime - fileResult.startTime : null;
+
+    let status = 'passed';
+    if (assertions.some((assertion) => assertion.status === 'failed')) {
+      status = 'failed';
+    } else if (assertions.length === 0 || fileResult.status === 'failed') {
+      // The file failed to load (syntax, missing module) or declared no tests
+      status = 'error';
+    } else if (assertions.every((assertion) => assertion.status !== 'passed')) {
+      status = 'skipped';
+    }
+
+    const output = [
+      ...assertions.flatMap((assertion) => assertion.failureMessages),
+      status === 'error' ? fileResult.message || 'No tests ran' : '',
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+
+    return this.buildResult(testCase, status, { testPath, durationMs, assertions, output });
+  }
+
+  /**
+   * Run node in the sandbox, under resource limits, in its own process group
+   * @returns {Promise<{ exitCode, signal, timedOut, output }>}
+   */
+  spawnLimited(nodeArgs, { workspace, env, timeoutMs = this.timeoutMs, signal = null }) {
+    const { command, args } = this.getSandboxCommand(workspace, nodeArgs);
+
+    return new Promise((resolve) => {
+      const child = spawn(command, args, {
+        cwd: workspace,
+        env,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      let output = '';
+      let timedOut = false;
+
+      const collect = (chunk) => {
+        output = (output + chunk).slice(-MAX_OUTPUT_CHARS);
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+
+      const kill = () => {
+        try {
+          // The runner's own children share its process group
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already gone
+        }
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeoutMs);
+      signal?.addEventListener('abort', kill, { once: true });
+      const done = (result) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', kill);
+        resolve(result);
+      };
+
+      child.on('error', (error) => {
+        done({ exitCode: null, signal: null, timedOut, output: error.message });
+      });
+      child.on('close', (exitCode, exitSignal) => {
+        done({ exitCode, signal: exitSignal, timedOut, output });
+      });
+    });
+  }
+}
+
+module.exports = TestExecutionService;
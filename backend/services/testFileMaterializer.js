@@ -0,0 +1,626 @@
+const path = require('path');
+const FileAnalysisService = require('./fileAnalysis');
+const TestMappingService = require('./testMapping');
+const JavaScriptAstExtractor = require('./jsAstExtractor');
+
+// Source for test cases that do not name one; they share a single file
+const UNKNOWN_SOURCE = 'generated';
+
+const HASH_COMMENT_EXTENSIONS = ['.py', '.rb', '.sh', '.r', '.pl'];
+
+// Extensions a JS/TS import may leave off, in Node's lookup order
+const JS_RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Top-level statements that bind a name; test code declaring them gets its own scope
+const DECLARATIONS = ['VariableDeclaration', 'FunctionDeclaration', 'ClassDeclaration'];
+
+const PYTHON_IMPORT = /^(from\s+([\w.]+)\s+import\s+(.+)|import\s+(.+))$/;
+const PYTHON_PATH_SETUP = /^sys\.path\.(insert|append)\(/;
+
+const quote = (text) => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const indent = (code, prefix = '  ') =>
+  code
+    .split('\n')
+    .map((line) => (line.trim() ? `${prefix}${line}` : ''))
+    .join('\n');
+
+/**
+ * Turns generated test cases into test files: one file per source file at the path the
+ * test strategy names, with imports that resolve from that path and the test cases merged
+ * into one suite (shared imports, setup and teardown under one describe block).
+ *
+ * `repoPaths` lists the repository's files. Without it, Python modules are assumed to be
+ * importable from the repository root and JS imports are only checked against the sources.
+ */
+class TestFileMaterializer {
+  constructor() {
+    this.fileAnalysis = new FileAnalysisService();
+    this.testMapping = new TestMappingService();
+    this.jsAstExtractor = new JavaScriptAstExtractor();
+  }
+
+  // Strategy for a source file: the given one when it names a pattern, else the language default
+  getTestStrategy(sourcePath, testStrategy) {
+    if (testStrategy?.testFilePattern) return testStrategy;
+
+    const type = this.fileAnalysis.supportedExtensions[path.extname(sourcePath)]?.type;
+    return this.fileAnalysis.getTestGenerationStrategy({ type });
+  }
+
+  getLanguage(filePath) {
+    const type = this.fileAnalysis.supportedExtensions[path.extname(filePath)]?.type;
+    return type === 'typescript' || type === 'javascript' || type === 'python' ? type : null;
+  }
+
+  // Where the test file for a source file goes, before checking for existing files
+  getTargetPath(sourcePath, testStrategy) {
+    return this.testMapping.getTestFilePath(
+      sourcePath,
+      this.getTestStrategy(sourcePath, testStrategy)
+    );
+  }
+
+  /**
+   * Group test cases into one test file per source file, named by the test strategy.
+   * Paths already taken, by the repository or an earlier file of the plan, get a
+   * "generated" suffix (numbered when that one is taken too) instead of being overwritten.
+   * @returns {Array} [{ path, sourceFile, testCases }]
+   * @throws {Error} statusCode 400 when a test case names a file outside the repository
+   */
+  planTestFiles(testCases, { testStrategy, existingPaths = [] } = {}) {
+    const repoPaths = existingPaths.length > 0 ? new Set(existingPaths) : null;
+    const bySource = new Map();
+    testCases.forEach((testCase) => {
+      if (testCase.file && !this.isRepositoryPath(testCase.file, repoPaths)) {
+        throw Object.assign(
+          new Error(
+            `Test case ${testCase.id || testCase.title} names unknown file ${testCase.file}`
+          ),
+          { statusCode: 400 }
+        );
+      }
+
+      const sourceFile = testCase.file || UNKNOWN_SOURCE;
+      if (!bySource.has(sourceFile)) bySource.set(sourceFile, []);
+      bySource.get(sourceFile).push(testCase);
+    });
+
+    const taken = new Set(existingPaths);
+    return [...bySource.entries()].map(([sourceFile, cases]) => {
+      const strategy = this.getTestStrategy(sourceFile, testStrategy);
+      let testPath = this.testMapping.getTestFilePath(sourceFile, strategy);
+      for (let n = 1; taken.has(testPath); n++) {
+        testPath = this.testMapping.getTestFilePath(
+          sourceFile,
+          strategy,
+          n === 1 ? 'generated' : `generated${n}`
+        );
+      }
+      taken.add(testPath);
+
+      return {
+        path: testPath,
+        sourceFile: sourceFile === UNKNOWN_SOURCE ? null : sourceFile,
+        testCases: cases,
+      };
+    });
+  }
+
+  // A relative path that stays inside the repository and, when its files are known, is one
+  isRepositoryPath(filePath, repoPaths = null) {
+    const normalized = path.posix.normalize(filePath);
+    if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+      return false;
+    }
+    return !repoPaths || repoPaths.has(filePath);
+  }
+
+  /**
+   * Plan the test files and build their content
+   * @param {Array} testCases
+   * @param {Object} options - { testStrategy, existingPaths } (the repository's file paths)
+   * @returns {Array} [{ path, sourceFile, testCases, content }]
+   */
+  materialize(testCases, { testStrategy, existingPaths = [] } = {}) {
+    const files = this.planTestFiles(testCases, { testStrategy, existingPaths });
+    const repoPaths = existingPaths.length > 0 ? existingPaths : null;
+    const known = new Set([...(repoPaths || []), ...files.map((file) => file.sourceFile)]);
+
+    return files.map((file) => ({
+      ...file,
+      content: this.buildFileContent(file, { repoPaths, known }),
+    }));
+  }
+
+  /**
+   * Import specifier for a JS/TS source file as seen from a test file
+   * ("__tests__/math.test.js", "src/math.js" → "../src/math")
+   */
+  getImportPath(testPath, sourcePath) {
+    const target = sourcePath.replace(/\.[^/.]+$/, '').replace(/\/index$/, '');
+    const relative = path.posix.relative(path.posix.dirname(testPath), target);
+    return relative.startsWith('.') ? relative : `./${relative}`;
+  }
+
+  /**
+   * Python module for a source file: packages (folders with __init__.py) up from the file,
+   * and the folder that holds the outermost one as the root to import from.
+   * Without repoPaths the repository root is assumed ("src/utils/x.py" → "src.utils.x").
+   * @returns {{ module: string, root: string }} root is '' for the repository root
+   */
+  getPythonModule(sourcePath, repoPaths = null) {
+    const withoutExtension = sourcePath.replace(/\.py$/, '');
+    if (!repoPaths) {
+      return { module: withoutExtension.replace(/\/__init__$/, '').replace(/\//g, '.'), root: '' };
+    }
+
+    const paths = new Set(repoPaths);
+    const parts =
+      path.posix.basename(withoutExtension) === '__init__'
+        ? []
+        : [path.posix.basename(withoutExtension)];
+    let directory = path.posix.dirname(sourcePath);
+    while (directory !== '.' && paths.has(`${directory}/__init__.py`)) {
+      parts.unshift(path.posix.basename(directory));
+      directory = path.posix.dirname(directory);
+    }
+
+    // A package's __init__ outside any package is imported from its parent
+    if (parts.length === 0) {
+      parts.push(path.posix.basename(directory));
+      directory = path.posix.dirname(directory);
+    }
+    return { module: parts.join('.'), root: directory === '.' ? '' : directory };
+  }
+
+  /**
+   * Lines putting import roots on sys.path for a test file; pytest only adds the test's
+   * own folder, so every other root (the repository root included) is added explicitly
+   */
+  getPythonPathLines(testPath, roots = []) {
+    const testDirectory = path.posix.dirname(testPath);
+    const inserts = [...new Set(roots)]
+      .map((root) => path.posix.relative(testDirectory, root || '.'))
+      .filter(Boolean)
+      .map(
+        (relative) =>
+          `sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), ${relative
+            .split('/')
+            .map(quote)
+            .join(', ')}))`
+      );
+
+    return inserts.length > 0 ? ['import os', 'import sys', '', ...inserts] : [];
+  }
+
+  buildFileContent(file, { repoPaths = null, known = new Set() } = {}) {
+    const language = this.getLanguage(file.path);
+    if (file.sourceFile && (language === 'javascript' || language === 'typescript')) {
+      return this.buildJavaScriptFile(file, { known, typescript: language === 'typescript' });
+    }
+    if (file.sourceFile && language === 'python') {
+      return this.buildPythonFile(file, { repoPaths });
+    }
+    return this.buildPlainFile(file);
+  }
+
+  buildHeader(file, comment) {
+    return [
+      `${comment} Generated by AI Test Case Generator${
+        file.sourceFile ? ` for ${file.sourceFile}` : ''
+      }`,
+      `${comment} Review before merging.`,
+    ].join('\n');
+  }
+
+  // Languages without import handling: header, shared setup once, then each test under its title
+  buildPlainFile(file) {
+    const comment = HASH_COMMENT_EXTENSIONS.includes(path.extname(file.path)) ? '#' : '//';
+    const setups = [
+      ...new Set(file.testCases.map((testCase) => (testCase.setup || '').trim()).filter(Boolean)),
+    ];
+
+    const sections = [
+      this.buildHeader(file, comment),
+      ...setups,
+      ...file.testCases.map((testCase) =>
+        [`${comment} ${testCase.title || testCase.id}`, (testCase.code || '').trim()].join('\n')
+      ),
+    ];
+
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  // Parsed program, or null for code Babel cannot read even with error recovery
+  parseJavaScript(code, typescript) {
+    try {
+      return this.jsAstExtractor.parse(code, typescript);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  declaresBindings(code, typescript) {
+    const ast = this.parseJavaScript(code, typescript);
+    return !!ast?.program.body.some((node) => DECLARATIONS.includes(node.type));
+  }
+
+  /**
+   * Split top-level import/require statements off test code
+   * @returns {{ imports: Array, body: string }} imports as { module, esm, defaultName, named, raw }
+   */
+  splitJavaScriptImports(code, typescript) {
+    const ast = this.parseJavaScript(code, typescript);
+    if (!ast) return { imports: [], body: code };
+
+    const imports = [];
+    const ranges = [];
+    ast.program.body.forEach((node) => {
+      const record = this.describeJavaScriptImport(node, code);
+      if (!record) return;
+      imports.push(record);
+      ranges.push([node.start, node.end]);
+    });
+
+    let body = code;
+    ranges.reverse().forEach(([start, end]) => {
+      body = body.slice(0, start) + body.slice(end);
+    });
+    return { imports, body: body.replace(/\n{3,}/g, '\n\n').trim() };
+  }
+
+  describeJavaScriptImport(node, code) {
+    const raw = code.slice(node.start, node.end);
+
+    if (node.type === 'ImportDeclaration') {
+      const record = { module: node.source.value, esm: true, defaultName: null, named: [], raw };
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportDefaultSpecifier') {
+          record.defaultName = specifier.local.name;
+        } else if (specifier.type === 'ImportSpecifier') {
+          const imported = specifier.imported.name || specifier.imported.value;
+          record.named.push(
+            imported === specifier.local.name ? imported : `${imported} as ${specifier.local.name}`
+          );
+        } else {
+          // Namespace imports are kept as written
+          record.other = true;
+        }
+      }
+      if (node.specifiers.length === 0 || node.importKind === 'type') record.other = true;
+      return record;
+    }
+
+    const declarator =
+      node.type === 'VariableDeclaration' && node.declarations.length === 1 && node.declarations[0];
+    const init = declarator?.init;
+    if (
+      init?.type !== 'CallExpression' ||
+      init.callee.name !== 'require' ||
+      init.arguments.length !== 1 ||
+      !['StringLiteral', 'Literal'].includes(init.arguments[0].type)
+    ) {
+      return null;
+    }
+
+    const record = {
+      module: init.arguments[0].value,
+      esm: false,
+      defaultName: null,
+      named: [],
+      raw,
+    };
+    if (declarator.id.type === 'Identifier') {
+      record.defaultName = declarator.id.name;
+    } else if (
+      declarator.id.type === 'ObjectPattern' &&
+      declarator.id.properties.every(
+        (property) => property.type === 'ObjectProperty' && property.value.type === 'Identifier'
+      )
+    ) {
+      record.named = declarator.id.properties.map((property) =>
+        property.key.name === property.value.name
+          ? property.key.name
+          : `${property.key.name}: ${property.value.name}`
+      );
+    } else {
+      record.other = true;
+    }
+    return record;
+  }
+
+  /**
+   * The specifier to use from the test file: relative imports of repository files are
+   * resolved from the test file first, then from the repository root (where templates and
+   * models often write them from), and rewritten to resolve from the test file
+   */
+  resolveJavaScriptImport(specifier, testPath, known) {
+    if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+      return specifier;
+    }
+
+    if (
+      this.findJavaScriptModule(path.posix.join(path.posix.dirname(testPath), specifier), known)
+    ) {
+      return specifier;
+    }
+    const fromRoot = this.findJavaScriptModule(specifier, known);
+    return fromRoot ? this.getImportPath(testPath, fromRoot) : specifier;
+  }
+
+  // Known file a module path points at, trying Node's extensions and index files
+  findJavaScriptModule(candidate, known) {
+    const normalized = path.posix.normalize(candidate).replace(/^\/+/, '');
+    const options = [
+      normalized,
+      ...JS_RESOLVE_EXTENSIONS.map((extension) => `${normalized}${extension}`),
+      ...JS_RESOLVE_EXTENSIONS.map((extension) => `${normalized}/index${extension}`),
+    ];
+    return options.find((option) => known.has(option)) || null;
+  }
+
+  // One statement per module and style, with named bindings merged so nothing is declared twice
+  mergeJavaScriptImports(imports) {
+    const lines = [];
+    const byModule = new Map();
+
+    imports.forEach((record) => {
+      if (record.other) {
+        if (!lines.includes(record.raw)) lines.push(record.raw);
+        return;
+      }
+      const key = `${record.esm ? 'esm' : 'cjs'}:${record.module}`;
+      if (!byModule.has(key)) {
+        byModule.set(key, { ...record, defaultNames: new Set(), named: new Set() });
+      }
+      const merged = byModule.get(key);
+      if (record.defaultName) merged.defaultNames.add(record.defaultName);
+      record.named.forEach((name) => merged.named.add(name));
+    });
+
+    byModule.forEach(({ module, esm, defaultNames, named }) => {
+      const source = quote(module);
+      const names = [...named].join(', ');
+      const defaults = [...defaultNames];
+      if (esm) {
+        if (defaults.length === 0 && named.size > 0)
+          lines.push(`import { ${names} } from ${source};`);
+        defaults.forEach((name, index) =>
+          lines.push(
+            index === 0 && named.size > 0
+              ? `import ${name}, { ${names} } from ${source};`
+              : `import ${name} from ${source};`
+          )
+        );
+      } else {
+        defaults.forEach((name) => lines.push(`const ${name} = require(${source});`));
+        if (named.size > 0) lines.push(`const { ${names} } = require(${source});`);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Import of the source file for test code that calls its functions without importing it;
+   * null when the code imports the source itself or uses none of its functions by name
+   */
+  getSourceImport(file, imports, typescript) {
+    const known = new Set([file.sourceFile]);
+    const importsSource = imports.some(
+      (record) =>
+        record.module.startsWith('.') &&
+        this.findJavaScriptModule(
+          path.posix.join(path.posix.dirname(file.path), record.module),
+          known
+        )
+    );
+    if (importsSource) return null;
+
+    // Local names the other imports already bind ("a as b" and "a: b" bind b)
+    const bound = new Set(
+      imports.flatMap((record) => [
+        record.defaultName,
+        ...record.named.map((name) => name.split(/\s+as\s+|:\s*/).pop()),
+      ])
+    );
+    const words = new Set(
+      file.testCases
+        .flatMap((testCase) => [testCase.code, testCase.setup, testCase.teardown])
+        .join('\n')
+        .match(/[A-Za-z_$][\w$]*/g)
+    );
+    // Methods are reached through their class
+    const named = [
+      ...new Set(file.testCases.map((testCase) => (testCase.function || '').split('.')[0])),
+    ].filter((name) => /^[A-Za-z_$][\w$]*$/.test(name) && words.has(name) && !bound.has(name));
+    if (named.length === 0) return null;
+
+    return {
+      module: this.getImportPath(file.path, file.sourceFile),
+      esm: typescript || imports.some((record) => record.esm),
+      defaultName: null,
+      named,
+      raw: null,
+    };
+  }
+
+  // Shared describe block named after the source; each test case keeps its own scope
+  buildJavaScriptFile(file, { known, typescript }) {
+    const imports = [];
+    const bodies = [];
+    file.testCases.forEach((testCase) => {
+      const split = this.splitJavaScriptImports(testCase.code || '', typescript);
+      split.imports.forEach((record) => {
+        imports.push({
+          ...record,
+          module: this.resolveJavaScriptImport(record.module, file.path, known),
+        });
+      });
+      bodies.push({ testCase, body: split.body });
+    });
+
+    const sourceImport = this.getSourceImport(file, imports, typescript);
+    if (sourceImport) imports.unshift(sourceImport);
+
+    // Playwright's runner only provides describe as test.describe
+    const describe = imports.some((record) => record.module === '@playwright/test')
+      ? 'test.describe'
+      : 'describe';
+
+    const setups = [
+      ...new Set(file.testCases.map((testCase) => (testCase.setup || '').trim()).filter(Boolean)),
+    ].map((setup) =>
+      /^(beforeEach|beforeAll)\s*\(/.test(setup) || this.declaresBindings(setup, typescript)
+        ? setup
+        : `beforeEach(() => {\n${indent(setup)}\n});`
+    );
+    const teardowns = [
+      ...new Set(
+        file.testCases.map((testCase) => (testCase.teardown || '').trim()).filter(Boolean)
+      ),
+    ].map((teardown) =>
+      /^(afterEach|afterAll)\s*\(/.test(teardown)
+        ? teardown
+        : `afterEach(() => {\n${indent(teardown)}\n});`
+    );
+
+    const tests = bodies
+      .filter(({ body }) => body)
+      .map(({ testCase, body }) => {
+        const title = testCase.title || testCase.id;
+        return this.declaresBindings(body, typescript)
+          ? `${describe}(${quote(title)}, () => {\n${indent(body)}\n});`
+          : `// ${title}\n${body}`;
+      });
+
+    const suite = [...setups, ...teardowns, ...tests].join('\n\n');
+    const importLines = this.mergeJavaScriptImports(imports);
+
+    return `${[
+      this.buildHeader(file, '//'),
+      ...(importLines.length > 0 ? [importLines.join('\n')] : []),
+      `${describe}(${quote(file.sourceFile)}, () => {\n${indent(suite)}\n});`,
+    ].join('\n\n')}\n`;
+  }
+
+  /**
+   * Split top-level imports (including parenthesized multi-line ones) off Python test code.
+   * sys.path changes are dropped: the file gets its own for the modules it imports.
+   */
+  splitPythonImports(code) {
+    const imports = [];
+    const body = [];
+    const lines = code.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      let line = lines[i];
+      if (PYTHON_PATH_SETUP.test(line)) continue;
+
+      const match = line.match(PYTHON_IMPORT);
+      if (!match) {
+        body.push(line);
+        continue;
+      }
+
+      while (line.includes('(') && !line.includes(')') && i + 1 < lines.length) {
+        line += ` ${lines[++i].trim()}`;
+      }
+
+      const statement = line
+        .replace(/\s+/g, ' ')
+        .replace(/\(\s*|\s*,?\s*\)/g, '')
+        .trim();
+      const from = statement.match(/^from ([\w.]+) import (.+)$/);
+      imports.push(
+        from
+          ? { module: from[1], names: from[2].split(',').map((name) => name.trim()) }
+          : { statement }
+      );
+    }
+
+    return { imports, body: body.join('\n').trim() };
+  }
+
+  // The source module a Python import names, from the repository root or the source's root
+  resolvePythonImport(module, candidateRoots, repoPaths) {
+    if (!repoPaths) return null;
+
+    const paths = new Set(repoPaths);
+    const relative = module.replace(/\./g, '/');
+    for (const root of candidateRoots) {
+      const base = root ? `${root}/${relative}` : relative;
+      const found = [`${base}.py`, `${base}/__init__.py`].find((candidate) => paths.has(candidate));
+      if (found) return this.getPythonModule(found, repoPaths);
+    }
+    return null;
+  }
+
+  buildPythonFile(file, { repoPaths }) {
+    const source = this.getPythonModule(file.sourceFile, repoPaths);
+    const candidateRoots = [...new Set(['', source.root, path.posix.dirname(file.path)])];
+    const roots = new Set([source.root]);
+    const fromImports = new Map();
+    const statements = [];
+    const bodies = [];
+
+    file.testCases.forEach((testCase) => {
+      const split = this.splitPythonImports(testCase.code || '');
+      split.imports.forEach((record) => {
+        if (record.statement) {
+          if (!statements.includes(record.statement)) statements.push(record.statement);
+          return;
+        }
+
+        const resolved = this.resolvePythonImport(record.module, candidateRoots, repoPaths);
+        const module = resolved ? resolved.module : record.module;
+        if (resolved) roots.add(resolved.root);
+        if (!fromImports.has(module)) fromImports.set(module, new Set());
+        record.names.forEach((name) => fromImports.get(module).add(name));
+      });
+      if (split.body) bodies.push({ testCase, body: split.body });
+    });
+
+    // "import *" makes the other names redundant
+    const importLines = [
+      ...statements.filter((statement) => !['import os', 'import sys'].includes(statement)),
+      ...[...fromImports.entries()].map(([module, names]) =>
+        names.has('*')
+          ? `from ${module} import *`
+          : `from ${module} import ${[...names].join(', ')}`
+      ),
+    ];
+    const pathLines = this.getPythonPathLines(file.path, [...roots]);
+    const standardLines =
+      pathLines.length > 0
+        ? []
+        : statements.filter((statement) => ['import os', 'import sys'].includes(statement));
+
+    const setups = [
+      ...new Set(file.testCases.map((testCase) => (testCase.setup || '').trim()).filter(Boolean)),
+    ];
+    const teardowns = [
+      ...new Set(
+        file.testCases.map((testCase) => (testCase.teardown || '').trim()).filter(Boolean)
+      ),
+    ];
+
+    // Two blank lines between top-level definitions, as PEP 8 has it
+    const preamble = [
+      this.buildHeader(file, '#'),
+      pathLines.join('\n'),
+      [...standardLines, ...importLines].join('\n'),
+    ].filter(Boolean);
+    const sections = [
+      preamble.join('\n\n'),
+      ...setups,
+      ...teardowns,
+      ...bodies.map(({ testCase, body }) => `# ${testCase.title || testCase.id}\n${body}`),
+    ];
+
+    return `${sections.join('\n\n\n')}\n`;
+  }
+}
+
+module.exports = TestFileMaterializer;
+module.exports.UNKNOWN_SOURCE = UNKNOWN_SOURCE;
@@ -0,0 +1,450 @@
+const path = require('path');
+const JavaScriptAstExtractor = require('./jsAstExtractor');
+const PythonAnalyzer = require('./pythonAnalyzer');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+// Extensions whose files can test each other; any other extension is its own family
+const LANGUAGE_FAMILIES = [
+  JS_EXTENSIONS,
+  ['.java', '.kt', '.scala', '.groovy'],
+  ['.c', '.h', '.cc', '.cpp', '.hpp'],
+];
+
+class TestMappingService {
+  constructor() {
+    this.jsAstExtractor = new JavaScriptAstExtractor();
+    this.pythonAnalyzer = new PythonAnalyzer();
+  }
+
+  isTestPath(filePath) {
+    const fileName = path.basename(filePath);
+    return (
+      /\.(test|spec)\.[^.]+$/.test(fileName) ||
+      /^test_.+\.py$/.test(fileName) ||
+      /_test\.(py|go|rs)$/.test(fileName) ||
+      /Tests?\.(java|kt|cs)$/.test(fileName) ||
+      /(^|\/)__tests__\//.test(filePath)
+    );
+  }
+
+  // Test file names that point at a source file: the strategy's pattern plus common conventions
+  getTestNameCandidates(sourcePath, testStrategy = {}) {
+    const base = path.basename(sourcePath).replace(/\.[^.]+$/, '');
+    const capitalized = base.charAt(0).toUpperCase() + base.slice(1);
+    const fromStrategy = testStrategy.testFilePattern
+      ? [
+          testStrategy.testFilePattern
+            .replace('{filename}', base)
+            .replace('{Filename}', capitalized)
+            .replace(/\.[^.]+$/, ''),
+        ]
+      : [];
+
+    return [
+      ...fromStrategy,
+      `${base}.test`,
+      `${base}.spec`,
+      `test_${base}`,
+      `${base}_test`,
+      `${capitalized}Test`,
+      `${capitalized}Tests`,
+    ].map((name) => name.toLowerCase());
+  }
+
+  getLanguageFamily(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const family = LANGUAGE_FAMILIES.find((extensions) => extensions.includes(extension));
+    return family ? family[0] : extension;
+  }
+
+  // Test files in the source's language whose name or location points at it, closest
+  // directory first
+  findTestsForSource(sourcePath, testPaths, testStrategy = {}) {
+    const base = path.basename(sourcePath).replace(/\.[^.]+$/, '');
+    const candidates = this.getTestNameCandidates(sourcePath, testStrategy);
+    // index.js is tested under its directory name: __tests__/utils.test.js for utils/index.js
+    const directoryName =
+      base === 'index' || base === '__init__' ? this.getDirectoryName(sourcePath) : null;
+    const directoryCandidates = directoryName
+      ? this.getTestNameCandidates(`${directoryName}.js`, testStrategy)
+      : [];
+
+    const family = this.getLanguageFamily(sourcePath);
+
+    return testPaths
+      .filter((testPath) => this.getLanguageFamily(testPath) === family)
+      .filter((testPath) => {
+        const testBase = path
+          .basename(testPath)
+          .replace(/\.[^.]+$/, '')
+          .toLowerCase();
+        if (candidates.includes(testBase) || directoryCandidates.includes(testBase)) return true;
+        return (
+          /(^|\/)(__tests__|tests?)\//.test(testPath) &&
+          [base.toLowerCase(), directoryName?.toLowerCase()].includes(testBase)
+        );
+      })
+      .map((testPath) => ({ testPath, score: this.getDirectoryAffinity(sourcePath, testPath) }))
+      .sort((a, b) => b.score - a.score || a.testPath.localeCompare(b.testPath))
+      .map(({ testPath }) => testPath);
+  }
+
+  /**
+   * Where a new test file for a source file goes under the strategy's pattern and directory.
+   * A suffix ("generated") keeps the name clear of a test file that already exists.
+   */
+  getTestFilePath(sourcePath, testStrategy = {}, suffix = '') {
+    const pattern = testStrategy.testFilePattern || '{filename}.test.js';
+    const base = path.basename(sourcePath).replace(/\.[^.]+$/, '');
+    const capitalized = base.charAt(0).toUpperCase() + base.slice(1);
+    const fileName = pattern
+      .replace('{filename}', suffix ? `${base}_${suffix}` : base)
+      .replace(
+        '{Filename}',
+        suffix ? `${capitalized}${suffix.charAt(0).toUpperCase()}${suffix.slice(1)}` : capitalized
+      );
+    const directory = testStrategy.testDirectory || '__tests__';
+
+    if (directory === '.') {
+      return path.posix.join(path.posix.dirname(sourcePath), fileName);
+    }
+    return path.posix.join(directory, fileName);
+  }
+
+  // { sourcePath: [testPaths] } for every source file that has at least one test
+  mapTestsToSources(sourcePaths, testPaths, testStrategy = {}) {
+    const map = {};
+    sourcePaths
+      .filter((sourcePath) => !this.isTestPath(sourcePath))
+      .forEach((sourcePath) => {
+        const tests = this.findTestsForSource(sourcePath, testPaths, testStrategy);
+        if (tests.length > 0) map[sourcePath] = tests;
+      });
+    return map;
+  }
+
+  /**
+   * Which symbols of a source file its tests already exercise.
+   * @param {Object} sourceFile - { path }
+   * @param {Array} symbols - Output of extractFunctionsFromCode for the source file
+   * @param {Array} testFiles - [{ path, content }] already mapped to this source
+   * @returns {Object} { file, testFiles, symbols: [{ name, className, kind, tested, testedBy }], ... }
+   */
+  analyzeSource(sourceFile, symbols, testFiles) {
+    const usages = testFiles
+      .filter((testFile) => testFile.content)
+      .map((testFile) => ({
+        testPath: testFile.path,
+        usage: this.collectUsage(testFile, sourceFile.path),
+      }));
+
+    const described = symbols.map((symbol) => {
+      const testedBy = usages
+        .filter(({ usage }) => this.isExercised(symbol, usage))
+        .map(({ testPath }) => testPath);
+      return {
+        name: symbol.name,
+        className: symbol.className || null,
+        kind: symbol.kind || 'function',
+        tested: testedBy.length > 0,
+        testedBy,
+      };
+    });
+
+    return {
+      file: sourceFile.path,
+      testFiles: testFiles.map((testFile) => testFile.path),
+      symbols: described,
+      tested: described.filter((symbol) => symbol.tested).length,
+      untested: described.filter((symbol) => !symbol.tested).length,
+    };
+  }
+
+  // Key used to match symbols between extraction and mapping results
+  getSymbolKey(symbol) {
+    return symbol.className ? `${symbol.className}.${symbol.name}` : symbol.name;
+  }
+
+  isExercised(symbol, usage) {
+    const owner = symbol.className && symbol.kind !== 'class' ? symbol.className : null;
+
+    if (!usage.resolved) {
+      // A test of another module with the same name says nothing about this one
+      if (usage.otherModule) return false;
+      // The test never imports the source by a path we can resolve: look for the name itself
+      return (
+        usage.words.has(symbol.name) &&
+        (!owner || usage.words.has(owner) || usage.members.has(symbol.name))
+      );
+    }
+
+    if (owner) {
+      const ownerUsed =
+        usage.names.has(owner) ||
+        (symbol.exportType === 'default' && usage.defaultUsed) ||
+        (symbol.exportType === 'instance' && usage.moduleUsed) ||
+        usage.moduleMembers.has(owner);
+      return ownerUsed && usage.members.has(symbol.name);
+    }
+
+    if (symbol.exportType === 'default' && usage.defaultUsed) return true;
+    return usage.names.has(symbol.name) || usage.moduleMembers.has(symbol.name);
+  }
+
+  // Names a test file imports from the source and which of them its body uses
+  collectUsage(testFile, sourcePath) {
+    const extension = path.extname(testFile.path);
+    try {
+      if (JS_EXTENSIONS.includes(extension)) {
+        return this.collectJavaScriptUsage(testFile, sourcePath);
+      }
+      if (extension === '.py') {
+        return this.collectPythonUsage(testFile, sourcePath);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not parse test file ${testFile.path}:`, error.message);
+    }
+    return this.collectTextUsage(testFile.content);
+  }
+
+  collectJavaScriptUsage(testFile, sourcePath) {
+    const ast = this.jsAstExtractor.parse(testFile.content, /\.tsx?$/.test(testFile.path));
+    const bindings = new Map(); // local name -> imported name ('*' for the whole module)
+    const importNodes = new Set();
+
+    let otherModule = false;
+    const bindModule = (specifier, local, imported) => {
+      if (this.resolvesTo(testFile.path, specifier, sourcePath)) bindings.set(local, imported);
+      else if (this.namesOtherModule(testFile.path, specifier, sourcePath)) otherModule = true;
+    };
+
+    this.walk(ast.program, (node) => {
+      if (node.type === 'ImportDeclaration') {
+        importNodes.add(node);
+        node.specifiers.forEach((specifier) => {
+          const imported =
+            specifier.type === 'ImportSpecifier'
+              ? this.jsAstExtractor.getKeyName(specifier.imported)
+              : specifier.type === 'ImportDefaultSpecifier'
+                ? 'default'
+                : '*';
+          bindModule(node.source.value, specifier.local.name, imported);
+        });
+      } else if (
+        node.type === 'VariableDeclarator' &&
+        node.init?.type === 'CallExpression' &&
+        node.init.callee.name === 'require' &&
+        node.init.arguments[0]?.type === 'StringLiteral'
+      ) {
+        importNodes.add(node.id);
+        const specifier = node.init.arguments[0].value;
+        if (node.id.type === 'Identifier') {
+          bindModule(specifier, node.id.name, '*');
+        } else if (node.id.type === 'ObjectPattern') {
+          node.id.properties
+            .filter((p) => p.type === 'ObjectProperty' && p.value.type === 'Identifier')
+            .forEach((p) =>
+              bindModule(specifier, p.value.name, this.jsAstExtractor.getKeyName(p.key))
+            );
+        }
+      }
+    });
+
+    const usage = this.createUsage(bindings.size > 0);
+    usage.otherModule = otherModule;
+    this.walk(
+      ast.program,
+      (node) => {
+        if (node.type === 'Identifier') {
+          usage.words.add(node.name);
+          const imported = bindings.get(node.name);
+          if (imported === '*') usage.moduleUsed = true;
+          else if (imported === 'default') usage.defaultUsed = true;
+          else if (imported) usage.names.add(imported);
+        }
+        if (
+          ['MemberExpression', 'OptionalMemberExpression'].includes(node.type) &&
+          !node.computed
+        ) {
+          const member = this.jsAstExtractor.getKeyName(node.property);
+          usage.members.add(member);
+          if (node.object.type === 'Identifier' && bindings.get(node.object.name) === '*') {
+            usage.moduleMembers.add(member);
+          }
+        }
+      },
+      importNodes
+    );
+
+    // A CommonJS module bound as a whole is its default export
+    if (usage.moduleUsed) usage.defaultUsed = true;
+    return usage;
+  }
+
+  collectPythonUsage(testFile, sourcePath) {
+    const modulePath = sourcePath.replace(/(\/__init__)?\.py$/, '');
+    const sourceModule = path.posix.basename(modulePath);
+    const bindings = new Map();
+    let otherModule = false;
+    const bodyLines = [];
+
+    const resolves = (moduleName) => {
+      if (moduleName.startsWith('.')) {
+        const level = moduleName.match(/^\.+/)[0].length;
+        const base = path.posix.join(
+          path.posix.dirname(testFile.path),
+          ...Array(level - 1).fill('..'),
+          moduleName.slice(level).replace(/\./g, '/')
+        );
+        return base === modulePath;
+      }
+      const asPath = moduleName.replace(/\./g, '/');
+      return modulePath === asPath || modulePath.endsWith(`/${asPath}`);
+    };
+
+    this.pythonAnalyzer.toLogicalLines(testFile.content).forEach((line) => {
+      const fromImport = line.text.match(/^from\s+([.\w]+)\s+import\s+\(?([^)]*)\)?$/);
+      const plainImport = line.text.match(/^import\s+(.+)$/);
+
+      if (fromImport) {
+        const names = this.pythonAnalyzer.splitTopLevel(fromImport[2]).map((part) => {
+          const [imported, local] = part.split(/\s+as\s+/).map((s) => s.trim());
+          return { imported, local: local || imported };
+        });
+        if (resolves(fromImport[1])) {
+          names.forEach(({ imported, local }) =>
+            bindings.set(local, imported === '*' ? '**' : imported)
+          );
+        } else {
+          // "from package import module" binds the source module itself
+          const modules = names.filter(({ imported }) => imported === sourceModule);
+          modules
+            .filter(({ imported }) => resolves(`${fromImport[1]}.${imported}`))
+            .forEach(({ local }) => bindings.set(local, '*'));
+          if (
+            fromImport[1].split('.').pop() === sourceModule ||
+            modules.some(({ imported }) => !resolves(`${fromImport[1]}.${imported}`))
+          ) {
+            otherModule = true;
+          }
+        }
+      } else if (plainImport) {
+        this.pythonAnalyzer.splitTopLevel(plainImport[1]).forEach((part) => {
+          const [imported, alias] = part.split(/\s+as\s+/).map((s) => s.trim());
+          if (resolves(imported)) bindings.set(alias || imported, '*');
+          else if (imported.split('.').pop() === sourceModule) otherModule = true;
+        });
+      } else {
+        bodyLines.push(line.text);
+      }
+    });
+
+    const body = bodyLines.join('\n');
+    const usage = this.createUsage(bindings.size > 0);
+    usage.otherModule = otherModule;
+    for (const match of body.matchAll(/[A-Za-z_][\w.]*/g)) {
+      const parts = match[0].split('.');
+      parts.forEach((part) => usage.words.add(part));
+      parts.slice(1).forEach((part) => usage.members.add(part));
+
+      const binding = bindings.get(parts[0]);
+      if (binding === '*') {
+        usage.moduleUsed = true;
+        if (parts[1]) usage.moduleMembers.add(parts[1]);
+      } else if (binding) {
+        usage.names.add(binding);
+      }
+    }
+
+    // "from module import *" exposes every public name
+    if ([...bindings.values()].includes('**')) {
+      usage.words.forEach((word) => usage.names.add(word));
+    }
+    return usage;
+  }
+
+  collectTextUsage(content) {
+    const usage = this.createUsage(false);
+    for (const match of (content || '').matchAll(/[A-Za-z_$][\w$]*/g)) {
+      usage.words.add(match[0]);
+    }
+    for (const match of (content || '').matchAll(/\.([A-Za-z_$][\w$]*)/g)) {
+      usage.members.add(match[1]);
+    }
+    return usage;
+  }
+
+  createUsage(resolved) {
+    return {
+      resolved,
+      names: new Set(), // imported names referenced in the body
+      members: new Set(), // any .member access, for methods on instances
+      moduleMembers: new Set(), // module.member for whole-module bindings
+      words: new Set(), // every identifier, for unresolved imports
+      moduleUsed: false,
+      defaultUsed: false,
+      otherModule: false, // imports a module of the source's name from another path
+    };
+  }
+
+  // Whether an import specifier in a test file points at the source file
+  resolvesTo(testPath, specifier, sourcePath) {
+    if (!specifier.startsWith('.')) return false;
+
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(testPath), specifier));
+    const sourceWithoutExtension = sourcePath.replace(/\.[^./]+$/, '');
+    const stripped = resolved.replace(/\.[^./]+$/, '');
+
+    return (
+      resolved === sourcePath ||
+      stripped === sourceWithoutExtension ||
+      (path.basename(sourceWithoutExtension) === 'index' &&
+        resolved === path.posix.dirname(sourcePath))
+    );
+  }
+
+  // Whether a relative import in a test file names a module like the source's, elsewhere
+  namesOtherModule(testPath, specifier, sourcePath) {
+    if (!specifier.startsWith('.') || this.resolvesTo(testPath, specifier, sourcePath)) {
+      return false;
+    }
+    const moduleName = (filePath) => path.posix.basename(filePath).replace(/\.[^.]+$/, '');
+    return moduleName(specifier) === moduleName(sourcePath);
+  }
+
+  // Depth-first walk over Babel nodes, skipping the given subtrees
+  walk(node, visit, skip = new Set()) {
+    if (!node || typeof node.type !== 'string' || skip.has(node)) return;
+    visit(node);
+
+    Object.keys(node).forEach((key) => {
+      if (['loc', 'leadingComments', 'trailingComments', 'innerComments', 'extra'].includes(key)) {
+        return;
+      }
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((child) => this.walk(child, visit, skip));
+      } else if (value && typeof value === 'object') {
+        this.walk(value, visit, skip);
+      }
+    });
+  }
+
+  getDirectoryName(filePath) {
+    return path.basename(path.posix.dirname(filePath));
+  }
+
+  // Shared leading directories, ignoring conventional test roots
+  getDirectoryAffinity(sourcePath, testPath) {
+    const sourceDirs = path.posix.dirname(sourcePath).split('/');
+    const testDirs = path.posix
+      .dirname(testPath)
+      .split('/')
+      .filter((dir) => !['__tests__', 'test', 'tests', 'spec'].includes(dir));
+
+    return sourceDirs.filter((dir) => testDirs.includes(dir)).length;
+  }
+}
+
+module.exports = TestMappingService;
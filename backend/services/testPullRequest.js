@@ -0,0 +1,122 @@
+const TestFileMaterializer = require('./testFileMaterializer');
+
+class TestPullRequestService {
+  constructor() {
+    this.materializer = new TestFileMaterializer();
+  }
+
+  /**
+   * Commit accepted test cases to a new branch in one commit and open a pull request
+   * @param {GitHubService} githubService
+   * @param {Object} options - { owner, repo, testCases, testStrategy, base, branch, title }
+   * @returns {Object} { pullRequest, branch, base, commitSha, files }
+   */
+  async openPullRequest(githubService, options) {
+    const { owner, repo, testCases, testStrategy } = options;
+    const base = options.base || (await githubService.getRepository(owner, repo)).default_branch;
+    const branch = options.branch || this.getBranchName();
+
+    const baseSha = await githubService.getBranchHead(owner, repo, base);
+    const tree = await githubService.getRepositoryTree(owner, repo, baseSha, true);
+    const existingPaths = (tree.tree || []).map((item) => item.path);
+
+    const files = this.materializer.materialize(testCases, { testStrategy, existingPaths });
+    console.log(`🌿 Committing ${files.length} test files to ${owner}/${repo}@${branch}`);
+
+    const { commit } = await githubService.createCommitWithFiles(owner, repo, {
+      baseSha,
+      branch,
+      message: this.buildCommitMessage(files),
+      files: files.map((file) => ({ path: file.path, content: file.content })),
+    });
+
+    const pullRequest = await githubService.createPullRequest(
+      owner,
+      repo,
+      options.title || this.buildTitle(files),
+      branch,
+      base,
+      this.buildPullRequestBody(files)
+    );
+    console.log(`✅ Opened pull request #${pullRequest.number}`);
+
+    return {
+      pullRequest: {
+        number: pullRequest.number,
+        url: pullRequest.html_url,
+        title: pullRequest.title,
+      },
+      branch,
+      base,
+      commitSha: commit.sha,
+      files: files.map((file) => ({
+        path: file.path,
+        sourceFile: file.sourceFile,
+        tests: file.testCases.length,
+      })),
+    };
+  }
+
+  buildTitle(files) {
+    const tests = files.reduce((sum, file) => sum + file.testCases.length, 0);
+    return `Add ${tests} generated test${tests === 1 ? '' : 's'} for ${files.length} file${
+      files.length === 1 ? '' : 's'
+    }`;
+  }
+
+  buildCommitMessage(files) {
+    const lines = files.map(
+      (file) => `- ${file.path}${file.sourceFile ? ` (${file.sourceFile})` : ''}`
+    );
+    return `${this.buildTitle(files)}\n\n${lines.join('\n')}`;
+  }
+
+  // Markdown description: an overview table, then every test grouped by file
+  buildPullRequestBody(files) {
+    const tests = files.reduce((sum, file) => sum + file.testCases.length, 0);
+    const table = [
+      '| Test file | Source file | Tests |',
+      '| --- | --- | --- |',
+      ...files.map(
+        (file) =>
+          `| \`${file.path}\` | ${file.sourceFile ? `\`${file.sourceFile}\`` : '—'} | ${
+            file.testCases.length
+          } |`
+      ),
+    ];
+
+    const details = files.map((file) => {
+      const items = file.testCases.map((testCase) => {
+        const meta = [testCase.type, testCase.priority].filter(Boolean).join(', ');
+        const description = (testCase.description || '').replace(/\s+/g, ' ').trim();
+        return `- **${testCase.title || testCase.id}**${meta ? ` (${meta})` : ''}${
+          description ? ` — ${description}` : ''
+        }`;
+      });
+      return [`### \`${file.path}\``, ...items].join('\n');
+    });
+
+    return [
+      '## Generated tests',
+      '',
+      `This pull request adds ${tests} test${tests === 1 ? '' : 's'} generated by AI Test Case Generator. Review and run them before merging.`,
+      '',
+      ...table,
+      '',
+      ...details.flatMap((section) => [section, '']),
+    ]
+      .join('\n')
+      .trim();
+  }
+
+  getBranchName() {
+    const stamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\..+$/, '')
+      .replace('T', '-');
+    return `testgen/tests-${stamp}`;
+  }
+}
+
+module.exports = TestPullRequestService;
@@ -0,0 +1,255 @@
+const { createTwoFilesPatch } = require('diff');
+const geminiService = require('./geminiService');
+
+// Test case fields the model may change, diffed per round
+const CODE_FIELDS = ['code', 'setup', 'teardown'];
+
+// Run results worth another attempt; skipped tests never ran
+const FAILING = ['failed', 'error'];
+
+// Upper bound on rounds a request can ask for
+const MAX_ROUNDS = 5;
+
+// Characters of runner output and source sent per test and per file
+const MAX_OUTPUT_CHARS = 4000;
+const MAX_SOURCE_CHARS = 12000;
+
+const truncate = (text, limit) =>
+  text.length > limit ? `${text.slice(0, limit)}\n... (truncated)` : text;
+
+const withNewline = (text) => (text && !text.endsWith('\n') ? `${text}\n` : text || '');
+
+/**
+ * Self-healing loop for generated tests: run them in the sandbox, send the failing ones back
+ * to the model with their output and the source under test, and run the answers again, for
+ * up to `maxRounds` rounds (TEST_REPAIR_ROUNDS, default 3).
+ * Every round's change to a test is kept as a unified diff. Tests that still fail after the
+ * last round keep their latest code and are marked for human review instead of dropped.
+ */
+class TestRepairService {
+  constructor(testExecution, options = {}) {
+    this.testExecution = testExecution;
+    this.maxRounds = options.maxRounds || parseInt(process.env.TEST_REPAIR_ROUNDS) || 3;
+  }
+
+  /**
+   * @param {Object} options - { sources, testCases, testStrategy, framework, repoPaths,
+   *   provider, maxRounds, signal, progress }; `progress` receives the phase and round, and
+   *   aborting `signal` stops the current run and every round after it
+   * @returns {Promise<Object>} { testCases, results, summary, rounds }. Each test case gets
+   *   `repair`: { status, rounds, history: [{ round, statusBefore, status, output, diff }] }
+   *   where status is passed, repaired, needs-review or skipped, and `needsHumanReview`
+   */
+  async repair(options) {
+    const { sources, testStrategy, framework, repoPaths } = options;
+    const maxRounds = Math.min(parseInt(options.maxRounds) || this.maxRounds, MAX_ROUNDS);
+    const provider = geminiService.getProvider(options.provider);
+    const { signal } = options;
+    const progress = options.progress || (() => {});
+    const execute = (testCases) => {
+      if (signal?.aborted) throw new Error('Test repair was cancelled');
+      return this.testExecution.execute({
+        sources,
+        testCases,
+        testStrategy,
+        framework,
+        repoPaths,
+        signal,
+      });
+    };
+
+    let testCases = options.testCases;
+    progress({ phase: 'running', message: 'Running the tests', round: 0, maxRounds });
+    const latest = new Map((await execute(testCases)).results.map((r) => [r.testCaseId, r]));
+    const history = new Map(testCases.map((testCase) => [testCase.id, []]));
+    const rounds = [];
+
+    for (let round = 1; round <= maxRounds; round++) {
+      const failing = testCases.filter((tc) => FAILING.includes(latest.get(tc.id)?.status));
+      if (failing.length === 0) break;
+      if (signal?.aborted) throw new Error('Test repair was cancelled');
+
+      progress({
+        phase: 'repairing',
+        message: `Round ${round}/${maxRounds}: repairing ${failing.length} failing test(s)`,
+        round,
+        maxRounds,
+      });
+      console.log(
+        `🩹 Repair round ${round}/${maxRounds}: ${failing.length} failing test(s) sent to ${provider.name}`
+      );
+      const fixes = await this.requestFixes(provider, failing, latest, sources);
+
+      // Fixed code is syntax-checked like generated code, then run again
+      const candidates = await geminiService.checkSyntax(
+        failing
+          .filter((testCase) => fixes.has(testCase.id))
+          .map((testCase) => {
+            const fix = fixes.get(testCase.id);
+            return {
+              ...testCase,
+              ...Object.fromEntries(
+                CODE_FIELDS.filter((field) => field in fix).map((field) => [field, fix[field]])
+              ),
+              description: fix.description || testCase.description,
+            };
+          })
+      );
+      const rerun = candidates.length > 0 ? (await execute(candidates)).results : [];
+
+      const previous = new Map(failing.map((testCase) => [testCase.id, testCase]));
+      rerun.forEach((result) => {
+        const before = latest.get(result.testCaseId);
+        history.get(result.testCaseId).push({
+          round,
+          statusBefore: before.status,
+          status: result.status,
+          output: truncate(before.output, MAX_OUTPUT_CHARS),
+          diff: this.diffTestCase(
+            previous.get(result.testCaseId),
+            candidates.find((candidate) => candidate.id === result.testCaseId)
+          ),
+        });
+        latest.set(result.testCaseId, result);
+      });
+
+      // The next round starts from this round's answer, whether or not it passed
+      const updated = new Map(candidates.map((candidate) => [candidate.id, candidate]));
+      testCases = testCases.map((testCase) => updated.get(testCase.id) || testCase);
+
+      rounds.push({
+        round,
+        attempted: failing.length,
+        answered: candidates.length,
+        passed: rerun.filter((result) => result.status === 'passed').length,
+      });
+    }
+
+    const repaired = testCases.map((testCase) => {
+      const steps = history.get(testCase.id);
+      const status = latest.get(testCase.id)?.status;
+
+      let repairStatus = 'needs-review';
+      if (status === 'passed') repairStatus = steps.length > 0 ? 'repaired' : 'passed';
+      else if (!FAILING.includes(status)) repairStatus = 'skipped';
+
+      return {
+        ...testCase,
+        repair: { status: repairStatus, rounds: steps.length, history: steps },
+        needsHumanReview: repairStatus === 'needs-review',
+      };
+    });
+    const results = repaired.map((testCase) => latest.get(testCase.id)).filter(Boolean);
+
+    return {
+      testCases: repaired,
+      results,
+      summary: ['passed', 'failed', 'error', 'skipped'].reduce(
+        (summary, status) => ({
+          ...summary,
+          [status]: results.filter((result) => result.status === status).length,
+        }),
+        { total: results.length, needsReview: repaired.filter((tc) => tc.needsHumanReview).length }
+      ),
+      rounds,
+    };
+  }
+
+  /**
+   * One model call per source file for its failing tests
+   * @returns {Promise<Map>} Corrected test cases by id; files whose call fails are left out
+   */
+  async requestFixes(provider, failing, latest, sources) {
+    const byFile = new Map();
+    failing.forEach((testCase) => {
+      if (!byFile.has(testCase.file)) byFile.set(testCase.file, []);
+      byFile.get(testCase.file).push(testCase);
+    });
+
+    const fixes = new Map();
+    for (const [file, testCases] of byFile.entries()) {
+      const source = sources.find((candidate) => candidate.path === file);
+      try {
+        const text = await provider.generate(
+          this.buildRepairPrompt(file, source?.content, testCases, latest)
+        );
+        const { testCases: answered } = geminiService.testCaseValidator.validate(
+          geminiService.parseJsonResponse(text, 'testCases')
+        );
+        answered
+          .filter((fix) => testCases.some((testCase) => testCase.id === fix.id))
+          .forEach((fix) => fixes.set(fix.id, fix));
+      } catch (error) {
+        // The tests keep their current code and can be retried next round
+        console.error(`Repair request for ${file} failed:`, error.message);
+      }
+    }
+    return fixes;
+  }
+
+  buildRepairPrompt(file, content, testCases, latest) {
+    const described = testCases.map((tc) => {
+      const result = latest.get(tc.id);
+      return `Test case "${tc.id}" (${result.status}):
+${JSON.stringify(
+  {
+    id: tc.id,
+    title: tc.title,
+    description: tc.description,
+    type: tc.type,
+    priority: tc.priority,
+    file: tc.file,
+    function: tc.function,
+    code: tc.code,
+    setup: tc.setup || null,
+    teardown: tc.teardown || null,
+  },
+  null,
+  2
+)}
+
+Runner output:
+${truncate(result.output || '(no output)', MAX_OUTPUT_CHARS)}`;
+    });
+
+    return `These generated tests fail when run against the real source. Fix the tests, not the source.
+
+Source file ${file}:
+\`\`\`
+${content ? truncate(content, MAX_SOURCE_CHARS) : '(not available)'}
+\`\`\`
+
+${described.join('\n\n')}
+
+Common causes:
+- Wrong import paths: import the source by its path from the repository root, e.g. "./${file.replace(/\.[^/.]+$/, '')}"
+- Wrong assumptions about return values, thrown errors or async behaviour
+- Missing mocks for the network, timers, the filesystem or other modules
+
+Keep every id and keep testing the behaviour the description names. If the source looks wrong rather than the test, leave the test as it is and explain why in its description.
+
+JSON Schema:
+${JSON.stringify(geminiService.testCaseValidator.schema.definitions.testCase)}
+
+⚠️ Respond ONLY with a JSON object of the form {"testCases": [...]} holding the corrected test cases.`;
+  }
+
+  // Unified diff of the fields a round changed
+  diffTestCase(before, after) {
+    return CODE_FIELDS.filter((field) => (before[field] || '') !== (after[field] || ''))
+      .map((field) =>
+        createTwoFilesPatch(
+          `a/${before.id}/${field}`,
+          `b/${after.id}/${field}`,
+          withNewline(before[field]),
+          withNewline(after[field]),
+          '',
+          '',
+          { context: 3 }
+        )
+      )
+      .join('');
+  }
+}
+
+module.exports = TestRepairService;
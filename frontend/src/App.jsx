@@ -14,7 +14,7 @@ import Dashboard from "./components/Dashboard/Dashboard";
 import LoadingSpinner from "./components/UI/LoadingSpinner";
 
 // Services
-import { validateSession } from "./services/api";
+import { validateSession, readOAuthCallback } from "./services/api";
 
 function App() {
   const [user, setUser] = useState(null);
@@ -26,10 +26,18 @@ function App() {
   useEffect(() => {
     const checkExistingSession = async () => {
       try {
+        // Returning from "Sign in with GitHub"
+        const oauthCallback = readOAuthCallback();
+        if (oauthCallback?.error) {
+          setError(oauthCallback.error);
+        } else if (oauthCallback?.sessionId) {
+          localStorage.setItem("github_session_id", oauthCallback.sessionId);
+        }
+
         const storedSessionId = localStorage.getItem("github_session_id");
         if (storedSessionId) {
           const response = await validateSession(storedSessionId);
-          if (response.success) {
+          if (response.success || response.authenticated) {
             setUser(response.user);
             setSessionId(storedSessionId);
           } else {
@@ -10,6 +10,7 @@ import {
 // Components
 import RepoList from "../Repository/RepoList";
 import FileExplorer from "../Repository/FileExplorer";
+import LocalSourcePanel from "../Repository/LocalSourcePanel";
 import TestCaseSummary from "../TestCases/TestCaseSummary";
 import TestCaseGenerator from "../TestCases/TestCaseGenerator";
 import LoadingSpinner from "../UI/LoadingSpinner";
@@ -25,9 +26,15 @@ const Dashboard = ({ user, sessionId }) => {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [testSummaries, setTestSummaries] = useState(null);
   const [generatedTests, setGeneratedTests] = useState([]);
+  const [coverageReport, setCoverageReport] = useState(null);
+  const [mutationReport, setMutationReport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // GitLab and local sessions browse projects through the same screens
+  const providerLabel =
+    { gitlab: "GitLab", local: "Local" }[user?.provider] || "GitHub";
+
   const steps = [
     {
       id: 1,
@@ -102,9 +109,17 @@ const Dashboard = ({ user, sessionId }) => {
     setSelectedFiles([]);
     setTestSummaries(null);
     setGeneratedTests([]);
+    setCoverageReport(null);
+    setMutationReport(null);
     setCurrentStep(2);
   };
 
+  // A new upload or directory shows up with the repositories; open it straight away
+  const handleWorkspaceAdded = async (repository) => {
+    await loadRepositories();
+    handleRepoSelect(repository);
+  };
+
   const handleFilesSelect = (files) => {
     setSelectedFiles(files);
     if (files.length > 0) {
@@ -127,6 +142,8 @@ const Dashboard = ({ user, sessionId }) => {
     setSelectedFiles([]);
     setTestSummaries(null);
     setGeneratedTests([]);
+    setCoverageReport(null);
+    setMutationReport(null);
     setError(null);
     loadRepositories();
   };
@@ -228,6 +245,13 @@ const Dashboard = ({ user, sessionId }) => {
 
       {/* Main Content */}
       <div className="bg-white rounded-lg shadow-soft p-6">
+        {currentStep === 1 && user?.provider === "local" && (
+          <LocalSourcePanel
+            sessionId={sessionId}
+            onWorkspaceAdded={handleWorkspaceAdded}
+          />
+        )}
+
         {currentStep === 1 && (
           <RepoList
             repositories={repositories}
@@ -235,6 +259,8 @@ const Dashboard = ({ user, sessionId }) => {
             selectedRepo={selectedRepo}
             loading={loading}
             error={error}
+            webUrl={user?.webUrl}
+            providerLabel={providerLabel}
           />
         )}
 
@@ -244,6 +270,7 @@ const Dashboard = ({ user, sessionId }) => {
             sessionId={sessionId}
             onFilesSelect={handleFilesSelect}
             selectedFiles={selectedFiles}
+            providerLabel={providerLabel}
           />
         )}
 
@@ -254,6 +281,8 @@ const Dashboard = ({ user, sessionId }) => {
             sessionId={sessionId}
             onSummariesGenerated={handleTestSummariesGenerated}
             testSummaries={testSummaries}
+            coverageReport={coverageReport}
+            mutationReport={mutationReport}
           />
         )}
 
@@ -264,6 +293,8 @@ const Dashboard = ({ user, sessionId }) => {
             sessionId={sessionId}
             onTestGenerated={handleTestCodeGenerated}
             generatedTests={generatedTests}
+            onCoverageLoaded={setCoverageReport}
+            onMutationReport={setMutationReport}
           />
         )}
       </div>
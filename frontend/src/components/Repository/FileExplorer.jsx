@@ -22,6 +22,7 @@ const FileExplorer = ({
   onFilesSelect, // Changed from onFileSelect to match usage
   selectedFiles = [],
   sessionId,
+  providerLabel = "GitHub",
 }) => {
   const [treeData, setTreeData] = useState([]);
   const [expandedFolders, setExpandedFolders] = useState(new Set([""]));
@@ -348,7 +349,7 @@ const FileExplorer = ({
               Loading Repository Files
             </h3>
             <p className="text-sm text-secondary-600 mt-1">
-              Fetching file structure from GitHub...
+              Fetching file structure from {providerLabel}...
             </p>
           </div>
         </div>
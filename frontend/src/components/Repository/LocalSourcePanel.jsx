@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Upload, FolderPlus, AlertCircle, HardDrive } from "lucide-react";
+import {
+  getLocalSourceConfig,
+  uploadLocalArchive,
+  addLocalDirectory,
+} from "../../services/api";
+import Button from "../UI/Button";
+import LoadingSpinner from "../UI/LoadingSpinner";
+
+// Add code without a Git host: upload an archive or point at a directory on the server.
+// Each one becomes a workspace listed with the repositories below.
+const LocalSourcePanel = ({ sessionId, onWorkspaceAdded }) => {
+  const [config, setConfig] = useState(null);
+  const [directory, setDirectory] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    getLocalSourceConfig().then(setConfig);
+  }, []);
+
+  const addWorkspace = async (create) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const repository = await create();
+      onWorkspaceAdded(repository);
+    } catch (err) {
+      setError(err.message || "Failed to add workspace");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Let the same file be picked again after an error
+    if (!file) return;
+
+    if (config?.maxUploadBytes && file.size > config.maxUploadBytes) {
+      setError(
+        `${file.name} is larger than ${Math.round(
+          config.maxUploadBytes / 1024 / 1024
+        )} MB`
+      );
+      return;
+    }
+
+    addWorkspace(() => uploadLocalArchive(sessionId, file));
+  };
+
+  const handleDirectorySubmit = (e) => {
+    e.preventDefault();
+    if (!directory.trim()) return;
+
+    addWorkspace(async () => {
+      const repository = await addLocalDirectory(sessionId, directory.trim());
+      setDirectory("");
+      return repository;
+    });
+  };
+
+  if (!config) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 border border-secondary-200 rounded-lg bg-secondary-50">
+      <div className="flex items-center mb-3">
+        <HardDrive className="w-5 h-5 text-secondary-600 mr-2" />
+        <h3 className="text-sm font-medium text-secondary-900">
+          Add local code
+        </h3>
+        {busy && <LoadingSpinner size="small" className="ml-2" />}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={config.archiveFormats?.join(",")}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <Button
+          size="sm"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          className="flex items-center space-x-2"
+        >
+          <Upload className="h-4 w-4" />
+          <span>Upload archive</span>
+        </Button>
+        <span className="text-xs text-secondary-500">
+          {config.archiveFormats?.join(", ")} up to{" "}
+          {Math.round(config.maxUploadBytes / 1024 / 1024)} MB
+        </span>
+      </div>
+
+      {config.directories && (
+        <form
+          onSubmit={handleDirectorySubmit}
+          className="mt-3 flex items-center gap-2"
+        >
+          <input
+            type="text"
+            value={directory}
+            onChange={(e) => setDirectory(e.target.value)}
+            placeholder="/srv/projects/my-project"
+            className="flex-1 px-3 py-1.5 border border-secondary-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            disabled={busy}
+          />
+          <Button
+            type="submit"
+            size="sm"
+            variant="outline"
+            disabled={busy || !directory.trim()}
+            className="flex items-center space-x-2"
+          >
+            <FolderPlus className="h-4 w-4" />
+            <span>Add directory</span>
+          </Button>
+        </form>
+      )}
+
+      {error && (
+        <div className="mt-3 flex items-center text-sm text-error-600">
+          <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocalSourcePanel;
@@ -17,6 +17,8 @@ const RepoList = ({
   selectedRepo,
   loading,
   error,
+  webUrl = "https://github.com",
+  providerLabel = "GitHub",
 }) => {
   const [searchTerm, setSearchTerm] = useState("");
   const [sortBy, setSortBy] = useState("updated");
@@ -47,6 +49,12 @@ const RepoList = ({
     safeRepositories = [];
   }
 
+  // Repositories from GitHub carry html_url; build one on the session's host otherwise.
+  // Local workspaces have no host and no link.
+  const getRepoUrl = (repo) =>
+    repo.html_url ||
+    (webUrl && repo.full_name ? `${webUrl}/${repo.full_name}` : null);
+
   // Get unique languages from repositories
   const languages = [
     ...new Set(safeRepositories.map((repo) => repo.language).filter(Boolean)),
@@ -104,7 +112,7 @@ const RepoList = ({
             Loading Repositories...
           </h2>
           <p className="text-secondary-600">
-            Fetching your repositories from GitHub...
+            Fetching your repositories from {providerLabel}...
           </p>
         </div>
         <div className="flex justify-center py-12">
@@ -139,10 +147,11 @@ const RepoList = ({
             <ul className="mt-2 list-disc list-inside space-y-1">
               <li>Check your internet connection</li>
               <li>
-                Verify your GitHub token is valid and has repository permissions
+                Verify your {providerLabel} token is valid and has repository
+                permissions
               </li>
               <li>Try refreshing the page</li>
-              <li>Check if GitHub services are operational</li>
+              <li>Check if {providerLabel} services are operational</li>
             </ul>
           </div>
         </div>
@@ -231,7 +240,7 @@ const RepoList = ({
           </h3>
           <p className="mt-1 text-sm text-secondary-500">
             {safeRepositories.length === 0
-              ? "No repositories were loaded from GitHub"
+              ? `No repositories were loaded from ${providerLabel}`
               : searchTerm
               ? "Try adjusting your search terms"
               : "No repositories match the current filters"}
@@ -267,9 +276,9 @@ const RepoList = ({
                     {repo.name || "Unknown"}
                   </h3>
                 </div>
-                {repo.html_url && (
+                {getRepoUrl(repo) && (
                   <a
-                    href={repo.html_url}
+                    href={getRepoUrl(repo)}
                     target="_blank"
                     rel="noopener noreferrer"
                     onClick={(e) => e.stopPropagation()}
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   Zap,
   Settings,
@@ -18,25 +24,143 @@ import {
   Cpu,
   Database,
   Globe,
+  XCircle,
+  GitPullRequest,
+  GitCompare,
+  ExternalLink,
+  Play,
+  Wrench,
+  Bug,
 } from "lucide-react";
 import {
   generateTestCases,
+  generateDiffTestCases,
+  cancelGenerationJob,
+  resumeGenerationJob,
+  getLLMProviders,
+  ingestCoverageReport,
+  openTestPullRequest,
+  getTestExecutionConfig,
+  runGeneratedTests,
+  repairGeneratedTests,
+  runMutationTests,
   downloadTestCasesAsJSON,
   copyToClipboard,
   detectLanguageFromPath,
   getLanguageIcon,
+  splitRepositoryName,
 } from "../../services/api";
 import Button from "../UI/Button";
 import LoadingSpinner from "../UI/LoadingSpinner";
 
+// Running job id, kept so a refresh can reattach to its progress stream
+const JOB_STORAGE_KEY = "generation_job_id";
+
+// "code line 3, column 7: Unexpected token" for a syntax check error
+const describeSyntaxError = (error) =>
+  `${error.field} line ${error.line ?? "?"}, column ${error.column ?? "?"}: ${
+    error.message
+  }`;
+
+// Outcome of running a test in the server's sandbox
+const RUN_STATUS_STYLES = {
+  passed: "text-green-600 bg-green-50",
+  failed: "text-red-600 bg-red-50",
+  error: "text-orange-600 bg-orange-50",
+  skipped: "text-gray-600 bg-gray-50",
+};
+
+// Where a test ended up after the repair loop; tests that passed untouched get no badge
+const REPAIR_BADGES = {
+  repaired: { label: "repaired", className: "text-blue-600 bg-blue-50" },
+  "needs-review": {
+    label: "needs human review",
+    className: "text-amber-700 bg-amber-50",
+  },
+};
+
+// Mutation score colours: most mutants caught, about half, few
+const getMutationScoreColor = (score) => {
+  if (score === null) return "text-gray-600 bg-gray-50";
+  if (score >= 80) return "text-green-600 bg-green-50";
+  if (score >= 50) return "text-yellow-700 bg-yellow-50";
+  return "text-red-600 bg-red-50";
+};
+
+// Result of the backend's syntax check of a test's code
+const SyntaxBadge = ({ validation }) => {
+  let badge = {
+    label: "not checked",
+    className: "text-gray-600 bg-gray-50",
+    title: validation.reason,
+  };
+  if (validation.status === "invalid") {
+    badge = {
+      label: "syntax error",
+      className: "text-red-600 bg-red-50",
+      title: describeSyntaxError(validation.error),
+    };
+  } else if (validation.status === "valid" && validation.repaired) {
+    badge = {
+      label: "syntax fixed",
+      className: "text-blue-600 bg-blue-50",
+      title: `Fixed automatically; was ${describeSyntaxError(
+        validation.originalError
+      )}`,
+    };
+  } else if (validation.status === "valid") {
+    badge = {
+      label: "parses",
+      className: "text-green-600 bg-green-50",
+      title: `Checked with ${validation.parser}`,
+    };
+  }
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}
+      title={badge.title}
+    >
+      {badge.label}
+    </span>
+  );
+};
+
 const TestCaseGenerator = ({
   selectedFiles = [],
   repository,
   onTestCasesGenerated,
+  onCoverageLoaded,
+  onMutationReport,
   sessionId,
 }) => {
   const [isGenerating, setIsGenerating] = useState(false);
+  // Uploaded archives and local directories have no pull requests to open or compare
+  const hasGitHost = repository?.provider !== "local";
+  // "files" generates for the selected files, "diff" for a pull request or compare
+  const [generationMode, setGenerationMode] = useState("files");
+  const [diffTarget, setDiffTarget] = useState({
+    pullNumber: "",
+    base: "",
+    head: "",
+  });
+  const [diffResult, setDiffResult] = useState(null);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const resumeCheckedRef = useRef(false);
   const [testCases, setTestCases] = useState([]);
+  // Tests left out of "Open PR"; everything is included by default
+  const [excludedTestIds, setExcludedTestIds] = useState(() => new Set());
+  const [isOpeningPullRequest, setIsOpeningPullRequest] = useState(false);
+  const [pullRequest, setPullRequest] = useState(null);
+  // Sandbox settings from the server, and the last run of the selected tests
+  const [executionConfig, setExecutionConfig] = useState(null);
+  const [testRun, setTestRun] = useState(null);
+  const [isRunningTests, setIsRunningTests] = useState(false);
+  const [isRepairingTests, setIsRepairingTests] = useState(false);
+  const [mutationReport, setMutationReport] = useState(null);
+  const [isMutationTesting, setIsMutationTesting] = useState(false);
+  // The repair or mutation job in progress: { id, message }
+  const [sandboxJob, setSandboxJob] = useState(null);
   const [analysisPhase, setAnalysisPhase] = useState("");
   const [detectedLanguages, setDetectedLanguages] = useState({});
   const [projectStructure, setProjectStructure] = useState(null);
@@ -54,7 +178,11 @@ const TestCaseGenerator = ({
     mockingStrategy: "smart", // none, minimal, smart, aggressive
     generateDocumentation: true,
     adaptToProject: true, // Auto-adapt based on project structure
+    provider: "", // Empty uses the server's default LLM provider
   });
+  const [llmProviders, setLlmProviders] = useState([]);
+  const [coverageReport, setCoverageReport] = useState(null);
+  const [coverageStatus, setCoverageStatus] = useState("");
   const [error, setError] = useState(null);
   const [generationTime, setGenerationTime] = useState(0);
   const [lastGeneratedFiles, setLastGeneratedFiles] = useState([]);
@@ -279,6 +407,98 @@ const TestCaseGenerator = ({
     generationConfig.adaptToProject,
   ]);
 
+  // Post-process a finished generation, whether started here or resumed
+  const applyGeneratedTestCases = useCallback(
+    (response, startTime, files) => {
+      const generatedTestCases =
+        response.testCases || response.data || response;
+
+      if (!Array.isArray(generatedTestCases)) {
+        throw new Error(
+          "Invalid response format: expected array of test cases"
+        );
+      }
+
+      setAnalysisPhase("Enhancing and validating test cases...");
+
+      // Enhance test cases with universal patterns
+      const enhancedTestCases = generatedTestCases.map((tc, index) => ({
+        ...tc,
+        id: tc.id || `test-${index}`,
+        universalPattern: true,
+        adaptedForLanguage: tc.language || "generic",
+        estimatedExecutionTime: estimateExecutionTime(tc),
+        riskLevel: assessRiskLevel(tc),
+        maintenanceScore: calculateMaintenanceScore(tc),
+      }));
+
+      setTestCases(enhancedTestCases);
+      setExcludedTestIds(new Set());
+      setPullRequest(null);
+      setTestRun(null);
+      setMutationReport(null);
+      if (onMutationReport) {
+        onMutationReport(null);
+      }
+      setDiffResult(response.diff ? response : null);
+      setGenerationTime(Date.now() - startTime);
+      if (files) {
+        setLastGeneratedFiles(files);
+      }
+
+      // Calculate generation statistics
+      const stats = calculateGenerationStats(
+        enhancedTestCases,
+        projectStructure
+      );
+      setGenerationStats(stats);
+
+      // Call the callback if provided
+      if (onTestCasesGenerated) {
+        onTestCasesGenerated(enhancedTestCases);
+      }
+
+      setAnalysisPhase("Complete!");
+
+      console.log(
+        `✅ Generated ${
+          enhancedTestCases.length
+        } universal test cases in ${Math.round(
+          (Date.now() - startTime) / 1000
+        )}s`
+      );
+    },
+    [projectStructure, onTestCasesGenerated, onMutationReport]
+  );
+
+  const handleGenerationError = (err) => {
+    if (err.cancelled) {
+      console.log("🛑 Test case generation cancelled");
+      setError(null);
+      setAnalysisPhase("");
+      return;
+    }
+
+    console.error("❌ Universal test case generation failed:", err);
+
+    let errorMessage = "Failed to generate test cases";
+    if (err.message) {
+      errorMessage = err.message;
+    } else if (err.response?.data?.error) {
+      errorMessage = err.response.data.error;
+    }
+
+    setError(errorMessage);
+    setAnalysisPhase("");
+  };
+
+  const finishGeneration = () => {
+    setIsGenerating(false);
+    setActiveJobId(null);
+    localStorage.removeItem(JOB_STORAGE_KEY);
+    setTimeout(() => setAnalysisPhase(""), 2000);
+  };
+
   // Enhanced test case generation with phases
   const handleGenerate = useCallback(async () => {
     if (memoizedSelectedFiles.length === 0) {
@@ -310,20 +530,7 @@ const TestCaseGenerator = ({
         projectStructure,
       });
 
-      // Phase 1: Project Analysis
-      setAnalysisPhase("Analyzing project structure and dependencies...");
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Simulate analysis
-
-      // Phase 2: Language and Framework Detection
-      setAnalysisPhase("Detecting languages and testing frameworks...");
-      await new Promise((resolve) => setTimeout(resolve, 800));
-
-      // Phase 3: Test Strategy Planning
-      setAnalysisPhase("Planning comprehensive test strategy...");
-      await new Promise((resolve) => setTimeout(resolve, 1200));
-
-      // Phase 4: AI Generation
-      setAnalysisPhase("Generating AI-powered test cases...");
+      setAnalysisPhase("Submitting generation job...");
 
       const enhancedConfig = {
         ...generationConfig,
@@ -338,86 +545,128 @@ const TestCaseGenerator = ({
         files: memoizedSelectedFiles,
         repository: repository.full_name,
         config: enhancedConfig,
+        coverage: coverageReport,
         sessionId,
+        onJobSubmitted: (jobId) => {
+          setActiveJobId(jobId);
+          localStorage.setItem(JOB_STORAGE_KEY, jobId);
+        },
+        onProgress: (progress) =>
+          setAnalysisPhase(progress.message || progress.phase),
       });
 
       console.log("✅ Universal test cases generated:", response);
 
-      const generatedTestCases =
-        response.testCases || response.data || response;
-
-      if (!Array.isArray(generatedTestCases)) {
-        throw new Error(
-          "Invalid response format: expected array of test cases"
-        );
-      }
+      applyGeneratedTestCases(response, startTime, memoizedSelectedFiles);
+    } catch (err) {
+      handleGenerationError(err);
+    } finally {
+      finishGeneration();
+    }
+  }, [
+    memoizedSelectedFiles,
+    repository?.full_name,
+    generationConfig,
+    coverageReport,
+    sessionId,
+    detectedLanguages,
+    projectStructure,
+    applyGeneratedTestCases,
+  ]);
 
-      // Phase 5: Post-processing and Enhancement
-      setAnalysisPhase("Enhancing and validating test cases...");
-      await new Promise((resolve) => setTimeout(resolve, 500));
+  // Generate only for what a pull request or a base...head compare changed
+  const handleGenerateDiff = useCallback(async () => {
+    const pullNumber = diffTarget.pullNumber.trim();
+    const base = diffTarget.base.trim();
+    const head = diffTarget.head.trim();
 
-      // Enhance test cases with universal patterns
-      const enhancedTestCases = generatedTestCases.map((tc, index) => ({
-        ...tc,
-        id: tc.id || `test-${index}`,
-        universalPattern: true,
-        adaptedForLanguage: tc.language || "generic",
-        estimatedExecutionTime: estimateExecutionTime(tc),
-        riskLevel: assessRiskLevel(tc),
-        maintenanceScore: calculateMaintenanceScore(tc),
-      }));
-
-      setTestCases(enhancedTestCases);
-      setGenerationTime(Date.now() - startTime);
-      setLastGeneratedFiles(memoizedSelectedFiles);
+    if (!pullNumber && !(base && head)) {
+      setError("Enter a pull request number or both base and head refs");
+      return;
+    }
 
-      // Calculate generation statistics
-      const stats = calculateGenerationStats(
-        enhancedTestCases,
-        projectStructure
-      );
-      setGenerationStats(stats);
+    if (!sessionId) {
+      setError("Session ID is required. Please authenticate first.");
+      return;
+    }
 
-      // Call the callback if provided
-      if (onTestCasesGenerated) {
-        onTestCasesGenerated(enhancedTestCases);
-      }
+    if (!repository?.full_name) {
+      setError("Repository information is required");
+      return;
+    }
 
-      setAnalysisPhase("Complete!");
+    const { owner, repo } = splitRepositoryName(repository.full_name);
+    setIsGenerating(true);
+    setError(null);
+    setAnalysisPhase("Submitting generation job...");
+    const startTime = Date.now();
 
-      console.log(
-        `✅ Generated ${
-          enhancedTestCases.length
-        } universal test cases in ${Math.round(
-          (Date.now() - startTime) / 1000
-        )}s`
+    try {
+      const response = await generateDiffTestCases(
+        sessionId,
+        owner,
+        repo,
+        pullNumber ? { pullNumber } : { base, head },
+        {
+          provider: generationConfig.provider || undefined,
+          onJobSubmitted: (jobId) => {
+            setActiveJobId(jobId);
+            localStorage.setItem(JOB_STORAGE_KEY, jobId);
+          },
+          onProgress: (progress) =>
+            setAnalysisPhase(progress.message || progress.phase),
+        }
       );
-    } catch (err) {
-      console.error("❌ Universal test case generation failed:", err);
-
-      let errorMessage = "Failed to generate test cases";
-      if (err.message) {
-        errorMessage = err.message;
-      } else if (err.response?.data?.error) {
-        errorMessage = err.response.data.error;
-      }
 
-      setError(errorMessage);
-      setAnalysisPhase("");
+      applyGeneratedTestCases(response, startTime, null);
+    } catch (err) {
+      handleGenerationError(err);
     } finally {
-      setIsGenerating(false);
-      setTimeout(() => setAnalysisPhase(""), 2000);
+      finishGeneration();
     }
   }, [
-    memoizedSelectedFiles,
-    repository?.full_name,
-    generationConfig,
+    diffTarget,
     sessionId,
-    onTestCasesGenerated,
-    detectedLanguages,
-    projectStructure,
+    repository?.full_name,
+    generationConfig.provider,
+    applyGeneratedTestCases,
   ]);
 
+  const handleCancel = useCallback(async () => {
+    if (!activeJobId) return;
+
+    setAnalysisPhase("Cancelling...");
+    try {
+      await cancelGenerationJob(sessionId, activeJobId);
+    } catch (err) {
+      console.error("❌ Failed to cancel generation job:", err);
+      setError(err.message || "Failed to cancel generation");
+    }
+  }, [activeJobId, sessionId]);
+
+  // Reattach to a job that was still running when the page was refreshed
+  useEffect(() => {
+    const storedJobId = localStorage.getItem(JOB_STORAGE_KEY);
+    if (!sessionId || resumeCheckedRef.current) return;
+    resumeCheckedRef.current = true;
+    if (!storedJobId) return;
+
+    console.log("🔄 Resuming generation job:", storedJobId);
+    setIsGenerating(true);
+    setActiveJobId(storedJobId);
+    setAnalysisPhase("Reconnecting to generation job...");
+    const startTime = Date.now();
+
+    resumeGenerationJob(sessionId, storedJobId, (progress) =>
+      setAnalysisPhase(progress.message || progress.phase)
+    )
+      .then((response) =>
+        applyGeneratedTestCases(response, startTime, selectedFiles)
+      )
+      .catch(handleGenerationError)
+      .finally(finishGeneration);
+  }, [sessionId, selectedFiles, applyGeneratedTestCases]);
+
   // Utility functions for test case enhancement
   const estimateExecutionTime = (testCase) => {
     const baseTime = {
@@ -485,6 +734,7 @@ const TestCaseGenerator = ({
       JSON.stringify(lastGeneratedFiles);
     const hasRequiredData = sessionId && repository?.full_name;
     const shouldAutoGenerate =
+      generationMode === "files" &&
       memoizedSelectedFiles.length > 0 &&
       filesChanged &&
       !isGenerating &&
@@ -501,6 +751,7 @@ const TestCaseGenerator = ({
   }, [
     memoizedSelectedFiles,
     lastGeneratedFiles,
+    generationMode,
     isGenerating,
     sessionId,
     repository?.full_name,
@@ -567,6 +818,225 @@ const TestCaseGenerator = ({
     }
   }, [testCases]);
 
+  const toggleTestIncluded = useCallback((testId) => {
+    setExcludedTestIds((previous) => {
+      const next = new Set(previous);
+      if (next.has(testId)) {
+        next.delete(testId);
+      } else {
+        next.add(testId);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleOpenPullRequest = useCallback(async () => {
+    const accepted = testCases.filter((tc) => !excludedTestIds.has(tc.id));
+    if (accepted.length === 0) {
+      setError("Select at least one test case for the pull request");
+      return;
+    }
+
+    const { owner, repo } = splitRepositoryName(repository?.full_name);
+    setIsOpeningPullRequest(true);
+    setError(null);
+
+    try {
+      const response = await openTestPullRequest(sessionId, {
+        owner,
+        repo,
+        base: repository?.default_branch,
+        testCases: accepted,
+      });
+      setPullRequest(response);
+    } catch (err) {
+      console.error("❌ Failed to open pull request:", err);
+      setError(err.message || "Failed to open pull request");
+    } finally {
+      setIsOpeningPullRequest(false);
+    }
+  }, [testCases, excludedTestIds, repository, sessionId]);
+
+  // Sandbox request for the selected tests, or null when none are selected
+  const buildSandboxPayload = useCallback(() => {
+    const accepted = testCases.filter((tc) => !excludedTestIds.has(tc.id));
+    if (accepted.length === 0) return null;
+
+    const { owner, repo } = splitRepositoryName(repository?.full_name);
+    return {
+      owner,
+      repo,
+      ref: repository?.default_branch,
+      files: memoizedSelectedFiles.map((file) => file.path),
+      testCases: accepted,
+      framework:
+        generationConfig.framework !== "auto-detect"
+          ? generationConfig.framework
+          : undefined,
+    };
+  }, [
+    testCases,
+    excludedTestIds,
+    repository,
+    memoizedSelectedFiles,
+    generationConfig.framework,
+  ]);
+
+  const handleRunTests = useCallback(async () => {
+    const payload = buildSandboxPayload();
+    if (!payload) {
+      setError("Select at least one test case to run");
+      return;
+    }
+
+    setIsRunningTests(true);
+    setError(null);
+
+    try {
+      setTestRun(await runGeneratedTests(sessionId, payload));
+    } catch (err) {
+      console.error("❌ Failed to run tests:", err);
+      setError(err.message || "Failed to run tests");
+    } finally {
+      setIsRunningTests(false);
+    }
+  }, [buildSandboxPayload, sessionId]);
+
+  // Follow a repair or mutation job so it can be shown and cancelled
+  const sandboxJobOptions = useMemo(
+    () => ({
+      onJobSubmitted: (jobId) => setSandboxJob({ id: jobId, message: "" }),
+      onProgress: (progress) =>
+        setSandboxJob((job) =>
+          job ? { ...job, message: progress.message || progress.phase } : job
+        ),
+    }),
+    []
+  );
+
+  const handleCancelSandboxJob = useCallback(async () => {
+    if (!sandboxJob) return;
+
+    setSandboxJob({ ...sandboxJob, message: "Cancelling..." });
+    try {
+      await cancelGenerationJob(sessionId, sandboxJob.id);
+    } catch (err) {
+      console.error("❌ Failed to cancel job:", err);
+      setError(err.message || "Failed to cancel");
+    }
+  }, [sandboxJob, sessionId]);
+
+  // Repaired code replaces the generated code; the rest of each test case is kept
+  const handleRepairTests = useCallback(async () => {
+    const payload = buildSandboxPayload();
+    if (!payload) {
+      setError("Select at least one test case to repair");
+      return;
+    }
+
+    setIsRepairingTests(true);
+    setError(null);
+
+    try {
+      const response = await repairGeneratedTests(
+        sessionId,
+        {
+          ...payload,
+          provider: generationConfig.provider || undefined,
+        },
+        sandboxJobOptions
+      );
+      const repaired = new Map(response.testCases.map((tc) => [tc.id, tc]));
+      setTestCases((previous) =>
+        previous.map((tc) =>
+          repaired.has(tc.id) ? { ...tc, ...repaired.get(tc.id) } : tc
+        )
+      );
+      setTestRun(response);
+    } catch (err) {
+      if (err.cancelled) {
+        console.log("🛑 Test repair cancelled");
+      } else {
+        console.error("❌ Failed to repair tests:", err);
+        setError(err.message || "Failed to repair tests");
+      }
+    } finally {
+      setIsRepairingTests(false);
+      setSandboxJob(null);
+    }
+  }, [
+    buildSandboxPayload,
+    sessionId,
+    generationConfig.provider,
+    sandboxJobOptions,
+  ]);
+
+  const handleMutationTests = useCallback(async () => {
+    const payload = buildSandboxPayload();
+    if (!payload) {
+      setError("Select at least one test case for mutation testing");
+      return;
+    }
+
+    setIsMutationTesting(true);
+    setError(null);
+
+    try {
+      const response = await runMutationTests(
+        sessionId,
+        payload,
+        sandboxJobOptions
+      );
+      setMutationReport(response);
+      if (onMutationReport) {
+        onMutationReport(response);
+      }
+    } catch (err) {
+      if (err.cancelled) {
+        console.log("🛑 Mutation testing cancelled");
+      } else {
+        console.error("❌ Failed to run mutation tests:", err);
+        setError(err.message || "Failed to run mutation tests");
+      }
+    } finally {
+      setIsMutationTesting(false);
+      setSandboxJob(null);
+    }
+  }, [buildSandboxPayload, sessionId, onMutationReport, sandboxJobOptions]);
+
+  const mutationScores = useMemo(
+    () =>
+      new Map(
+        (mutationReport?.tests || []).map((test) => [test.testCaseId, test])
+      ),
+    [mutationReport]
+  );
+
+  const testResults = useMemo(
+    () =>
+      new Map(
+        (testRun?.results || []).map((result) => [result.testCaseId, result])
+      ),
+    [testRun]
+  );
+
+  // Diff results are listed per changed file; other results as one list
+  const testCaseGroups = useMemo(() => {
+    if (!diffResult?.files) return [{ key: "all", testCases }];
+
+    const changedPaths = new Set(diffResult.files.map((change) => change.path));
+    const groups = diffResult.files.map((change) => ({
+      key: change.path,
+      change,
+      testCases: testCases.filter((tc) => tc.file === change.path),
+    }));
+    const others = testCases.filter((tc) => !changedPaths.has(tc.file));
+
+    return others.length > 0
+      ? [...groups, { key: "other", testCases: others }]
+      : groups;
+  }, [diffResult, testCases]);
+
   const getTestTypeIcon = useCallback((type) => {
     const icons = {
       unit: <Target className="h-4 w-4" />,
@@ -595,6 +1065,59 @@ const TestCaseGenerator = ({
     }
   }, []);
 
+  // Load available LLM providers for the provider picker
+  useEffect(() => {
+    if (!sessionId) return;
+
+    getLLMProviders(sessionId)
+      .then((response) => setLlmProviders(response.providers || []))
+      .catch(() => setLlmProviders([]));
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    getTestExecutionConfig(sessionId).then(setExecutionConfig);
+  }, [sessionId]);
+
+  // Load coverage from an uploaded report file, or search the repository when no file is given
+  const handleCoverageReport = useCallback(
+    async (file) => {
+      const { owner, repo } = splitRepositoryName(repository?.full_name);
+      setCoverageStatus(
+        file ? `Parsing ${file.name}...` : "Searching repository..."
+      );
+
+      try {
+        const response = await ingestCoverageReport(sessionId, {
+          content: file ? await file.text() : undefined,
+          fileName: file?.name,
+          owner,
+          repo,
+          branch: repository?.default_branch,
+        });
+        const { lines, files } = response.coverage.totals;
+
+        setCoverageReport(response.coverage);
+        setCoverageStatus(
+          `${response.coverage.format}: ${lines.percent ?? 0}% of lines covered across ${files} files`
+        );
+        if (onCoverageLoaded) {
+          onCoverageLoaded(response.coverage);
+        }
+      } catch (err) {
+        setCoverageReport(null);
+        setCoverageStatus(err.message || "Coverage report could not be read");
+      }
+    },
+    [
+      repository?.full_name,
+      repository?.default_branch,
+      sessionId,
+      onCoverageLoaded,
+    ]
+  );
+
   // Clear error when files change
   useEffect(() => {
     if (error && memoizedSelectedFiles.length > 0) {
@@ -623,6 +1146,101 @@ const TestCaseGenerator = ({
           </div>
           {testCases.length > 0 && (
             <div className="flex items-center space-x-2">
+              {hasGitHost && (
+                <Button
+                  size="sm"
+                  onClick={handleOpenPullRequest}
+                  disabled={
+                    isOpeningPullRequest ||
+                    excludedTestIds.size >= testCases.length
+                  }
+                  className="flex items-center space-x-2"
+                >
+                  {isOpeningPullRequest ? (
+                    <LoadingSpinner size="small" className="mr-2" />
+                  ) : (
+                    <GitPullRequest className="h-4 w-4" />
+                  )}
+                  <span>Open PR with these tests</span>
+                </Button>
+              )}
+              {executionConfig?.enabled &&
+                executionConfig.runners?.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleRunTests}
+                    disabled={
+                      isRunningTests || excludedTestIds.size >= testCases.length
+                    }
+                    className="flex items-center space-x-2"
+                  >
+                    {isRunningTests ? (
+                      <LoadingSpinner size="small" className="mr-2" />
+                    ) : (
+                      <Play className="h-4 w-4" />
+                    )}
+                    <span>Run tests</span>
+                  </Button>
+                )}
+              {testRun?.summary &&
+                testRun.summary.failed + testRun.summary.error > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleRepairTests}
+                    disabled={isRepairingTests || isRunningTests}
+                    className="flex items-center space-x-2"
+                  >
+                    {isRepairingTests ? (
+                      <LoadingSpinner size="small" className="mr-2" />
+                    ) : (
+                      <Wrench className="h-4 w-4" />
+                    )}
+                    <span>Repair failing tests</span>
+                  </Button>
+                )}
+              {executionConfig?.enabled &&
+                executionConfig.runners?.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleMutationTests}
+                    disabled={
+                      isMutationTesting ||
+                      isRunningTests ||
+                      isRepairingTests ||
+                      excludedTestIds.size >= testCases.length
+                    }
+                    className="flex items-center space-x-2"
+                    title="Mutate the tested source and check that the tests notice"
+                  >
+                    {isMutationTesting ? (
+                      <LoadingSpinner size="small" className="mr-2" />
+                    ) : (
+                      <Bug className="h-4 w-4" />
+                    )}
+                    <span>Mutation test</span>
+                  </Button>
+                )}
+              {sandboxJob && (
+                <>
+                  {sandboxJob.message && (
+                    <span className="text-xs text-secondary-600">
+                      {sandboxJob.message}
+                    </span>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleCancelSandboxJob}
+                    className="flex items-center space-x-2"
+                  >
+                    <XCircle className="h-4 w-4" />
+                    <span>Cancel</span>
+                  </Button>
+                </>
+              )}
               <Button
                 variant="outline"
                 size="sm"
@@ -882,43 +1500,209 @@ const TestCaseGenerator = ({
                 <option value="aggressive">Aggressive Mocking</option>
               </select>
             </div>
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                AI Provider
+              </label>
+              <select
+                value={generationConfig.provider}
+                onChange={(e) =>
+                  setGenerationConfig((prev) => ({
+                    ...prev,
+                    provider: e.target.value,
+                  }))
+                }
+                className="block w-full px-2 py-1 border border-secondary-300 rounded text-sm"
+              >
+                <option value="">Server Default</option>
+                {llmProviders.map((provider) => (
+                  <option
+                    key={provider.name}
+                    value={provider.name}
+                    disabled={!provider.configured || !provider.selectable}
+                  >
+                    {provider.name} ({provider.model})
+                    {provider.default ? " • default" : ""}
+                    {!provider.configured ? " • not configured" : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-1">
+                Coverage Report
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="file"
+                  accept=".info,.xml,.json"
+                  onChange={(e) =>
+                    e.target.files[0] && handleCoverageReport(e.target.files[0])
+                  }
+                  className="block w-full text-xs text-secondary-600"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleCoverageReport(null)}
+                  disabled={!repository?.full_name}
+                >
+                  Find in Repo
+                </Button>
+              </div>
+              <p className="text-xs text-secondary-500 mt-1">
+                {coverageStatus ||
+                  "lcov, Cobertura, JaCoCo or coverage.py JSON; uncovered lines are targeted first"}
+              </p>
+            </div>
           </div>
         </div>
       </div>
 
       {/* Selected Files Summary */}
       <div className="px-6 py-4 border-b border-secondary-200">
-        <div className="flex items-center justify-between">
-          <div>
-            <h3 className="text-sm font-medium text-secondary-900">
-              Selected Files ({memoizedSelectedFiles.length})
-            </h3>
-            <p className="text-xs text-secondary-600 mt-1">
-              Universal test cases will be generated for these files
-            </p>
-          </div>
+        <div className="flex items-center space-x-2 mb-3">
           <Button
-            onClick={handleGenerate}
-            disabled={
-              memoizedSelectedFiles.length === 0 || isGenerating || !sessionId
-            }
+            size="sm"
+            variant={generationMode === "files" ? "primary" : "outline"}
+            onClick={() => setGenerationMode("files")}
+            disabled={isGenerating}
             className="flex items-center space-x-2"
           >
-            {isGenerating ? (
-              <>
-                <LoadingSpinner size="small" className="mr-2" />
-                Generating...
-              </>
-            ) : (
-              <>
-                <Brain className="h-4 w-4" />
-                <span>Generate Universal Tests</span>
-              </>
-            )}
+            <FileText className="h-4 w-4" />
+            <span>Selected files</span>
           </Button>
+          {hasGitHost && (
+            <Button
+              size="sm"
+              variant={generationMode === "diff" ? "primary" : "outline"}
+              onClick={() => setGenerationMode("diff")}
+              disabled={isGenerating}
+              className="flex items-center space-x-2"
+            >
+              <GitCompare className="h-4 w-4" />
+              <span>Pull request or compare</span>
+            </Button>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between">
+          {generationMode === "diff" ? (
+            <div>
+              <h3 className="text-sm font-medium text-secondary-900">
+                Changed Code
+              </h3>
+              <p className="text-xs text-secondary-600 mt-1">
+                Tests target only the functions the change touched
+              </p>
+            </div>
+          ) : (
+            <div>
+              <h3 className="text-sm font-medium text-secondary-900">
+                Selected Files ({memoizedSelectedFiles.length})
+              </h3>
+              <p className="text-xs text-secondary-600 mt-1">
+                Universal test cases will be generated for these files
+              </p>
+            </div>
+          )}
+          <div className="flex items-center space-x-2">
+            {isGenerating && activeJobId && (
+              <Button
+                variant="outline"
+                onClick={handleCancel}
+                className="flex items-center space-x-2"
+              >
+                <XCircle className="h-4 w-4" />
+                <span>Cancel</span>
+              </Button>
+            )}
+            <Button
+              onClick={
+                generationMode === "diff" ? handleGenerateDiff : handleGenerate
+              }
+              disabled={
+                (generationMode === "files" &&
+                  memoizedSelectedFiles.length === 0) ||
+                isGenerating ||
+                !sessionId
+              }
+              className="flex items-center space-x-2"
+            >
+              {isGenerating ? (
+                <>
+                  <LoadingSpinner size="small" className="mr-2" />
+                  Generating...
+                </>
+              ) : (
+                <>
+                  <Brain className="h-4 w-4" />
+                  <span>
+                    {generationMode === "diff"
+                      ? "Generate Tests for Changes"
+                      : "Generate Universal Tests"}
+                  </span>
+                </>
+              )}
+            </Button>
+          </div>
         </div>
 
-        {memoizedSelectedFiles.length > 0 && (
+        {generationMode === "diff" && (
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-2">
+                Pull request #
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={diffTarget.pullNumber}
+                onChange={(e) =>
+                  setDiffTarget((prev) => ({
+                    ...prev,
+                    pullNumber: e.target.value,
+                  }))
+                }
+                placeholder="42"
+                disabled={isGenerating}
+                className="block w-full px-3 py-2 border border-secondary-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-2">
+                or base
+              </label>
+              <input
+                type="text"
+                value={diffTarget.base}
+                onChange={(e) =>
+                  setDiffTarget((prev) => ({ ...prev, base: e.target.value }))
+                }
+                placeholder={repository?.default_branch || "main"}
+                disabled={isGenerating || Boolean(diffTarget.pullNumber)}
+                className="block w-full px-3 py-2 border border-secondary-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-secondary-700 mb-2">
+                ...head
+              </label>
+              <input
+                type="text"
+                value={diffTarget.head}
+                onChange={(e) =>
+                  setDiffTarget((prev) => ({ ...prev, head: e.target.value }))
+                }
+                placeholder="feature-branch"
+                disabled={isGenerating || Boolean(diffTarget.pullNumber)}
+                className="block w-full px-3 py-2 border border-secondary-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+          </div>
+        )}
+
+        {generationMode === "files" && memoizedSelectedFiles.length > 0 && (
           <div className="mt-3">
             <div className="flex flex-wrap gap-2">
               {memoizedSelectedFiles.slice(0, 8).map((file) => (
@@ -979,8 +1763,11 @@ const TestCaseGenerator = ({
                 {analysisPhase}
               </div>
               <div className="text-xs text-blue-700 mt-1">
-                Analyzing {memoizedSelectedFiles.length} files across{" "}
-                {Object.keys(detectedLanguages).length} languages
+                {generationMode === "diff"
+                  ? "Analyzing the changed files"
+                  : `Analyzing ${memoizedSelectedFiles.length} files across ${
+                      Object.keys(detectedLanguages).length
+                    } languages`}
               </div>
             </div>
           </div>
@@ -1045,94 +1832,312 @@ const TestCaseGenerator = ({
                 <span className="text-sm text-green-600 font-medium">
                   Universal Compatibility ✓
                 </span>
+                <span className="text-sm text-secondary-600">
+                  {testCases.length - excludedTestIds.size} selected for PR
+                </span>
               </div>
             </div>
           </div>
 
-          <div className="space-y-4 max-h-96 overflow-y-auto">
-            {testCases.map((testCase, index) => (
-              <div
-                key={testCase.id || index}
-                className="border border-secondary-200 rounded-lg p-4 hover:shadow-sm transition-all hover:border-primary-200"
+          {pullRequest?.pullRequest && (
+            <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-md text-sm text-green-800 flex items-center justify-between">
+              <span>
+                Opened #{pullRequest.pullRequest.number} on{" "}
+                <code>{pullRequest.branch}</code> with{" "}
+                {pullRequest.files.length} test file
+                {pullRequest.files.length === 1 ? "" : "s"}
+              </span>
+              <a
+                href={pullRequest.pullRequest.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center font-medium hover:text-green-900"
               >
-                <div className="flex items-start justify-between">
-                  <div className="flex-1">
-                    <div className="flex items-center space-x-2 mb-2">
-                      {getTestTypeIcon(testCase.type)}
-                      <h4 className="font-medium text-secondary-900">
-                        {testCase.title}
-                      </h4>
-                      <span
-                        className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getRiskColor(
-                          testCase.riskLevel
-                        )}`}
-                      >
-                        {testCase.riskLevel} risk
-                      </span>
-                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                        {testCase.type}
-                      </span>
-                      {testCase.adaptedForLanguage &&
-                        testCase.adaptedForLanguage !== "generic" && (
-                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                            {getLanguageIcon(testCase.adaptedForLanguage)}{" "}
-                            {testCase.adaptedForLanguage}
-                          </span>
-                        )}
-                    </div>
-                    <p className="text-sm text-secondary-600 mb-3">
-                      {testCase.description}
-                    </p>
-
-                    {/* Test Metadata */}
-                    <div className="flex items-center space-x-4 text-xs text-secondary-500 mb-3">
-                      <span className="flex items-center space-x-1">
-                        <Clock className="h-3 w-3" />
-                        <span>~{testCase.estimatedExecutionTime}s</span>
-                      </span>
-                      <span className="flex items-center space-x-1">
-                        <CheckCircle className="h-3 w-3" />
-                        <span>Maintenance: {testCase.maintenanceScore}%</span>
-                      </span>
-                      {testCase.universalPattern && (
-                        <span className="flex items-center space-x-1 text-green-600">
-                          <Brain className="h-3 w-3" />
-                          <span>Universal Pattern</span>
+                View pull request
+                <ExternalLink className="w-3 h-3 ml-1" />
+              </a>
+            </div>
+          )}
+
+          {testRun?.summary && (
+            <div className="mb-4 p-3 bg-secondary-50 border border-secondary-200 rounded-md text-sm text-secondary-800">
+              {`Ran ${testRun.summary.total} tests against ${testRun.sources.length} source files: ${testRun.summary.passed} passed, ${testRun.summary.failed} failed, ${testRun.summary.error} errors, ${testRun.summary.skipped} skipped`}
+              {testRun.rounds &&
+                ` after ${testRun.rounds.length} repair round${
+                  testRun.rounds.length === 1 ? "" : "s"
+                }; ${testRun.summary.needsReview} need human review`}
+            </div>
+          )}
+
+          {mutationReport?.summary && (
+            <div className="mb-4 p-3 bg-secondary-50 border border-secondary-200 rounded-md text-sm text-secondary-800">
+              <div className="flex items-center space-x-2">
+                <span
+                  className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getMutationScoreColor(
+                    mutationReport.score
+                  )}`}
+                >
+                  {mutationReport.score !== null
+                    ? `${mutationReport.score}% mutation score`
+                    : "no mutants covered"}
+                </span>
+                <span>
+                  {`${
+                    mutationReport.summary.killed +
+                    mutationReport.summary.timeout
+                  } of ${mutationReport.summary.total} mutants caught, ${
+                    mutationReport.summary.survived
+                  } survived, ${
+                    mutationReport.summary.noCoverage
+                  } without a passing test`}
+                </span>
+              </div>
+              <ul className="mt-2 space-y-1 text-xs">
+                {mutationReport.files.map((file) => (
+                  <li key={file.path} className="flex items-center space-x-2">
+                    <code>{file.path}</code>
+                    <span
+                      className={`px-1.5 py-0.5 rounded ${getMutationScoreColor(
+                        file.score
+                      )}`}
+                    >
+                      {file.score !== null ? `${file.score}%` : "n/a"}
+                    </span>
+                    <span className="text-secondary-600">
+                      {file.killed + file.timeout}/{file.total} caught
+                      {file.sitesFound > file.total &&
+                        ` (sample of ${file.sitesFound})`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {mutationReport.survivors.length > 0 && (
+                <details className="mt-2 text-xs">
+                  <summary className="cursor-pointer text-secondary-600">
+                    Surviving mutants ({mutationReport.survivors.length}) —
+                    ideas for more tests
+                  </summary>
+                  <ul className="mt-1 space-y-2">
+                    {mutationReport.survivors.map((survivor) => (
+                      <li key={survivor.id}>
+                        <div className="text-secondary-700">
+                          {survivor.hint}
+                        </div>
+                        <code className="block mt-0.5 text-secondary-600">
+                          {survivor.file}:{survivor.line} {survivor.original} →{" "}
+                          {survivor.mutated}
+                        </code>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-4 max-h-96 overflow-y-auto">
+            {testCaseGroups.map((group) => (
+              <div key={group.key} className="space-y-4">
+                {group.change && (
+                  <div className="flex items-center justify-between p-3 bg-secondary-50 border border-secondary-200 rounded-md">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <GitCompare className="h-4 w-4 text-secondary-600" />
+                        <code className="text-sm font-medium text-secondary-900">
+                          {group.change.path}
+                        </code>
+                        <span className="text-xs text-green-600">
+                          +{group.change.additions}
                         </span>
-                      )}
+                        <span className="text-xs text-error-600">
+                          -{group.change.deletions}
+                        </span>
+                      </div>
+                      <div className="text-xs text-secondary-600 mt-1">
+                        {group.change.functions.length > 0
+                          ? `Changed: ${group.change.functions
+                              .map((func) => func.name)
+                              .join(", ")}`
+                          : `Changed lines outside functions: ${group.change.changedLines.length}`}
+                      </div>
                     </div>
+                    <span className="text-xs text-secondary-600">
+                      {group.testCases.length} test
+                      {group.testCases.length === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                )}
+                {group.testCases.map((testCase, index) => (
+                  <div
+                    key={testCase.id || index}
+                    className="border border-secondary-200 rounded-lg p-4 hover:shadow-sm transition-all hover:border-primary-200"
+                  >
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-2 mb-2">
+                          <input
+                            type="checkbox"
+                            checked={!excludedTestIds.has(testCase.id)}
+                            onChange={() => toggleTestIncluded(testCase.id)}
+                            title="Include in pull request and test run"
+                            className="h-4 w-4 text-primary-600 border-secondary-300 rounded"
+                          />
+                          {getTestTypeIcon(testCase.type)}
+                          <h4 className="font-medium text-secondary-900">
+                            {testCase.title}
+                          </h4>
+                          <span
+                            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getRiskColor(
+                              testCase.riskLevel
+                            )}`}
+                          >
+                            {testCase.riskLevel} risk
+                          </span>
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                            {testCase.type}
+                          </span>
+                          {testCase.validation && (
+                            <SyntaxBadge validation={testCase.validation} />
+                          )}
+                          {testResults.has(testCase.id) && (
+                            <span
+                              className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                                RUN_STATUS_STYLES[
+                                  testResults.get(testCase.id).status
+                                ]
+                              }`}
+                            >
+                              {testResults.get(testCase.id).status}
+                            </span>
+                          )}
+                          {mutationScores.get(testCase.id)?.mutants > 0 && (
+                            <span
+                              className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getMutationScoreColor(
+                                mutationScores.get(testCase.id).score
+                              )}`}
+                              title="Mutants of its source file this test catches"
+                            >
+                              kills {mutationScores.get(testCase.id).killed}/
+                              {mutationScores.get(testCase.id).mutants} mutants
+                            </span>
+                          )}
+                          {REPAIR_BADGES[testCase.repair?.status] && (
+                            <span
+                              className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                                REPAIR_BADGES[testCase.repair.status].className
+                              }`}
+                            >
+                              {REPAIR_BADGES[testCase.repair.status].label}
+                            </span>
+                          )}
+                          {testCase.adaptedForLanguage &&
+                            testCase.adaptedForLanguage !== "generic" && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                {getLanguageIcon(testCase.adaptedForLanguage)}{" "}
+                                {testCase.adaptedForLanguage}
+                              </span>
+                            )}
+                        </div>
+                        <p className="text-sm text-secondary-600 mb-3">
+                          {testCase.description}
+                        </p>
 
-                    {testCase.code && (
-                      <div className="bg-secondary-900 text-secondary-100 p-3 rounded-md font-mono text-sm overflow-x-auto">
-                        <div className="flex items-center justify-between mb-2">
-                          <span className="text-xs text-secondary-400">
-                            {testCase.adaptedForLanguage} • {testCase.type} test
+                        {/* Test Metadata */}
+                        <div className="flex items-center space-x-4 text-xs text-secondary-500 mb-3">
+                          <span className="flex items-center space-x-1">
+                            <Clock className="h-3 w-3" />
+                            <span>~{testCase.estimatedExecutionTime}s</span>
                           </span>
-                          <button
-                            onClick={() => copyToClipboard(testCase.code)}
-                            className="text-secondary-400 hover:text-secondary-200 transition-colors"
-                          >
-                            <Copy className="h-3 w-3" />
-                          </button>
+                          <span className="flex items-center space-x-1">
+                            <CheckCircle className="h-3 w-3" />
+                            <span>
+                              Maintenance: {testCase.maintenanceScore}%
+                            </span>
+                          </span>
+                          {testCase.universalPattern && (
+                            <span className="flex items-center space-x-1 text-green-600">
+                              <Brain className="h-3 w-3" />
+                              <span>Universal Pattern</span>
+                            </span>
+                          )}
                         </div>
-                        <pre className="whitespace-pre-wrap">
-                          {testCase.code}
-                        </pre>
-                      </div>
-                    )}
 
-                    {testCase.documentation && (
-                      <div className="mt-3 p-3 bg-blue-50 rounded-md">
-                        <h5 className="text-xs font-medium text-blue-900 mb-1">
-                          Documentation
-                        </h5>
-                        <p className="text-xs text-blue-700">
-                          {testCase.documentation}
-                        </p>
+                        {testCase.code && (
+                          <div className="bg-secondary-900 text-secondary-100 p-3 rounded-md font-mono text-sm overflow-x-auto">
+                            <div className="flex items-center justify-between mb-2">
+                              <span className="text-xs text-secondary-400">
+                                {testCase.adaptedForLanguage} • {testCase.type}{" "}
+                                test
+                              </span>
+                              <button
+                                onClick={() => copyToClipboard(testCase.code)}
+                                className="text-secondary-400 hover:text-secondary-200 transition-colors"
+                              >
+                                <Copy className="h-3 w-3" />
+                              </button>
+                            </div>
+                            <pre className="whitespace-pre-wrap">
+                              {testCase.code}
+                            </pre>
+                          </div>
+                        )}
+
+                        {testResults.get(testCase.id)?.output && (
+                          <details className="mt-2 text-xs">
+                            <summary className="cursor-pointer text-secondary-600">
+                              Test run output
+                            </summary>
+                            <pre className="mt-1 p-2 bg-secondary-50 rounded-md whitespace-pre-wrap text-secondary-700 max-h-48 overflow-y-auto">
+                              {testResults.get(testCase.id).output}
+                            </pre>
+                          </details>
+                        )}
+
+                        {testCase.repair?.history?.length > 0 && (
+                          <details className="mt-2 text-xs">
+                            <summary className="cursor-pointer text-secondary-600">
+                              Repair history ({testCase.repair.history.length}{" "}
+                              round
+                              {testCase.repair.history.length === 1 ? "" : "s"})
+                            </summary>
+                            {testCase.repair.history.map((step) => (
+                              <div key={step.round} className="mt-1">
+                                <div className="text-secondary-700">
+                                  Round {step.round}: {step.statusBefore} →{" "}
+                                  {step.status}
+                                </div>
+                                <pre className="mt-1 p-2 bg-secondary-50 rounded-md whitespace-pre-wrap text-secondary-700 max-h-48 overflow-y-auto">
+                                  {step.diff || "No change"}
+                                </pre>
+                              </div>
+                            ))}
+                          </details>
+                        )}
+
+                        {testCase.validation?.status === "invalid" && (
+                          <div className="mt-2 flex items-center text-xs text-red-600">
+                            <XCircle className="h-3 w-3 mr-1 flex-shrink-0" />
+                            <span>
+                              Does not parse:{" "}
+                              {describeSyntaxError(testCase.validation.error)}
+                            </span>
+                          </div>
+                        )}
+
+                        {testCase.documentation && (
+                          <div className="mt-3 p-3 bg-blue-50 rounded-md">
+                            <h5 className="text-xs font-medium text-blue-900 mb-1">
+                              Documentation
+                            </h5>
+                            <p className="text-xs text-blue-700">
+                              {testCase.documentation}
+                            </p>
+                          </div>
+                        )}
                       </div>
-                    )}
+                    </div>
                   </div>
-                </div>
+                ))}
               </div>
             ))}
           </div>
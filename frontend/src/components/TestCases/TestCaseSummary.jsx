@@ -42,6 +42,8 @@ const TestCaseSummary = ({
   selectedFiles = [],
   sessionId,
   generationConfig = {},
+  coverageReport = null,
+  mutationReport = null,
 }) => {
   const [summary, setSummary] = useState(null);
   const [metrics, setMetrics] = useState(null);
@@ -66,8 +68,12 @@ const TestCaseSummary = ({
       byComplexity: {},
       estimatedTime: 0,
       maintenanceScore: 0,
-      coverageEstimate: 0,
-      qualityScore: 0,
+      lineCoverage: null,
+      branchCoverage: null,
+      coverageFormat: null,
+      qualityScore: null,
+      mutantsTotal: 0,
+      mutantsCaught: 0,
       universalPatterns: 0,
       fallbackTests: 0,
       languageCoverage: new Set(),
@@ -120,18 +126,18 @@ const TestCaseSummary = ({
     metrics.maintenanceScore = Math.round(
       metrics.maintenanceScore / testCases.length
     );
-    metrics.coverageEstimate = Math.min(
-      95,
-      Math.max(60, testCases.length * 1.5)
-    );
 
-    // Quality score based on various factors
-    let qualityScore = 70; // Base score
-    qualityScore += Math.min(20, metrics.universalPatterns * 2); // Universal patterns bonus
-    qualityScore += Math.min(10, metrics.languageCoverage.size * 2); // Multi-language bonus
-    qualityScore -= metrics.fallbackTests * 2; // Penalty for fallbacks
-    qualityScore += metrics.byRisk.high * 3; // Bonus for high-risk test coverage
-    metrics.qualityScore = Math.max(0, Math.min(100, qualityScore));
+    // Coverage comes only from an ingested report; test counts say nothing about it
+    metrics.lineCoverage = coverageReport?.totals?.lines?.percent ?? null;
+    metrics.branchCoverage = coverageReport?.totals?.branches?.percent ?? null;
+    metrics.coverageFormat = coverageReport?.format || null;
+
+    // Quality is the mutation score of a mutation testing run; unmeasured until one exists
+    metrics.qualityScore = mutationReport?.score ?? null;
+    metrics.mutantsTotal = mutationReport?.summary?.total || 0;
+    metrics.mutantsCaught =
+      (mutationReport?.summary?.killed || 0) +
+      (mutationReport?.summary?.timeout || 0);
 
     // Convert sets to arrays for easier handling
     metrics.languageCoverage = Array.from(metrics.languageCoverage);
@@ -139,7 +145,7 @@ const TestCaseSummary = ({
     metrics.testPatterns = Array.from(metrics.testPatterns);
 
     return metrics;
-  }, [testCases]);
+  }, [testCases, coverageReport, mutationReport]);
 
   // Generate AI summary with enhanced analysis
   const generateSummary = useCallback(async () => {
@@ -155,6 +161,7 @@ const TestCaseSummary = ({
         files: selectedFiles,
         metrics: comprehensiveMetrics,
         config: generationConfig,
+        coverage: coverageReport,
         universalMode: true,
         sessionId,
       };
@@ -187,6 +194,7 @@ const TestCaseSummary = ({
     selectedFiles,
     comprehensiveMetrics,
     generationConfig,
+    coverageReport,
     sessionId,
   ]);
 
@@ -250,10 +258,18 @@ const TestCaseSummary = ({
       );
     }
 
+    const branchCoverage =
+      comprehensiveMetrics.branchCoverage !== null
+        ? `, ${comprehensiveMetrics.branchCoverage}% of branches`
+        : "";
+
     return {
       insights,
       recommendations,
-      coverage: `Estimated ${comprehensiveMetrics.coverageEstimate}% coverage across ${comprehensiveMetrics.languageCoverage.length} languages`,
+      coverage:
+        comprehensiveMetrics.lineCoverage !== null
+          ? `Measured ${comprehensiveMetrics.lineCoverage}% line coverage${branchCoverage} from the ${comprehensiveMetrics.coverageFormat} report`
+          : `No coverage report loaded; ${comprehensiveMetrics.total} test cases across ${comprehensiveMetrics.languageCoverage.length} languages`,
       qualityAssessment: getQualityAssessment(
         comprehensiveMetrics.qualityScore
       ),
@@ -263,6 +279,8 @@ const TestCaseSummary = ({
   }, [comprehensiveMetrics]);
 
   const getQualityAssessment = (score) => {
+    if (score === null)
+      return "Not measured - run mutation testing on the generated tests to score them";
     if (score >= 90)
       return "Excellent - High-quality test suite with comprehensive coverage";
     if (score >= 80)
@@ -341,6 +359,7 @@ const TestCaseSummary = ({
   };
 
   const getQualityColor = (score) => {
+    if (score === null) return "text-gray-600 bg-gray-100";
     if (score >= 90) return "text-green-600 bg-green-100";
     if (score >= 80) return "text-blue-600 bg-blue-100";
     if (score >= 70) return "text-yellow-600 bg-yellow-100";
@@ -483,12 +502,16 @@ const TestCaseSummary = ({
               >
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-sm font-medium">Quality Score</p>
+                    <p className="text-sm font-medium">Mutation Score</p>
                     <p className="text-2xl font-bold">
-                      {comprehensiveMetrics.qualityScore}%
+                      {comprehensiveMetrics.qualityScore !== null
+                        ? `${comprehensiveMetrics.qualityScore}%`
+                        : "—"}
                     </p>
                     <p className="text-xs mt-1">
-                      Maintenance: {comprehensiveMetrics.maintenanceScore}%
+                      {comprehensiveMetrics.mutantsTotal > 0
+                        ? `${comprehensiveMetrics.mutantsCaught}/${comprehensiveMetrics.mutantsTotal} mutants caught`
+                        : "Not measured yet"}
                     </p>
                   </div>
                   <Award className="h-8 w-8" />
@@ -524,7 +547,10 @@ const TestCaseSummary = ({
                       {Math.round(comprehensiveMetrics.estimatedTime / 60)}m
                     </p>
                     <p className="text-xs text-green-700 mt-1">
-                      Coverage: {comprehensiveMetrics.coverageEstimate}%
+                      Coverage:{" "}
+                      {comprehensiveMetrics.lineCoverage !== null
+                        ? `${comprehensiveMetrics.lineCoverage}% lines`
+                        : "no report"}
                     </p>
                   </div>
                   <Clock className="h-8 w-8 text-green-500" />
@@ -797,6 +823,66 @@ const TestCaseSummary = ({
                 </div>
               )}
 
+              {/* Coverage Gaps */}
+              {(summary?.coverageGaps || []).length > 0 && (
+                <div className="bg-orange-50 rounded-lg p-4 border border-orange-200">
+                  <h5 className="font-medium text-orange-900 flex items-center mb-3">
+                    <Layers className="h-4 w-4 mr-2" />
+                    Coverage Gaps
+                  </h5>
+                  <ul className="space-y-2">
+                    {summary.coverageGaps.map((gap) => (
+                      <li key={gap.file} className="text-sm text-orange-700">
+                        <span className="font-mono text-xs">{gap.file}</span>
+                        <span className="ml-2">{gap.reason}</span>
+                        {gap.functions?.length > 0 && (
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {gap.functions.map((fn) => (
+                              <span
+                                key={fn}
+                                className="px-1.5 py-0.5 bg-orange-100 rounded text-xs font-mono"
+                              >
+                                {fn}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Risk Areas */}
+              {(summary?.riskAreas || []).length > 0 && (
+                <div className="bg-red-50 rounded-lg p-4 border border-red-200">
+                  <h5 className="font-medium text-red-900 flex items-center mb-3">
+                    <Shield className="h-4 w-4 mr-2" />
+                    Risk Areas
+                  </h5>
+                  <ul className="space-y-2">
+                    {summary.riskAreas.map((area) => (
+                      <li
+                        key={area.file}
+                        className="text-sm text-red-700 flex items-start"
+                      >
+                        <span
+                          className={`mr-2 px-1.5 py-0.5 rounded text-xs border capitalize ${getRiskColor(
+                            area.level
+                          )}`}
+                        >
+                          {area.level}
+                        </span>
+                        <span>
+                          <span className="font-mono text-xs">{area.file}</span>
+                          <span className="ml-2">{area.reason}</span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Coverage Analysis */}
               {summary?.coverage && (
                 <div className="bg-purple-50 rounded-lg p-4 border border-purple-200">
@@ -812,7 +898,7 @@ const TestCaseSummary = ({
               {summary?.qualityAssessment && (
                 <div
                   className={`rounded-lg p-4 border ${getQualityColor(
-                    comprehensiveMetrics?.qualityScore || 70
+                    comprehensiveMetrics?.qualityScore ?? null
                   )}`}
                 >
                   <h5 className="font-medium flex items-center mb-2">
@@ -1,8 +1,12 @@
 import React from "react";
-import { Github, LogOut, Zap } from "lucide-react";
+import { Github, Gitlab, HardDrive, LogOut, Zap } from "lucide-react";
 import Button from "./Button";
 
+const PROVIDER_ICONS = { gitlab: Gitlab, local: HardDrive };
+
 const Header = ({ user, onLogout }) => {
+  const ProviderIcon = PROVIDER_ICONS[user?.provider] || Github;
+
   return (
     <header className="bg-white shadow-soft border-b border-secondary-200">
       <div className="container mx-auto px-4 py-4">
@@ -21,17 +25,23 @@ const Header = ({ user, onLogout }) => {
           {user && (
             <div className="flex items-center space-x-4">
               <div className="flex items-center space-x-3">
-                <img
-                  src={user.avatar_url}
-                  alt={user.name || user.login}
-                  className="w-8 h-8 rounded-full"
-                />
+                {user.avatar_url ? (
+                  <img
+                    src={user.avatar_url}
+                    alt={user.name || user.login}
+                    className="w-8 h-8 rounded-full"
+                  />
+                ) : (
+                  <div className="flex items-center justify-center w-8 h-8 bg-secondary-100 rounded-full">
+                    <ProviderIcon className="w-4 h-4 text-secondary-600" />
+                  </div>
+                )}
                 <div className="hidden sm:block">
                   <p className="text-sm font-medium text-secondary-900">
                     {user.name || user.login}
                   </p>
                   <p className="text-xs text-secondary-500 flex items-center">
-                    <Github className="w-3 h-3 mr-1" />
+                    <ProviderIcon className="w-3 h-3 mr-1" />
                     {user.login}
                   </p>
                 </div>
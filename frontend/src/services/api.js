@@ -109,7 +109,13 @@ api.interceptors.response.use(
 // ─── AUTH FUNCTIONS ─────────────────────────────────────
 //
 
-export const authenticateGitHub = async (token) => {
+// Token formats GitHub issues: ghp_ (classic), github_pat_ (fine-grained), gho_ (OAuth),
+// ghu_/ghs_ (GitHub App user/installation) and 40-character legacy tokens on older servers
+const GITHUB_TOKEN_PATTERN =
+  /^(ghp_|github_pat_|gho_|ghu_|ghs_)[A-Za-z0-9_]+$|^[0-9a-fA-F]{40}$/;
+
+// baseUrl selects a GitHub Enterprise Server from getSourceHosts; omit for the default host
+export const authenticateGitHub = async (token, baseUrl) => {
   try {
     console.log("🔐 Authenticating with GitHub...");
 
@@ -120,17 +126,15 @@ export const authenticateGitHub = async (token) => {
     // Clean the token (remove whitespace)
     const cleanToken = token.trim();
 
-    if (
-      !cleanToken.startsWith("ghp_") &&
-      !cleanToken.startsWith("github_pat_")
-    ) {
+    if (!GITHUB_TOKEN_PATTERN.test(cleanToken)) {
       throw new Error(
-        'Invalid GitHub token format. Token should start with "ghp_" or "github_pat_"'
+        'Invalid GitHub token format. Token should start with "ghp_", "github_pat_", "gho_", "ghu_" or "ghs_"'
       );
     }
 
     const response = await api.post("/auth/github", {
       token: cleanToken,
+      ...(baseUrl && { baseUrl }),
     });
 
     console.log("🔍 Auth response:", response);
@@ -225,10 +229,164 @@ export const logout = async (sessionId) => {
   }
 };
 
+// Start the GitHub OAuth web flow; the caller sends the browser to oauthUrl. The server
+// sets a cookie tying the sign-in to this browser, so the request carries credentials
+export const getGitHubOAuthUrl = async () => {
+  try {
+    const response = await api.get("/auth/github/oauth-url", {
+      withCredentials: true,
+    });
+
+    if (!response.oauthUrl) {
+      throw new Error("GitHub sign-in is not available");
+    }
+
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to start GitHub sign-in:", error.message);
+    throw error;
+  }
+};
+
+// Hosts the server accepts "github" or "gitlab" tokens for; the first is the default
+export const getSourceHosts = async (provider = "github") => {
+  try {
+    const response = await api.get(`/auth/${provider}/hosts`);
+    return response.hosts || [];
+  } catch (error) {
+    console.error(`❌ Failed to load ${provider} hosts:`, error.message);
+    return [];
+  }
+};
+
+// Sign in with a GitLab personal, project, group or OAuth token; baseUrl picks a
+// self-managed instance from getSourceHosts("gitlab")
+export const authenticateGitLab = async (token, baseUrl) => {
+  try {
+    console.log("🔐 Authenticating with GitLab...");
+
+    if (!token || typeof token !== "string") {
+      throw new Error("GitLab token is required");
+    }
+
+    const response = await api.post("/auth/gitlab", {
+      token: token.trim(),
+      ...(baseUrl && { baseUrl }),
+    });
+
+    if (!response?.sessionId) {
+      throw new Error(response?.error || "Authentication failed");
+    }
+
+    console.log("✅ GitLab authentication successful");
+    return { success: true, ...response };
+  } catch (error) {
+    console.error("❌ GitLab authentication failed:", error.message);
+    throw error;
+  }
+};
+
+// Session id or error left in the URL fragment by the OAuth callback, or null
+export const readOAuthCallback = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  if (!params.has("session") && !params.has("error")) {
+    return null;
+  }
+
+  // Drop the fragment so the session id does not linger in history
+  window.history.replaceState(null, "", "/");
+  return { sessionId: params.get("session"), error: params.get("error") };
+};
+
+//
+// ─── LOCAL WORKSPACE FUNCTIONS ──────────────────────────
+//
+
+// Whether the server accepts uploads and directories, and its upload limits
+export const getLocalSourceConfig = async () => {
+  try {
+    return await api.get("/local/config");
+  } catch (error) {
+    console.error("❌ Failed to load local source settings:", error.message);
+    return { enabled: false };
+  }
+};
+
+// Sessions for uploaded archives and server directories need no token
+export const startLocalSession = async () => {
+  try {
+    const response = await api.post("/auth/local");
+
+    if (!response?.sessionId) {
+      throw new Error(response?.error || "Failed to start a local session");
+    }
+
+    return { success: true, ...response };
+  } catch (error) {
+    console.error("❌ Local session failed:", error.message);
+    throw error;
+  }
+};
+
+// Upload a .zip/.tar.gz File; resolves to the workspace as a repository
+export const uploadLocalArchive = async (sessionId, file) => {
+  try {
+    if (!sessionId || !file) {
+      throw new Error("Session ID and archive are required");
+    }
+
+    console.log(`📦 Uploading ${file.name}...`);
+    const response = await api.post("/local/workspaces/archive", file, {
+      params: { name: file.name },
+      headers: {
+        Authorization: `Bearer ${sessionId}`,
+        "Content-Type": "application/octet-stream",
+      },
+    });
+    return response.repository;
+  } catch (error) {
+    console.error("❌ Failed to upload archive:", error.message);
+    throw error;
+  }
+};
+
+// Register a directory on the server, under one of its allowed roots
+export const addLocalDirectory = async (sessionId, path, name) => {
+  try {
+    if (!sessionId || !path) {
+      throw new Error("Session ID and directory path are required");
+    }
+
+    const response = await api.post(
+      "/local/workspaces/directory",
+      { path, ...(name && { name }) },
+      { headers: { Authorization: `Bearer ${sessionId}` } }
+    );
+    return response.repository;
+  } catch (error) {
+    console.error("❌ Failed to add directory:", error.message);
+    throw error;
+  }
+};
+
 //
 // ─── GITHUB FUNCTIONS ───────────────────────────────────
 //
 
+// "owner/repo" → { owner, repo }; GitLab owners can be nested groups, so the repo is
+// the last segment ("group/subgroup/repo")
+export const splitRepositoryName = (fullName = "") => {
+  const separator = fullName.lastIndexOf("/");
+  return {
+    owner: fullName.slice(0, separator),
+    repo: fullName.slice(separator + 1),
+  };
+};
+
+// Routes take the owner as one segment; nested GitLab groups keep their slashes encoded
+const repositoryPath = (owner, repo) =>
+  `/github/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
 export const getUserRepositories = async (sessionId) => {
   try {
     if (!sessionId) {
@@ -314,12 +472,12 @@ export const getRepositoryTree = async (
       throw new Error("Repository name and session ID are required");
     }
 
-    const [owner, repo] = repoFullName.split("/");
+    const { owner, repo } = splitRepositoryName(repoFullName);
     if (!owner || !repo) {
       throw new Error("Invalid repository format. Expected 'owner/repo'");
     }
 
-    const response = await api.get(`/github/repos/${owner}/${repo}/tree`, {
+    const response = await api.get(`${repositoryPath(owner, repo)}/tree`, {
       params: { path, recursive: recursive.toString() },
       headers: { Authorization: `Bearer ${sessionId}` },
     });
@@ -350,7 +508,7 @@ export const getFileContent = async (owner, repo, filePath, sessionId) => {
     }
 
     const response = await api.get(
-      `/github/repos/${owner}/${repo}/contents/${filePath}`,
+      `${repositoryPath(owner, repo)}/contents/${filePath}`,
       {
         headers: { Authorization: `Bearer ${sessionId}` },
       }
@@ -375,7 +533,7 @@ export const createPullRequest = async (owner, repo, sessionId, prData) => {
     }
 
     const response = await api.post(
-      `/github/repos/${owner}/${repo}/pulls`,
+      `${repositoryPath(owner, repo)}/pulls`,
       prData,
       {
         headers: { Authorization: `Bearer ${sessionId}` },
@@ -389,6 +547,34 @@ export const createPullRequest = async (owner, repo, sessionId, prData) => {
   }
 };
 
+// Commit test cases to a new branch in one commit and open a pull request
+export const openTestPullRequest = async (sessionId, payload) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    if (!payload?.testCases?.length) {
+      throw new Error("Select at least one test case for the pull request");
+    }
+
+    console.log("🌿 Opening pull request with generated tests...", {
+      repository: `${payload.owner}/${payload.repo}`,
+      testCases: payload.testCases.length,
+    });
+
+    const response = await api.post("/testcases/pull-request", payload, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+
+    console.log("✅ Pull request opened:", response.pullRequest?.url);
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to open pull request:", error.message);
+    throw error;
+  }
+};
+
 //
 // ─── ENHANCED LANGUAGE DETECTION ────────────────────────
 //
@@ -587,9 +773,51 @@ export const getLanguageIcon = (language) => {
 // ─── UNIVERSAL TEST CASE GENERATION ─────────────────────
 //
 
+// Normalize test cases from a generation result and fill in display defaults
+const enhanceGeneratedTestCases = (response) => {
+  // Handle different response formats
+  let testCases = [];
+
+  if (response.testCases) {
+    testCases = response.testCases;
+  } else if (response.data) {
+    testCases = response.data;
+  } else if (Array.isArray(response)) {
+    testCases = response;
+  } else {
+    throw new Error("Invalid response format: expected test cases array");
+  }
+
+  // Validate and enhance test cases
+  return testCases.map((tc, index) => ({
+    id: tc.id || `test-${Date.now()}-${index}`,
+    title: tc.title || `Test Case ${index + 1}`,
+    description: tc.description || "Generated test case",
+    type: tc.type || "unit",
+    priority: tc.priority || "medium",
+    language: tc.language || detectLanguageFromPath(tc.file || ""),
+    framework: tc.framework || "auto-detected",
+    code: tc.code || "",
+    tags: tc.tags || [],
+    estimatedTime: tc.estimatedTime || 30,
+    complexity: tc.complexity || "medium",
+    riskLevel: tc.riskLevel || "low",
+    universalPattern: true,
+    generated: new Date().toISOString(),
+    ...tc,
+  }));
+};
+
 export const generateTestCases = async (config) => {
   try {
-    const { sessionId, files, ...restConfig } = config;
+    const {
+      sessionId,
+      files,
+      coverage,
+      onProgress,
+      onJobSubmitted,
+      ...restConfig
+    } = config;
 
     if (!sessionId) {
       throw new Error("Session ID is required");
@@ -622,81 +850,32 @@ export const generateTestCases = async (config) => {
       adaptiveFrameworks: true,
       crossLanguagePatterns: true,
       intelligentFallbacks: true,
-      timeout: 300000,
     };
 
     const requestPayload = {
+      type: "files",
       files: validFiles,
+      repository: restConfig.repository,
       config: enhancedConfig,
+      provider: restConfig.config?.provider || undefined,
+      coverage: coverage || undefined,
     };
 
-    console.log("📤 Sending request with payload:", {
+    console.log("📤 Submitting generation job:", {
       filesCount: validFiles.length,
       configKeys: Object.keys(enhancedConfig),
     });
 
-    // Try universal endpoint first, fallback to regular endpoint
-    let response;
-    try {
-      response = await api.post(
-        "/testcases/generate/universal",
-        requestPayload,
-        {
-          headers: { Authorization: `Bearer ${sessionId}` },
-          timeout: 300000,
-          onUploadProgress: (progressEvent) => {
-            if (import.meta.env.DEV) {
-              const progress = Math.round(
-                (progressEvent.loaded * 100) / progressEvent.total
-              );
-              console.log(`📤 Upload progress: ${progress}%`);
-            }
-          },
-        }
-      );
-    } catch (error) {
-      console.log(
-        "🔄 Universal endpoint unavailable, trying standard endpoint..."
-      );
-      response = await api.post("/testcases/generate", requestPayload, {
-        headers: { Authorization: `Bearer ${sessionId}` },
-        timeout: 300000,
-      });
+    // Generation runs as a server-side job; progress streams back instead of
+    // holding one long request open
+    const { jobId } = await submitGenerationJob(sessionId, requestPayload);
+    if (onJobSubmitted) {
+      onJobSubmitted(jobId);
     }
+    const response = await waitForGenerationJob(sessionId, jobId, onProgress);
 
     console.log("✅ Test cases generated successfully");
-
-    // Handle different response formats
-    let testCases = [];
-
-    if (response.testCases) {
-      testCases = response.testCases;
-    } else if (response.data) {
-      testCases = response.data;
-    } else if (Array.isArray(response)) {
-      testCases = response;
-    } else {
-      throw new Error("Invalid response format: expected test cases array");
-    }
-
-    // Validate and enhance test cases
-    const enhancedTestCases = testCases.map((tc, index) => ({
-      id: tc.id || `test-${Date.now()}-${index}`,
-      title: tc.title || `Test Case ${index + 1}`,
-      description: tc.description || "Generated test case",
-      type: tc.type || "unit",
-      priority: tc.priority || "medium",
-      language: tc.language || detectLanguageFromPath(tc.file || ""),
-      framework: tc.framework || "auto-detected",
-      code: tc.code || "",
-      tags: tc.tags || [],
-      estimatedTime: tc.estimatedTime || 30,
-      complexity: tc.complexity || "medium",
-      riskLevel: tc.riskLevel || "low",
-      universalPattern: true,
-      generated: new Date().toISOString(),
-      ...tc,
-    }));
+    const enhancedTestCases = enhanceGeneratedTestCases(response);
 
     console.log(`✅ Enhanced ${enhancedTestCases.length} test cases`);
 
@@ -716,6 +895,11 @@ export const generateTestCases = async (config) => {
   } catch (error) {
     console.error("❌ Test case generation failed:", error.message);
 
+    // A cancelled job is the user's choice, not something to paper over
+    if (error.cancelled) {
+      throw error;
+    }
+
     // Try fallback generation
     if (config.files && Array.isArray(config.files)) {
       console.log("🔄 Attempting fallback generation...");
@@ -765,14 +949,17 @@ export const generateRepositoryTestCases = async (
 
     console.log(`🧪 Generating test cases for repository ${owner}/${repo}...`);
 
-    const response = await api.post(
-      "/testcases/generate/repository",
-      { owner, repo, ...options },
-      {
-        headers: { Authorization: `Bearer ${sessionId}` },
-        timeout: 180000,
-      }
-    );
+    const { onProgress, onJobSubmitted, ...jobOptions } = options;
+    const { jobId } = await submitGenerationJob(sessionId, {
+      type: "repository",
+      owner,
+      repo,
+      ...jobOptions,
+    });
+    if (onJobSubmitted) {
+      onJobSubmitted(jobId);
+    }
+    const response = await waitForGenerationJob(sessionId, jobId, onProgress);
 
     console.log("✅ Repository test cases generated successfully");
     return response;
@@ -785,6 +972,49 @@ export const generateRepositoryTestCases = async (
   }
 };
 
+// Generate tests for what a pull request ({ pullNumber }) or a compare ({ base, head }) changed
+export const generateDiffTestCases = async (
+  sessionId,
+  owner,
+  repo,
+  target,
+  options = {}
+) => {
+  try {
+    if (!sessionId || !owner || !repo) {
+      throw new Error("Session ID, owner, and repository name are required");
+    }
+
+    if (!target?.pullNumber && !(target?.base && target?.head)) {
+      throw new Error("Enter a pull request number or both base and head refs");
+    }
+
+    const label = target.pullNumber
+      ? `pull request #${target.pullNumber}`
+      : `${target.base}...${target.head}`;
+    console.log(`🔁 Generating test cases for ${label} in ${owner}/${repo}...`);
+
+    const { onProgress, onJobSubmitted, ...jobOptions } = options;
+    const { jobId } = await submitGenerationJob(sessionId, {
+      type: "diff",
+      owner,
+      repo,
+      ...target,
+      ...jobOptions,
+    });
+    if (onJobSubmitted) {
+      onJobSubmitted(jobId);
+    }
+    const response = await waitForGenerationJob(sessionId, jobId, onProgress);
+
+    console.log("✅ Diff test cases generated successfully");
+    return { ...response, testCases: enhanceGeneratedTestCases(response) };
+  } catch (error) {
+    console.error("❌ Failed to generate diff test cases:", error.message);
+    throw error;
+  }
+};
+
 export const generateFileTestCases = async (
   sessionId,
   owner,
@@ -1067,6 +1297,157 @@ class ${file.name.replace(".java", "")}Test {
   return templates.generic;
 };
 
+//
+// ─── GENERATION JOBS ───────────────────────────────────
+//
+
+export const submitGenerationJob = async (sessionId, payload) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    const response = await api.post("/testcases/jobs", payload, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+      timeout: 30000,
+    });
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to submit generation job:", error.message);
+    throw error;
+  }
+};
+
+export const getGenerationJob = async (sessionId, jobId) => {
+  try {
+    const response = await api.get(`/testcases/jobs/${jobId}`, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+    return response.job;
+  } catch (error) {
+    console.error("❌ Failed to fetch generation job:", error.message);
+    throw error;
+  }
+};
+
+export const listGenerationJobs = async (sessionId) => {
+  try {
+    const response = await api.get("/testcases/jobs", {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+    return response.jobs || [];
+  } catch (error) {
+    console.error("❌ Failed to list generation jobs:", error.message);
+    throw error;
+  }
+};
+
+export const cancelGenerationJob = async (sessionId, jobId) => {
+  try {
+    const response = await api.post(
+      `/testcases/jobs/${jobId}/cancel`,
+      {},
+      { headers: { Authorization: `Bearer ${sessionId}` } }
+    );
+    return response.job;
+  } catch (error) {
+    console.error("❌ Failed to cancel generation job:", error.message);
+    throw error;
+  }
+};
+
+// Read a job's Server-Sent Events. fetch is used instead of EventSource so the
+// session can travel in the Authorization header. Returns a function that stops reading.
+export const streamGenerationJob = (sessionId, jobId, onEvent) => {
+  const controller = new AbortController();
+
+  const read = async () => {
+    const response = await fetch(
+      `${API_BASE_URL}/testcases/jobs/${jobId}/events`,
+      {
+        headers: { Authorization: `Bearer ${sessionId}` },
+        signal: controller.signal,
+      }
+    );
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP ${response.status} Error`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split("\n\n");
+      buffer = messages.pop();
+
+      messages.forEach((message) => {
+        const event = message.match(/^event: (.+)$/m)?.[1];
+        const data = message.match(/^data: (.+)$/m)?.[1];
+        if (event && data) {
+          onEvent(event, JSON.parse(data));
+        }
+      });
+    }
+  };
+
+  read().catch((error) => {
+    if (error.name !== "AbortError") {
+      onEvent("error", { error: error.message });
+    }
+  });
+
+  return () => controller.abort();
+};
+
+// Resolve with the job result once it completes; rejects when it fails or is
+// cancelled. onProgress receives the job's progress object on every update.
+export const waitForGenerationJob = (sessionId, jobId, onProgress) =>
+  new Promise((resolve, reject) => {
+    const stop = streamGenerationJob(sessionId, jobId, async (event, data) => {
+      if (event === "error") {
+        stop();
+        reject(new Error(data.error || "Lost connection to generation job"));
+        return;
+      }
+
+      if (onProgress && data.progress) {
+        onProgress(data.progress, data);
+      }
+      if (event !== "done") return;
+
+      stop();
+      if (data.status === "completed") {
+        try {
+          const job = await getGenerationJob(sessionId, jobId);
+          resolve(job.result);
+        } catch (error) {
+          reject(error);
+        }
+      } else {
+        reject(
+          Object.assign(new Error(data.error || `Generation ${data.status}`), {
+            cancelled: data.status === "cancelled",
+          })
+        );
+      }
+    });
+  });
+
+// Pick up a job started before a page refresh; same shape as generateTestCases
+export const resumeGenerationJob = async (sessionId, jobId, onProgress) => {
+  const response = await waitForGenerationJob(sessionId, jobId, onProgress);
+  return {
+    success: true,
+    ...response,
+    testCases: enhanceGeneratedTestCases(response),
+  };
+};
+
 //
 // ─── ENHANCED REPOSITORY ANALYSIS ──────────────────────
 //
@@ -1075,7 +1456,7 @@ export const analyzeRepositoryStructure = async (sessionId, owner, repo) => {
   try {
     console.log(`🔍 Analyzing repository structure for ${owner}/${repo}...`);
 
-    const response = await api.get(`/github/repos/${owner}/${repo}/analyze`, {
+    const response = await api.get(`${repositoryPath(owner, repo)}/analyze`, {
       headers: { Authorization: `Bearer ${sessionId}` },
     });
 
@@ -1189,6 +1570,41 @@ export const getTestFrameworks = async () => {
   }
 };
 
+export const getLLMProviders = async (sessionId) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    const response = await api.get("/testcases/providers", {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to fetch LLM providers:", error.message);
+    throw error;
+  }
+};
+
+// Parse an uploaded coverage report ({ content, fileName }) or, with only
+// { owner, repo, branch }, one committed to the repository
+export const ingestCoverageReport = async (sessionId, report) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    const response = await api.post("/testcases/coverage", report, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+      timeout: 60000,
+    });
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to ingest coverage report:", error.message);
+    throw error;
+  }
+};
+
 export const getTestTypes = async () => {
   try {
     const response = await api.get("/testcases/types");
@@ -1199,13 +1615,139 @@ export const getTestTypes = async () => {
   }
 };
 
+//
+// ─── TEST EXECUTION ────────────────────────────────────
+//
+
+// Whether the server runs generated tests, with which runners and limits
+export const getTestExecutionConfig = async (sessionId) => {
+  try {
+    return await api.get("/testcases/execution", {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+  } catch (error) {
+    console.error("❌ Failed to load test execution settings:", error.message);
+    return { enabled: false };
+  }
+};
+
+// Run generated tests against the repository's source in the server's sandbox;
+// payload is { owner, repo, ref, files, testCases, framework }
+export const runGeneratedTests = async (sessionId, payload) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    if (!payload?.testCases?.length) {
+      throw new Error("Select at least one test case to run");
+    }
+
+    console.log("🧪 Running generated tests...", {
+      repository: `${payload.owner}/${payload.repo}`,
+      testCases: payload.testCases.length,
+    });
+
+    const response = await api.post("/testcases/execute", payload, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+    });
+
+    console.log("✅ Test run finished:", response.summary);
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to run generated tests:", error.message);
+    throw error;
+  }
+};
+
+// Run the tests and let the model fix failing ones for up to maxRounds rounds;
+// tests still failing afterwards come back with needsHumanReview
+export const repairGeneratedTests = async (
+  sessionId,
+  payload,
+  options = {}
+) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    if (!payload?.testCases?.length) {
+      throw new Error("Select at least one test case to repair");
+    }
+
+    console.log("🩹 Repairing failing tests...", {
+      repository: `${payload.owner}/${payload.repo}`,
+      testCases: payload.testCases.length,
+    });
+
+    // Repair runs as a server-side job, followed like generation
+    const { jobId } = await api.post("/testcases/repair", payload, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+      timeout: 30000,
+    });
+    if (options.onJobSubmitted) {
+      options.onJobSubmitted(jobId);
+    }
+    const response = await waitForGenerationJob(
+      sessionId,
+      jobId,
+      options.onProgress
+    );
+
+    console.log("✅ Repair finished:", response.summary);
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to repair tests:", error.message);
+    throw error;
+  }
+};
+
+// Mutate the JavaScript the tests cover and re-run them against every mutant; returns
+// the mutation score per file and per test and the mutants no test caught
+export const runMutationTests = async (sessionId, payload, options = {}) => {
+  try {
+    if (!sessionId) {
+      throw new Error("Session ID is required");
+    }
+
+    if (!payload?.testCases?.length) {
+      throw new Error("Select at least one test case for mutation testing");
+    }
+
+    console.log("🧬 Running mutation tests...", {
+      repository: `${payload.owner}/${payload.repo}`,
+      testCases: payload.testCases.length,
+    });
+
+    const { jobId } = await api.post("/testcases/mutation", payload, {
+      headers: { Authorization: `Bearer ${sessionId}` },
+      timeout: 30000,
+    });
+    if (options.onJobSubmitted) {
+      options.onJobSubmitted(jobId);
+    }
+    const response = await waitForGenerationJob(
+      sessionId,
+      jobId,
+      options.onProgress
+    );
+
+    console.log("✅ Mutation testing finished:", response.summary);
+    return response;
+  } catch (error) {
+    console.error("❌ Failed to run mutation tests:", error.message);
+    throw error;
+  }
+};
+
 //
 // ─── SUMMARY AND ANALYSIS FUNCTIONS ────────────────────
 //
 
 export const generateTestCaseSummary = async (config) => {
   try {
-    const { sessionId, testCases, repository, files } = config;
+    const { sessionId, testCases, repository, files, coverage } = config;
 
     if (!sessionId) {
       throw new Error("Session ID is required");
@@ -1213,7 +1755,7 @@ export const generateTestCaseSummary = async (config) => {
 
     const response = await api.post(
       "/testcases/summary",
-      { testCases, repository, files },
+      { testCases, repository, files, coverage },
       {
         headers: { Authorization: `Bearer ${sessionId}` },
         timeout: 60000,
@@ -1229,6 +1771,8 @@ export const generateTestCaseSummary = async (config) => {
       recommendations: ["Review generated tests for accuracy"],
       coverage: "Basic coverage analysis completed",
       qualityAssessment: "Standard quality assessment",
+      coverageGaps: [],
+      riskAreas: [],
       fallback: true,
     };
   }